@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
+const { isSessionActive } = require('../services/sessionService');
 
 // Load environment variables
 dotenv.config();
@@ -7,36 +8,94 @@ dotenv.config();
 // JWT secret key from environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+// Access tokens are short-lived; clients get new ones from POST /api/users/refresh
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// User roles, from least to most privileged; each role can do everything the ones before it can
+const ROLES = ['reader', 'editor', 'admin'];
+const DEFAULT_ROLE = 'reader';
+
+// Email addresses that are made admins, from a comma-separated ADMIN_EMAILS
+const getAdminEmails = () => {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+// Check whether an email address is listed in ADMIN_EMAILS
+const isConfiguredAdmin = (email) => {
+  return getAdminEmails().includes(String(email || '').toLowerCase());
+};
+
+// Sign an access token for a user's session
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user.id, username: user.username, email: user.email, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Verify an access token and check that its session hasn't been revoked
+// Throws an error with code TOKEN_EXPIRED or SESSION_REVOKED when the client should refresh or sign in again
+const verifyAccessToken = async (token) => {
+  let decoded = null;
+  
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      error.message = 'Access token has expired';
+      error.code = 'TOKEN_EXPIRED';
+    }
+    throw error;
+  }
+  
+  // Tokens issued before sessions existed have no session to revoke, so they are no longer accepted
+  if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+    const error = new Error('Session has been revoked');
+    error.code = 'SESSION_REVOKED';
+    throw error;
+  }
+  
+  return decoded;
+};
+
 // Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   // Get token from cookies or Authorization header
   const token = req.cookies?.token || req.header('Authorization')?.replace('Bearer ', '');
   
   if (!token) {
     return res.status(401).json({ message: 'Authentication required' });
   }
-
+  
   try {
     // Verify the token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    req.user = await verifyAccessToken(token);
   } catch (error) {
+    if (error.code) {
+      // Expired or revoked: the client can refresh, or has to sign in again
+      return res.status(401).json({ message: error.message, code: error.code });
+    }
+    
     console.error('Token verification error:', error.message);
     return res.status(403).json({ message: 'Invalid or expired token' });
   }
+  
+  next();
 };
 
 // Optional authentication middleware - doesn't block if no token
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   // Get token from cookies or Authorization header
   const token = req.cookies?.token || req.header('Authorization')?.replace('Bearer ', '');
   
   if (token) {
     try {
       // Verify the token
-      const decoded = jwt.verify(token, JWT_SECRET);
-      req.user = decoded;
+      req.user = await verifyAccessToken(token);
     } catch (error) {
       // Just log the error but don't block the request
       console.error('Optional token verification error:', error.message);
@@ -46,8 +105,32 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
+// Role middleware - place after authenticateToken; allows the given role and any role above it
+const requireRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role ${role}`);
+  }
+  
+  return (req, res, next) => {
+    // Tokens issued before roles existed carry no role and count as readers
+    const userRole = req.user?.role || DEFAULT_ROLE;
+    
+    if (ROLES.indexOf(userRole) < ROLES.indexOf(role)) {
+      return res.status(403).json({ message: `This action requires the ${role} role` });
+    }
+    
+    next();
+  };
+};
+
 module.exports = {
   authenticateToken,
   optionalAuth,
+  requireRole,
+  signAccessToken,
+  getAdminEmails,
+  isConfiguredAdmin,
+  ROLES,
+  DEFAULT_ROLE,
   JWT_SECRET
 };
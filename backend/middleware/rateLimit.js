@@ -0,0 +1,105 @@
+const { createConfiguredStore } = require('../utils/rateLimitStores');
+
+// Per-route limits: requests allowed per window for anonymous IPs and for signed-in users.
+// Override with RATE_LIMIT_<NAME>_ANONYMOUS, RATE_LIMIT_<NAME>_USER and RATE_LIMIT_<NAME>_WINDOW_SECONDS
+const RATE_LIMITS = {
+  // Endpoints that call AI providers and spend API credits
+  ai: { windowSeconds: 60, anonymous: 10, user: 30 },
+  // Endpoints that scrape every news site
+  refresh: { windowSeconds: 15 * 60, anonymous: 2, user: 5 },
+  // Endpoints that send account emails
+  account: { windowSeconds: 15 * 60, anonymous: 5, user: 10 }
+};
+
+// Store shared by every limiter in this process, created with the first limiter
+let sharedStore = null;
+
+/**
+ * Get the store named in RATE_LIMIT_STORE, creating it the first time
+ * @returns {Object} Rate limit store
+ * @throws {Error} If the store is misconfigured
+ */
+const getSharedStore = () => {
+  sharedStore = sharedStore || createConfiguredStore();
+  return sharedStore;
+};
+
+/**
+ * Read a positive integer setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Setting value
+ */
+const getEnvNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+};
+
+/**
+ * Create a rate limiting middleware
+ * Anonymous requests are counted per IP and signed-in requests per user, in separate buckets,
+ * so place it after optionalAuth or authenticateToken. Store errors let the request through.
+ * @param {string} name - Limit name from RATE_LIMITS, also used in the counter keys
+ * @param {Object} options - Overrides for the named limit
+ * @param {number} options.windowSeconds - Window length
+ * @param {number} options.anonymous - Requests per window for each anonymous IP
+ * @param {number} options.user - Requests per window for each signed-in user
+ * @param {Object} options.store - Counter store (default: the store named in RATE_LIMIT_STORE)
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (name, options = {}) => {
+  const defaults = { ...RATE_LIMITS[name], ...options };
+  const envPrefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  const windowMs = getEnvNumber(`${envPrefix}_WINDOW_SECONDS`, defaults.windowSeconds) * 1000;
+  const limits = {
+    anonymous: getEnvNumber(`${envPrefix}_ANONYMOUS`, defaults.anonymous),
+    user: getEnvNumber(`${envPrefix}_USER`, defaults.user)
+  };
+  
+  if (!windowMs || !limits.anonymous || !limits.user) {
+    throw new Error(`Rate limit ${name} needs windowSeconds, anonymous and user limits`);
+  }
+  
+  // Limiters are created when the routes load, so a misconfigured store stops startup
+  // instead of failing every request
+  const store = options.store || getSharedStore();
+  
+  return async (req, res, next) => {
+    const bucket = req.user?.id ? 'user' : 'anonymous';
+    const key = `${name}:${bucket === 'user' ? `user:${req.user.id}` : `ip:${req.ip}`}`;
+    const limit = limits[bucket];
+    
+    let window = null;
+    
+    try {
+      window = await store.increment(key, windowMs);
+    } catch (error) {
+      console.error(`Rate limit store error for ${name}:`, error.message);
+      return next();
+    }
+    
+    const retryAfter = Math.max(Math.ceil((window.resetAt - Date.now()) / 1000), 1);
+    
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(limit - window.count, 0)),
+      'RateLimit-Reset': String(retryAfter)
+    });
+    
+    if (window.count > limit) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: bucket === 'user'
+          ? 'Too many requests. Please wait before trying again.'
+          : 'Too many requests. Please wait before trying again, or sign in for a higher limit.',
+        retryAfter
+      });
+    }
+    
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit
+};
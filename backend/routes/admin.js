@@ -0,0 +1,141 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const db = require('../utils/database');
+const { authenticateToken, requireRole, ROLES } = require('../middleware/auth');
+const {
+  getScrapeSources,
+  getScrapeSourceById,
+  getFixturePath,
+  fetchPage,
+  validateSelectors
+} = require('../services/scrapeEngine');
+const router = express.Router();
+
+// Pages are usually larger than the default JSON body limit, so also accept raw HTML
+const htmlBody = express.text({ type: 'text/html', limit: '5mb' });
+
+/**
+ * @route   GET /api/admin/sources
+ * @desc    List the scrape source definitions and whether each has a saved HTML fixture
+ * @access  Admin
+ */
+router.get('/sources', authenticateToken, requireRole('admin'), (req, res) => {
+  try {
+    const sources = getScrapeSources().map(source => ({
+      ...source,
+      hasFixture: fs.existsSync(getFixturePath(source.id))
+    }));
+    
+    res.json(sources);
+  } catch (error) {
+    console.error('Error loading scrape sources:', error);
+    res.status(500).json({ error: 'Failed to load scrape sources', details: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/sources/:id/validate
+ * @desc    Run a source's selectors against HTML and report how many headlines, links and summaries matched
+ * @body    HTML as text/html, or JSON { html } - defaults to the source's saved fixture;
+ *          JSON { saveFixture: true } downloads the live page and saves it as the fixture first
+ * @access  Admin
+ */
+router.post('/sources/:id/validate', authenticateToken, requireRole('admin'), htmlBody, async (req, res) => {
+  try {
+    const source = getScrapeSourceById(req.params.id);
+    
+    if (!source) {
+      return res.status(404).json({ error: `Unknown scrape source: ${req.params.id}` });
+    }
+    
+    const fixturePath = getFixturePath(source.id);
+    let html = typeof req.body === 'string' ? req.body : req.body?.html;
+    let htmlFrom = 'request';
+    
+    if (!html && req.body?.saveFixture) {
+      html = await fetchPage(source.url);
+      htmlFrom = 'live';
+      
+      await fs.promises.mkdir(path.dirname(fixturePath), { recursive: true });
+      await fs.promises.writeFile(fixturePath, html);
+    } else if (!html) {
+      if (!fs.existsSync(fixturePath)) {
+        return res.status(404).json({
+          error: `No saved fixture for ${source.id}`,
+          details: `Save the page as ${fixturePath}, send the HTML in the request, or send { "saveFixture": true }`
+        });
+      }
+      
+      html = await fs.promises.readFile(fixturePath, 'utf8');
+      htmlFrom = 'fixture';
+    }
+    
+    const result = validateSelectors(source, html);
+    
+    res.json({
+      source: source.id,
+      htmlFrom,
+      valid: result.headlines > 0,
+      ...result
+    });
+  } catch (error) {
+    console.error(`Error validating scrape source ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to validate scrape source', details: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List users with their roles
+ * @access  Admin
+ */
+router.get('/users', authenticateToken, requireRole('admin'), (req, res) => {
+  db.all('SELECT id, username, email, role, created_at FROM users ORDER BY created_at', [], (err, users) => {
+    if (err) {
+      console.error('Error listing users:', err);
+      return res.status(500).json({ error: 'Failed to list users', details: err.message });
+    }
+    
+    res.json(users);
+  });
+});
+
+/**
+ * @route   PUT /api/admin/users/:id/role
+ * @desc    Change a user's role; takes effect when the user's access token is next refreshed
+ * @body    role - reader, editor or admin
+ * @access  Admin
+ */
+router.put('/users/:id/role', authenticateToken, requireRole('admin'), (req, res) => {
+  const { role } = req.body || {};
+  const userId = parseInt(req.params.id, 10);
+  
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `Invalid role. Use one of ${ROLES.join(', ')}.` });
+  }
+  
+  // Stops the last admin from locking everyone out
+  if (userId === req.user.id) {
+    return res.status(400).json({ error: 'You cannot change your own role.' });
+  }
+  
+  db.run(
+    'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [role, userId],
+    function(err) {
+      if (err) {
+        console.error(`Error updating role for user ${req.params.id}:`, err);
+        return res.status(500).json({ error: 'Failed to update role', details: err.message });
+      }
+      
+      if (this.changes === 0) {
+        return res.status(404).json({ error: `User ${req.params.id} not found` });
+      }
+      
+      res.json({ success: true, id: userId, role });
+    }
+  );
+});
+
+module.exports = router;
@@ -1,58 +1,100 @@
 const express = require('express');
 const router = express.Router();
-const { 
-  getOpenAIAnalysis,
-  getClaudeAnalysis,
-  getGeminiAnalysis,
-  getCopilotAnalysis,
-  getDeepSeekAnalysis,
-  getCohereAnalysis
-} = require('../services/aiService');
+const { getAnalysis, streamAnalysis } = require('../services/aiService');
+const { getProvider, listModels } = require('../services/aiProviders');
+const { runDebate } = require('../services/debateService');
+const { extractInsights } = require('../services/insightService');
+const { compareAnalyses } = require('../services/comparisonService');
+const { purgeAnalysisCache } = require('../services/analysisCache');
+const { enrichArticle } = require('../services/articleExtractor');
+const { textToAnalysis } = require('../services/analysisParser');
+const { getTemplate, listTemplates, DEFAULT_TEMPLATE_ID } = require('../services/promptTemplates');
+const { getUsageReport } = require('../services/usageTracker');
+const { authenticateToken, optionalAuth, requireRole } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Longest reader perspective accepted into a prompt
+const MAX_PERSPECTIVE_LENGTH = 200;
+
+// Endpoints that call AI providers share one rate limit
+const aiRateLimit = rateLimit('ai');
+
+// Usage report dates are whole days
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 /**
- * @route   POST /api/ai/analyze
- * @desc    Get analysis from multiple AI models for a news article
+ * Read the analysis template and reader perspective from a request
+ * @param {Object} params - Request body or query
+ * @returns {Object} Template ID and perspective, or an error message if the template is unknown
+ */
+const getAnalysisOptions = ({ template, perspective } = {}) => {
+  if (template && !getTemplate(template)) {
+    return { error: `Prompt template ${template} not found.` };
+  }
+  
+  return {
+    template: template || DEFAULT_TEMPLATE_ID,
+    perspective: typeof perspective === 'string' ? perspective.trim().slice(0, MAX_PERSPECTIVE_LENGTH) : undefined
+  };
+};
+
+/**
+ * @route   GET /api/ai/models
+ * @desc    Get all registered AI models
  * @access  Public
  */
-router.post('/analyze', async (req, res) => {
+router.get('/models', (req, res) => {
+  res.json(listModels());
+});
+
+/**
+ * @route   GET /api/ai/templates
+ * @desc    Get the analysis styles (prompt templates) that can be requested
+ * @access  Public
+ */
+router.get('/templates', (req, res) => {
+  res.json(listTemplates());
+});
+
+/**
+ * @route   POST /api/ai/analyze
+ * @desc    Get structured analyses (summary, key claims, sentiment, stance, predicted impacts, confidence)
+ *          from multiple AI models for a news article, keyed by model ID
+ * @body    newsArticle, aiModels, and optionally template (analysis style ID) and perspective
+ * @query   fresh=true to bypass the analysis cache
+ * @access  Public (rate limited)
+ */
+router.post('/analyze', optionalAuth, aiRateLimit, async (req, res) => {
   try {
     const { newsArticle, aiModels } = req.body;
+    const fresh = req.query.fresh === 'true';
     
     if (!newsArticle || !aiModels || !Array.isArray(aiModels) || aiModels.length === 0) {
       return res.status(400).json({ error: 'Invalid request. Please provide newsArticle and aiModels array.' });
     }
     
+    const { error, template, perspective } = getAnalysisOptions(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    // Ground the analyses in the full article text when it can be extracted
+    const article = await enrichArticle(newsArticle);
+    
     // Process each AI model in parallel
     const analysisPromises = aiModels.map(async (modelId) => {
       let analysis = null;
       
       try {
-        switch (modelId) {
-          case 'chatgpt':
-            analysis = await getOpenAIAnalysis(newsArticle);
-            break;
-          case 'claude':
-            analysis = await getClaudeAnalysis(newsArticle);
-            break;
-          case 'gemini':
-            analysis = await getGeminiAnalysis(newsArticle);
-            break;
-          case 'copilot':
-            analysis = await getCopilotAnalysis(newsArticle);
-            break;
-          case 'deepseek':
-            analysis = await getDeepSeekAnalysis(newsArticle);
-            break;
-          case 'cohere':
-            analysis = await getCohereAnalysis(newsArticle);
-            break;
-          default:
-            // For other AIs, use a fallback or mock response for now
-            analysis = `Analysis from ${modelId} is not yet implemented.`;
+        if (getProvider(modelId)) {
+          analysis = await getAnalysis(modelId, article, { fresh, template, perspective, userId: req.user?.id });
+        } else {
+          analysis = textToAnalysis(`Analysis from ${modelId} is not yet implemented.`);
         }
       } catch (error) {
         console.error(`Error getting analysis from ${modelId}:`, error);
-        analysis = `Error getting analysis from ${modelId}.`;
+        analysis = textToAnalysis(`Error getting analysis from ${modelId}.`);
       }
       
       return { modelId, analysis };
@@ -73,12 +115,240 @@ router.post('/analyze', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/ai/analyze/stream
+ * @desc    Stream analyses from multiple AI models over Server-Sent Events: raw JSON tokens as they arrive,
+ *          then each model's structured analysis as it completes
+ * @query   newsArticle JSON-encoded news article, aiModels comma-separated AI model IDs, fresh=true to bypass the cache,
+ *          template analysis style ID, perspective reader perspective
+ * @access  Public (rate limited); send the access token as a bearer token so signed-in users get their own limit
+ *          and their usage is recorded
+ */
+router.get('/analyze/stream', optionalAuth, aiRateLimit, async (req, res) => {
+  let newsArticle = null;
+  
+  try {
+    newsArticle = JSON.parse(req.query.newsArticle || 'null');
+  } catch (error) {
+    newsArticle = null;
+  }
+  
+  const aiModels = (req.query.aiModels || '').split(',').filter(Boolean);
+  const fresh = req.query.fresh === 'true';
+  
+  if (!newsArticle || aiModels.length === 0) {
+    return res.status(400).json({ error: 'Invalid request. Please provide newsArticle and aiModels.' });
+  }
+  
+  const { error, template, perspective } = getAnalysisOptions(req.query);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform stops compression middleware (e.g. the dev proxy) from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive'
+  });
+  
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  
+  // Cancel outstanding provider requests if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  
+  sendEvent('start', { aiModels, template });
+  
+  let article = null;
+  
+  // The stream is already open, so failures have to be reported as an event rather than a status code
+  try {
+    article = await enrichArticle(newsArticle);
+  } catch (error) {
+    console.error('Error preparing article for streaming analysis:', error);
+    sendEvent('error', { error: 'Failed to prepare the article for analysis' });
+    res.end();
+    return;
+  }
+  
+  await Promise.all(aiModels.map(async (modelId) => {
+    let analysis = null;
+    
+    try {
+      if (getProvider(modelId)) {
+        analysis = await streamAnalysis(
+          modelId,
+          article,
+          (token) => sendEvent('token', { modelId, token }),
+          { signal: controller.signal, fresh, template, perspective, userId: req.user?.id }
+        );
+      } else {
+        analysis = textToAnalysis(`Analysis from ${modelId} is not yet implemented.`);
+      }
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      
+      console.error(`Error streaming analysis from ${modelId}:`, error);
+      analysis = textToAnalysis(`Error getting analysis from ${modelId}.`);
+    }
+    
+    sendEvent('analysis', { modelId, analysis });
+  }));
+  
+  sendEvent('done', {});
+  res.end();
+});
+
+/**
+ * @route   POST /api/ai/debate
+ * @desc    Run a multi-round debate between AI models about a news article
+ * @body    newsArticle, aiModels (at least two different model IDs), and optionally rounds, moderator, and template (analysis style ID for the opening statements)
+ * @access  Public (rate limited)
+ */
+router.post('/debate', optionalAuth, aiRateLimit, async (req, res) => {
+  try {
+    const { newsArticle, aiModels, rounds, moderator } = req.body;
+    // The same model listed twice would have nobody else to rebut
+    const participants = Array.isArray(aiModels) ? [...new Set(aiModels)] : [];
+    
+    if (!newsArticle || participants.length < 2) {
+      return res.status(400).json({ error: 'Invalid request. Please provide newsArticle and at least two different aiModels.' });
+    }
+    
+    const unknownModels = [...participants, ...(moderator ? [moderator] : [])].filter(modelId => !getProvider(modelId));
+    
+    if (unknownModels.length > 0) {
+      return res.status(400).json({ error: `AI models not found or not supported: ${unknownModels.join(', ')}` });
+    }
+    
+    const { error, template } = getAnalysisOptions(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const article = await enrichArticle(newsArticle);
+    const debate = await runDebate({ article, aiModels: participants, rounds, moderator, template, userId: req.user?.id });
+    
+    res.json(debate);
+  } catch (error) {
+    console.error('Error running AI debate:', error);
+    res.status(500).json({ error: 'Failed to run AI debate' });
+  }
+});
+
+/**
+ * @route   POST /api/ai/insights
+ * @desc    Extract agreements, disagreements and unique claims from per-model analyses (structured or text)
+ * @access  Public (rate limited)
+ */
+router.post('/insights', optionalAuth, aiRateLimit, async (req, res) => {
+  try {
+    const { newsArticle, analyses } = req.body;
+    
+    if (!newsArticle || !analyses || typeof analyses !== 'object' || Object.keys(analyses).length === 0) {
+      return res.status(400).json({ error: 'Invalid request. Please provide newsArticle and analyses keyed by model ID.' });
+    }
+    
+    const insights = await extractInsights(await enrichArticle(newsArticle), analyses, { userId: req.user?.id });
+    
+    res.json(insights);
+  } catch (error) {
+    console.error('Error extracting insights:', error);
+    res.status(500).json({ error: 'Failed to extract insights' });
+  }
+});
+
+/**
+ * @route   POST /api/ai/compare
+ * @desc    Align per-model analyses claim by claim, flag contradictions and claims only one model makes,
+ *          and score how far the models diverge on the article
+ * @body    newsArticle, and analyses keyed by model ID as returned by /api/ai/analyze; every key must be a registered model
+ * @access  Public (rate limited)
+ */
+router.post('/compare', optionalAuth, aiRateLimit, (req, res) => {
+  try {
+    const { newsArticle, analyses } = req.body;
+    
+    if (!analyses || typeof analyses !== 'object' || Object.keys(analyses).length < 2) {
+      return res.status(400).json({ error: 'Invalid request. Please provide analyses from at least two models keyed by model ID.' });
+    }
+    
+    const modelIds = listModels().map(model => model.id);
+    const unknownModels = Object.keys(analyses).filter(modelId => !modelIds.includes(modelId));
+    
+    if (unknownModels.length > 0) {
+      return res.status(400).json({ error: `Unknown AI models: ${unknownModels.slice(0, 5).join(', ')}` });
+    }
+    
+    res.json(compareAnalyses(newsArticle, analyses));
+  } catch (error) {
+    if (error.code === 'NOT_ENOUGH_ANALYSES') {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    console.error('Error comparing analyses:', error);
+    res.status(500).json({ error: 'Failed to compare analyses' });
+  }
+});
+
+/**
+ * @route   GET /api/ai/usage
+ * @desc    Report AI token usage and estimated cost by day, model and user, with today's spend against each model's daily cap
+ * @query   from and to (YYYY-MM-DD) to set the date range, default the last 30 days
+ * @access  Admin
+ */
+router.get('/usage', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    
+    if ([from, to].some(date => date !== undefined && (!DATE_PATTERN.test(date) || isNaN(new Date(date))))) {
+      return res.status(400).json({ error: 'Invalid request. from and to must be dates in YYYY-MM-DD format.' });
+    }
+    
+    if (from && to && from > to) {
+      return res.status(400).json({ error: 'Invalid request. from must not be after to.' });
+    }
+    
+    res.json(await getUsageReport({ from, to }));
+  } catch (error) {
+    console.error('Error building AI usage report:', error);
+    res.status(500).json({ error: 'Failed to build AI usage report', details: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/ai/cache
+ * @desc    Purge cached AI analyses
+ * @query   modelId to purge a single model, expiredOnly=true to keep entries still within their TTL
+ * @access  Admin
+ */
+router.delete('/cache', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { modelId, expiredOnly } = req.query;
+    const deleted = await purgeAnalysisCache({ modelId, expiredOnly: expiredOnly === 'true' });
+    
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('Error purging analysis cache:', error);
+    res.status(500).json({ error: 'Failed to purge analysis cache', details: error.message });
+  }
+});
+
 /**
  * @route   POST /api/ai/:modelId/analyze
- * @desc    Get analysis from a specific AI model for a news article
- * @access  Public
+ * @desc    Get a structured analysis from a specific AI model for a news article
+ * @body    newsArticle, and optionally template (analysis style ID) and perspective
+ * @query   fresh=true to bypass the analysis cache
+ * @access  Public (rate limited)
  */
-router.post('/:modelId/analyze', async (req, res) => {
+router.post('/:modelId/analyze', optionalAuth, aiRateLimit, async (req, res) => {
   try {
     const { modelId } = req.params;
     const { newsArticle } = req.body;
@@ -87,32 +357,25 @@ router.post('/:modelId/analyze', async (req, res) => {
       return res.status(400).json({ error: 'Invalid request. Please provide newsArticle.' });
     }
     
-    let analysis = null;
+    if (!getProvider(modelId)) {
+      return res.status(404).json({ error: `AI model ${modelId} not found or not supported.` });
+    }
+    
+    const { error, template, perspective } = getAnalysisOptions(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const article = await enrichArticle(newsArticle);
+    const analysis = await getAnalysis(modelId, article, {
+      fresh: req.query.fresh === 'true',
+      template,
+      perspective,
+      userId: req.user?.id
+    });
     
-    switch (modelId) {
-      case 'chatgpt':
-        analysis = await getOpenAIAnalysis(newsArticle);
-        break;
-      case 'claude':
-        analysis = await getClaudeAnalysis(newsArticle);
-        break;
-      case 'gemini':
-        analysis = await getGeminiAnalysis(newsArticle);
-        break;
-      case 'copilot':
-        analysis = await getCopilotAnalysis(newsArticle);
-        break;
-      case 'deepseek':
-        analysis = await getDeepSeekAnalysis(newsArticle);
-        break;
-      case 'cohere':
-        analysis = await getCohereAnalysis(newsArticle);
-        break;
-      default:
-        return res.status(404).json({ error: `AI model ${modelId} not found or not supported.` });
-    }
-    
-    res.json({ modelId, analysis });
+    res.json({ modelId, analysis, template });
   } catch (error) {
     console.error(`Error getting analysis from ${req.params.modelId}:`, error);
     res.status(500).json({ error: `Failed to get analysis from ${req.params.modelId}` });
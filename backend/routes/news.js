@@ -1,38 +1,165 @@
 const express = require('express');
 const router = express.Router();
-const { getLatestNews, getNewsByCategory, getNewsById, refreshAllNews, updateNewsCache } = require('../services/newsService');
+const { getLatestNews, getNewsByCategory, getNewsById, refreshAllNews, fetchAndStoreNews, getConfiguredSources } = require('../services/newsService');
+const { getSourceStatus } = require('../services/sourceHealth');
+const { getForYouFeed } = require('../services/feedService');
+const { getCategories, getSources, searchArticles } = require('../services/articleStore');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+/**
+ * Read paging and filter options from the query string
+ * @param {Object} query - Express request query
+ * @returns {Object} Options for the news service
+ */
+const getQueryOptions = (query) => ({
+  source: query.source,
+  provider: query.provider,
+  limit: query.limit,
+  offset: query.offset
+});
 
 /**
  * @route   GET /api/news
- * @desc    Get all latest news articles
+ * @desc    Get latest news articles (?limit, ?offset, ?source, ?provider); the total is sent in X-Total-Count
  * @access  Public
  */
 router.get('/', async (req, res) => {
   try {
-    const news = await getLatestNews();
-    res.json(news);
+    const { articles, total } = await getLatestNews(getQueryOptions(req.query));
+    res.set('X-Total-Count', String(total));
+    res.json(articles);
   } catch (error) {
     console.error('Error fetching news:', error);
     res.status(500).json({ error: 'Failed to fetch news articles' });
   }
 });
 
+/**
+ * @route   GET /api/news/search
+ * @desc    Full-text search over stored articles, trending perspectives and AI analyses
+ *          (?q, ?category, ?source, ?provider, ?from, ?to, ?limit, ?offset); the total is sent in X-Total-Count
+ * @access  Public
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const { q, category, source, provider, from, to, limit, offset } = req.query;
+    
+    if (!q || !q.trim()) {
+      return res.status(400).json({ error: 'Search query (q) is required' });
+    }
+    
+    const { articles, total } = await searchArticles(q, { category, source, provider, from, to, limit, offset });
+    res.set('X-Total-Count', String(total));
+    res.json(articles);
+  } catch (error) {
+    console.error('Error searching news:', error);
+    res.status(500).json({ error: 'Failed to search news articles' });
+  }
+});
+
+/**
+ * @route   GET /api/news/for-you
+ * @desc    The signed-in user's personalized feed (?limit, ?offset): the latest articles ranked by preferred
+ *          categories and sources, reading history, saved articles and recency, each with a score, an
+ *          explanation and its reasons; the total is sent in X-Total-Count
+ * @access  Private
+ */
+router.get('/for-you', authenticateToken, async (req, res) => {
+  try {
+    const { articles, total } = await getForYouFeed(req.user.id, { limit: req.query.limit, offset: req.query.offset });
+    res.set('X-Total-Count', String(total));
+    res.json(articles);
+  } catch (error) {
+    console.error('Error building For You feed:', error);
+    res.status(500).json({ error: 'Failed to build your feed' });
+  }
+});
+
+/**
+ * @route   GET /api/news/categories
+ * @desc    List news categories with article counts
+ * @access  Public
+ */
+router.get('/categories', async (req, res) => {
+  try {
+    res.json(await getCategories());
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+/**
+ * @route   GET /api/news/sources
+ * @desc    List news sources with article counts
+ * @access  Public
+ */
+router.get('/sources', async (req, res) => {
+  try {
+    res.json(await getSources());
+  } catch (error) {
+    console.error('Error fetching sources:', error);
+    res.status(500).json({ error: 'Failed to fetch sources' });
+  }
+});
+
+/**
+ * @route   GET /api/news/sources/status
+ * @desc    Health of each news provider: success rate, latency, last error, quota and circuit state
+ * @access  Public
+ */
+router.get('/sources/status', (req, res) => {
+  res.json({
+    sources: getSourceStatus(getConfiguredSources()),
+    checkedAt: new Date().toISOString()
+  });
+});
+
 /**
  * @route   GET /api/news/category/:category
- * @desc    Get news articles by category
+ * @desc    Get news articles by category (same query options as GET /api/news)
  * @access  Public
  */
 router.get('/category/:category', async (req, res) => {
   try {
     const { category } = req.params;
-    const news = await getNewsByCategory(category);
-    res.json(news);
+    const { articles, total } = await getNewsByCategory(category, getQueryOptions(req.query));
+    res.set('X-Total-Count', String(total));
+    res.json(articles);
   } catch (error) {
     console.error(`Error fetching ${req.params.category} news:`, error);
     res.status(500).json({ error: 'Failed to fetch news articles by category' });
   }
 });
 
+/**
+ * @route   GET /api/news/test-sources
+ * @desc    Test fetching from every configured news source, with per-provider counts
+ * @access  Admin
+ */
+router.get('/test-sources', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { category = 'technology', mode } = req.query;
+    
+    console.log(`Testing news sources for category: ${category}`);
+    const { articles, providers, mode: usedMode } = await fetchAndStoreNews(category, { mode });
+    
+    res.json({
+      success: true,
+      count: articles.length,
+      category,
+      mode: usedMode,
+      articles: articles.slice(0, 3), // Return just the first 3 articles to keep response size reasonable
+      sources: Object.keys(providers).filter(provider => providers[provider].count > 0),
+      providers
+    });
+  } catch (error) {
+    console.error('Error testing news sources:', error);
+    res.status(500).json({ error: 'Failed to test news sources', details: error.message });
+  }
+});
+
 /**
  * @route   GET /api/news/:id
  * @desc    Get a single news article by ID
@@ -57,9 +184,9 @@ router.get('/:id', async (req, res) => {
 /**
  * @route   POST /api/news/refresh
  * @desc    Force refresh all news caches
- * @access  Public
+ * @access  Admin (rate limited)
  */
-router.post('/refresh', async (req, res) => {
+router.post('/refresh', authenticateToken, requireRole('admin'), rateLimit('refresh'), async (req, res) => {
   try {
     const result = await refreshAllNews();
     res.json(result);
@@ -69,34 +196,4 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
-/**
- * @route   GET /api/news/test-sources
- * @desc    Test fetching from different news sources
- * @access  Public
- */
-router.get('/test-sources', async (req, res) => {
-  try {
-    const { category = 'technology', forceUpdate = true } = req.query;
-    
-    console.log(`Testing news sources for category: ${category}`);
-    const articles = await updateNewsCache(category, forceUpdate === 'true');
-    
-    res.json({
-      success: true,
-      count: articles.length,
-      category,
-      articles: articles.slice(0, 3), // Return just the first 3 articles to keep response size reasonable
-      sources: articles.reduce((acc, article) => {
-        if (article.provider && !acc.includes(article.provider)) {
-          acc.push(article.provider);
-        }
-        return acc;
-      }, [])
-    });
-  } catch (error) {
-    console.error('Error testing news sources:', error);
-    res.status(500).json({ error: 'Failed to test news sources', details: error.message });
-  }
-});
-
 module.exports = router;
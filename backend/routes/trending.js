@@ -6,6 +6,8 @@ const {
   refreshTrendingStories,
   CATEGORIES 
 } = require('../services/trendingNewsService');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 /**
  * @route   GET /api/trending
@@ -82,9 +84,9 @@ router.get('/category/:category', async (req, res) => {
 /**
  * @route   POST /api/trending/refresh
  * @desc    Force refresh trending stories
- * @access  Public
+ * @access  Admin (rate limited)
  */
-router.post('/refresh', async (req, res) => {
+router.post('/refresh', authenticateToken, requireRole('admin'), rateLimit('refresh'), async (req, res) => {
   try {
     const result = await refreshTrendingStories();
     res.json(result);
@@ -1,10 +1,147 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const db = require('../utils/database');
-const { authenticateToken, JWT_SECRET } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, isConfiguredAdmin, signAccessToken, DEFAULT_ROLE } = require('../middleware/auth');
+const {
+  getRefreshTokenTtlMs,
+  createSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeSessionByRefreshToken
+} = require('../services/sessionService');
+const {
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  exportAccountData
+} = require('../services/accountService');
+const {
+  MAX_DELETE_IDS,
+  recordView,
+  listHistory,
+  getHistoryStats,
+  deleteHistoryEntries,
+  clearHistory
+} = require('../services/readingHistoryService');
+const { rateLimit } = require('../middleware/rateLimit');
+const { getNewsById } = require('../services/newsService');
+const { getTemplate } = require('../services/promptTemplates');
+const { coerceAnalysis } = require('../services/analysisParser');
 const router = express.Router();
 
+// Limits endpoints that send account emails, so they can't be used to flood an inbox
+const accountRateLimit = rateLimit('account');
+
+// Article fields kept in a saved article snapshot
+const SNAPSHOT_FIELDS = ['id', 'title', 'summary', 'content', 'source', 'author', 'date', 'url', 'imageUrl', 'category', 'perspectives'];
+
+// Keep only known article fields so clients can't store arbitrary data in a snapshot
+const buildArticleSnapshot = (article) => {
+  if (!article || typeof article !== 'object' || !article.title) {
+    return null;
+  }
+  
+  return SNAPSHOT_FIELDS.reduce((snapshot, field) => {
+    if (article[field] !== undefined && article[field] !== null) {
+      snapshot[field] = article[field];
+    }
+    return snapshot;
+  }, {});
+};
+
+// Keep only usable analyses keyed by model ID, as structured analyses
+const buildAnalysesSnapshot = (analyses) => {
+  if (!analyses || typeof analyses !== 'object') {
+    return null;
+  }
+  
+  const snapshot = Object.entries(analyses)
+    .map(([modelId, analysis]) => [modelId, coerceAnalysis(analysis)])
+    .filter(([, analysis]) => analysis)
+    .reduce((result, [modelId, analysis]) => ({ ...result, [modelId]: analysis }), {});
+  
+  return Object.keys(snapshot).length > 0 ? snapshot : null;
+};
+
+// The refresh token cookie is only sent to the endpoints that use it
+const REFRESH_COOKIE_PATH = '/api/users';
+
+// Access token cookie lifetime, matching the default token lifetime
+const ACCESS_COOKIE_MAX_AGE_MS = 15 * 60 * 1000;
+
+// HTTP status for each account service error code
+const ACCOUNT_ERROR_STATUS = {
+  INVALID_TOKEN: 400,
+  WEAK_PASSWORD: 400,
+  INVALID_PASSWORD: 400,
+  INVALID_PROFILE: 400,
+  USER_NOT_FOUND: 404,
+  ACCOUNT_EXISTS: 409
+};
+
+// Answer with the status for an account service error, or a 500 for anything unexpected
+const sendAccountError = (res, error, action) => {
+  const status = ACCOUNT_ERROR_STATUS[error.code];
+  
+  if (status) {
+    return res.status(status).json({ message: error.message, code: error.code });
+  }
+  
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ message: 'Server error' });
+};
+
+// Device details stored with a session
+const getClientDetails = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
+
+const getCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax'
+});
+
+// Set the access token cookie
+const setAccessCookie = (res, accessToken) => {
+  res.cookie('token', accessToken, { ...getCookieOptions(), maxAge: ACCESS_COOKIE_MAX_AGE_MS });
+};
+
+// Set the access and refresh token cookies
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  setAccessCookie(res, accessToken);
+  res.cookie('refreshToken', refreshToken, { ...getCookieOptions(), path: REFRESH_COOKIE_PATH, maxAge: getRefreshTokenTtlMs() });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie('token');
+  res.clearCookie('refreshToken', { path: REFRESH_COOKIE_PATH });
+};
+
+// Start a session for a user who just signed in, set its cookies and return its tokens
+const startSession = async (req, res, user) => {
+  const { sessionId, refreshToken } = await createSession(user.id, getClientDetails(req));
+  const token = signAccessToken(user, sessionId);
+  
+  setAuthCookies(res, token, refreshToken);
+  return { token, refreshToken };
+};
+
+// Parse a JSON column, treating bad data as missing
+const parseSnapshot = (value) => {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 // Register a new user
 router.post('/register', async (req, res) => {
   try {
@@ -30,11 +167,14 @@ router.post('/register', async (req, res) => {
       const salt = await bcrypt.genSalt(10);
       const hashedPassword = await bcrypt.hash(password, salt);
       
+      // Addresses listed in ADMIN_EMAILS start out as admins
+      const role = isConfiguredAdmin(email) ? 'admin' : DEFAULT_ROLE;
+      
       // Insert new user
       db.run(
-        'INSERT INTO users (username, email, password) VALUES (?, ?, ?)',
-        [username, email, hashedPassword],
-        function(err) {
+        'INSERT INTO users (username, email, password, role) VALUES (?, ?, ?, ?)',
+        [username, email, hashedPassword, role],
+        async function(err) {
           if (err) {
             console.error('Error creating user:', err);
             return res.status(500).json({ message: 'Error creating user' });
@@ -58,28 +198,29 @@ router.post('/register', async (req, res) => {
             }
           );
           
-          // Create and sign JWT token
-          const token = jwt.sign(
-            { id: userId, username, email },
-            JWT_SECRET,
-            { expiresIn: '7d' }
-          );
+          // Sent in the background; users can ask for another link from their profile
+          sendEmailVerification({ id: userId, username, email })
+            .catch(error => console.error('Error sending verification email:', error.message));
           
-          // Set cookie with token
-          res.cookie('token', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-          });
+          let tokens = null;
+          
+          try {
+            tokens = await startSession(req, res, { id: userId, username, email, role });
+          } catch (error) {
+            console.error('Error starting session:', error);
+            return res.status(500).json({ message: 'Server error' });
+          }
           
           res.status(201).json({
             message: 'User registered successfully',
             user: {
               id: userId,
               username,
-              email
+              email,
+              role,
+              email_verified: false
             },
-            token
+            ...tokens
           });
         }
       );
@@ -118,28 +259,25 @@ router.post('/login', async (req, res) => {
         return res.status(400).json({ message: 'Invalid credentials' });
       }
       
-      // Create and sign JWT token
-      const token = jwt.sign(
-        { id: user.id, username: user.username, email: user.email },
-        JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      let tokens = null;
       
-      // Set cookie with token
-      res.cookie('token', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
+      try {
+        tokens = await startSession(req, res, user);
+      } catch (error) {
+        console.error('Error starting session:', error);
+        return res.status(500).json({ message: 'Server error' });
+      }
       
       res.json({
         message: 'Login successful',
         user: {
           id: user.id,
           username: user.username,
-          email: user.email
+          email: user.email,
+          role: user.role,
+          email_verified: Boolean(user.email_verified_at)
         },
-        token
+        ...tokens
       });
     });
   } catch (error) {
@@ -148,15 +286,111 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Logout user
-router.post('/logout', (req, res) => {
-  res.clearCookie('token');
+// Exchange a refresh token (cookie, or refreshToken in the body) for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+  const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+  
+  if (!refreshToken) {
+    return res.status(401).json({ message: 'Refresh token required' });
+  }
+  
+  try {
+    const { sessionId, userId, refreshToken: newRefreshToken } = await rotateRefreshToken(refreshToken, getClientDetails(req));
+    
+    // Read the user again so role changes apply from the next refresh
+    db.get('SELECT id, username, email, role, email_verified_at FROM users WHERE id = ?', [userId], (err, user) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ message: 'Server error' });
+      }
+      
+      if (!user) {
+        clearAuthCookies(res);
+        return res.status(401).json({ message: 'User not found' });
+      }
+      
+      const token = signAccessToken(user, sessionId);
+      setAuthCookies(res, token, newRefreshToken);
+      
+      res.json({
+        user: {
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          email_verified: Boolean(user.email_verified_at)
+        },
+        token,
+        refreshToken: newRefreshToken
+      });
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_REFRESH_TOKEN') {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: error.message, code: error.code });
+    }
+    
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout user, ending the current session on the server
+router.post('/logout', optionalAuth, async (req, res) => {
+  try {
+    // The access token may have expired, so the session can also be found from the refresh token
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+    
+    if (req.user?.sid) {
+      await revokeSession(req.user.id, req.user.sid);
+    } else if (refreshToken) {
+      await revokeSessionByRefreshToken(refreshToken);
+    }
+  } catch (error) {
+    console.error('Error ending session:', error);
+  }
+  
+  clearAuthCookies(res);
   res.json({ message: 'Logged out successfully' });
 });
 
+// List the current user's active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    
+    res.json({
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sid }))
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke one of the current user's sessions, signing that device out
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.sessionId);
+    
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    if (req.params.sessionId === req.user.sid) {
+      clearAuthCookies(res);
+    }
+    
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get current user profile
 router.get('/profile', authenticateToken, (req, res) => {
-  db.get('SELECT id, username, email, created_at FROM users WHERE id = ?', [req.user.id], (err, user) => {
+  db.get('SELECT id, username, email, role, email_verified_at, created_at FROM users WHERE id = ?', [req.user.id], (err, user) => {
     if (err) {
       console.error('Database error:', err);
       return res.status(500).json({ message: 'Server error' });
@@ -166,7 +400,159 @@ router.get('/profile', authenticateToken, (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    res.json({ user });
+    const { email_verified_at, ...profile } = user;
+    res.json({ user: { ...profile, email_verified: Boolean(email_verified_at) } });
+  });
+});
+
+// Update the current user's username and/or email address (changing the address needs current_password)
+router.put('/profile', authenticateToken, async (req, res) => {
+  const { username, email, current_password } = req.body || {};
+  
+  if (username === undefined && email === undefined) {
+    return res.status(400).json({ message: 'Nothing to update' });
+  }
+  
+  try {
+    const { user, emailChanged } = await updateProfile(req.user.id, { username, email, currentPassword: current_password });
+    
+    // The access token carries the username and email, so issue one with the new values
+    const token = signAccessToken(user, req.user.sid);
+    setAccessCookie(res, token);
+    
+    const { email_verified_at, ...profile } = user;
+    
+    res.json({
+      message: emailChanged
+        ? `Profile updated. We've sent a link to ${user.email} to verify the new address.`
+        : 'Profile updated successfully',
+      user: { ...profile, email_verified: Boolean(email_verified_at) },
+      token
+    });
+  } catch (error) {
+    sendAccountError(res, error, 'updating profile');
+  }
+});
+
+// Change the current user's password, signing out every other session
+router.put('/password', authenticateToken, async (req, res) => {
+  const { current_password, new_password } = req.body || {};
+  
+  if (!current_password || !new_password) {
+    return res.status(400).json({ message: 'Current and new password are required' });
+  }
+  
+  try {
+    const signedOut = await changePassword(req.user.id, current_password, new_password, { keepSessionId: req.user.sid });
+    
+    res.json({ message: 'Password changed successfully', sessions_revoked: signedOut });
+  } catch (error) {
+    sendAccountError(res, error, 'changing password');
+  }
+});
+
+// Delete the current user's account with its preferences, saved articles, reading history and sessions
+router.delete('/me', authenticateToken, async (req, res) => {
+  const { password } = req.body || {};
+  
+  if (!password) {
+    return res.status(400).json({ message: 'Password is required to delete your account' });
+  }
+  
+  try {
+    await deleteAccount(req.user.id, password);
+    clearAuthCookies(res);
+    
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    sendAccountError(res, error, 'deleting account');
+  }
+});
+
+// Download everything stored about the current user as a JSON file
+router.get('/me/export', authenticateToken, async (req, res) => {
+  try {
+    const archive = await exportAccountData(req.user.id);
+    const filename = `ai-news-account-${req.user.id}-${archive.exported_at.slice(0, 10)}.json`;
+    
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(archive);
+  } catch (error) {
+    sendAccountError(res, error, 'exporting account data');
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the address has an account
+router.post('/password-reset/request', optionalAuth, accountRateLimit, async (req, res) => {
+  const { email } = req.body || {};
+  
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+  
+  try {
+    await requestPasswordReset(email);
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+  }
+  
+  res.json({ message: 'If an account uses that address, a password reset link is on its way' });
+});
+
+// Set a new password from a reset link, signing the account out everywhere
+router.post('/password-reset/confirm', async (req, res) => {
+  const { token, password } = req.body || {};
+  
+  if (!token || !password) {
+    return res.status(400).json({ message: 'Token and new password are required' });
+  }
+  
+  try {
+    await resetPassword(token, password);
+    clearAuthCookies(res);
+    
+    res.json({ message: 'Password updated. Please sign in with your new password.' });
+  } catch (error) {
+    sendAccountError(res, error, 'resetting password');
+  }
+});
+
+// Confirm an email address from a verification link
+router.get('/verify-email', async (req, res) => {
+  if (!req.query.token) {
+    return res.status(400).json({ message: 'Token is required' });
+  }
+  
+  try {
+    const result = await verifyEmail(req.query.token);
+    
+    res.json({ message: 'Email address verified', email: result.email, email_verified_at: result.emailVerifiedAt });
+  } catch (error) {
+    sendAccountError(res, error, 'verifying email');
+  }
+});
+
+// Send the current user another verification link
+router.post('/verify-email/resend', authenticateToken, accountRateLimit, (req, res) => {
+  db.get('SELECT id, username, email, email_verified_at FROM users WHERE id = ?', [req.user.id], async (err, user) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ message: 'Server error' });
+    }
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user.email_verified_at) {
+      return res.status(400).json({ message: 'Email address is already verified' });
+    }
+    
+    // Sent in the background, like every account email, so response times don't depend on the mail server
+    sendEmailVerification(user)
+      .catch(error => console.error('Error sending verification email:', error.message));
+    
+    res.json({ message: 'Verification email sent' });
   });
 });
 
@@ -241,17 +627,43 @@ router.put('/preferences', authenticateToken, (req, res) => {
   );
 });
 
-// Save an article
-router.post('/saved-articles', authenticateToken, (req, res) => {
-  const { article_id } = req.body;
+// Save an article along with a snapshot of it and the AI analyses shown when it was saved
+router.post('/saved-articles', authenticateToken, async (req, res) => {
+  const { article_id, article, analyses, template } = req.body;
   
   if (!article_id) {
     return res.status(400).json({ message: 'Article ID is required' });
   }
   
+  let articleSnapshot = buildArticleSnapshot(article);
+  
+  // Fall back to the stored copy of the article if the client didn't send one
+  if (!articleSnapshot) {
+    try {
+      articleSnapshot = buildArticleSnapshot(await getNewsById(article_id));
+    } catch (error) {
+      console.error('Error looking up article to save:', error);
+    }
+  }
+  
+  const analysesSnapshot = buildAnalysesSnapshot(analyses);
+  const analysisTemplate = analysesSnapshot && template && getTemplate(template) ? template : null;
+  
+  // Saving again refreshes the snapshot but keeps the original save time
   db.run(
-    'INSERT OR IGNORE INTO saved_articles (user_id, article_id) VALUES (?, ?)',
-    [req.user.id, article_id],
+    `INSERT INTO saved_articles (user_id, article_id, article_snapshot, analyses_snapshot, analysis_template)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(user_id, article_id) DO UPDATE SET
+       article_snapshot = COALESCE(excluded.article_snapshot, saved_articles.article_snapshot),
+       analyses_snapshot = COALESCE(excluded.analyses_snapshot, saved_articles.analyses_snapshot),
+       analysis_template = CASE WHEN excluded.analyses_snapshot IS NULL THEN saved_articles.analysis_template ELSE excluded.analysis_template END`,
+    [
+      req.user.id,
+      article_id,
+      articleSnapshot ? JSON.stringify({ ...articleSnapshot, id: article_id }) : null,
+      analysesSnapshot ? JSON.stringify(analysesSnapshot) : null,
+      analysisTemplate
+    ],
     function(err) {
       if (err) {
         console.error('Error saving article:', err);
@@ -263,16 +675,38 @@ router.post('/saved-articles', authenticateToken, (req, res) => {
   );
 });
 
-// Get saved articles
+// Get saved articles with their snapshots
 router.get('/saved-articles', authenticateToken, (req, res) => {
-  db.all('SELECT article_id, saved_at FROM saved_articles WHERE user_id = ? ORDER BY saved_at DESC', [req.user.id], (err, articles) => {
-    if (err) {
-      console.error('Database error:', err);
-      return res.status(500).json({ message: 'Server error' });
+  db.all(
+    'SELECT article_id, saved_at, article_snapshot, analyses_snapshot, analysis_template FROM saved_articles WHERE user_id = ? ORDER BY saved_at DESC',
+    [req.user.id],
+    async (err, rows) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ message: 'Server error' });
+      }
+      
+      try {
+        // Articles saved before snapshots existed are filled in from the stored copy when there is one
+        const articles = await Promise.all(rows.map(async row => {
+          const article = parseSnapshot(row.article_snapshot) || buildArticleSnapshot(await getNewsById(row.article_id));
+          
+          return {
+            article_id: row.article_id,
+            saved_at: row.saved_at,
+            article,
+            analyses: parseSnapshot(row.analyses_snapshot) || {},
+            analysis_template: row.analysis_template
+          };
+        }));
+        
+        res.json({ saved_articles: articles });
+      } catch (error) {
+        console.error('Error loading saved articles:', error);
+        res.status(500).json({ message: 'Server error' });
+      }
     }
-    
-    res.json({ saved_articles: articles });
-  });
+  );
 });
 
 // Remove saved article
@@ -291,42 +725,109 @@ router.delete('/saved-articles/:articleId', authenticateToken, (req, res) => {
   );
 });
 
-// Record reading history
-router.post('/reading-history', authenticateToken, (req, res) => {
-  const { article_id } = req.body;
+// Record that the user viewed an article. Views of the same article in one session are merged,
+// adding to its view count, time spent (dwell_seconds) and the AI models viewed.
+// new_view: false adds time spent and models without counting another view
+router.post('/reading-history', authenticateToken, async (req, res) => {
+  const { article_id, article, dwell_seconds, models, new_view } = req.body;
   
   if (!article_id) {
     return res.status(400).json({ message: 'Article ID is required' });
   }
   
-  db.run(
-    'INSERT INTO reading_history (user_id, article_id) VALUES (?, ?)',
-    [req.user.id, article_id],
-    function(err) {
-      if (err) {
-        console.error('Error recording reading history:', err);
-        return res.status(500).json({ message: 'Server error' });
-      }
-      
-      res.json({ message: 'Reading history recorded successfully' });
-    }
-  );
+  if (models !== undefined && !Array.isArray(models)) {
+    return res.status(400).json({ message: 'Models must be an array of model IDs' });
+  }
+  
+  try {
+    await recordView(req.user.id, req.user.sid, {
+      articleId: article_id,
+      article,
+      dwellSeconds: dwell_seconds,
+      models,
+      newView: new_view !== false
+    });
+    
+    res.json({ message: 'Reading history recorded successfully' });
+  } catch (error) {
+    console.error('Error recording reading history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
-// Get reading history
-router.get('/reading-history', authenticateToken, (req, res) => {
-  db.all(
-    'SELECT article_id, read_at FROM reading_history WHERE user_id = ? ORDER BY read_at DESC LIMIT 50',
-    [req.user.id],
-    (err, history) => {
-      if (err) {
-        console.error('Database error:', err);
-        return res.status(500).json({ message: 'Server error' });
-      }
-      
-      res.json({ reading_history: history });
+// Get reading history, most recent first, filtered by category, text (q) and date range (from, to).
+// from and to are days in the user's time zone, given as utc_offset in minutes east of UTC
+router.get('/reading-history', authenticateToken, async (req, res) => {
+  try {
+    const { category, q, from, to, utc_offset, limit, offset } = req.query;
+    const { entries, total } = await listHistory(req.user.id, {
+      category,
+      q,
+      from,
+      to,
+      utcOffsetMinutes: utc_offset,
+      limit,
+      offset
+    });
+    
+    res.set('X-Total-Count', String(total));
+    res.json({ reading_history: entries, total });
+  } catch (error) {
+    console.error('Error fetching reading history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get reading stats: totals, a per-category breakdown and streaks.
+// utc_offset is the user's time zone in minutes east of UTC, used to group reads into days
+router.get('/reading-history/stats', authenticateToken, async (req, res) => {
+  try {
+    const stats = await getHistoryStats(req.user.id, { utcOffsetMinutes: req.query.utc_offset });
+    res.json({ stats });
+  } catch (error) {
+    console.error('Error fetching reading stats:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete one reading history entry
+router.delete('/reading-history/:id', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await deleteHistoryEntries(req.user.id, [req.params.id]);
+    
+    if (!deleted) {
+      return res.status(404).json({ message: 'History entry not found' });
     }
-  );
+    
+    res.json({ message: 'History entry deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting history entry:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete several reading history entries ({ ids: [...] }), or all of them ({ all: true })
+router.delete('/reading-history', authenticateToken, async (req, res) => {
+  const { ids, all } = req.body || {};
+  
+  if (all !== true && (!Array.isArray(ids) || ids.length === 0)) {
+    return res.status(400).json({ message: 'Provide the IDs of the entries to delete, or all: true' });
+  }
+  
+  if (all !== true && ids.length > MAX_DELETE_IDS) {
+    return res.status(400).json({ message: `At most ${MAX_DELETE_IDS} entries can be deleted at once` });
+  }
+  
+  try {
+    const deleted = all === true
+      ? await clearHistory(req.user.id)
+      : await deleteHistoryEntries(req.user.id, ids);
+    
+    res.json({ message: 'Reading history deleted successfully', deleted });
+  } catch (error) {
+    console.error('Error deleting reading history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 module.exports = router;
@@ -12,14 +12,23 @@ const newsRoutes = require('./routes/news');
 const aiRoutes = require('./routes/ai');
 const trendingRoutes = require('./routes/trending');
 const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const { runMigrations } = require('./utils/migrations');
+const { loadScrapeSources } = require('./services/scrapeEngine');
 
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy, trust it for client IPs so rate limits apply per visitor, not per proxy
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
   origin: 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Total-Count', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 app.use(express.json());
 app.use(cookieParser());
@@ -29,6 +38,7 @@ app.use('/api/news', newsRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/trending', trendingRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -46,7 +56,14 @@ app.get('/api/test', (req, res) => {
       news: '/api/news',
       newsByCategory: '/api/news/category/:category',
       newsById: '/api/news/:id',
-      aiAnalyze: '/api/ai/analyze'
+      aiModels: '/api/ai/models',
+      aiAnalyze: '/api/ai/analyze',
+      aiAnalyzeStream: '/api/ai/analyze/stream',
+      aiDebate: '/api/ai/debate',
+      aiInsights: '/api/ai/insights',
+      aiCompare: '/api/ai/compare',
+      aiUsage: '/api/ai/usage',
+      adminValidateSource: '/api/admin/sources/:id/validate'
     }
   });
 });
@@ -63,9 +80,25 @@ cron.schedule('0 * * * *', async () => {
   }
 });
 
-// Start the server
+// Purge expired AI analyses from the shared cache (daily at 3am)
+cron.schedule('0 3 * * *', async () => {
+  try {
+    const { purgeAnalysisCache } = require('./services/analysisCache');
+    const deleted = await purgeAnalysisCache({ expiredOnly: true });
+    console.log(`Purged ${deleted} expired cached analyses`);
+  } catch (error) {
+    console.error('Error purging analysis cache:', error);
+  }
+});
+
+// Load scraper source definitions so a broken file fails at startup rather than mid-scrape
+loadScrapeSources();
+
+// Upgrade stored data, then start the server once it is done
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV}`);
+runMigrations().then(() => {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV}`);
+  });
 });
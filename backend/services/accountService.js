@@ -0,0 +1,432 @@
+/**
+ * Account Service
+ * Password reset and email verification, plus the signed-in account settings: profile and password
+ * changes, account deletion and data export.
+ * Reset and verification links use signed, expiring tokens that also carry a fingerprint of the account
+ * state they act on (the password hash, or the email address), so a reset link stops working once the
+ * password changes and a verification link only confirms the address it was sent to.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const db = require('../utils/database');
+const { withTransaction } = require('../utils/transaction');
+const { JWT_SECRET } = require('../middleware/auth');
+const { revokeAllSessions } = require('./sessionService');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('./mailer');
+
+// What each token is for, and how long it stays valid
+const TOKEN_PURPOSES = {
+  PASSWORD_RESET: { id: 'password-reset', expiresIn: '1h', description: '1 hour' },
+  VERIFY_EMAIL: { id: 'verify-email', expiresIn: '24h', description: '24 hours' }
+};
+
+// Shortest password accepted, matching the registration form
+const MIN_PASSWORD_LENGTH = 6;
+
+// Loose check that an address looks like an email; the verification link is the real test
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Tables holding a user's data, cleared when the account is deleted
+const USER_DATA_TABLES = ['sessions', 'user_preferences', 'saved_articles', 'reading_history'];
+
+// Columns left out of data exports: credentials, and the user ID repeated on every row
+const SECRET_COLUMNS = ['password', 'refresh_token_hash', 'user_id'];
+
+// Promise wrappers around the callback-based sqlite3 API
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this.changes);
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+/**
+ * Build an account error with a code routes can map to a status
+ * @param {string} message - Error message
+ * @param {string} code - INVALID_TOKEN, WEAK_PASSWORD, INVALID_PASSWORD, INVALID_PROFILE, ACCOUNT_EXISTS or USER_NOT_FOUND
+ * @returns {Error} Error with code
+ */
+const accountError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Check that a new password is long enough
+ * @param {string} password - New password
+ * @throws {Error} With code WEAK_PASSWORD
+ */
+const assertStrongPassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw accountError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`, 'WEAK_PASSWORD');
+  }
+};
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Password
+ * @returns {Promise<string>} bcrypt hash
+ */
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+/**
+ * Load a user and check the password they confirmed a sensitive change with
+ * @param {number} userId - User ID
+ * @param {string} password - Password the user entered
+ * @returns {Promise<Object>} users row
+ * @throws {Error} With code USER_NOT_FOUND or INVALID_PASSWORD
+ */
+const getUserWithPassword = async (userId, password) => {
+  const user = await get('SELECT * FROM users WHERE id = ?', [userId]);
+  
+  if (!user) {
+    throw accountError('User not found', 'USER_NOT_FOUND');
+  }
+  
+  if (typeof password !== 'string' || !password || !(await bcrypt.compare(password, user.password))) {
+    throw accountError('Current password is incorrect', 'INVALID_PASSWORD');
+  }
+  
+  return user;
+};
+
+/**
+ * Copy a row without the given columns
+ * @param {Object} row - Database row
+ * @param {Array<string>} columns - Columns to leave out
+ * @returns {Object} Row without those columns
+ */
+const omitColumns = (row, columns) => {
+  return Object.fromEntries(Object.entries(row).filter(([column]) => !columns.includes(column)));
+};
+
+/**
+ * Parse a JSON column, treating bad data as missing
+ * @param {string} value - Column value
+ * @returns {*} Parsed value, or null
+ */
+const parseJsonColumn = (value) => {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Fingerprint the account state a token acts on
+ * @param {Object} user - users row
+ * @param {Object} purpose - Token purpose
+ * @returns {string} Short hash of the password hash (reset) or the email address (verification)
+ */
+const fingerprintUser = (user, purpose) => {
+  const state = purpose === TOKEN_PURPOSES.PASSWORD_RESET ? user.password : user.email.toLowerCase();
+  return crypto.createHash('sha256').update(`${purpose.id}:${state}`).digest('hex').slice(0, 16);
+};
+
+/**
+ * Create a signed, expiring token for a user
+ * @param {Object} user - users row
+ * @param {Object} purpose - Token purpose from TOKEN_PURPOSES
+ * @returns {string} Token
+ */
+const createAccountToken = (user, purpose) => {
+  return jwt.sign(
+    { sub: String(user.id), purpose: purpose.id, fp: fingerprintUser(user, purpose) },
+    JWT_SECRET,
+    { expiresIn: purpose.expiresIn }
+  );
+};
+
+/**
+ * Check a token and load the user it was issued for
+ * @param {string} token - Token from the email link
+ * @param {Object} purpose - Expected token purpose
+ * @returns {Promise<Object>} users row
+ * @throws {Error} With code INVALID_TOKEN if the token is malformed, expired, for another purpose or already used
+ */
+const verifyAccountToken = async (token, purpose) => {
+  let payload = null;
+  
+  try {
+    payload = jwt.verify(String(token || ''), JWT_SECRET);
+  } catch (error) {
+    throw accountError(
+      error.name === 'TokenExpiredError' ? 'This link has expired. Please request a new one.' : 'This link is invalid.',
+      'INVALID_TOKEN'
+    );
+  }
+  
+  if (payload.purpose !== purpose.id) {
+    throw accountError('This link is invalid.', 'INVALID_TOKEN');
+  }
+  
+  const user = await get('SELECT * FROM users WHERE id = ?', [payload.sub]);
+  
+  if (!user || payload.fp !== fingerprintUser(user, purpose)) {
+    throw accountError('This link has already been used. Please request a new one.', 'INVALID_TOKEN');
+  }
+  
+  return user;
+};
+
+/**
+ * Email a password reset link, if an account uses this address
+ * Callers should answer the same way either way, so the endpoint doesn't reveal which addresses have accounts.
+ * The email is sent in the background, so the response doesn't take longer when the account exists
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>} True if an email is being sent
+ */
+const requestPasswordReset = async (email) => {
+  const user = await get('SELECT * FROM users WHERE LOWER(email) = LOWER(?)', [String(email || '').trim()]);
+  
+  if (!user) {
+    return false;
+  }
+  
+  const purpose = TOKEN_PURPOSES.PASSWORD_RESET;
+  sendPasswordResetEmail(user, createAccountToken(user, purpose), purpose.description)
+    .catch(error => console.error('Error sending password reset email:', error.message));
+  return true;
+};
+
+/**
+ * Set a new password from a reset link
+ * Every session is signed out, and the address counts as verified since the user read mail sent to it
+ * @param {string} token - Password reset token
+ * @param {string} password - New password
+ * @returns {Promise<Object>} The user's id, username and email
+ * @throws {Error} With code INVALID_TOKEN or WEAK_PASSWORD
+ */
+const resetPassword = async (token, password) => {
+  assertStrongPassword(password);
+  
+  const user = await verifyAccountToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+  const hashedPassword = await hashPassword(password);
+  
+  await run(
+    `UPDATE users SET password = ?, email_verified_at = COALESCE(email_verified_at, ?), updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [hashedPassword, new Date().toISOString(), user.id]
+  );
+  await revokeAllSessions(user.id);
+  
+  return { id: user.id, username: user.username, email: user.email };
+};
+
+/**
+ * Email a verification link to a user's address
+ * @param {Object} user - User with id, username and email
+ * @returns {Promise<void>}
+ */
+const sendEmailVerification = async (user) => {
+  const purpose = TOKEN_PURPOSES.VERIFY_EMAIL;
+  await sendVerificationEmail(user, createAccountToken(user, purpose), purpose.description);
+};
+
+/**
+ * Mark a user's address as verified from a verification link
+ * @param {string} token - Email verification token
+ * @returns {Promise<Object>} The user's id, email and when the address was verified
+ * @throws {Error} With code INVALID_TOKEN
+ */
+const verifyEmail = async (token) => {
+  const user = await verifyAccountToken(token, TOKEN_PURPOSES.VERIFY_EMAIL);
+  const verifiedAt = user.email_verified_at || new Date().toISOString();
+  
+  if (!user.email_verified_at) {
+    await run('UPDATE users SET email_verified_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [verifiedAt, user.id]);
+  }
+  
+  return { id: user.id, email: user.email, emailVerifiedAt: verifiedAt };
+};
+
+/**
+ * Change a user's username and/or email address
+ * Changing the address needs the current password, since reset links go to it, and marks it unverified
+ * until the user opens the verification link sent to the new address
+ * @param {number} userId - User ID
+ * @param {Object} changes - Fields to change; omitted fields are kept
+ * @param {string} changes.username - New username
+ * @param {string} changes.email - New email address
+ * @param {string} changes.currentPassword - Current password, required when the email address changes
+ * @returns {Promise<Object>} The updated user (id, username, email, role, email_verified_at, created_at) and whether the address changed
+ * @throws {Error} With code USER_NOT_FOUND, INVALID_PROFILE, INVALID_PASSWORD or ACCOUNT_EXISTS
+ */
+const updateProfile = async (userId, { username, email, currentPassword } = {}) => {
+  const user = await get('SELECT * FROM users WHERE id = ?', [userId]);
+  
+  if (!user) {
+    throw accountError('User not found', 'USER_NOT_FOUND');
+  }
+  
+  const nextUsername = username === undefined ? user.username : String(username).trim();
+  const nextEmail = email === undefined ? user.email : String(email).trim();
+  
+  if (!nextUsername) {
+    throw accountError('Username cannot be empty', 'INVALID_PROFILE');
+  }
+  
+  if (!EMAIL_PATTERN.test(nextEmail)) {
+    throw accountError('Please enter a valid email address', 'INVALID_PROFILE');
+  }
+  
+  const emailChanged = nextEmail.toLowerCase() !== user.email.toLowerCase();
+  
+  if (emailChanged) {
+    await getUserWithPassword(userId, currentPassword);
+  }
+  
+  const taken = await get(
+    'SELECT id FROM users WHERE id != ? AND (username = ? OR LOWER(email) = LOWER(?))',
+    [userId, nextUsername, nextEmail]
+  );
+  
+  if (taken) {
+    throw accountError('That username or email address is already in use', 'ACCOUNT_EXISTS');
+  }
+  
+  try {
+    await run(
+      `UPDATE users SET username = ?, email = ?, updated_at = CURRENT_TIMESTAMP,
+       email_verified_at = CASE WHEN ? THEN NULL ELSE email_verified_at END
+       WHERE id = ?`,
+      [nextUsername, nextEmail, emailChanged ? 1 : 0, userId]
+    );
+  } catch (error) {
+    // Another account took the name or address between the check and the update
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      throw accountError('That username or email address is already in use', 'ACCOUNT_EXISTS');
+    }
+    throw error;
+  }
+  
+  const updated = await get('SELECT id, username, email, role, email_verified_at, created_at FROM users WHERE id = ?', [userId]);
+  
+  if (emailChanged) {
+    sendEmailVerification(updated)
+      .catch(error => console.error('Error sending verification email:', error.message));
+  }
+  
+  return { user: updated, emailChanged };
+};
+
+/**
+ * Change a signed-in user's password
+ * Every other session is signed out, in case the old password was known to someone else
+ * @param {number} userId - User ID
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @param {Object} options - Options
+ * @param {string} options.keepSessionId - Session to leave signed in, normally the one making the change
+ * @returns {Promise<number>} Number of other sessions signed out
+ * @throws {Error} With code WEAK_PASSWORD, USER_NOT_FOUND or INVALID_PASSWORD
+ */
+const changePassword = async (userId, currentPassword, newPassword, { keepSessionId = null } = {}) => {
+  assertStrongPassword(newPassword);
+  await getUserWithPassword(userId, currentPassword);
+  
+  const hashedPassword = await hashPassword(newPassword);
+  
+  await run('UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [hashedPassword, userId]);
+  return revokeAllSessions(userId, { except: keepSessionId });
+};
+
+/**
+ * Delete a user's account and everything stored for it
+ * Foreign keys aren't enforced on this connection, so each table is cleared explicitly, in one transaction
+ * that is rolled back if any statement fails.
+ * AI usage rows are kept for cost reports but no longer point at the user.
+ * @param {number} userId - User ID
+ * @param {string} password - Current password, confirming the deletion
+ * @returns {Promise<void>}
+ * @throws {Error} With code USER_NOT_FOUND or INVALID_PASSWORD
+ */
+const deleteAccount = async (userId, password) => {
+  await getUserWithPassword(userId, password);
+  
+  await withTransaction(async (runStatement) => {
+    for (const table of USER_DATA_TABLES) {
+      await runStatement(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+    }
+    
+    await runStatement('UPDATE ai_usage SET user_id = NULL WHERE user_id = ?', [userId]);
+    await runStatement('DELETE FROM users WHERE id = ?', [userId]);
+  });
+};
+
+/**
+ * Gather everything stored about a user, for a data export
+ * Rows are returned as stored, minus credentials, with JSON columns parsed
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Export archive
+ * @throws {Error} With code USER_NOT_FOUND
+ */
+const exportAccountData = async (userId) => {
+  const user = await get('SELECT * FROM users WHERE id = ?', [userId]);
+  
+  if (!user) {
+    throw accountError('User not found', 'USER_NOT_FOUND');
+  }
+  
+  const [preferences, savedArticles, readingHistory, sessions, aiUsage] = await Promise.all([
+    get('SELECT * FROM user_preferences WHERE user_id = ?', [userId]),
+    all('SELECT * FROM saved_articles WHERE user_id = ? ORDER BY saved_at DESC', [userId]),
+    all('SELECT * FROM reading_history WHERE user_id = ? ORDER BY read_at DESC', [userId]),
+    all('SELECT * FROM sessions WHERE user_id = ? ORDER BY created_at DESC', [userId]),
+    all('SELECT * FROM ai_usage WHERE user_id = ? ORDER BY created_at DESC', [userId])
+  ]);
+  
+  return {
+    exported_at: new Date().toISOString(),
+    user: omitColumns(user, SECRET_COLUMNS),
+    preferences: preferences ? {
+      ...omitColumns(preferences, SECRET_COLUMNS),
+      preferred_categories: parseJsonColumn(preferences.preferred_categories) || [],
+      preferred_sources: parseJsonColumn(preferences.preferred_sources) || [],
+      preferred_ai_models: parseJsonColumn(preferences.preferred_ai_models) || []
+    } : null,
+    saved_articles: savedArticles.map(row => ({
+      ...omitColumns(row, SECRET_COLUMNS),
+      article_snapshot: parseJsonColumn(row.article_snapshot),
+      analyses_snapshot: parseJsonColumn(row.analyses_snapshot)
+    })),
+    reading_history: readingHistory.map(row => ({
+      ...omitColumns(row, SECRET_COLUMNS),
+      models_viewed: parseJsonColumn(row.models_viewed) || []
+    })),
+    sessions: sessions.map(row => omitColumns(row, SECRET_COLUMNS)),
+    ai_usage: aiUsage.map(row => omitColumns(row, SECRET_COLUMNS))
+  };
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  exportAccountData
+};
@@ -0,0 +1,15 @@
+/**
+ * Channel 1 AI provider
+ * No API integration yet, so it always uses a mock response
+ */
+module.exports = {
+  id: 'channel1',
+  name: 'Channel 1',
+  provider: 'Channel 1 AI',
+  avatar: 'C1',
+  color: 'bg-orange-100 text-orange-800',
+  description: 'A personalized global news network powered by generative AI.',
+  order: 8,
+  envKey: null,
+  endpoint: null
+};
@@ -0,0 +1,57 @@
+/**
+ * OpenAI (ChatGPT) provider
+ */
+const MODEL = 'gpt-4';
+
+/**
+ * Read token counts from an OpenAI usage object
+ * @param {Object} usage - Usage from a response or the final stream chunk
+ * @returns {Object|null} Prompt and completion tokens
+ */
+const toUsage = (usage) => (usage ? {
+  promptTokens: usage.prompt_tokens,
+  completionTokens: usage.completion_tokens
+} : null);
+
+module.exports = {
+  id: 'chatgpt',
+  name: 'ChatGPT',
+  provider: 'OpenAI',
+  avatar: 'C',
+  color: 'bg-green-100 text-green-800',
+  description: 'Widely used AI chatbot that can analyze and provide perspectives on current events.',
+  order: 1,
+  envKey: 'OPENAI_API_KEY',
+  endpoint: 'https://api.openai.com/v1/chat/completions',
+  supportsStreaming: true,
+  model: MODEL,
+  // USD per million tokens
+  pricing: { input: 30, output: 60 },
+
+  buildRequest: (prompt, apiKey, options = {}) => ({
+    data: {
+      model: MODEL,
+      messages: [
+        { role: 'system', content: prompt.system },
+        { role: 'user', content: prompt.user }
+      ],
+      max_tokens: prompt.maxTokens,
+      temperature: prompt.temperature,
+      stream: Boolean(options.stream),
+      // Ask for token counts in the final chunk of a stream
+      ...(options.stream ? { stream_options: { include_usage: true } } : {})
+    },
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    }
+  }),
+
+  parseResponse: (data) => data.choices[0].message.content.trim(),
+
+  parseUsage: (data) => toUsage(data.usage),
+
+  parseStreamEvent: (event) => event.choices?.[0]?.delta?.content || '',
+
+  parseStreamUsage: (event) => toUsage(event.usage)
+};
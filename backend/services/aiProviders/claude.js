@@ -0,0 +1,60 @@
+/**
+ * Anthropic (Claude) provider
+ */
+const MODEL = 'claude-3-opus-20240229';
+
+module.exports = {
+  id: 'claude',
+  name: 'Claude',
+  provider: 'Anthropic',
+  avatar: 'C',
+  color: 'bg-purple-100 text-purple-800',
+  description: 'Known for its nuanced responses and ethical boundaries, capable of providing thoughtful analysis.',
+  order: 2,
+  envKey: 'ANTHROPIC_API_KEY',
+  endpoint: 'https://api.anthropic.com/v1/messages',
+  supportsStreaming: true,
+  model: MODEL,
+  // USD per million tokens
+  pricing: { input: 15, output: 75 },
+
+  buildRequest: (prompt, apiKey, options = {}) => ({
+    data: {
+      model: MODEL,
+      max_tokens: prompt.maxTokens,
+      temperature: prompt.temperature,
+      stream: Boolean(options.stream),
+      system: prompt.system,
+      messages: [
+        { role: 'user', content: prompt.user }
+      ]
+    },
+    headers: {
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      'Content-Type': 'application/json'
+    }
+  }),
+
+  parseResponse: (data) => data.content[0].text.trim(),
+
+  parseUsage: (data) => (data.usage ? {
+    promptTokens: data.usage.input_tokens,
+    completionTokens: data.usage.output_tokens
+  } : null),
+
+  parseStreamEvent: (event) => event.type === 'content_block_delta' ? event.delta.text : '',
+
+  // Input tokens arrive with message_start and the output total with message_delta
+  parseStreamUsage: (event) => {
+    if (event.type === 'message_start' && event.message?.usage) {
+      return { promptTokens: event.message.usage.input_tokens };
+    }
+
+    if (event.type === 'message_delta' && event.usage) {
+      return { completionTokens: event.usage.output_tokens };
+    }
+
+    return null;
+  }
+};
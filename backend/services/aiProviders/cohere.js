@@ -0,0 +1,37 @@
+/**
+ * Cohere (Command) provider
+ */
+module.exports = {
+  id: 'cohere',
+  name: 'Command',
+  provider: 'Cohere',
+  avatar: 'C',
+  color: 'bg-indigo-100 text-indigo-800',
+  description: 'An enterprise AI platform that provides LLMs for news analysis and summarization.',
+  order: 6,
+  envKey: 'COHERE_API_KEY',
+  endpoint: 'https://api.cohere.ai/v1/generate',
+  model: 'command',
+  // USD per million tokens
+  pricing: { input: 1, output: 2 },
+
+  buildRequest: (prompt, apiKey) => ({
+    data: {
+      model: 'command',
+      prompt: `${prompt.system}\n\n${prompt.user}`,
+      max_tokens: prompt.maxTokens,
+      temperature: prompt.temperature
+    },
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    }
+  }),
+
+  parseResponse: (data) => data.generations[0].text.trim(),
+
+  parseUsage: (data) => (data.meta?.billed_units ? {
+    promptTokens: data.meta.billed_units.input_tokens,
+    completionTokens: data.meta.billed_units.output_tokens
+  } : null)
+};
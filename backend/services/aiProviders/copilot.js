@@ -0,0 +1,44 @@
+/**
+ * Microsoft (Copilot) provider, served through the Azure OpenAI API
+ */
+module.exports = {
+  id: 'copilot',
+  name: 'Copilot',
+  provider: 'Microsoft',
+  avatar: 'C',
+  color: 'bg-cyan-100 text-cyan-800',
+  description: 'Integrated with Microsoft products and able to process news and provide summaries and analysis.',
+  order: 4,
+  envKey: 'MICROSOFT_API_KEY',
+  endpoint: 'https://api.cognitive.microsoft.com/openai/deployments/gpt-4/chat/completions',
+  supportsStreaming: true,
+  model: 'gpt-4',
+  // USD per million tokens
+  pricing: { input: 30, output: 60 },
+
+  buildRequest: (prompt, apiKey, options = {}) => ({
+    data: {
+      messages: [
+        { role: 'system', content: prompt.system },
+        { role: 'user', content: prompt.user }
+      ],
+      max_tokens: prompt.maxTokens,
+      temperature: prompt.temperature,
+      stream: Boolean(options.stream)
+    },
+    params: { 'api-version': '2023-05-15' },
+    headers: {
+      'api-key': apiKey,
+      'Content-Type': 'application/json'
+    }
+  }),
+
+  parseResponse: (data) => data.choices[0].message.content.trim(),
+
+  parseUsage: (data) => (data.usage ? {
+    promptTokens: data.usage.prompt_tokens,
+    completionTokens: data.usage.completion_tokens
+  } : null),
+
+  parseStreamEvent: (event) => event.choices?.[0]?.delta?.content || ''
+};
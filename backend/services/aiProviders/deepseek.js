@@ -0,0 +1,15 @@
+/**
+ * DeepSeek provider
+ * DeepSeek doesn't have a public API yet, so it always uses a mock response
+ */
+module.exports = {
+  id: 'deepseek',
+  name: 'DeepSeek',
+  provider: 'DeepSeek',
+  avatar: 'D',
+  color: 'bg-amber-100 text-amber-800',
+  description: 'A newer AI system with breakthrough capabilities in reasoning about complex topics.',
+  order: 5,
+  envKey: null,
+  endpoint: null
+};
@@ -0,0 +1,42 @@
+/**
+ * Google (Gemini) provider
+ */
+module.exports = {
+  id: 'gemini',
+  name: 'Gemini',
+  provider: 'Google',
+  avatar: 'G',
+  color: 'bg-blue-100 text-blue-800',
+  description: 'Google\'s chatbot with multimodal capabilities that can analyze text, images, and provide opinions.',
+  order: 3,
+  envKey: 'GOOGLE_AI_API_KEY',
+  endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent',
+  model: 'gemini-pro',
+  // USD per million tokens
+  pricing: { input: 0.5, output: 1.5 },
+
+  buildRequest: (prompt, apiKey) => ({
+    data: {
+      contents: [
+        {
+          parts: [
+            { text: `${prompt.system}\n\n${prompt.user}` }
+          ]
+        }
+      ],
+      generationConfig: {
+        temperature: prompt.temperature,
+        maxOutputTokens: prompt.maxTokens
+      }
+    },
+    // Gemini takes the API key as a query parameter rather than a header
+    params: { key: apiKey }
+  }),
+
+  parseResponse: (data) => data.candidates[0].content.parts[0].text.trim(),
+
+  parseUsage: (data) => (data.usageMetadata ? {
+    promptTokens: data.usageMetadata.promptTokenCount,
+    completionTokens: data.usageMetadata.candidatesTokenCount
+  } : null)
+};
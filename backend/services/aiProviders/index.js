@@ -0,0 +1,78 @@
+/**
+ * AI Provider Registry
+ * Loads every provider module in this directory so that adding a model is a single file
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Load and validate all provider modules, ordered by their `order` field
+ * @returns {Array<Object>} Array of provider definitions
+ */
+const loadProviders = () => {
+  return fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .map(file => {
+      const provider = require(path.join(__dirname, file));
+
+      if (!provider.id || !provider.name) {
+        throw new Error(`AI provider module ${file} must declare an id and a name`);
+      }
+
+      // Providers with an endpoint must know how to talk to it
+      if (provider.endpoint && (typeof provider.buildRequest !== 'function' || typeof provider.parseResponse !== 'function')) {
+        throw new Error(`AI provider ${provider.id} declares an endpoint but no buildRequest/parseResponse`);
+      }
+
+      if (provider.supportsStreaming && typeof provider.parseStreamEvent !== 'function') {
+        throw new Error(`AI provider ${provider.id} supports streaming but has no parseStreamEvent`);
+      }
+
+      return provider;
+    })
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+};
+
+const providers = loadProviders();
+
+/**
+ * Get a provider definition by model ID
+ * @param {string} modelId - AI model ID
+ * @returns {Object|null} Provider definition or null if not registered
+ */
+const getProvider = (modelId) => {
+  return providers.find(provider => provider.id === modelId) || null;
+};
+
+/**
+ * Check whether a provider can make real API calls
+ * @param {Object} provider - Provider definition
+ * @returns {boolean} True if the provider has an endpoint and its API key is set
+ */
+const isConfigured = (provider) => {
+  return Boolean(provider.endpoint && provider.envKey && process.env[provider.envKey]);
+};
+
+/**
+ * List all providers in the shape the frontend model picker expects
+ * @returns {Array<Object>} Public model descriptors
+ */
+const listModels = () => {
+  return providers.map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    provider: provider.provider,
+    avatar: provider.avatar,
+    color: provider.color,
+    description: provider.description,
+    configured: isConfigured(provider),
+    streaming: Boolean(provider.supportsStreaming)
+  }));
+};
+
+module.exports = {
+  providers,
+  getProvider,
+  isConfigured,
+  listModels
+};
@@ -0,0 +1,15 @@
+/**
+ * Listen2.ai provider
+ * No API integration yet, so it always uses a mock response
+ */
+module.exports = {
+  id: 'listen2',
+  name: 'Listen2',
+  provider: 'Listen2.ai',
+  avatar: 'L2',
+  color: 'bg-teal-100 text-teal-800',
+  description: 'AI-powered news aggregator with controllable political perspective.',
+  order: 9,
+  envKey: null,
+  endpoint: null
+};
@@ -0,0 +1,15 @@
+/**
+ * Newscord provider
+ * No API integration yet, so it always uses a mock response
+ */
+module.exports = {
+  id: 'newscord',
+  name: 'Newscord',
+  provider: 'Newscord',
+  avatar: 'N',
+  color: 'bg-red-100 text-red-800',
+  description: 'AI tool that summarizes top news articles with customizable filters.',
+  order: 7,
+  envKey: null,
+  endpoint: null
+};
@@ -0,0 +1,15 @@
+/**
+ * Reka AI provider
+ * No API integration yet, so it always uses a mock response
+ */
+module.exports = {
+  id: 'reka',
+  name: 'Reka',
+  provider: 'Reka AI',
+  avatar: 'R',
+  color: 'bg-rose-100 text-rose-800',
+  description: 'A multimodal assistant that can analyze information across various formats.',
+  order: 10,
+  envKey: null,
+  endpoint: null
+};
@@ -1,233 +1,372 @@
 const axios = require('axios');
+const { getProvider } = require('./aiProviders');
+const { fingerprintArticle, getCachedAnalysis, setCachedAnalysis } = require('./analysisCache');
+const { getTemplate, getTemplateVersion, renderTemplate } = require('./promptTemplates');
+const {
+  ANALYSIS_FORMAT_VERSION,
+  ANALYSIS_FORMATS,
+  getFormatInstructions,
+  getSentimentLabel,
+  parseAnalysis
+} = require('./analysisParser');
+const { isOverDailyCap, recordUsage } = require('./usageTracker');
+
+// Generation settings for prompts that don't set their own
+const DEFAULT_MAX_TOKENS = 500;
+const DEFAULT_TEMPERATURE = 0.7;
+
+// Extra room for the JSON structure around an analysis
+const JSON_FORMAT_TOKENS = 300;
 
 /**
- * Get analysis from OpenAI (ChatGPT) for a news article
+ * Format the parts of a news article that are sent to AI models
+ * Includes the full article text when it has been extracted (see articleExtractor)
  * @param {Object} article News article object
- * @returns {Promise<string>} Analysis text
+ * @returns {string} Article text for a prompt
  */
-const getOpenAIAnalysis = async (article) => {
-  try {
-    const apiKey = process.env.OPENAI_API_KEY;
-    
-    if (!apiKey) {
-      return mockAnalysis('OpenAI', article);
-    }
-    
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an AI assistant that analyzes news articles objectively. Provide a concise analysis (2-3 paragraphs) of the following news article, focusing on the implications, potential impacts, and context. Be informative and balanced in your assessment.'
-          },
-          {
-            role: 'user',
-            content: `Title: ${article.title}\n\nSummary: ${article.summary}\n\nPlease analyze this news article.`
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.7
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    return response.data.choices[0].message.content.trim();
-  } catch (error) {
-    console.error('Error getting OpenAI analysis:', error.response?.data || error.message);
-    return mockAnalysis('OpenAI', article);
+const formatArticle = (article) => {
+  const text = `Title: ${article.title}\n\nSummary: ${article.summary}`;
+  
+  if (!article.body) {
+    return text;
   }
+  
+  const byline = article.byline ? `\n\nBy: ${article.byline}` : '';
+  return `${text}${byline}\n\nFull article:\n${article.body}`;
 };
 
 /**
- * Get analysis from Anthropic (Claude) for a news article
+ * Look up the analysis template for a request
+ * @param {string} templateId Template ID (default: neutral)
+ * @returns {Object} Template definition
+ * @throws {Error} If the template is not registered
+ */
+const resolveTemplate = (templateId) => {
+  const template = getTemplate(templateId);
+  
+  if (!template) {
+    throw new Error(`Prompt template ${templateId} not found.`);
+  }
+  
+  return template;
+};
+
+/**
+ * Fill in generation settings a prompt doesn't set
+ * @param {Object} prompt Prompt with system and user parts
+ * @returns {Object} Prompt with maxTokens and temperature
+ */
+const withDefaults = (prompt) => ({
+  maxTokens: DEFAULT_MAX_TOKENS,
+  temperature: DEFAULT_TEMPERATURE,
+  ...prompt
+});
+
+/**
+ * Build the analysis prompt shared by all providers from an analysis template
+ * The template's instructions are followed by the structured JSON format every analysis is returned in
  * @param {Object} article News article object
- * @returns {Promise<string>} Analysis text
+ * @param {Object} template Template definition
+ * @param {string} perspective Optional reader perspective to analyze the story from
+ * @returns {Object} Prompt with system and user parts and generation settings
  */
-const getClaudeAnalysis = async (article) => {
+const buildPrompt = (article, template, perspective) => {
+  const prompt = withDefaults(renderTemplate(template, {
+    article: formatArticle(article),
+    title: article.title,
+    summary: article.summary,
+    body: article.body,
+    byline: article.byline,
+    category: article.category || 'general',
+    perspective
+  }));
+  
+  return {
+    ...prompt,
+    system: `${prompt.system}\n\n${getFormatInstructions()}`,
+    maxTokens: prompt.maxTokens + JSON_FORMAT_TOKENS
+  };
+};
+
+/**
+ * Get the cache version for analyses generated from a template
+ * @param {Object} template Template definition
+ * @returns {string} Template version and analysis format version
+ */
+const getPromptVersion = (template) => `${getTemplateVersion(template)}+${ANALYSIS_FORMAT_VERSION}`;
+
+/**
+ * Fingerprint what an analysis depends on besides the template: the article text and the perspective
+ * @param {Object} article News article object
+ * @param {string} perspective Optional reader perspective
+ * @returns {string} Fingerprint for the analysis cache
+ */
+const fingerprintRequest = (article, perspective) => {
+  const text = formatArticle(article);
+  return fingerprintArticle(perspective ? `${text}\n\nPerspective: ${perspective}` : text);
+};
+
+/**
+ * Send a prompt to a registered AI provider
+ * Every call's token usage, latency and estimated cost is recorded (see usageTracker)
+ * @param {string} modelId AI model ID
+ * @param {Object} prompt Prompt with system and user parts, and optionally maxTokens and temperature
+ * @param {Object} options Request options
+ * @param {AbortSignal} options.signal Signal to cancel the provider request
+ * @param {number} options.userId ID of the signed-in user the call is made for
+ * @param {string} options.purpose What the call is for: analysis, debate or insights
+ * @returns {Promise<string|null>} Generated text, or null when the provider has no API or no key configured,
+ *   or has reached its daily spending cap
+ */
+const generateText = async (modelId, prompt, options = {}) => {
+  const provider = getProvider(modelId);
+  
+  if (!provider) {
+    throw new Error(`AI model ${modelId} not found or not supported.`);
+  }
+  
+  const apiKey = provider.envKey ? process.env[provider.envKey] : null;
+  
+  if (!provider.endpoint || !apiKey) {
+    return null;
+  }
+  
+  if (await isOverDailyCap(provider.id)) {
+    console.log(`${provider.name} has reached its daily spending cap, skipping the API call`);
+    return null;
+  }
+  
+  const fullPrompt = withDefaults(prompt);
+  const call = { prompt: fullPrompt, userId: options.userId, purpose: options.purpose };
+  const startedAt = Date.now();
+  
   try {
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    
-    if (!apiKey) {
-      return mockAnalysis('Claude', article);
-    }
+    const { data, headers, params } = provider.buildRequest(fullPrompt, apiKey);
+    const response = await axios.post(provider.endpoint, data, { headers, params, signal: options.signal });
+    const text = provider.parseResponse(response.data);
     
-    const response = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model: 'claude-3-opus-20240229',
-        max_tokens: 500,
-        messages: [
-          {
-            role: 'user',
-            content: `Title: ${article.title}\n\nSummary: ${article.summary}\n\nPlease analyze this news article in 2-3 paragraphs, focusing on the implications, potential impacts, and context. Be informative and balanced in your assessment.`
-          }
-        ]
-      },
-      {
-        headers: {
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    return response.data.content[0].text.trim();
+    await recordUsage(provider, { ...call, usage: provider.parseUsage?.(response.data), text, latencyMs: Date.now() - startedAt });
+    return text;
   } catch (error) {
-    console.error('Error getting Claude analysis:', error.response?.data || error.message);
-    return mockAnalysis('Claude', article);
+    await recordUsage(provider, { ...call, latencyMs: Date.now() - startedAt, status: options.signal?.aborted ? 'aborted' : 'error' });
+    throw error;
   }
 };
 
 /**
- * Get analysis from Google (Gemini) for a news article
+ * Get analysis from a registered AI provider for a news article
+ * Real analyses are served from and stored in the shared analysis cache;
+ * falls back to a mock analysis when the provider has no API or no key configured.
+ * Once a model reaches its daily spending cap, any cached analysis is used (even a stale one) before the mock
+ * @param {string} modelId AI model ID
  * @param {Object} article News article object
- * @returns {Promise<string>} Analysis text
+ * @param {Object} options Request options
+ * @param {AbortSignal} options.signal Signal to cancel the provider request
+ * @param {boolean} options.fresh Skip the cache and ask the provider again
+ * @param {string} options.template Analysis template ID (default: neutral)
+ * @param {string} options.perspective Reader perspective to analyze the story from
+ * @param {number} options.userId ID of the signed-in user the analysis is for, for usage reports
+ * @param {string} options.purpose What the analysis is for (default: analysis)
+ * @returns {Promise<Object>} Structured analysis (see analysisParser)
  */
-const getGeminiAnalysis = async (article) => {
-  try {
-    const apiKey = process.env.GOOGLE_AI_API_KEY;
+const getAnalysis = async (modelId, article, options = {}) => {
+  const provider = getProvider(modelId);
+  
+  if (!provider) {
+    throw new Error(`AI model ${modelId} not found or not supported.`);
+  }
+  
+  const template = resolveTemplate(options.template);
+  const promptVersion = getPromptVersion(template);
+  const fingerprint = fingerprintRequest(article, options.perspective);
+  const capped = await isOverDailyCap(provider.id);
+  
+  if (!options.fresh || capped) {
+    const cached = await getCachedAnalysis(fingerprint, provider.id, promptVersion, { includeExpired: capped });
     
-    if (!apiKey) {
-      return mockAnalysis('Gemini', article);
+    if (cached) {
+      return cached;
     }
+  }
+  
+  try {
+    const text = await generateText(modelId, buildPrompt(article, template, options.perspective), {
+      purpose: 'analysis',
+      ...options
+    });
     
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${apiKey}`,
-      {
-        contents: [
-          {
-            parts: [
-              {
-                text: `Analyze the following news article in 2-3 paragraphs, focusing on the implications, potential impacts, and context. Be informative and balanced in your assessment.\n\nTitle: ${article.title}\n\nSummary: ${article.summary}`
-              }
-            ]
-          }
-        ],
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 500
-        }
-      }
-    );
-    
-    return response.data.candidates[0].content.parts[0].text.trim();
+    if (text) {
+      const analysis = parseAnalysis(text);
+      await setCachedAnalysis(fingerprint, provider.id, promptVersion, analysis, article.id, template.id);
+      return analysis;
+    }
   } catch (error) {
-    console.error('Error getting Gemini analysis:', error.response?.data || error.message);
-    return mockAnalysis('Gemini', article);
+    if (options.signal?.aborted) {
+      throw error;
+    }
+    
+    console.error(`Error getting ${provider.name} analysis:`, error.response?.data || error.message);
   }
+  
+  return mockAnalysis(provider.id, article);
 };
 
 /**
- * Get analysis from Microsoft (Copilot) for a news article
+ * Stream analysis from a registered AI provider token by token
+ * Tokens are the raw JSON the model writes; the parsed analysis is returned once the stream ends.
+ * Providers without streaming support, and models over their daily spending cap, deliver their whole analysis at once
+ * @param {string} modelId AI model ID
  * @param {Object} article News article object
- * @returns {Promise<string>} Analysis text
+ * @param {Function} onToken Called with each text fragment as it arrives
+ * @param {Object} options Request options
+ * @param {AbortSignal} options.signal Signal to cancel the provider request
+ * @param {boolean} options.fresh Skip the cache and ask the provider again
+ * @param {string} options.template Analysis template ID (default: neutral)
+ * @param {string} options.perspective Reader perspective to analyze the story from
+ * @param {number} options.userId ID of the signed-in user the analysis is for, for usage reports
+ * @returns {Promise<Object>} Structured analysis (see analysisParser)
  */
-const getCopilotAnalysis = async (article) => {
-  try {
-    const apiKey = process.env.MICROSOFT_API_KEY;
+const streamAnalysis = async (modelId, article, onToken, options = {}) => {
+  const provider = getProvider(modelId);
+  
+  if (!provider) {
+    throw new Error(`AI model ${modelId} not found or not supported.`);
+  }
+  
+  const apiKey = provider.envKey ? process.env[provider.envKey] : null;
+  
+  if (!provider.supportsStreaming || !provider.endpoint || !apiKey || await isOverDailyCap(provider.id)) {
+    return getAnalysis(modelId, article, options);
+  }
+  
+  const template = resolveTemplate(options.template);
+  const promptVersion = getPromptVersion(template);
+  const fingerprint = fingerprintRequest(article, options.perspective);
+  
+  if (!options.fresh) {
+    const cached = await getCachedAnalysis(fingerprint, provider.id, promptVersion);
     
-    if (!apiKey) {
-      return mockAnalysis('Copilot', article);
+    if (cached) {
+      return cached;
     }
+  }
+  
+  const prompt = buildPrompt(article, template, options.perspective);
+  const call = { prompt, userId: options.userId, purpose: options.purpose || 'analysis' };
+  const startedAt = Date.now();
+  
+  try {
+    const { data, headers, params } = provider.buildRequest(prompt, apiKey, { stream: true });
+    const response = await axios.post(provider.endpoint, data, {
+      headers,
+      params,
+      responseType: 'stream',
+      signal: options.signal
+    });
+    
+    let text = '';
+    let usage = {};
     
-    // Microsoft Azure OpenAI API
-    const response = await axios.post(
-      'https://api.cognitive.microsoft.com/openai/deployments/gpt-4/chat/completions?api-version=2023-05-15',
-      {
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an AI assistant that analyzes news articles objectively. Provide a concise analysis (2-3 paragraphs) of the following news article, focusing on the implications, potential impacts, and context. Be informative and balanced in your assessment.'
-          },
-          {
-            role: 'user',
-            content: `Title: ${article.title}\n\nSummary: ${article.summary}\n\nPlease analyze this news article.`
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.7
-      },
-      {
-        headers: {
-          'api-key': apiKey,
-          'Content-Type': 'application/json'
-        }
+    await readServerSentEvents(response.data, (payload) => {
+      if (payload === '[DONE]') return;
+      
+      const event = JSON.parse(payload);
+      const token = provider.parseStreamEvent(event);
+      
+      // Providers report usage in one or more events alongside the tokens
+      usage = { ...usage, ...provider.parseStreamUsage?.(event) };
+      
+      if (token) {
+        text += token;
+        onToken(token);
       }
-    );
+    });
+    
+    await recordUsage(provider, { ...call, usage, text, latencyMs: Date.now() - startedAt });
     
-    return response.data.choices[0].message.content.trim();
+    const analysis = parseAnalysis(text);
+    await setCachedAnalysis(fingerprint, provider.id, promptVersion, analysis, article.id, template.id);
+    return analysis;
   } catch (error) {
-    console.error('Error getting Copilot analysis:', error.response?.data || error.message);
-    return mockAnalysis('Copilot', article);
+    await recordUsage(provider, { ...call, latencyMs: Date.now() - startedAt, status: options.signal?.aborted ? 'aborted' : 'error' });
+    
+    if (options.signal?.aborted) {
+      throw error;
+    }
+    
+    console.error(`Error streaming ${provider.name} analysis:`, error.message);
+    return mockAnalysis(provider.id, article);
   }
 };
 
 /**
- * Get analysis from DeepSeek for a news article
- * @param {Object} article News article object
- * @returns {Promise<string>} Analysis text
- */
-const getDeepSeekAnalysis = async (article) => {
-  // DeepSeek doesn't have a public API yet, so we'll use a mock response
-  return mockAnalysis('DeepSeek', article);
-};
-
-/**
- * Get analysis from Cohere for a news article
- * @param {Object} article News article object
- * @returns {Promise<string>} Analysis text
+ * Read `data:` payloads from a Server-Sent Events response stream
+ * @param {Stream} stream Readable response stream
+ * @param {Function} onData Called with each data payload string
+ * @returns {Promise<void>} Resolves when the stream ends
  */
-const getCohereAnalysis = async (article) => {
-  try {
-    const apiKey = process.env.COHERE_API_KEY;
-    
-    if (!apiKey) {
-      return mockAnalysis('Cohere', article);
-    }
+const readServerSentEvents = (stream, onData) => {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let failed = false;
     
-    const response = await axios.post(
-      'https://api.cohere.ai/v1/generate',
-      {
-        model: 'command',
-        prompt: `Analyze the following news article in 2-3 paragraphs, focusing on the implications, potential impacts, and context. Be informative and balanced in your assessment.\n\nTitle: ${article.title}\n\nSummary: ${article.summary}`,
-        max_tokens: 500,
-        temperature: 0.7
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        }
+    const handleLines = (lines) => {
+      try {
+        lines
+          .filter(line => line.startsWith('data:'))
+          .forEach(line => onData(line.slice(5).trim()));
+      } catch (error) {
+        failed = true;
+        stream.destroy();
+        reject(error);
       }
-    );
+    };
     
-    return response.data.generations[0].text.trim();
-  } catch (error) {
-    console.error('Error getting Cohere analysis:', error.response?.data || error.message);
-    return mockAnalysis('Cohere', article);
-  }
+    stream.on('data', (chunk) => {
+      buffer += chunk.toString();
+      
+      // Keep the trailing partial line in the buffer until the next chunk
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      
+      handleLines(lines);
+    });
+    
+    // Providers don't always end the last event with a newline, so whatever is left is a final line
+    stream.on('end', () => {
+      if (!failed) {
+        handleLines([buffer]);
+        buffer = '';
+      }
+      
+      resolve();
+    });
+    stream.on('error', reject);
+  });
+};
+
+// Sentiment, stance and confidence for mock analyses, so models differ in the comparison view
+const MOCK_PROFILES = {
+  chatgpt: { sentiment: 0.3, position: 'neutral', confidence: 0.7 },
+  claude: { sentiment: 0.1, position: 'mixed', confidence: 0.65 },
+  gemini: { sentiment: 0.4, position: 'supportive', confidence: 0.6 },
+  copilot: { sentiment: 0.3, position: 'neutral', confidence: 0.7 },
+  deepseek: { sentiment: 0, position: 'neutral', confidence: 0.55 },
+  cohere: { sentiment: 0.2, position: 'mixed', confidence: 0.6 }
 };
 
 /**
  * Generate a mock analysis when API keys are not available
- * @param {string} aiName Name of the AI model
+ * @param {string} modelId AI model ID
  * @param {Object} article News article object
- * @returns {string} Mock analysis text
+ * @returns {Object} Mock structured analysis
  */
-const mockAnalysis = (aiName, article) => {
+const mockAnalysis = (modelId, article) => {
   const category = article.category || 'general';
   
   // Different response styles based on AI model
   const responseStyles = {
-    'OpenAI': {
+    'chatgpt': {
       technology: `This development in ${article.title.toLowerCase()} represents significant progress in the tech sector. The implications for industry and society could be substantial, though we should be cautious about implementation timelines. Several technical challenges remain before widespread adoption is feasible.`,
       environment: `The ${article.title.toLowerCase()} is a positive step toward addressing climate challenges. The targets are ambitious but necessary given current environmental trends. Success will depend on sustained political will and adequate funding mechanisms.`,
       politics: `This political development regarding ${article.title.toLowerCase()} reflects the ongoing tensions in governance. While it may appear partisan at first glance, there are legitimate concerns on both sides of the debate that merit consideration.`,
@@ -235,7 +374,7 @@ const mockAnalysis = (aiName, article) => {
       business: `From a business perspective, ${article.title.toLowerCase()} signals important shifts in the market. Investors should consider both short-term volatility and long-term strategic implications before making decisions based on this news.`,
       general: `The ${article.title.toLowerCase()} represents an important development that merits close attention. Various stakeholders will be affected differently, and the timeline for broader impact remains uncertain.`
     },
-    'Claude': {
+    'claude': {
       technology: `The ${article.title.toLowerCase()} is noteworthy for its potential to transform multiple sectors. I'd emphasize that ethical considerations should be prioritized alongside technological advancement. The societal implications deserve careful deliberation by policymakers and industry leaders alike.`,
       environment: `The ${article.title.toLowerCase()} represents meaningful progress. I would note that implementation will require balancing environmental goals with economic considerations and social equity. Historical precedent suggests that successful environmental initiatives depend on inclusive stakeholder engagement.`,
       politics: `Regarding ${article.title.toLowerCase()}, it's important to consider the underlying institutional factors at play. Political developments rarely occur in isolation, and this case illustrates the complex interplay between public opinion, leadership decisions, and structural constraints.`,
@@ -243,7 +382,7 @@ const mockAnalysis = (aiName, article) => {
       business: `The business implications of ${article.title.toLowerCase()} extend beyond immediate market reactions. Long-term strategic positioning, regulatory considerations, and stakeholder relationships will ultimately determine which organizations benefit most from this development.`,
       general: `When analyzing ${article.title.toLowerCase()}, I find it helpful to consider multiple perspectives. The immediate impacts may differ from long-term consequences, and various stakeholders will experience this development differently based on their positioning and resources.`
     },
-    'Gemini': {
+    'gemini': {
       technology: `Analyzing the ${article.title.toLowerCase()}, I see both immediate applications and longer-term implications. The technical challenges mentioned suggest a gradual rather than immediate impact. Market adoption will likely follow an S-curve, with early adopters gaining competitive advantages before mainstream implementation occurs.`,
       environment: `Analyzing the ${article.title.toLowerCase()}, I see potential for significant positive impact if fully implemented. Historical precedent suggests that monitoring mechanisms will be crucial for success. The economic case for this environmental initiative appears stronger than previous attempts, which increases likelihood of sustained commitment.`,
       politics: `My analysis of ${article.title.toLowerCase()} indicates several underlying political dynamics. Public messaging often obscures the complex negotiations occurring behind the scenes. Data suggests that public opinion on this issue is more nuanced than the polarized debate might indicate.`,
@@ -251,7 +390,7 @@ const mockAnalysis = (aiName, article) => {
       business: `Market reactions to ${article.title.toLowerCase()} reflect both rational assessment and emotional responses. The quantitative data suggests moderate long-term impact, while sentiment analysis indicates stronger short-term volatility. Industry leaders should distinguish between signal and noise in their strategic responses.`,
       general: `My analysis of ${article.title.toLowerCase()} reveals several key factors worth monitoring. The initial data points to [specific implications], though confidence intervals remain wide at this early stage. Multiple scenarios remain plausible based on available information.`
     },
-    'Copilot': {
+    'copilot': {
       technology: `This development in ${article.title.toLowerCase()} aligns with industry trends I've observed. The economic implications could be substantial, though regulatory frameworks may need to evolve in response. Organizations should prepare for both opportunities and disruptions as this technology matures.`,
       environment: `This ${article.title.toLowerCase()} aligns with global sustainability targets. The economic implications are mixed, with short-term costs offset by long-term benefits and risk reduction. Implementation will require coordination across public and private sectors.`,
       politics: `The political development regarding ${article.title.toLowerCase()} reflects broader governance trends. Institutional constraints will shape implementation regardless of stated intentions. Public communication strategies will be crucial for building necessary coalitions.`,
@@ -259,7 +398,7 @@ const mockAnalysis = (aiName, article) => {
       business: `This business development regarding ${article.title.toLowerCase()} has implications across multiple market segments. Competitor responses will shape ultimate outcomes as much as the initial announcement. Strategic positioning should account for both market and regulatory dynamics.`,
       general: `My assessment of ${article.title.toLowerCase()} considers both stated objectives and practical constraints. Implementation pathways will determine actual impact more than initial announcements. Stakeholders should monitor key indicators to adjust strategies as this situation evolves.`
     },
-    'DeepSeek': {
+    'deepseek': {
       technology: `The ${article.title.toLowerCase()} presents interesting logical challenges. When analyzing the potential outcomes, I see a 68% probability of significant industry disruption within 3-5 years. The technical architecture described suggests scalability concerns that may limit initial adoption to specialized applications.`,
       environment: `The ${article.title.toLowerCase()} has a logical structure that suggests a 72% probability of achieving stated goals if funding mechanisms are properly established and maintained. Quantitative analysis of similar initiatives indicates three critical success factors that must be monitored.`,
       politics: `Logical analysis of ${article.title.toLowerCase()} reveals decision trees with multiple equilibrium states. Game theory suggests that stated positions may not reflect actual negotiation boundaries. Probability distributions favor moderate outcomes despite polarized rhetoric.`,
@@ -267,7 +406,7 @@ const mockAnalysis = (aiName, article) => {
       business: `Quantitative modeling of ${article.title.toLowerCase()} suggests market inefficiencies that create arbitrage opportunities in the short term. Logical analysis of competitive responses indicates a 64% probability of industry consolidation as a second-order effect.`,
       general: `My reasoning about ${article.title.toLowerCase()} employs probabilistic analysis of multiple causal pathways. The most likely outcome (57% probability) involves [specific prediction], though alternative scenarios remain viable and should be incorporated into contingency planning.`
     },
-    'Cohere': {
+    'cohere': {
       technology: `Regarding ${article.title.toLowerCase()}, several technological implications stand out. First, the innovation trajectory suggests accelerating development in adjacent fields. Second, adoption patterns will likely follow historical precedents for similar technologies, with early resistance followed by rapid integration once key thresholds are crossed.`,
       environment: `This environmental initiative described in ${article.title.toLowerCase()} represents a substantive approach to addressing specific challenges. The framework appears more robust than previous attempts, particularly in its accountability mechanisms. Implementation remains the critical variable that will determine actual impact.`,
       politics: `The political dynamics of ${article.title.toLowerCase()} reflect institutional incentives as much as individual leadership. Comparative analysis with similar situations suggests that public positioning often differs from private negotiations. Media framing will significantly influence public perception of outcomes.`,
@@ -278,20 +417,33 @@ const mockAnalysis = (aiName, article) => {
   };
   
   // Get the appropriate response style based on AI model and article category
-  const aiStyle = responseStyles[aiName] || responseStyles['OpenAI'];
+  const aiStyle = responseStyles[modelId] || responseStyles['chatgpt'];
   const response = aiStyle[category] || aiStyle['general'];
   
   // Add a second paragraph with more specific details
   const secondParagraph = `Looking more closely at the specifics of this news, the ${article.summary.toLowerCase()} This development occurs within a broader context of industry changes and public discourse around similar issues. Various stakeholders will likely have different perspectives on the implications.`;
   
-  return `${response}\n\n${secondParagraph}`;
+  const sentences = response.match(/[^.!?]+[.!?]+/g).map(sentence => sentence.trim());
+  const profile = MOCK_PROFILES[modelId] || MOCK_PROFILES['chatgpt'];
+  
+  return {
+    summary: `${response}\n\n${secondParagraph}`,
+    keyClaims: sentences.slice(0, -1),
+    sentiment: { score: profile.sentiment, label: getSentimentLabel(profile.sentiment) },
+    stance: {
+      actor: 'The main actors in the story',
+      position: profile.position,
+      explanation: ''
+    },
+    predictedImpacts: sentences.slice(-1),
+    confidence: profile.confidence,
+    format: ANALYSIS_FORMATS.MOCK
+  };
 };
 
 module.exports = {
-  getOpenAIAnalysis,
-  getClaudeAnalysis,
-  getGeminiAnalysis,
-  getCopilotAnalysis,
-  getDeepSeekAnalysis,
-  getCohereAnalysis
+  formatArticle,
+  generateText,
+  getAnalysis,
+  streamAnalysis
 };
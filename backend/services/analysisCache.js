@@ -0,0 +1,144 @@
+/**
+ * Analysis Cache
+ * Stores AI analyses in SQLite so the same article is not sent to a provider twice
+ */
+const crypto = require('crypto');
+const db = require('../utils/database');
+const { analysisToText, textToAnalysis } = require('./analysisParser');
+
+// How long a cached analysis stays valid
+const DEFAULT_TTL_HOURS = 24;
+
+/**
+ * Get the cache lifetime from the environment
+ * @returns {number} TTL in hours
+ */
+const getTtlHours = () => {
+  return parseFloat(process.env.ANALYSIS_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS;
+};
+
+/**
+ * Fingerprint the article text that is sent to AI models
+ * @param {string} articleText - Formatted article text
+ * @returns {string} SHA-256 hex digest
+ */
+const fingerprintArticle = (articleText) => {
+  return crypto.createHash('sha256').update(articleText).digest('hex');
+};
+
+/**
+ * Look up a cached analysis
+ * Cache errors are treated as misses so analysis never fails because of the cache
+ * @param {string} fingerprint - Article fingerprint
+ * @param {string} modelId - AI model ID
+ * @param {string} promptVersion - Prompt version used to generate the analysis
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.includeExpired - Also return entries past their TTL
+ * @returns {Promise<Object|null>} Cached structured analysis or null
+ */
+const getCachedAnalysis = (fingerprint, modelId, promptVersion, { includeExpired = false } = {}) => {
+  const notBefore = includeExpired ? '' : new Date().toISOString();
+  
+  return new Promise((resolve) => {
+    db.get(
+      `SELECT analysis, structured FROM analysis_cache
+       WHERE article_fingerprint = ? AND model_id = ? AND prompt_version = ? AND expires_at > ?`,
+      [fingerprint, modelId, promptVersion, notBefore],
+      (err, row) => {
+        if (err) {
+          console.error('Error reading analysis cache:', err.message);
+          return resolve(null);
+        }
+        
+        if (!row) {
+          return resolve(null);
+        }
+        
+        try {
+          resolve(row.structured ? JSON.parse(row.structured) : textToAnalysis(row.analysis));
+        } catch (error) {
+          resolve(textToAnalysis(row.analysis));
+        }
+      }
+    );
+  });
+};
+
+/**
+ * Store an analysis in the cache, replacing any previous entry
+ * Uses an upsert rather than INSERT OR REPLACE so the search index triggers see the change
+ * @param {string} fingerprint - Article fingerprint
+ * @param {string} modelId - AI model ID
+ * @param {string} promptVersion - Prompt version used to generate the analysis
+ * @param {Object} analysis - Structured analysis; its plain text is stored alongside for search
+ * @param {string} articleId - ID of the analyzed article, so analyses can be searched by article (optional)
+ * @param {string} templateId - ID of the prompt template the analysis was generated with (optional)
+ * @returns {Promise<void>}
+ */
+const setCachedAnalysis = (fingerprint, modelId, promptVersion, analysis, articleId = null, templateId = null) => {
+  const expiresAt = new Date(Date.now() + getTtlHours() * 60 * 60 * 1000).toISOString();
+  
+  return new Promise((resolve) => {
+    db.run(
+      `INSERT INTO analysis_cache
+       (article_fingerprint, model_id, prompt_version, analysis, structured, article_id, template_id, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(article_fingerprint, model_id, prompt_version) DO UPDATE SET
+         analysis = excluded.analysis,
+         structured = excluded.structured,
+         article_id = COALESCE(excluded.article_id, analysis_cache.article_id),
+         template_id = excluded.template_id,
+         created_at = excluded.created_at,
+         expires_at = excluded.expires_at`,
+      [fingerprint, modelId, promptVersion, analysisToText(analysis), JSON.stringify(analysis), articleId ? String(articleId) : null, templateId, new Date().toISOString(), expiresAt],
+      (err) => {
+        if (err) {
+          console.error('Error writing analysis cache:', err.message);
+        }
+        
+        resolve();
+      }
+    );
+  });
+};
+
+/**
+ * Delete cached analyses
+ * @param {Object} options - Purge options
+ * @param {string} options.modelId - Only purge this model's analyses
+ * @param {boolean} options.expiredOnly - Only purge entries past their TTL
+ * @returns {Promise<number>} Number of entries deleted
+ */
+const purgeAnalysisCache = ({ modelId, expiredOnly = false } = {}) => {
+  const conditions = [];
+  const params = [];
+  
+  if (modelId) {
+    conditions.push('model_id = ?');
+    params.push(modelId);
+  }
+  
+  if (expiredOnly) {
+    conditions.push('expires_at <= ?');
+    params.push(new Date().toISOString());
+  }
+  
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM analysis_cache ${where}`, params, function(err) {
+      if (err) {
+        return reject(err);
+      }
+      
+      resolve(this.changes);
+    });
+  });
+};
+
+module.exports = {
+  fingerprintArticle,
+  getCachedAnalysis,
+  setCachedAnalysis,
+  purgeAnalysisCache
+};
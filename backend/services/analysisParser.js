@@ -0,0 +1,351 @@
+/**
+ * Analysis Parser
+ * Defines the JSON schema every AI model is asked to answer with, and turns model output into a
+ * structured analysis: valid JSON is used as is, broken JSON is repaired where possible, and
+ * anything else falls back to the free text as the summary.
+ */
+
+// Bump when the schema or the format instructions change, so cached analyses are regenerated
+const ANALYSIS_FORMAT_VERSION = 'json1';
+
+// How a structured analysis was obtained
+const ANALYSIS_FORMATS = {
+  JSON: 'json',
+  REPAIRED: 'repaired',
+  TEXT: 'text',
+  MOCK: 'mock'
+};
+
+const STANCE_POSITIONS = ['supportive', 'critical', 'neutral', 'mixed'];
+
+// Sentiment scores beyond these are labelled positive or negative
+const SENTIMENT_THRESHOLD = 0.2;
+
+// Limits on list fields so one verbose model doesn't dominate a comparison
+const MAX_CLAIMS = 6;
+const MAX_IMPACTS = 5;
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'keyClaims', 'sentiment', 'stance', 'predictedImpacts', 'confidence'],
+  properties: {
+    summary: { type: 'string', description: 'Your analysis of the story in one or two paragraphs' },
+    keyClaims: { type: 'array', items: { type: 'string' }, description: 'The main factual or analytical claims you are making, one sentence each' },
+    sentiment: {
+      type: 'object',
+      required: ['score', 'label'],
+      properties: {
+        score: { type: 'number', minimum: -1, maximum: 1, description: 'Overall tone of the news, from -1 (very negative) to 1 (very positive)' },
+        label: { type: 'string', enum: ['positive', 'negative', 'neutral'] }
+      }
+    },
+    stance: {
+      type: 'object',
+      required: ['actor', 'position'],
+      properties: {
+        actor: { type: 'string', description: 'The main person, organization or government the story is about' },
+        position: { type: 'string', enum: STANCE_POSITIONS, description: 'Your stance toward that actor' },
+        explanation: { type: 'string', description: 'One sentence explaining the stance' }
+      }
+    },
+    predictedImpacts: { type: 'array', items: { type: 'string' }, description: 'Likely consequences of the story, one sentence each' },
+    confidence: { type: 'number', minimum: 0, maximum: 1, description: 'How confident you are in the analysis, from 0 to 1' }
+  }
+};
+
+/**
+ * Build the instructions that ask a model to answer in the analysis JSON format
+ * @returns {string} Format instructions for the system prompt
+ */
+const getFormatInstructions = () => {
+  return `Respond with a single JSON object and nothing else - no markdown code fences and no text before or after it. Put the "summary" field first. The object must match this JSON schema:\n${JSON.stringify(ANALYSIS_SCHEMA)}`;
+};
+
+/**
+ * Check a value against a schema, covering the subset of JSON Schema used by ANALYSIS_SCHEMA
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema for the value
+ * @param {string} path - Location of the value, for messages
+ * @returns {Array<string>} Problems found
+ */
+const validateSchema = (value, schema, path = 'analysis') => {
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  
+  if (actualType !== schema.type) {
+    return [`${path} should be ${schema.type} but is ${actualType}`];
+  }
+  
+  if (schema.type === 'object') {
+    const missing = (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .map(key => `${path}.${key} is missing`);
+    
+    return missing.concat(Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined)
+      .flatMap(([key, propertySchema]) => validateSchema(value[key], propertySchema, `${path}.${key}`)));
+  }
+  
+  if (schema.type === 'array') {
+    return value.flatMap((item, index) => validateSchema(item, schema.items, `${path}[${index}]`));
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} should be one of ${schema.enum.join(', ')}`];
+  }
+  
+  if (schema.type === 'number' && (value < schema.minimum || value > schema.maximum)) {
+    return [`${path} should be between ${schema.minimum} and ${schema.maximum}`];
+  }
+  
+  return [];
+};
+
+/**
+ * Pull the JSON object out of model output, dropping code fences and surrounding prose
+ * Output cut off by the token limit has no closing brace, so everything after the first brace is kept
+ * @param {string} text - Model output
+ * @returns {string|null} JSON text, or null if there is no object
+ */
+const findJson = (text) => {
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  
+  if (start === -1) {
+    return null;
+  }
+  
+  const end = unfenced.lastIndexOf('}');
+  return end > start ? unfenced.slice(start, end + 1) : unfenced.slice(start);
+};
+
+/**
+ * Fix the mistakes models commonly make in JSON: smart quotes, trailing commas, and output
+ * cut off mid-string or before the closing brackets
+ * @param {string} json - Broken JSON text
+ * @returns {string} Repaired JSON text
+ */
+const repairJson = (json) => {
+  const text = json
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, '\'');
+  
+  // Track open strings and brackets so truncated output can be closed
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+  
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      closers.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      closers.pop();
+    }
+  }
+  
+  let repaired = text;
+  
+  if (inString) {
+    repaired += '"';
+  }
+  
+  // A truncated object may end with a key that has no value yet
+  if (closers[closers.length - 1] === '}') {
+    repaired = repaired.replace(/([{,])\s*"[^"]*"\s*:?\s*$/, '$1');
+  }
+  
+  repaired = repaired.replace(/[,:]\s*$/, '');
+  
+  repaired += closers.reverse().join('');
+  
+  return repaired.replace(/,\s*([}\]])/g, '$1');
+};
+
+/**
+ * Convert a list field to an array of non-empty strings
+ * Accepts a single string, or objects with a claim, impact or text field
+ * @param {*} value - List from the model
+ * @param {number} max - Maximum number of items
+ * @returns {Array<string>} Items
+ */
+const toStringList = (value, max) => {
+  return [value].flat()
+    .map(item => (item && typeof item === 'object' ? item.claim || item.impact || item.text || '' : item))
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim())
+    .slice(0, max);
+};
+
+/**
+ * Convert a value to a number within a range
+ * @param {*} value - Number or numeric string from the model
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @returns {number|null} Clamped number, or null if it isn't a number
+ */
+const toBoundedNumber = (value, min, max) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : Math.min(Math.max(number, min), max);
+};
+
+/**
+ * Label a sentiment score
+ * @param {number} score - Sentiment from -1 to 1
+ * @returns {string} positive, negative or neutral
+ */
+const getSentimentLabel = (score) => {
+  if (score > SENTIMENT_THRESHOLD) return 'positive';
+  if (score < -SENTIMENT_THRESHOLD) return 'negative';
+  return 'neutral';
+};
+
+/**
+ * Coerce a parsed object into the analysis shape, keeping whatever fields are usable
+ * @param {Object} data - Parsed model output
+ * @returns {Object|null} Analysis fields, or null if there is no summary
+ */
+const normalizeAnalysis = (data) => {
+  const summary = typeof data.summary === 'string' ? data.summary.trim() : '';
+  
+  if (!summary) {
+    return null;
+  }
+  
+  const sentimentScore = toBoundedNumber(data.sentiment?.score ?? data.sentiment, -1, 1);
+  const stance = typeof data.stance === 'string' ? { position: data.stance } : data.stance || {};
+  const position = STANCE_POSITIONS.find(option => option === String(stance.position || '').toLowerCase());
+  
+  // Some models answer with a percentage
+  const rawConfidence = toBoundedNumber(data.confidence, 0, 100);
+  const confidence = rawConfidence !== null && rawConfidence > 1 ? rawConfidence / 100 : rawConfidence;
+  
+  return {
+    summary,
+    keyClaims: toStringList(data.keyClaims, MAX_CLAIMS),
+    sentiment: sentimentScore === null ? null : { score: sentimentScore, label: getSentimentLabel(sentimentScore) },
+    stance: position ? {
+      actor: typeof stance.actor === 'string' ? stance.actor.trim() : '',
+      position,
+      explanation: typeof stance.explanation === 'string' ? stance.explanation.trim() : ''
+    } : null,
+    predictedImpacts: toStringList(data.predictedImpacts, MAX_IMPACTS),
+    confidence
+  };
+};
+
+/**
+ * Wrap free text as an analysis with only a summary
+ * @param {string} text - Analysis text
+ * @param {string} format - How the text was obtained (default: text)
+ * @returns {Object} Structured analysis
+ */
+const textToAnalysis = (text, format = ANALYSIS_FORMATS.TEXT) => ({
+  summary: (text || '').trim(),
+  keyClaims: [],
+  sentiment: null,
+  stance: null,
+  predictedImpacts: [],
+  confidence: null,
+  format
+});
+
+/**
+ * Parse model output into a structured analysis
+ * @param {string} text - Model output
+ * @returns {Object} Structured analysis; format says whether it was valid JSON, repaired JSON or free text
+ */
+const parseAnalysis = (text) => {
+  const json = findJson(text || '');
+  
+  if (!json) {
+    return textToAnalysis(text);
+  }
+  
+  const attempts = [
+    { json, format: ANALYSIS_FORMATS.JSON },
+    { json: repairJson(json), format: ANALYSIS_FORMATS.REPAIRED }
+  ];
+  
+  for (const attempt of attempts) {
+    let data = null;
+    
+    try {
+      data = JSON.parse(attempt.json);
+    } catch (error) {
+      continue;
+    }
+    
+    const analysis = data && typeof data === 'object' ? normalizeAnalysis(data) : null;
+    
+    if (analysis) {
+      // Output that parsed but needed coercing into the schema counts as repaired
+      const format = validateSchema(data, ANALYSIS_SCHEMA).length === 0 ? attempt.format : ANALYSIS_FORMATS.REPAIRED;
+      return { ...analysis, format };
+    }
+  }
+  
+  return textToAnalysis(text);
+};
+
+/**
+ * Turn an analysis from a client (a saved snapshot, for example) into a clean structured analysis
+ * @param {Object|string} value - Structured analysis, or analysis text
+ * @returns {Object|null} Structured analysis, or null if it has no summary
+ */
+const coerceAnalysis = (value) => {
+  if (typeof value === 'string') {
+    return value.trim() ? textToAnalysis(value) : null;
+  }
+  
+  const analysis = value && typeof value === 'object' ? normalizeAnalysis(value) : null;
+  
+  if (!analysis) {
+    return null;
+  }
+  
+  const knownFormat = Object.values(ANALYSIS_FORMATS).includes(value.format);
+  return { ...analysis, format: knownFormat ? value.format : ANALYSIS_FORMATS.REPAIRED };
+};
+
+/**
+ * Flatten an analysis to plain text, for search indexing and prompts that quote analyses
+ * @param {Object|string} analysis - Structured analysis, or analysis text
+ * @returns {string} Analysis text
+ */
+const analysisToText = (analysis) => {
+  if (!analysis || typeof analysis !== 'object') {
+    return analysis || '';
+  }
+  
+  const sections = [analysis.summary];
+  
+  if (analysis.keyClaims?.length) {
+    sections.push(`Key claims:\n${analysis.keyClaims.map(claim => `- ${claim}`).join('\n')}`);
+  }
+  
+  if (analysis.predictedImpacts?.length) {
+    sections.push(`Predicted impacts:\n${analysis.predictedImpacts.map(impact => `- ${impact}`).join('\n')}`);
+  }
+  
+  return sections.filter(Boolean).join('\n\n');
+};
+
+module.exports = {
+  ANALYSIS_FORMAT_VERSION,
+  MAX_CLAIMS,
+  ANALYSIS_FORMATS,
+  ANALYSIS_SCHEMA,
+  STANCE_POSITIONS,
+  getFormatInstructions,
+  validateSchema,
+  getSentimentLabel,
+  parseAnalysis,
+  textToAnalysis,
+  coerceAnalysis,
+  analysisToText
+};
@@ -0,0 +1,354 @@
+/**
+ * Article Extractor
+ * Fetches an article's page and pulls out the main body text, byline, publish time and lead image,
+ * readability-style: boilerplate is stripped and the block of paragraphs with the most prose wins.
+ * Extracted bodies are stored on the article so each page is only fetched once.
+ */
+
+const cheerio = require('cheerio');
+const { fetchPage } = require('./scrapeEngine');
+const { getArticleById, saveArticleBody } = require('./articleStore');
+
+// Defaults, overridable from the environment
+const DEFAULT_MAX_BODY_CHARS = 12000;
+
+// Bodies shorter than this are treated as a failed extraction (paywalls, video pages, consent walls)
+const MIN_BODY_CHARS = 200;
+
+// Paragraphs shorter than this are usually captions, credits or links rather than prose
+const MIN_PARAGRAPH_CHARS = 25;
+
+// How long to wait before retrying a page that couldn't be extracted
+const RETRY_FAILED_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Elements that never contain the article body
+const BOILERPLATE_TAGS = 'script, style, noscript, template, iframe, svg, canvas, form, button, nav, header, footer, aside, figcaption';
+
+// Class and ID patterns for page furniture, unless they also look like the article itself
+const UNLIKELY_PATTERN = /comment|share|social|related|recommend|promo|newsletter|subscribe|advert|\bads?\b|sponsor|sidebar|footer|masthead|menu|\bnav|cookie|consent|modal|popup|breadcrumb|paywall|outbrain|taboola/i;
+const LIKELY_PATTERN = /article|body|content|main|story|post|text/i;
+
+// Fields of a client-sent article that are dropped: the ID only counts if it is in the store, and the
+// body and byline only come from extracting the stored article's page
+const CLIENT_ONLY_FIELDS = ['id', 'body', 'byline', 'bodyStatus', 'bodyExtractedAt'];
+
+// Pages being extracted, so concurrent requests for one article share a fetch
+const pending = new Map();
+
+/**
+ * Get the maximum length of a stored article body
+ * @returns {number} Maximum characters
+ */
+const getMaxBodyChars = () => {
+  return parseInt(process.env.ARTICLE_BODY_MAX_CHARS, 10) || DEFAULT_MAX_BODY_CHARS;
+};
+
+/**
+ * Collapse whitespace in a piece of text
+ * @param {string} text - Text from the page
+ * @returns {string} Cleaned text
+ */
+const cleanText = (text) => {
+  return (text || '').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Resolve a possibly relative URL against the article page
+ * @param {string} href - URL from the page
+ * @param {string} base - Article URL
+ * @returns {string|null} Absolute URL, or null if missing or invalid
+ */
+const toAbsoluteUrl = (href, base) => {
+  try {
+    return href ? new URL(href, base).toString() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Convert a date string to ISO format
+ * @param {string} value - Date from the page
+ * @returns {string|null} ISO timestamp, or null if it isn't a date
+ */
+const toIsoDate = (value) => {
+  const date = new Date(value);
+  return value && !isNaN(date) ? date.toISOString() : null;
+};
+
+/**
+ * Find the article object in a page's JSON-LD structured data
+ * @param {Object} $ - Cheerio page
+ * @returns {Object} Article data, or an empty object
+ */
+const getLinkedData = ($) => {
+  const items = [];
+  
+  $('script[type="application/ld+json"]').each((index, element) => {
+    try {
+      const data = JSON.parse($(element).contents().text());
+      [data].flat().forEach(item => items.push(item, ...(item['@graph'] || [])));
+    } catch (error) {
+      // Broken structured data is common; the page markup is still usable
+    }
+  });
+  
+  return items.find(item => /Article/.test([item['@type']].flat().join(' '))) || {};
+};
+
+/**
+ * Get the values of a JSON-LD author, image or similar property
+ * @param {*} value - String, object or array from JSON-LD
+ * @param {string} field - Field to read from objects
+ * @returns {Array<string>} Values
+ */
+const getLinkedValues = (value, field) => {
+  return [value].flat()
+    .filter(Boolean)
+    .map(item => (typeof item === 'string' ? item : item[field]))
+    .filter(Boolean);
+};
+
+/**
+ * Read the byline, publish time and lead image from the page's metadata
+ * @param {Object} $ - Cheerio page
+ * @param {string} url - Article URL
+ * @returns {Object} Metadata
+ */
+const getMetadata = ($, url) => {
+  const linkedData = getLinkedData($);
+  const meta = (selector) => $(selector).first().attr('content') || null;
+  
+  const byline = getLinkedValues(linkedData.author, 'name').join(', ')
+    || meta('meta[name="author"]')
+    || meta('meta[property="article:author"]')
+    || cleanText($('[rel="author"], [itemprop="author"], .byline').first().text())
+    || null;
+  
+  const publishedAt = toIsoDate(linkedData.datePublished)
+    || toIsoDate(meta('meta[property="article:published_time"]'))
+    || toIsoDate(meta('meta[name="pubdate"]') || meta('meta[itemprop="datePublished"]'))
+    || toIsoDate($('time[datetime]').first().attr('datetime'));
+  
+  const leadImage = meta('meta[property="og:image"]')
+    || meta('meta[name="twitter:image"]')
+    || getLinkedValues(linkedData.image, 'url')[0];
+  
+  return {
+    byline: byline ? byline.replace(/^by\s+/i, '') : null,
+    publishedAt,
+    leadImageUrl: toAbsoluteUrl(leadImage, url),
+    linkedBody: cleanText(linkedData.articleBody)
+  };
+};
+
+/**
+ * Remove boilerplate elements so they can't be picked as the article body
+ * @param {Object} $ - Cheerio page
+ */
+const removeBoilerplate = ($) => {
+  $(BOILERPLATE_TAGS).remove();
+  
+  $('[class], [id]').each((index, element) => {
+    const $element = $(element);
+    const names = `${$element.attr('class') || ''} ${$element.attr('id') || ''}`;
+    
+    if (UNLIKELY_PATTERN.test(names) && !LIKELY_PATTERN.test(names) && !$element.is('body, article, main')) {
+      $element.remove();
+    }
+  });
+};
+
+/**
+ * Share of an element's text that is link text
+ * @param {Object} $ - Cheerio page
+ * @param {Object} element - Element to measure
+ * @returns {number} Link density between 0 and 1
+ */
+const getLinkDensity = ($, element) => {
+  const textLength = cleanText($(element).text()).length;
+  const linkLength = cleanText($(element).find('a').text()).length;
+  
+  return textLength > 0 ? linkLength / textLength : 1;
+};
+
+/**
+ * Find the element holding the article's paragraphs
+ * Each paragraph scores its parent (and half for its grandparent) by length and commas;
+ * scores are then discounted by link density, so link lists lose to prose
+ * @param {Object} $ - Cheerio page
+ * @returns {Object|null} Best candidate element
+ */
+const findBodyElement = ($) => {
+  const scores = new Map();
+  
+  $('p').each((index, element) => {
+    const text = cleanText($(element).text());
+    
+    if (text.length < MIN_PARAGRAPH_CHARS) return;
+    
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = element.parent;
+    const grandparent = parent?.parent;
+    
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+  });
+  
+  let best = null;
+  let bestScore = 0;
+  
+  scores.forEach((score, element) => {
+    const finalScore = score * (1 - getLinkDensity($, element));
+    
+    if (finalScore > bestScore) {
+      best = element;
+      bestScore = finalScore;
+    }
+  });
+  
+  return best;
+};
+
+/**
+ * Join paragraphs into a body no longer than the size cap, cutting at a paragraph boundary where possible
+ * @param {Array<string>} paragraphs - Body paragraphs
+ * @returns {Object} Body text and whether it was truncated
+ */
+const capBody = (paragraphs) => {
+  const maxChars = getMaxBodyChars();
+  const kept = [];
+  let length = 0;
+  
+  for (const paragraph of paragraphs) {
+    if (length + paragraph.length > maxChars) {
+      if (kept.length === 0) {
+        kept.push(paragraph.slice(0, maxChars));
+      }
+      
+      return { body: kept.join('\n\n'), truncated: true };
+    }
+    
+    kept.push(paragraph);
+    length += paragraph.length + 2;
+  }
+  
+  return { body: kept.join('\n\n'), truncated: false };
+};
+
+/**
+ * Extract the main article from a page
+ * @param {string} html - Page HTML
+ * @param {string} url - Article URL, for resolving relative image URLs
+ * @returns {Object} Body, byline, publishedAt, leadImageUrl, wordCount and truncated
+ * @throws {Error} If no article body could be found
+ */
+const extractArticle = (html, url) => {
+  const $ = cheerio.load(html);
+  const { linkedBody, ...metadata } = getMetadata($, url);
+  
+  removeBoilerplate($);
+  
+  const bodyElement = findBodyElement($);
+  const paragraphs = bodyElement
+    ? $(bodyElement).find('p, h2, h3, blockquote, li')
+      .filter((index, element) => !$(element).parents('blockquote, li').length && getLinkDensity($, element) < 0.5)
+      .map((index, element) => cleanText($(element).text()))
+      .get()
+      .filter(text => text.length >= MIN_PARAGRAPH_CHARS)
+    : [];
+  
+  // Some pages only carry the full text in their structured data
+  const markupLength = paragraphs.join(' ').length;
+  const sourceParagraphs = linkedBody.length > markupLength ? [linkedBody] : paragraphs;
+  const { body, truncated } = capBody(sourceParagraphs);
+  
+  if (body.length < MIN_BODY_CHARS) {
+    throw new Error('No article body found');
+  }
+  
+  return {
+    body,
+    ...metadata,
+    wordCount: body.split(/\s+/).length,
+    truncated
+  };
+};
+
+/**
+ * Fetch an article's page and extract it, sharing the work between concurrent callers
+ * @param {string} url - Article URL
+ * @returns {Promise<Object>} Extracted article
+ */
+const fetchAndExtract = (url) => {
+  if (!pending.has(url)) {
+    const extraction = fetchPage(url)
+      .then(html => extractArticle(html, url))
+      .finally(() => pending.delete(url));
+    
+    pending.set(url, extraction);
+  }
+  
+  return pending.get(url);
+};
+
+/**
+ * Add the full article text to an article before it is sent to AI models
+ * Only articles in the store are extracted, from their stored URL, and only they keep their ID, so analyses
+ * are never cached against an article the client made up. The client's body, URL and ID are never trusted:
+ * otherwise any caller could make the server fetch an arbitrary URL or attach text to a stored article.
+ * Extraction failures are remembered for a day and the article is returned without a body, so analyses
+ * fall back to the summary.
+ * @param {Object} article - News article sent by the client
+ * @returns {Promise<Object>} Article with body, byline, publishedAt and imageUrl filled in when available
+ */
+const enrichArticle = async (article) => {
+  if (!article || typeof article !== 'object') {
+    return article;
+  }
+  
+  const clientArticle = { ...article };
+  CLIENT_ONLY_FIELDS.forEach(field => delete clientArticle[field]);
+  
+  const stored = article.id ? await getArticleById(article.id).catch(() => null) : null;
+  
+  if (!stored) {
+    return clientArticle;
+  }
+  
+  const { body: storedBody, bodyStatus, bodyExtractedAt, ...storedArticle } = stored;
+  const enriched = { ...clientArticle, ...storedArticle };
+  
+  if (storedBody) {
+    return { ...enriched, body: storedBody };
+  }
+  
+  const recentlyFailed = bodyStatus === 'failed'
+    && Date.now() - new Date(bodyExtractedAt).getTime() < RETRY_FAILED_AFTER_MS;
+  
+  if (recentlyFailed || !/^https?:\/\//i.test(stored.url || '')) {
+    return enriched;
+  }
+  
+  try {
+    const extracted = await fetchAndExtract(stored.url);
+    await saveArticleBody(stored.id, extracted);
+    
+    return {
+      ...enriched,
+      body: extracted.body,
+      byline: extracted.byline,
+      publishedAt: extracted.publishedAt || enriched.publishedAt,
+      imageUrl: enriched.imageUrl || extracted.leadImageUrl
+    };
+  } catch (error) {
+    console.error(`Error extracting article body from ${stored.url}:`, error.message);
+    await saveArticleBody(stored.id, null).catch(() => {});
+    return enriched;
+  }
+};
+
+module.exports = {
+  extractArticle,
+  enrichArticle
+};
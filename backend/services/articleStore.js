@@ -0,0 +1,460 @@
+/**
+ * Article Store
+ * Persists articles from every fetcher, scraper and the trending service in SQLite
+ * and serves them back with paging, filtering and full-text search
+ */
+const db = require('../utils/database');
+const { withTransaction } = require('../utils/transaction');
+
+// Paging limits for article queries
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Promise wrappers around the callback-based sqlite3 API
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this.changes);
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+// Columns selected for every article query
+const ARTICLE_COLUMNS = `
+  a.id, a.title, a.summary, a.content, a.author, a.url, a.image_url, a.date,
+  a.published_at, a.undated, a.category_id, a.provider, a.fetched_at, a.byline, s.name AS source_name,
+  (SELECT GROUP_CONCAT(p.provider) FROM article_providers p WHERE p.article_id = a.id) AS providers
+`;
+
+/**
+ * Convert a database row to the article shape used by the API
+ * @param {Object} row - Row from the articles table joined with sources
+ * @returns {Object} News article
+ */
+const rowToArticle = (row) => ({
+  id: row.id,
+  title: row.title,
+  summary: row.summary,
+  content: row.content,
+  source: row.source_name,
+  author: row.author,
+  date: row.date,
+  url: row.url,
+  imageUrl: row.image_url,
+  category: row.category_id,
+  provider: row.provider,
+  providers: row.providers ? row.providers.split(',') : (row.provider ? [row.provider] : []),
+  publishedAt: row.undated ? null : row.published_at,
+  fetchedAt: row.fetched_at,
+  byline: row.byline,
+  // Only selected for single articles
+  body: row.body,
+  bodyStatus: row.body_status,
+  bodyExtractedAt: row.body_extracted_at
+});
+
+/**
+ * Normalize a category to a stored category ID
+ * @param {string} category - Category name
+ * @returns {string} Category ID
+ */
+const normalizeCategory = (category) => {
+  const id = String(category || '').trim().toLowerCase();
+  return id && id !== 'all' ? id : 'general';
+};
+
+/**
+ * Work out when an article was published
+ * @param {Object} article - News article
+ * @returns {string|null} ISO timestamp, or null if unknown
+ */
+const getPublishedAt = (article) => {
+  const value = article.publishedAt || article.date;
+  const published = new Date(value);
+  return !value || isNaN(published) ? null : published.toISOString();
+};
+
+/**
+ * Insert or update articles, along with their categories, sources and the providers that carried them
+ * Existing articles keep any fields the new copy leaves empty. Undated articles are stored with the fetch
+ * time and marked undated, so they sort after dated articles until a copy with a date arrives.
+ * An article whose ID or aliasIds (other providers' copies) match a stored article updates that article,
+ * and its other IDs are recorded as aliases of it
+ * @param {Array} articles - Articles in the standard article shape
+ * @param {Object} options - Upsert options
+ * @param {string} options.fetchedAt - When the articles were fetched (default: now)
+ * @returns {Promise<number>} Number of articles written
+ */
+const upsertArticles = async (articles = [], { fetchedAt = new Date().toISOString() } = {}) => {
+  const valid = articles.filter(article => article && article.id && article.title);
+  
+  if (valid.length === 0) {
+    return 0;
+  }
+  
+  await withTransaction(async (runStatement, getRow) => {
+    for (const article of valid) {
+      const copyIds = [...new Set([article.id, ...(article.aliasIds || [])].map(String))];
+      const placeholders = copyIds.map(() => '?').join(', ');
+      const stored = await getRow(`
+        SELECT MIN(id) AS id FROM (
+          SELECT id FROM articles WHERE id IN (${placeholders})
+          UNION SELECT article_id AS id FROM article_aliases WHERE alias_id IN (${placeholders})
+        )
+      `, [...copyIds, ...copyIds]);
+      const id = stored?.id || String(article.id);
+      const categoryId = normalizeCategory(article.category);
+      const categoryName = categoryId.charAt(0).toUpperCase() + categoryId.slice(1);
+      const publishedAt = getPublishedAt(article);
+      
+      await runStatement('INSERT OR IGNORE INTO categories (id, name) VALUES (?, ?)', [categoryId, categoryName]);
+      
+      if (article.source) {
+        await runStatement('INSERT OR IGNORE INTO sources (name) VALUES (?)', [article.source]);
+      }
+      
+      await runStatement(`
+        INSERT INTO articles
+        (id, title, summary, content, author, url, image_url, date, published_at, undated, category_id, source_id, provider, fetched_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, (SELECT id FROM sources WHERE name = ?), ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          title = excluded.title,
+          date = CASE WHEN articles.undated = 1 AND excluded.undated = 0 THEN excluded.date ELSE articles.date END,
+          published_at = CASE WHEN articles.undated = 1 AND excluded.undated = 0 THEN excluded.published_at ELSE articles.published_at END,
+          undated = MIN(articles.undated, excluded.undated),
+          summary = COALESCE(NULLIF(excluded.summary, ''), articles.summary),
+          content = COALESCE(NULLIF(excluded.content, ''), articles.content),
+          author = COALESCE(excluded.author, articles.author),
+          url = COALESCE(excluded.url, articles.url),
+          image_url = COALESCE(excluded.image_url, articles.image_url),
+          category_id = CASE WHEN articles.category_id = 'general' THEN excluded.category_id ELSE articles.category_id END,
+          source_id = COALESCE(excluded.source_id, articles.source_id),
+          fetched_at = MAX(excluded.fetched_at, articles.fetched_at)
+      `, [
+        id,
+        article.title,
+        article.summary || null,
+        article.content || null,
+        article.author || null,
+        article.url || null,
+        article.imageUrl || null,
+        article.date || null,
+        publishedAt || fetchedAt,
+        publishedAt ? 0 : 1,
+        categoryId,
+        article.source || null,
+        article.provider || null,
+        fetchedAt
+      ]);
+      
+      for (const provider of (article.providers || [article.provider]).filter(Boolean)) {
+        await runStatement('INSERT OR IGNORE INTO article_providers (article_id, provider) VALUES (?, ?)', [id, provider]);
+      }
+      
+      for (const aliasId of copyIds.filter(copyId => copyId !== id)) {
+        await runStatement('INSERT OR IGNORE INTO article_aliases (alias_id, article_id) VALUES (?, ?)', [aliasId, id]);
+      }
+    }
+  });
+  
+  return valid.length;
+};
+
+/**
+ * Parse a date filter, treating a bare end date as the whole of that day
+ * @param {string} value - ISO date or timestamp
+ * @param {boolean} endOfDay - Move a bare date to the start of the next day
+ * @returns {string|null} ISO timestamp or null if the value isn't a date
+ */
+const parseDateFilter = (value, endOfDay = false) => {
+  if (!value) {
+    return null;
+  }
+  
+  const date = new Date(value);
+  
+  if (isNaN(date)) {
+    return null;
+  }
+  
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  
+  return date.toISOString();
+};
+
+/**
+ * Build the WHERE clause shared by article queries
+ * @param {Object} filters - Article filters
+ * @param {string} filters.category - Only articles in this category ('all' for every category)
+ * @param {string} filters.source - Only articles from this source
+ * @param {string} filters.provider - Only articles from this provider
+ * @param {string} filters.from - Only articles published on or after this date
+ * @param {string} filters.to - Only articles published on or before this date
+ * @returns {Object} SQL conditions and their parameters
+ */
+const buildFilters = ({ category, source, provider, from, to } = {}) => {
+  const conditions = [];
+  const params = [];
+  
+  if (category && category.toLowerCase() !== 'all') {
+    conditions.push('a.category_id = ?');
+    params.push(normalizeCategory(category));
+  }
+  
+  if (source) {
+    conditions.push('s.name = ? COLLATE NOCASE');
+    params.push(source);
+  }
+  
+  if (provider) {
+    conditions.push('a.provider = ?');
+    params.push(provider);
+  }
+  
+  const fromDate = parseDateFilter(from);
+  if (fromDate) {
+    conditions.push('a.undated = 0 AND a.published_at >= ?');
+    params.push(fromDate);
+  }
+  
+  const toDate = parseDateFilter(to, true);
+  if (toDate) {
+    conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(to) ? 'a.undated = 0 AND a.published_at < ?' : 'a.undated = 0 AND a.published_at <= ?');
+    params.push(toDate);
+  }
+  
+  return { conditions, params };
+};
+
+/**
+ * Clamp paging options to sane values
+ * @param {number} limit - Requested page size
+ * @param {number} offset - Requested offset
+ * @returns {Object} Page size and offset
+ */
+const getPaging = (limit, offset) => ({
+  pageSize: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+  skip: Math.max(parseInt(offset, 10) || 0, 0)
+});
+
+/**
+ * Query stored articles, newest first
+ * @param {Object} options - Query options; accepts the filters of buildFilters
+ * @param {number} options.limit - Page size (default: 20, max: 100)
+ * @param {number} options.offset - Number of articles to skip
+ * @returns {Promise<Object>} Page of articles and the total number of matches
+ */
+const queryArticles = async ({ limit = DEFAULT_LIMIT, offset = 0, ...filters } = {}) => {
+  const { conditions, params } = buildFilters(filters);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { pageSize, skip } = getPaging(limit, offset);
+  
+  const [rows, countRow] = await Promise.all([
+    all(`
+      SELECT ${ARTICLE_COLUMNS}
+      FROM articles a LEFT JOIN sources s ON s.id = a.source_id
+      ${where}
+      ORDER BY a.undated, a.published_at DESC, a.fetched_at DESC
+      LIMIT ? OFFSET ?
+    `, [...params, pageSize, skip]),
+    get(`SELECT COUNT(*) AS total FROM articles a LEFT JOIN sources s ON s.id = a.source_id ${where}`, params)
+  ]);
+  
+  return {
+    articles: rows.map(rowToArticle),
+    total: countRow.total
+  };
+};
+
+/**
+ * Turn free text into an FTS5 query: every word must match, as a prefix
+ * Quoting each word keeps FTS5 operators and punctuation in user input from being interpreted
+ * @param {string} text - Search text
+ * @returns {string|null} FTS5 MATCH expression or null if there are no words
+ */
+const buildMatchQuery = (text = '') => {
+  const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+  return words.length > 0 ? words.map(word => `"${word}"*`).join(' ') : null;
+};
+
+/**
+ * Full-text search over article titles, summaries and content (including trending perspectives)
+ * and cached AI analyses, best matches first
+ * @param {string} text - Search text
+ * @param {Object} options - Query options; accepts the filters of buildFilters
+ * @param {number} options.limit - Page size (default: 20, max: 100)
+ * @param {number} options.offset - Number of articles to skip
+ * @returns {Promise<Object>} Page of matching articles and the total number of matches
+ */
+const searchArticles = async (text, { limit = DEFAULT_LIMIT, offset = 0, ...filters } = {}) => {
+  const match = buildMatchQuery(text);
+  
+  if (!match) {
+    return { articles: [], total: 0 };
+  }
+  
+  const { conditions, params } = buildFilters(filters);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { pageSize, skip } = getPaging(limit, offset);
+  
+  // bm25 scores are negative, lower is better; analysis matches count for half as much as article matches
+  const matches = `
+    WITH matches AS (
+      SELECT rowid AS article_rowid, bm25(articles_fts) AS score, 0 AS in_analysis
+      FROM articles_fts WHERE articles_fts MATCH ?
+      UNION ALL
+      SELECT a.rowid, bm25(analyses_fts) / 2, 1
+      FROM analyses_fts
+      JOIN analysis_cache c ON c.id = analyses_fts.rowid
+      JOIN articles a ON a.id = c.article_id
+      WHERE analyses_fts MATCH ?
+    ),
+    ranked AS (
+      SELECT article_rowid, MIN(score) AS score, MAX(in_analysis) AS in_analysis
+      FROM matches GROUP BY article_rowid
+    )
+  `;
+  
+  const [rows, countRow] = await Promise.all([
+    all(`
+      ${matches}
+      SELECT ${ARTICLE_COLUMNS}, r.in_analysis
+      FROM ranked r
+      JOIN articles a ON a.rowid = r.article_rowid
+      LEFT JOIN sources s ON s.id = a.source_id
+      ${where}
+      ORDER BY r.score, a.published_at DESC
+      LIMIT ? OFFSET ?
+    `, [match, match, ...params, pageSize, skip]),
+    get(`
+      ${matches}
+      SELECT COUNT(*) AS total
+      FROM ranked r
+      JOIN articles a ON a.rowid = r.article_rowid
+      LEFT JOIN sources s ON s.id = a.source_id
+      ${where}
+    `, [match, match, ...params])
+  ]);
+  
+  return {
+    articles: rows.map(row => ({ ...rowToArticle(row), matchedAnalysis: Boolean(row.in_analysis) })),
+    total: countRow.total
+  };
+};
+
+/**
+ * Get a stored article by ID, or by the ID of another copy of it (see upsertArticles)
+ * @param {string} id - Article ID
+ * @returns {Promise<Object|null>} Article, with its extracted body, or null if not stored
+ */
+const getArticleById = async (id) => {
+  const row = await get(`
+    SELECT ${ARTICLE_COLUMNS}, a.body, a.body_status, a.body_extracted_at
+    FROM articles a LEFT JOIN sources s ON s.id = a.source_id
+    WHERE a.id = COALESCE((SELECT article_id FROM article_aliases WHERE alias_id = ?), ?)
+  `, [String(id), String(id)]);
+  
+  return row ? rowToArticle(row) : null;
+};
+
+/**
+ * Store the result of extracting an article's full text
+ * The page's byline, publish time and lead image replace the feed's values, which are often missing or approximate
+ * @param {string} id - Article ID
+ * @param {Object|null} extracted - Extracted article, or null if extraction failed
+ * @returns {Promise<number>} Number of articles updated
+ */
+const saveArticleBody = (id, extracted) => {
+  const extractedAt = new Date().toISOString();
+  
+  if (!extracted) {
+    return run(`UPDATE articles SET body_status = 'failed', body_extracted_at = ? WHERE id = ?`, [extractedAt, String(id)]);
+  }
+  
+  return run(`
+    UPDATE articles SET
+      body = ?,
+      byline = ?,
+      author = COALESCE(author, ?),
+      published_at = COALESCE(?, published_at),
+      undated = CASE WHEN ? IS NULL THEN undated ELSE 0 END,
+      image_url = COALESCE(?, image_url),
+      body_status = 'ok',
+      body_extracted_at = ?
+    WHERE id = ?
+  `, [
+    extracted.body,
+    extracted.byline,
+    extracted.byline,
+    extracted.publishedAt,
+    extracted.publishedAt,
+    extracted.leadImageUrl,
+    extractedAt,
+    String(id)
+  ]);
+};
+
+/**
+ * Get when articles in a category were last fetched
+ * @param {string} category - Category ID ('all' for any category)
+ * @returns {Promise<string|null>} ISO timestamp or null if nothing is stored
+ */
+const getLastFetchedAt = async (category = 'all') => {
+  const row = category && category.toLowerCase() !== 'all'
+    ? await get('SELECT MAX(fetched_at) AS fetchedAt FROM articles WHERE category_id = ?', [normalizeCategory(category)])
+    : await get('SELECT MAX(fetched_at) AS fetchedAt FROM articles');
+  
+  return row ? row.fetchedAt : null;
+};
+
+/**
+ * List all categories
+ * @returns {Promise<Array>} Categories with their article counts
+ */
+const getCategories = () => {
+  return all(`
+    SELECT c.id, c.name, COUNT(a.id) AS articleCount
+    FROM categories c LEFT JOIN articles a ON a.category_id = c.id
+    GROUP BY c.id
+    ORDER BY c.name
+  `);
+};
+
+/**
+ * List all sources
+ * @returns {Promise<Array>} Sources with their article counts
+ */
+const getSources = () => {
+  return all(`
+    SELECT s.id, s.name, COUNT(a.id) AS articleCount
+    FROM sources s LEFT JOIN articles a ON a.source_id = s.id
+    GROUP BY s.id
+    ORDER BY s.name
+  `);
+};
+
+module.exports = {
+  upsertArticles,
+  queryArticles,
+  searchArticles,
+  getArticleById,
+  saveArticleBody,
+  getLastFetchedAt,
+  getCategories,
+  getSources
+};
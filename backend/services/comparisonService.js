@@ -0,0 +1,254 @@
+/**
+ * Comparison Service
+ * Aligns several models' structured analyses of one article claim by claim, flags claims that
+ * contradict each other or that only one model makes, and scores how far the models diverge overall
+ */
+const { coerceAnalysis, MAX_CLAIMS } = require('./analysisParser');
+const {
+  MATCH_THRESHOLD,
+  TOPIC_THRESHOLD,
+  splitSentences,
+  contentWords,
+  jaccard,
+  polarity
+} = require('../utils/textSimilarity');
+
+// How the models relate on one aligned claim
+const CLAIM_STATUSES = {
+  AGREED: 'agreed',
+  RELATED: 'related',
+  CONTRADICTED: 'contradicted',
+  UNIQUE: 'unique'
+};
+
+// Order claims are listed in, most divergent first
+const STATUS_ORDER = [CLAIM_STATUSES.CONTRADICTED, CLAIM_STATUSES.UNIQUE, CLAIM_STATUSES.RELATED, CLAIM_STATUSES.AGREED];
+
+// How much each status counts toward claim divergence
+const STATUS_DIVERGENCE = {
+  [CLAIM_STATUSES.AGREED]: 0,
+  [CLAIM_STATUSES.RELATED]: 0.25,
+  [CLAIM_STATUSES.UNIQUE]: 0.5,
+  [CLAIM_STATUSES.CONTRADICTED]: 1
+};
+
+// Distance between two stance positions; opposite stances are furthest apart
+const STANCE_DISTANCE = {
+  'supportive|critical': 1,
+  'supportive|mixed': 0.5,
+  'supportive|neutral': 0.5,
+  'critical|mixed': 0.5,
+  'critical|neutral': 0.5,
+  'mixed|neutral': 0.25
+};
+
+// How much each signal counts toward the overall divergence score
+const DIVERGENCE_WEIGHTS = {
+  claims: 0.4,
+  sentiment: 0.25,
+  stance: 0.25,
+  confidence: 0.1
+};
+
+// Divergence scores at or above these are labelled moderate and high
+const MODERATE_DIVERGENCE = 0.3;
+const HIGH_DIVERGENCE = 0.6;
+
+// Words that flip the meaning of an otherwise matching claim
+const NEGATION_PATTERN = /\b(not|no|never|unlikely|without|neither|nor|cannot|can't|won't|isn't|aren't|doesn't|don't)\b/i;
+
+/**
+ * Get the claims a model made: its key claims, or the first sentences of its summary for free-text analyses
+ * Capped like key claims, since alignment compares every claim with every other
+ * @param {Object} analysis - Structured analysis
+ * @returns {Array<string>} Claims
+ */
+const getClaims = (analysis) => {
+  return analysis.keyClaims.length > 0 ? analysis.keyClaims : splitSentences(analysis.summary).slice(0, MAX_CLAIMS);
+};
+
+/**
+ * Check whether two claims about the same point contradict each other
+ * @param {Object} claim1 - Claim with words, polarity and negated
+ * @param {Object} claim2 - Claim with words, polarity and negated
+ * @returns {boolean} True for opposite tone, or the same point with one side negated
+ */
+const contradicts = (claim1, claim2) => {
+  return claim1.polarity * claim2.polarity < 0
+    || (claim1.negated !== claim2.negated && jaccard(claim1.words, claim2.words) >= MATCH_THRESHOLD);
+};
+
+/**
+ * Decide how the models relate on a group of aligned claims
+ * @param {Array<Object>} claims - Claims in the group, at most one per model
+ * @returns {string} Claim status
+ */
+const getGroupStatus = (claims) => {
+  if (claims.length === 1) {
+    return CLAIM_STATUSES.UNIQUE;
+  }
+  
+  const pairs = claims.flatMap((claim, index) => claims.slice(index + 1).map(other => [claim, other]));
+  
+  if (pairs.some(([claim, other]) => contradicts(claim, other))) {
+    return CLAIM_STATUSES.CONTRADICTED;
+  }
+  
+  return pairs.every(([claim, other]) => jaccard(claim.words, other.words) >= MATCH_THRESHOLD)
+    ? CLAIM_STATUSES.AGREED
+    : CLAIM_STATUSES.RELATED;
+};
+
+/**
+ * Align the models' claims so claims about the same point share a row
+ * Each claim joins the most similar existing group that doesn't have a claim from its model yet
+ * @param {Object} article - News article object
+ * @param {Object} analyses - Structured analyses keyed by model ID
+ * @returns {Array<Object>} Aligned claims with topic, status and each model's claim text
+ */
+const alignClaims = (article, analyses) => {
+  // Every model repeats the headline, so its words say nothing about agreement
+  const titleWords = contentWords(article?.title || '');
+  const groups = [];
+  
+  Object.entries(analyses).forEach(([modelId, analysis]) => {
+    getClaims(analysis).forEach(text => {
+      const claim = {
+        modelId,
+        text,
+        words: contentWords(text, titleWords),
+        polarity: polarity(text),
+        negated: NEGATION_PATTERN.test(text)
+      };
+      
+      let bestGroup = null;
+      let bestSimilarity = TOPIC_THRESHOLD;
+      
+      groups
+        .filter(group => !group.some(other => other.modelId === modelId))
+        .forEach(group => {
+          const similarity = Math.max(...group.map(other => jaccard(claim.words, other.words)));
+          
+          if (similarity >= bestSimilarity) {
+            bestGroup = group;
+            bestSimilarity = similarity;
+          }
+        });
+      
+      if (bestGroup) {
+        bestGroup.push(claim);
+      } else {
+        groups.push([claim]);
+      }
+    });
+  });
+  
+  return groups
+    .map(group => {
+      const sharedWords = [...group[0].words].filter(word => group.every(claim => claim.words.has(word)));
+      
+      return {
+        topic: (group.length > 1 ? sharedWords : [...group[0].words]).slice(0, 3).join(', '),
+        status: getGroupStatus(group),
+        claims: Object.fromEntries(group.map(claim => [claim.modelId, claim.text]))
+      };
+    })
+    .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+      || Object.keys(b.claims).length - Object.keys(a.claims).length);
+};
+
+/**
+ * Get the distance between two stance positions
+ * @param {string} a - Stance position
+ * @param {string} b - Stance position
+ * @returns {number} Distance from 0 (same stance) to 1 (opposite stances)
+ */
+const getStanceDistance = (a, b) => {
+  return a === b ? 0 : STANCE_DISTANCE[`${a}|${b}`] ?? STANCE_DISTANCE[`${b}|${a}`];
+};
+
+/**
+ * Average a distance over every pair of values
+ * @param {Array} values - Values to compare
+ * @param {Function} distance - Distance between two values, from 0 to 1
+ * @returns {number|null} Average distance, or null with fewer than two values
+ */
+const averagePairDistance = (values, distance) => {
+  const pairs = values.flatMap((value, index) => values.slice(index + 1).map(other => distance(value, other)));
+  return pairs.length > 0 ? pairs.reduce((sum, value) => sum + value, 0) / pairs.length : null;
+};
+
+/**
+ * Score how far the models diverge on an article
+ * Combines contradicting and unique claims with the spread of sentiment, stance and confidence;
+ * signals that fewer than two models provided are left out
+ * @param {Object} analyses - Structured analyses keyed by model ID
+ * @param {Array<Object>} claims - Aligned claims
+ * @returns {Object} Overall score from 0 (agree) to 1 (diverge), its level, and each signal's score
+ */
+const scoreDivergence = (analyses, claims) => {
+  const values = Object.values(analyses);
+  const sentiments = values.filter(analysis => analysis.sentiment).map(analysis => analysis.sentiment.score);
+  const positions = values.filter(analysis => analysis.stance).map(analysis => analysis.stance.position);
+  const confidences = values.map(analysis => analysis.confidence).filter(confidence => confidence !== null);
+  
+  const components = {
+    claims: claims.length > 0
+      ? claims.reduce((sum, claim) => sum + STATUS_DIVERGENCE[claim.status], 0) / claims.length
+      : null,
+    sentiment: averagePairDistance(sentiments, (a, b) => Math.abs(a - b) / 2),
+    stance: averagePairDistance(positions, getStanceDistance),
+    confidence: averagePairDistance(confidences, (a, b) => Math.abs(a - b))
+  };
+  
+  const scored = Object.entries(components).filter(([, value]) => value !== null);
+  const totalWeight = scored.reduce((sum, [name]) => sum + DIVERGENCE_WEIGHTS[name], 0);
+  const score = totalWeight > 0
+    ? scored.reduce((sum, [name, value]) => sum + value * DIVERGENCE_WEIGHTS[name], 0) / totalWeight
+    : 0;
+  
+  const round = value => (value === null ? null : Math.round(value * 100) / 100);
+  
+  return {
+    score: round(score),
+    level: score >= HIGH_DIVERGENCE ? 'high' : score >= MODERATE_DIVERGENCE ? 'moderate' : 'low',
+    components: Object.fromEntries(Object.entries(components).map(([name, value]) => [name, round(value)]))
+  };
+};
+
+/**
+ * Compare several models' analyses of one article
+ * @param {Object} article - News article object
+ * @param {Object} analyses - Structured analyses (or analysis text) keyed by model ID
+ * @returns {Object} Compared models, aligned claims, counts per claim status and the divergence score
+ * @throws {Error} If fewer than two analyses are usable
+ */
+const compareAnalyses = (article, analyses) => {
+  const usable = Object.fromEntries(
+    Object.entries(analyses)
+      .map(([modelId, analysis]) => [modelId, coerceAnalysis(analysis)])
+      .filter(([, analysis]) => analysis)
+  );
+  
+  if (Object.keys(usable).length < 2) {
+    const error = new Error('At least two usable analyses are needed for a comparison.');
+    error.code = 'NOT_ENOUGH_ANALYSES';
+    throw error;
+  }
+  
+  const claims = alignClaims(article, usable);
+  
+  return {
+    models: Object.keys(usable),
+    claims,
+    counts: Object.fromEntries(
+      Object.values(CLAIM_STATUSES).map(status => [status, claims.filter(claim => claim.status === status).length])
+    ),
+    divergence: scoreDivergence(usable, claims)
+  };
+};
+
+module.exports = {
+  CLAIM_STATUSES,
+  compareAnalyses
+};
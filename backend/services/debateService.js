@@ -0,0 +1,209 @@
+/**
+ * Debate Service
+ * Orchestrates multi-round debates where AI models respond to each other's arguments
+ */
+const { formatArticle, generateText, getAnalysis } = require('./aiService');
+const { getProvider } = require('./aiProviders');
+
+// Limits on debate length to keep provider costs bounded
+const DEFAULT_ROUNDS = 2;
+const MAX_ROUNDS = 4;
+
+// Stances used to open deterministic mock rebuttals
+const MOCK_STANCES = [
+  'I agree with part of this, but',
+  'I see it differently:',
+  'That is a fair point, although',
+  'I would push back here, because'
+];
+
+/**
+ * Split text into sentences
+ * @param {string} text - Source text
+ * @returns {Array<string>} Sentences in order
+ */
+const splitSentences = (text = '') => {
+  return (text.match(/[^.!?]+[.!?]+/g) || [text])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Lowercase the first character of a sentence so it can be embedded mid-sentence
+ * @param {string} text - Sentence text
+ * @returns {string} Sentence with a lowercase first character
+ */
+const lowerFirst = (text = '') => text.charAt(0).toLowerCase() + text.slice(1);
+
+/**
+ * Format previous debate turns as a transcript for a prompt
+ * @param {Array} turns - Debate turns with modelId and message
+ * @returns {string} Transcript text
+ */
+const formatTurns = (turns) => {
+  return turns
+    .map(turn => `[${getProvider(turn.modelId).name}]: ${turn.message}`)
+    .join('\n\n');
+};
+
+/**
+ * Build the prompt for a rebuttal turn
+ * @param {Object} article - News article object
+ * @param {Object} provider - Provider definition of the speaking model
+ * @param {Array} otherTurns - Previous turns by the other participants
+ * @returns {Object} Prompt with system and user parts
+ */
+const buildRebuttalPrompt = (article, provider, otherTurns) => ({
+  system: `You are ${provider.name}, taking part in a moderated debate with other AI models about a news article. Respond directly to the other participants by name: say where you agree, where you disagree and why, and add anything important they missed. Keep your reply to one or two paragraphs.`,
+  user: `${formatArticle(article)}\n\nWhat the other participants have said so far:\n\n${formatTurns(otherTurns)}\n\nWrite your rebuttal.`
+});
+
+/**
+ * Build the prompt for the moderator's closing synthesis
+ * @param {Object} article - News article object
+ * @param {Array} turns - Every turn in the debate
+ * @returns {Object} Prompt with system and user parts
+ */
+const buildSynthesisPrompt = (article, turns) => ({
+  system: 'You are the moderator of a debate between AI models about a news article. Summarize the debate in one or two paragraphs: where the participants agree, where they still disagree, and which questions remain open. Do not take sides.',
+  user: `${formatArticle(article)}\n\nDebate transcript:\n\n${formatTurns(turns)}\n\nWrite the closing synthesis.`
+});
+
+/**
+ * Build a rebuttal from the other participants' opening statements when the model has no API configured
+ * @param {number} speakerIndex - Position of the speaking model among the participants
+ * @param {Array} otherOpenings - Opening turns by the other participants
+ * @param {Object} ownOpening - Opening turn by the speaking model
+ * @param {number} round - Current round number
+ * @returns {string} Mock rebuttal text
+ */
+const mockRebuttal = (speakerIndex, otherOpenings, ownOpening, round) => {
+  // Rotate which participant, which of their points and which stance is used so rounds differ
+  const rotation = speakerIndex + round;
+  const target = otherOpenings[rotation % otherOpenings.length];
+  const targetPoints = splitSentences(target.message);
+  const ownPoints = splitSentences(ownOpening.message);
+  const stance = MOCK_STANCES[rotation % MOCK_STANCES.length];
+  
+  return `${getProvider(target.modelId).name} argues that "${targetPoints[(round - 2) % targetPoints.length]}" ${stance} the article leaves the practical consequences less settled than that suggests. My position remains that ${lowerFirst(ownPoints[(round - 2) % ownPoints.length])}`;
+};
+
+/**
+ * Build a synthesis from the participants' opening statements when the moderator has no API configured
+ * @param {Array} openingTurns - Opening turns by every participant
+ * @param {number} turnCount - Total number of turns in the debate
+ * @returns {string} Mock synthesis text
+ */
+const mockSynthesis = (openingTurns, turnCount) => {
+  const summary = openingTurns
+    .map(turn => `${getProvider(turn.modelId).name} opened with "${splitSentences(turn.message)[0]}"`)
+    .join('; ');
+  
+  return `Over ${turnCount} turns, the participants set out their positions: ${summary}. They broadly agree the story is significant, but differ on how its implications should be weighed.`;
+};
+
+/**
+ * Generate text from a model, using a fallback when the model has no API or the call fails
+ * @param {string} modelId - AI model ID
+ * @param {Object} prompt - Prompt with system and user parts
+ * @param {Function} fallback - Produces fallback text
+ * @param {Object} options - Options passed on to generateText, such as userId
+ * @returns {Promise<string>} Generated text
+ */
+const generateWithFallback = async (modelId, prompt, fallback, options = {}) => {
+  try {
+    const text = await generateText(modelId, prompt, { ...options, purpose: 'debate' });
+    
+    if (text) {
+      return text;
+    }
+  } catch (error) {
+    console.error(`Error getting debate turn from ${modelId}:`, error.response?.data || error.message);
+  }
+  
+  return fallback();
+};
+
+/**
+ * Run a multi-round debate about a news article
+ * Round 1 is each model's opening analysis (its summary, with the structured analysis attached); later rounds are rebuttals to the other models' previous turns
+ * @param {Object} options - Debate options
+ * @param {Object} options.article - News article object
+ * @param {Array<string>} options.aiModels - Participating AI model IDs (duplicates are ignored; at least two must remain)
+ * @param {number} options.rounds - Number of rounds including the opening (default: 2, max: 4)
+ * @param {string} options.moderator - AI model ID that writes the closing synthesis (default: first participant)
+ * @param {string} options.template - Analysis template for the opening statements (default: neutral)
+ * @param {number} options.userId - ID of the signed-in user running the debate, for usage reports
+ * @returns {Promise<Object>} Structured debate transcript
+ */
+const runDebate = async ({ article, aiModels, rounds = DEFAULT_ROUNDS, moderator, template, userId }) => {
+  const participants = [...new Set(aiModels)];
+  
+  if (participants.length < 2) {
+    throw new Error('A debate needs at least two different AI models');
+  }
+  
+  const roundCount = Math.min(Math.max(parseInt(rounds, 10) || DEFAULT_ROUNDS, 1), MAX_ROUNDS);
+  const moderatorId = moderator || participants[0];
+  const transcript = [];
+  
+  // Opening statements
+  const openingTurns = await Promise.all(participants.map(async (modelId) => {
+    const analysis = await getAnalysis(modelId, article, { template, userId, purpose: 'debate' });
+    return { modelId, message: analysis.summary, analysis };
+  }));
+  
+  transcript.push({ round: 1, type: 'opening', turns: openingTurns });
+  
+  // Rebuttal rounds: every model answers the others' turns from all previous rounds
+  for (let round = 2; round <= roundCount; round++) {
+    const previousTurns = transcript.flatMap(entry => entry.turns);
+    
+    const turns = await Promise.all(participants.map(async (modelId, index) => {
+      const provider = getProvider(modelId);
+      const otherTurns = previousTurns.filter(turn => turn.modelId !== modelId);
+      
+      const message = await generateWithFallback(
+        modelId,
+        buildRebuttalPrompt(article, provider, otherTurns),
+        () => mockRebuttal(
+          index,
+          openingTurns.filter(turn => turn.modelId !== modelId),
+          openingTurns[index],
+          round
+        ),
+        { userId }
+      );
+      
+      return { modelId, message };
+    }));
+    
+    transcript.push({ round, type: 'rebuttal', turns });
+  }
+  
+  // Closing synthesis from the moderator
+  const allTurns = transcript.flatMap(entry => entry.turns);
+  const synthesis = await generateWithFallback(
+    moderatorId,
+    buildSynthesisPrompt(article, allTurns),
+    () => mockSynthesis(openingTurns, allTurns.length),
+    { userId }
+  );
+  
+  return {
+    articleId: article.id || null,
+    participants,
+    template: template || null,
+    rounds: transcript,
+    synthesis: {
+      modelId: moderatorId,
+      message: synthesis
+    },
+    createdAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  runDebate,
+  MAX_ROUNDS
+};
@@ -0,0 +1,283 @@
+/**
+ * Feed Service
+ * Builds the personalized "For You" feed: the latest articles, ranked for a user from their preferred
+ * categories and sources, what they have read and saved recently, and how new each article is.
+ * Every article carries the reasons behind its score, so the feed can explain itself.
+ */
+const db = require('../utils/database');
+const { getLatestNews } = require('./newsService');
+
+// Points each signal adds at full strength. Read and saved signals are scaled by the share of the
+// user's reads or saves in that category or source; recency decays with the article's age
+const SIGNAL_WEIGHTS = {
+  preferredCategory: 3,
+  preferredSource: 2,
+  readCategory: 3,
+  readSource: 2,
+  savedCategory: 2,
+  savedSource: 1.5,
+  recency: 2
+};
+
+// Recency points halve every this many hours
+const RECENCY_HALF_LIFE_HOURS = 24;
+
+// Reading history older than this doesn't count towards the user's interests
+const HISTORY_WINDOW_DAYS = 30;
+
+// Articles the user has already read or saved keep this fraction of their score
+const SEEN_SCORE_FACTOR = 0.25;
+
+// Latest articles considered for the feed, and the feed's page sizes
+const CANDIDATE_LIMIT = 100;
+const DEFAULT_LIMIT = 20;
+
+// Promise wrappers around the callback-based sqlite3 API
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+/**
+ * Parse a JSON column, treating bad data as missing
+ * @param {string} value - Column value
+ * @returns {*} Parsed value, or null
+ */
+const parseJsonColumn = (value) => {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Normalize a category or source name for matching
+ * @param {string} value - Category or source name
+ * @returns {string} Lowercased, trimmed name
+ */
+const normalizeKey = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Format a category ID for display
+ * @param {string} category - Category ID
+ * @returns {string} Capitalized category
+ */
+const formatCategory = (category) => category.charAt(0).toUpperCase() + category.slice(1);
+
+/**
+ * Pluralize "article"
+ * @param {number} count - Number of articles
+ * @returns {string} e.g. "1 article" or "3 articles"
+ */
+const countArticles = (count) => `${count} article${count === 1 ? '' : 's'}`;
+
+/**
+ * Count values and how many there were in total
+ * @param {Array<Object>} rows - Rows with a count
+ * @param {string} field - Field to count by
+ * @returns {Object} Counts by normalized value and the total count
+ */
+const tally = (rows, field) => {
+  const counts = new Map();
+  let total = 0;
+  
+  rows.forEach(row => {
+    const key = normalizeKey(row[field]);
+    if (!key) return;
+    
+    counts.set(key, (counts.get(key) || 0) + row.count);
+    total += row.count;
+  });
+  
+  return { counts, total };
+};
+
+/**
+ * Describe how long ago an article was published
+ * @param {number} ageHours - Age in hours
+ * @returns {string} e.g. "Published 3 hours ago"
+ */
+const describeAge = (ageHours) => {
+  if (ageHours < 1) return 'Published within the last hour';
+  if (ageHours < 48) return `Published ${Math.round(ageHours)} hour${Math.round(ageHours) === 1 ? '' : 's'} ago`;
+  return `Published ${Math.round(ageHours / 24)} days ago`;
+};
+
+/**
+ * Load what the feed knows about a user's interests
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Preferred categories and sources, recent reads and saves by category and
+ *   source, and the IDs of articles the user has read or saved
+ */
+const getUserSignals = async (userId) => {
+  const [preferences, readRows, savedRows, readIds] = await Promise.all([
+    get('SELECT preferred_categories, preferred_sources FROM user_preferences WHERE user_id = ?', [userId]),
+    all(
+      `SELECT COALESCE(h.category, a.category_id) AS category, COALESCE(h.source, s.name) AS source, COUNT(*) AS count
+       FROM reading_history h
+       LEFT JOIN articles a ON a.id = h.article_id
+       LEFT JOIN sources s ON s.id = a.source_id
+       WHERE h.user_id = ? AND h.read_at >= datetime('now', ?)
+       GROUP BY 1, 2`,
+      [userId, `-${HISTORY_WINDOW_DAYS} days`]
+    ),
+    all('SELECT article_id, article_snapshot FROM saved_articles WHERE user_id = ?', [userId]),
+    all('SELECT DISTINCT article_id FROM reading_history WHERE user_id = ?', [userId])
+  ]);
+  
+  // History entries and saved articles keep the article's category and source, so they count even when
+  // the article has left the store
+  const saved = savedRows.map(row => ({ ...parseJsonColumn(row.article_snapshot), count: 1 }));
+  
+  return {
+    preferredCategories: new Set((parseJsonColumn(preferences?.preferred_categories) || []).map(normalizeKey)),
+    preferredSources: new Set((parseJsonColumn(preferences?.preferred_sources) || []).map(normalizeKey)),
+    readCategories: tally(readRows, 'category'),
+    readSources: tally(readRows, 'source'),
+    savedCategories: tally(saved, 'category'),
+    savedSources: tally(saved, 'source'),
+    readIds: new Set(readIds.map(row => row.article_id)),
+    savedIds: new Set(savedRows.map(row => row.article_id))
+  };
+};
+
+/**
+ * Get when an article was published
+ * @param {Object} article - News article
+ * @returns {number|null} Timestamp in milliseconds, or null if unknown
+ */
+const getPublishedTime = (article) => {
+  const time = Date.parse(article.publishedAt || article.date);
+  return isNaN(time) ? null : time;
+};
+
+/**
+ * Score an article for a user
+ * @param {Object} article - News article
+ * @param {Object} signals - User signals from getUserSignals
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Score and the reasons behind it, largest first
+ */
+const scoreArticle = (article, signals, now) => {
+  const category = normalizeKey(article.category);
+  const source = normalizeKey(article.source);
+  const categoryLabel = category ? formatCategory(category) : '';
+  const reasons = [];
+  
+  const addReason = (signal, points, detail) => {
+    if (points > 0) {
+      reasons.push({ signal, points, detail });
+    }
+  };
+  
+  const addShareReason = (signal, key, { counts, total }, describe) => {
+    const count = counts.get(key);
+    if (count) {
+      addReason(signal, SIGNAL_WEIGHTS[signal] * count / total, describe(count));
+    }
+  };
+  
+  if (category && signals.preferredCategories.has(category)) {
+    addReason('preferredCategory', SIGNAL_WEIGHTS.preferredCategory, `You follow ${categoryLabel}`);
+  }
+  
+  if (source && signals.preferredSources.has(source)) {
+    addReason('preferredSource', SIGNAL_WEIGHTS.preferredSource, `You follow ${article.source}`);
+  }
+  
+  addShareReason('readCategory', category, signals.readCategories,
+    count => `You've read ${countArticles(count)} in ${categoryLabel} in the last ${HISTORY_WINDOW_DAYS} days`);
+  addShareReason('readSource', source, signals.readSources,
+    count => `You've read ${countArticles(count)} from ${article.source} in the last ${HISTORY_WINDOW_DAYS} days`);
+  addShareReason('savedCategory', category, signals.savedCategories,
+    count => `You've saved ${countArticles(count)} in ${categoryLabel}`);
+  addShareReason('savedSource', source, signals.savedSources,
+    count => `You've saved ${countArticles(count)} from ${article.source}`);
+  
+  const publishedTime = getPublishedTime(article);
+  
+  if (publishedTime !== null) {
+    const ageHours = Math.max(now - publishedTime, 0) / (60 * 60 * 1000);
+    addReason('recency', SIGNAL_WEIGHTS.recency * Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS), describeAge(ageHours));
+  }
+  
+  let score = reasons.reduce((sum, reason) => sum + reason.points, 0);
+  
+  // Keep already-seen articles in the feed, but below the ones the user hasn't seen
+  const seen = signals.savedIds.has(article.id) ? 'saved' : signals.readIds.has(article.id) ? 'read' : null;
+  
+  if (seen) {
+    const penalty = score * (1 - SEEN_SCORE_FACTOR);
+    reasons.push({ signal: seen, points: -penalty, detail: `You've already ${seen} this` });
+    score -= penalty;
+  }
+  
+  reasons.sort((a, b) => b.points - a.points);
+  
+  return {
+    score: Math.round(score * 100) / 100,
+    reasons: reasons.map(reason => ({ ...reason, points: Math.round(reason.points * 100) / 100 }))
+  };
+};
+
+/**
+ * Summarize the reasons behind an article's place in the feed in one line
+ * @param {Array<Object>} reasons - Reasons from scoreArticle, largest first
+ * @returns {string} Explanation, e.g. "You follow Technology · Published 2 hours ago"
+ */
+const explainScore = (reasons) => {
+  const interests = reasons.filter(reason => reason.points > 0 && reason.signal !== 'recency').slice(0, 2);
+  const recency = reasons.find(reason => reason.signal === 'recency');
+  const seen = reasons.find(reason => reason.points < 0);
+  
+  const parts = interests.length > 0
+    ? interests.map(reason => reason.detail)
+    : ['Latest news', ...(recency ? [recency.detail] : [])];
+  
+  return [...parts, ...(seen ? [seen.detail] : [])].join(' · ');
+};
+
+/**
+ * Get a page of the user's personalized feed, best matches first
+ * @param {number} userId - User ID
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Page size (default: 20, max: 100)
+ * @param {number} options.offset - Number of articles to skip
+ * @returns {Promise<Object>} Page of articles, each with a score, an explanation and its reasons, and the total
+ */
+const getForYouFeed = async (userId, { limit = DEFAULT_LIMIT, offset = 0 } = {}) => {
+  const [{ articles }, signals] = await Promise.all([
+    getLatestNews({ limit: CANDIDATE_LIMIT }),
+    getUserSignals(userId)
+  ]);
+  
+  const now = Date.now();
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), CANDIDATE_LIMIT);
+  const skip = Math.max(parseInt(offset, 10) || 0, 0);
+  
+  const ranked = articles
+    .map(article => {
+      const { score, reasons } = scoreArticle(article, signals, now);
+      return { ...article, score, explanation: explainScore(reasons), reasons };
+    })
+    .sort((a, b) => b.score - a.score || (getPublishedTime(b) || 0) - (getPublishedTime(a) || 0));
+  
+  return {
+    articles: ranked.slice(skip, skip + pageSize),
+    total: ranked.length
+  };
+};
+
+module.exports = {
+  getForYouFeed
+};
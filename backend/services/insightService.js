@@ -0,0 +1,195 @@
+/**
+ * Insight Service
+ * Compares per-model analyses of an article to find agreements, disagreements and unique claims
+ */
+const { formatArticle, generateText } = require('./aiService');
+const { providers, getProvider, isConfigured } = require('./aiProviders');
+const { analysisToText } = require('./analysisParser');
+const {
+  MATCH_THRESHOLD,
+  TOPIC_THRESHOLD,
+  splitSentences,
+  contentWords,
+  jaccard,
+  polarity
+} = require('../utils/textSimilarity');
+
+// Limits on how much the heuristic extractor reports
+const MAX_AGREEMENTS = 4;
+const MAX_DISAGREEMENTS = 3;
+const MAX_UNIQUE_CLAIMS = 2;
+
+/**
+ * Extract insights with word-overlap heuristics, used when no LLM is configured
+ * @param {Object} article - News article object
+ * @param {Object} analyses - Analysis text keyed by model ID
+ * @returns {Object} Agreements, disagreements and unique claims
+ */
+const extractInsightsHeuristically = (article, analyses) => {
+  // Every model repeats the headline, so its words say nothing about agreement
+  const titleWords = contentWords(article.title || '');
+  
+  const sentences = Object.entries(analyses).flatMap(([modelId, text]) =>
+    splitSentences(text).map(sentence => ({
+      modelId,
+      sentence,
+      words: contentWords(sentence, titleWords),
+      polarity: polarity(sentence)
+    }))
+  );
+  
+  const agreements = [];
+  const disagreements = [];
+  const uniqueClaims = {};
+  const usedInAgreement = new Set();
+  
+  sentences.forEach((current, index) => {
+    const others = sentences.filter(other => other.modelId !== current.modelId);
+    const matches = others.filter(other => jaccard(current.words, other.words) >= MATCH_THRESHOLD);
+    
+    // A point made by several models counts once, under the first model that made it
+    if (matches.length > 0 && !usedInAgreement.has(index)) {
+      const models = [...new Set([current.modelId, ...matches.map(match => match.modelId)])];
+      
+      agreements.push({ point: current.sentence, models });
+      usedInAgreement.add(index);
+      matches.forEach(match => usedInAgreement.add(sentences.indexOf(match)));
+    }
+    
+    // Same topic, opposite tone
+    const opposing = others.find(other => {
+      const similarity = jaccard(current.words, other.words);
+      return similarity >= TOPIC_THRESHOLD && current.polarity * other.polarity < 0;
+    });
+    
+    if (opposing && !disagreements.some(d => d.positions.some(p => p.claim === current.sentence || p.claim === opposing.sentence))) {
+      const sharedWords = [...current.words].filter(word => opposing.words.has(word));
+      
+      disagreements.push({
+        topic: sharedWords.slice(0, 3).join(', '),
+        positions: [
+          { modelId: current.modelId, claim: current.sentence },
+          { modelId: opposing.modelId, claim: opposing.sentence }
+        ]
+      });
+    }
+    
+    // Claims no other model comes close to
+    const bestMatch = Math.max(0, ...others.map(other => jaccard(current.words, other.words)));
+    
+    if (bestMatch < TOPIC_THRESHOLD) {
+      uniqueClaims[current.modelId] = uniqueClaims[current.modelId] || [];
+      uniqueClaims[current.modelId].push(current.sentence);
+    }
+  });
+  
+  // Prefer the longest, most specific unique claims
+  Object.keys(uniqueClaims).forEach(modelId => {
+    uniqueClaims[modelId] = uniqueClaims[modelId]
+      .sort((a, b) => b.length - a.length)
+      .slice(0, MAX_UNIQUE_CLAIMS);
+  });
+  
+  return {
+    agreements: agreements
+      .sort((a, b) => b.models.length - a.models.length)
+      .slice(0, MAX_AGREEMENTS),
+    disagreements: disagreements.slice(0, MAX_DISAGREEMENTS),
+    uniqueClaims
+  };
+};
+
+/**
+ * Build the prompt asking an LLM to compare analyses
+ * @param {Object} article - News article object
+ * @param {Object} analyses - Analysis text keyed by model ID
+ * @returns {Object} Prompt with system and user parts
+ */
+const buildInsightPrompt = (article, analyses) => ({
+  system: 'You compare analyses of the same news article written by different AI models. Reply with JSON only, no prose, in this exact shape: {"agreements":[{"point":"...","models":["modelId"]}],"disagreements":[{"topic":"...","positions":[{"modelId":"...","claim":"..."}]}],"uniqueClaims":{"modelId":["..."]}}. Use the model IDs given in square brackets. Keep each point to one sentence.',
+  user: `${formatArticle(article)}\n\n${Object.entries(analyses).map(([modelId, text]) => `[${modelId}]\n${text}`).join('\n\n')}`
+});
+
+/**
+ * Parse and validate the insight JSON returned by an LLM
+ * @param {string} text - Raw model output
+ * @param {Array<string>} modelIds - Model IDs that contributed analyses
+ * @returns {Object|null} Insights, or null if the output is unusable
+ */
+const parseInsightResponse = (text, modelIds) => {
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  
+  if (!jsonMatch) {
+    return null;
+  }
+  
+  try {
+    const parsed = JSON.parse(jsonMatch[0]);
+    const knownModel = modelId => modelIds.includes(modelId);
+    
+    if (!Array.isArray(parsed.agreements) || !Array.isArray(parsed.disagreements)) {
+      return null;
+    }
+    
+    return {
+      agreements: parsed.agreements
+        .filter(item => item.point)
+        .map(item => ({ point: item.point, models: (item.models || []).filter(knownModel) })),
+      disagreements: parsed.disagreements
+        .filter(item => Array.isArray(item.positions))
+        .map(item => ({
+          topic: item.topic || '',
+          positions: item.positions.filter(position => knownModel(position.modelId) && position.claim)
+        })),
+      uniqueClaims: Object.fromEntries(
+        Object.entries(parsed.uniqueClaims || {}).filter(([modelId, claims]) => knownModel(modelId) && Array.isArray(claims))
+      )
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Extract key insights from several models' analyses of one article
+ * Uses the first configured LLM and falls back to heuristics when none is available or its output is unusable
+ * @param {Object} article - News article object
+ * @param {Object} analyses - Structured analyses or analysis text, keyed by model ID
+ * @param {Object} options - Extraction options
+ * @param {number} options.userId - ID of the signed-in user, for usage reports
+ * @returns {Promise<Object>} Agreements, disagreements, unique claims per model, and the method used
+ */
+const extractInsights = async (article, structuredAnalyses, options = {}) => {
+  const analyses = Object.fromEntries(
+    Object.entries(structuredAnalyses).map(([modelId, analysis]) => [modelId, analysisToText(analysis)])
+  );
+  const modelIds = Object.keys(analyses);
+  const preferredModel = getProvider(process.env.INSIGHTS_MODEL_ID);
+  const extractor = preferredModel && isConfigured(preferredModel)
+    ? preferredModel
+    : providers.find(provider => isConfigured(provider));
+  
+  if (extractor) {
+    try {
+      const text = await generateText(extractor.id, buildInsightPrompt(article, analyses), {
+        userId: options.userId,
+        purpose: 'insights'
+      });
+      const insights = text && parseInsightResponse(text, modelIds);
+      
+      if (insights) {
+        return { ...insights, method: 'llm', modelId: extractor.id };
+      }
+      
+      console.log(`Insight output from ${extractor.id} was not valid JSON, using heuristics`);
+    } catch (error) {
+      console.error(`Error extracting insights with ${extractor.id}:`, error.response?.data || error.message);
+    }
+  }
+  
+  return { ...extractInsightsHeuristically(article, analyses), method: 'heuristic', modelId: null };
+};
+
+module.exports = {
+  extractInsights
+};
@@ -0,0 +1,21 @@
+/**
+ * Console mail transport
+ * Prints each message to the server log, for local development
+ */
+module.exports = {
+  id: 'console',
+
+  send: async (message) => {
+    console.log([
+      '--- Mail ---',
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '------------'
+    ].join('\n'));
+
+    return { id: null };
+  }
+};
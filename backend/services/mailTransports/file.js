@@ -0,0 +1,36 @@
+/**
+ * File mail transport
+ * Writes each message as a .eml file to MAIL_DIR (default backend/data/mail), for local development
+ * and for checking sent mail in tests; any mail client can open the files
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MAIL_DIR = path.join(__dirname, '../../data/mail');
+
+module.exports = {
+  id: 'file',
+
+  send: async (message) => {
+    const mailDir = process.env.MAIL_DIR || DEFAULT_MAIL_DIR;
+    const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(mailDir, `${id}.eml`);
+
+    const eml = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text
+    ].join('\r\n');
+
+    await fs.promises.mkdir(mailDir, { recursive: true });
+    await fs.promises.writeFile(filePath, eml);
+
+    return { id, path: filePath };
+  }
+};
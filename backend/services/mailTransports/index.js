@@ -0,0 +1,40 @@
+/**
+ * Mail Transport Registry
+ * Loads every transport module in this directory, so sending mail through another service is a single file
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Load and validate all transport modules
+ * @returns {Array<Object>} Array of transport definitions
+ */
+const loadTransports = () => {
+  return fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .map(file => {
+      const transport = require(path.join(__dirname, file));
+
+      if (!transport.id || typeof transport.send !== 'function') {
+        throw new Error(`Mail transport module ${file} must declare an id and a send function`);
+      }
+
+      return transport;
+    });
+};
+
+const transports = loadTransports();
+
+/**
+ * Get a transport definition by ID
+ * @param {string} transportId - Transport ID
+ * @returns {Object|null} Transport definition or null if not registered
+ */
+const getTransport = (transportId) => {
+  return transports.find(transport => transport.id === transportId) || null;
+};
+
+module.exports = {
+  transports,
+  getTransport
+};
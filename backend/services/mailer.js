@@ -0,0 +1,99 @@
+/**
+ * Mailer
+ * Sends account emails through the transport named in MAIL_TRANSPORT (see services/mailTransports)
+ */
+const { getTransport, transports } = require('./mailTransports');
+
+// Defaults, overridable from the environment
+const DEFAULT_TRANSPORT = 'console';
+const DEFAULT_FROM = 'AI News Debate <no-reply@localhost>';
+const DEFAULT_APP_URL = 'http://localhost:3000';
+
+/**
+ * Get the address of the frontend, for links in emails
+ * @returns {string} App URL without a trailing slash
+ */
+const getAppUrl = () => {
+  return (process.env.APP_URL || DEFAULT_APP_URL).replace(/\/+$/, '');
+};
+
+/**
+ * Send an email
+ * @param {Object} message - Email to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<Object>} Transport result
+ * @throws {Error} If MAIL_TRANSPORT names an unknown transport, or the transport fails
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const transportId = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT;
+  const transport = getTransport(transportId);
+  
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT ${transportId}; use one of ${transports.map(t => t.id).join(', ')}`);
+  }
+  
+  return transport.send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text
+  });
+};
+
+/**
+ * Email a password reset link
+ * @param {Object} user - User with username and email
+ * @param {string} token - Password reset token
+ * @param {string} expiresIn - How long the link works, for the message
+ * @returns {Promise<Object>} Transport result
+ */
+const sendPasswordResetEmail = (user, token, expiresIn) => {
+  const link = `${getAppUrl()}/?resetToken=${encodeURIComponent(token)}`;
+  
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your AI News Debate account. To choose a new password, open:',
+      '',
+      link,
+      '',
+      `The link works once and expires in ${expiresIn}. If you didn't ask for this, you can ignore this email.`
+    ].join('\n')
+  });
+};
+
+/**
+ * Email a link that confirms the user owns their address
+ * @param {Object} user - User with username and email
+ * @param {string} token - Email verification token
+ * @param {string} expiresIn - How long the link works, for the message
+ * @returns {Promise<Object>} Transport result
+ */
+const sendVerificationEmail = (user, token, expiresIn) => {
+  const link = `${getAppUrl()}/?verifyToken=${encodeURIComponent(token)}`;
+  
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm your email address for your AI News Debate account by opening:',
+      '',
+      link,
+      '',
+      `The link expires in ${expiresIn}.`
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
@@ -4,16 +4,69 @@
  */
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { generateArticleId, normalizeText } = require('../utils/articleId');
+const { withHealthTracking } = require('./sourceHealth');
+const { getScrapeSources, scrapeSource } = require('./scrapeEngine');
 
 // News API sources configuration
 const NEWS_SOURCES = {
   NEWSAPI: 'newsapi',
   GNEWS: 'gnews',
   MEDIASTACK: 'mediastack',
+  RSS: 'rss',
   CURRENTS: 'currents',
   NEWSCATCHER: 'newscatcher'
 };
 
+// Share of title words two articles must have in common to count as the same story
+const TITLE_SIMILARITY_THRESHOLD = 0.75;
+
+// Default RSS/Atom feeds per category; override with RSS_FEEDS (same shape, as JSON)
+const DEFAULT_RSS_FEEDS = {
+  technology: [
+    { name: 'Ars Technica', url: 'https://feeds.arstechnica.com/arstechnica/index' },
+    { name: 'The Verge', url: 'https://www.theverge.com/rss/index.xml' }
+  ],
+  business: [
+    { name: 'CNBC', url: 'https://www.cnbc.com/id/10001147/device/rss/rss.html' }
+  ],
+  health: [
+    { name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/health/rss.xml' }
+  ],
+  politics: [
+    { name: 'NPR', url: 'https://feeds.npr.org/1014/rss.xml' }
+  ],
+  environment: [
+    { name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/science_and_environment/rss.xml' }
+  ],
+  general: [
+    { name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/rss.xml' },
+    { name: 'NPR', url: 'https://feeds.npr.org/1001/rss.xml' }
+  ]
+};
+
+/**
+ * Convert a provider's publish time to an article's display date and ISO timestamp
+ * @param {string|Date} value - Publish time
+ * @returns {Object} date (e.g. "January 14, 2025") and publishedAt, both null if the time is missing or invalid
+ */
+const toPublishedFields = (value) => {
+  const published = value ? new Date(value) : null;
+  
+  if (!published || isNaN(published)) {
+    return { date: null, publishedAt: null };
+  }
+  
+  return {
+    date: published.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    }),
+    publishedAt: published.toISOString()
+  };
+};
+
 /**
  * Fetch news from NewsAPI.org
  * @param {Object} options - Options for fetching news
@@ -47,18 +100,14 @@ const fetchFromNewsAPI = async (options = {}) => {
     }
     
     // Transform the API response to our standardized format
-    return response.data.articles.map((article, index) => ({
-      id: `newsapi-${Date.now()}-${index}`,
+    return response.data.articles.map(article => ({
+      id: generateArticleId({ url: article.url, title: article.title, source: article.source.name }),
       title: article.title,
       summary: article.description,
       content: article.content,
       source: article.source.name,
       author: article.author,
-      date: new Date(article.publishedAt).toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      }),
+      ...toPublishedFields(article.publishedAt),
       url: article.url,
       imageUrl: article.urlToImage,
       category: options.category || determineCategoryFromArticle(article),
@@ -108,18 +157,14 @@ const fetchFromGNews = async (options = {}) => {
     }
     
     // Transform the API response to our standardized format
-    return response.data.articles.map((article, index) => ({
-      id: `gnews-${Date.now()}-${index}`,
+    return response.data.articles.map(article => ({
+      id: generateArticleId({ url: article.url, title: article.title, source: article.source.name }),
       title: article.title,
       summary: article.description,
       content: article.content,
       source: article.source.name,
       author: null, // GNews doesn't provide author information
-      date: new Date(article.publishedAt).toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      }),
+      ...toPublishedFields(article.publishedAt),
       url: article.url,
       imageUrl: article.image,
       category: options.category || determineCategoryFromArticle(article),
@@ -166,18 +211,14 @@ const fetchFromMediaStack = async (options = {}) => {
     }
     
     // Transform the API response to our standardized format
-    return response.data.data.map((article, index) => ({
-      id: `mediastack-${Date.now()}-${index}`,
+    return response.data.data.map(article => ({
+      id: generateArticleId({ url: article.url, title: article.title, source: article.source }),
       title: article.title,
       summary: article.description,
       content: article.description, // MediaStack doesn't provide full content
       source: article.source,
       author: article.author,
-      date: new Date(article.published_at).toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      }),
+      ...toPublishedFields(article.published_at),
       url: article.url,
       imageUrl: article.image,
       category: article.category || options.category || 'general',
@@ -190,54 +231,251 @@ const fetchFromMediaStack = async (options = {}) => {
 };
 
 /**
- * Scrape news from a website using cheerio
- * @param {string} url - URL to scrape
- * @param {Object} selectors - CSS selectors for different elements
+ * Get the RSS/Atom feeds configured for a category
+ * @param {string} category - News category ('all' for every feed)
+ * @returns {Array<Object>} Feeds with name, url and category
+ */
+const getRssFeeds = (category = 'all') => {
+  let feeds = DEFAULT_RSS_FEEDS;
+  
+  if (process.env.RSS_FEEDS) {
+    try {
+      feeds = { ...DEFAULT_RSS_FEEDS, ...JSON.parse(process.env.RSS_FEEDS) };
+    } catch (error) {
+      console.error('Invalid RSS_FEEDS, using default feeds:', error.message);
+    }
+  }
+  
+  const categories = category && category !== 'all' ? [category] : Object.keys(feeds);
+  
+  return categories.flatMap(feedCategory => (feeds[feedCategory] || []).map(feed => ({
+    ...feed,
+    category: feedCategory
+  })));
+};
+
+/**
+ * Convert feed text that may contain HTML to plain text
+ * @param {string} html - Text or HTML
+ * @returns {string} Plain text
+ */
+const htmlToText = (html = '') => {
+  return cheerio.load(html).text().replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Parse an RSS 2.0 or Atom feed into articles
+ * Items without a date take the feed's own date, or have none so they sort after dated articles.
+ * Items whose link can't be resolved are skipped
+ * @param {string} xml - Feed XML
+ * @param {Object} feed - Feed configuration
+ * @param {string} feed.name - Source name (defaults to the feed's own title)
+ * @param {string} feed.url - Feed URL, used to resolve relative links
+ * @param {string} feed.category - Category of the feed's articles
+ * @returns {Array} Array of news articles
+ */
+const parseFeed = (xml, feed) => {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const isAtom = $('feed > entry').length > 0;
+  const items = isAtom ? $('feed > entry') : $('item');
+  const source = feed.name || htmlToText($(isAtom ? 'feed > title' : 'channel > title').first().text()) || new URL(feed.url).hostname;
+  const feedDate = new Date(isAtom
+    ? $('feed > updated').first().text().trim()
+    : $('channel > pubDate').first().text().trim() || $('channel > lastBuildDate').first().text().trim());
+  
+  return items.toArray().map(element => {
+    const $item = $(element);
+    const text = selector => $item.children(selector).first().text().trim();
+    
+    const title = htmlToText(text('title'));
+    const description = htmlToText(isAtom
+      ? text('summary') || text('content')
+      : text('description') || text('content\\:encoded'));
+    
+    const alternateLink = $item.children('link[rel="alternate"]').attr('href') || $item.children('link').attr('href');
+    const rawLink = isAtom ? alternateLink : text('link') || text('guid');
+    let link = null;
+    
+    try {
+      link = rawLink ? new URL(rawLink, feed.url).toString() : null;
+    } catch (error) {
+      return null;
+    }
+    
+    const published = new Date(isAtom
+      ? text('published') || text('updated')
+      : text('pubDate') || text('dc\\:date'));
+    const publishedAt = [published, feedDate].find(date => !isNaN(date)) || null;
+    
+    const author = isAtom
+      ? $item.find('author > name').first().text().trim()
+      : text('dc\\:creator') || text('author');
+    
+    const imageUrl = $item.children('enclosure[type^="image"]').attr('url')
+      || $item.children('link[rel="enclosure"][type^="image"]').attr('href')
+      || $item.find('media\\:content[medium="image"], media\\:content[type^="image"]').attr('url')
+      || $item.find('media\\:thumbnail').attr('url')
+      || null;
+    
+    return {
+      id: generateArticleId({ url: link, title, source }),
+      title,
+      summary: description,
+      content: description,
+      source,
+      author: author || null,
+      ...toPublishedFields(publishedAt),
+      url: link,
+      imageUrl,
+      category: feed.category === 'general' ? determineCategoryFromArticle({ title, description }) : feed.category,
+      provider: NEWS_SOURCES.RSS
+    };
+  }).filter(article => article && article.title && article.url);
+};
+
+/**
+ * Fetch news from the configured RSS/Atom feeds (no API key needed)
+ * @param {Object} options - Options for fetching news
+ * @param {string} options.category - News category
+ * @param {number} options.limit - Number of articles to fetch
+ * @param {Array<Object>} options.feeds - Feeds to read instead of the configured ones
+ * @returns {Promise<Array>} Array of news articles, newest first
+ */
+const fetchFromRSS = async (options = {}) => {
+  const feeds = options.feeds || getRssFeeds(options.category);
+  
+  if (feeds.length === 0) {
+    throw new Error(`No RSS feeds configured for category: ${options.category}`);
+  }
+  
+  const results = await Promise.allSettled(feeds.map(async feed => {
+    const response = await axios.get(feed.url, {
+      responseType: 'text',
+      timeout: 10000,
+      headers: {
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8'
+      }
+    });
+    
+    return parseFeed(response.data, feed);
+  }));
+  
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Error reading RSS feed ${feeds[index].url}:`, result.reason.message);
+    }
+  });
+  
+  const articles = results
+    .filter(result => result.status === 'fulfilled')
+    .flatMap(result => result.value);
+  
+  if (articles.length === 0 && results.every(result => result.status === 'rejected')) {
+    throw new Error('All RSS feeds failed');
+  }
+  
+  // Feeds often overlap, so keep one copy of each article
+  const uniqueArticles = [...new Map(articles.map(article => [article.id, article])).values()];
+  
+  // Undated articles go last
+  return uniqueArticles
+    .sort((a, b) => (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0))
+    .slice(0, options.limit || 20);
+};
+
+/**
+ * Scrape news from a website using its scrape source definition
+ * @param {Object} source - Scrape source definition
  * @param {string} category - News category
  * @returns {Promise<Array>} Array of news articles
  */
-const scrapeNewsWebsite = async (url, selectors, category = 'general') => {
+const scrapeNewsWebsite = async (source, category = source.category) => {
   try {
-    const response = await axios.get(url);
-    const $ = cheerio.load(response.data);
-    const articles = [];
+    const headlines = await scrapeSource(source, { limit: 10 }); // Limit to 10 articles
     
-    $(selectors.articleContainer).each((index, element) => {
-      if (index >= 10) return false; // Limit to 10 articles
-      
-      const $element = $(element);
-      const title = $element.find(selectors.title).text().trim();
-      const summary = $element.find(selectors.summary).text().trim();
-      const link = new URL($element.find(selectors.link).attr('href'), url).toString();
-      const imageUrl = $element.find(selectors.image).attr('src');
+    return headlines.map(({ title, summary, link, imageUrl }) => ({
+      id: generateArticleId({ url: link, title, source: source.name }),
+      title,
+      summary,
+      content: summary,
+      source: source.name,
+      author: null,
+      date: new Date().toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      }),
+      url: link,
+      imageUrl,
+      category,
+      provider: 'scrape'
+    }));
+  } catch (error) {
+    console.error(`Error scraping news from ${source.url}:`, error.message);
+    return []; // Return empty array instead of throwing
+  }
+};
+
+/**
+ * Fetch news from a single source, through its circuit breaker
+ * @param {string} source - One of NEWS_SOURCES
+ * @param {Object} options - Options for fetching news
+ * @returns {Promise<Array>} Array of news articles
+ */
+const fetchFromSource = (source, options) => {
+  return withHealthTracking(source, () => requestSource(source, options));
+};
+
+/**
+ * Call the fetcher for a single source
+ * @param {string} source - One of NEWS_SOURCES
+ * @param {Object} options - Options for fetching news
+ * @returns {Promise<Array>} Array of news articles
+ */
+const requestSource = (source, options) => {
+  switch (source) {
+    case NEWS_SOURCES.NEWSAPI:
+      return fetchFromNewsAPI(options);
+    case NEWS_SOURCES.GNEWS:
+      return fetchFromGNews(options);
+    case NEWS_SOURCES.MEDIASTACK:
+      return fetchFromMediaStack(options);
+    case NEWS_SOURCES.RSS:
+      return fetchFromRSS(options);
+    default:
+      return Promise.reject(new Error(`Unknown news source: ${source}`));
+  }
+};
+
+/**
+ * Scrape news websites as a last resort when no source returned articles
+ * @param {Object} options - Options for fetching news
+ * @param {Array} errors - Error list to add scraping failures to
+ * @returns {Promise<Array>} Array of news articles
+ */
+const scrapeAsFallback = async (options, errors) => {
+  console.log('All API sources failed, trying web scraping as fallback...');
+  
+  try {
+    // Try to scrape news from a reliable source based on category
+    const category = options.category || 'general';
+    
+    for (const source of getFallbackScrapeSources(category)) {
+      // General news sources stand in for the requested category
+      const articleCategory = source.category === 'general' && category !== 'all' ? category : source.category;
+      const scrapedArticles = await scrapeNewsWebsite(source, articleCategory);
       
-      // Only add if we have at least a title and link
-      if (title && link) {
-        articles.push({
-          id: `scrape-${Date.now()}-${index}`,
-          title,
-          summary,
-          content: summary,
-          source: new URL(url).hostname.replace('www.', ''),
-          author: null,
-          date: new Date().toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-          }),
-          url: link,
-          imageUrl,
-          category,
-          provider: 'scrape'
-        });
+      if (scrapedArticles.length > 0) {
+        console.log(`Successfully scraped ${scrapedArticles.length} articles from ${source.url}`);
+        return scrapedArticles;
       }
-    });
-    
-    return articles;
+    }
   } catch (error) {
-    console.error(`Error scraping news from ${url}:`, error.message);
-    return []; // Return empty array instead of throwing
+    errors.push({ source: 'scraping', message: error.message });
+    console.error('Error during web scraping fallback:', error.message);
   }
+  
+  return [];
 };
 
 /**
@@ -252,7 +490,8 @@ const fetchNewsWithFallback = async (options = {}) => {
   const sources = options.sources || [
     NEWS_SOURCES.NEWSAPI,
     NEWS_SOURCES.GNEWS,
-    NEWS_SOURCES.MEDIASTACK
+    NEWS_SOURCES.MEDIASTACK,
+    NEWS_SOURCES.RSS
   ];
   
   let articles = [];
@@ -261,19 +500,7 @@ const fetchNewsWithFallback = async (options = {}) => {
   // Try each source in order until we get results
   for (const source of sources) {
     try {
-      switch (source) {
-        case NEWS_SOURCES.NEWSAPI:
-          articles = await fetchFromNewsAPI(options);
-          break;
-        case NEWS_SOURCES.GNEWS:
-          articles = await fetchFromGNews(options);
-          break;
-        case NEWS_SOURCES.MEDIASTACK:
-          articles = await fetchFromMediaStack(options);
-          break;
-        default:
-          throw new Error(`Unknown news source: ${source}`);
-      }
+      articles = await fetchFromSource(source, options);
       
       // If we got articles, break out of the loop
       if (articles.length > 0) {
@@ -282,31 +509,13 @@ const fetchNewsWithFallback = async (options = {}) => {
       }
     } catch (error) {
       errors.push({ source, message: error.message });
-      console.error(`Error fetching from ${source}, trying next source...`);
+      console.error(`Error fetching from ${source} (${error.message}), trying next source...`);
     }
   }
   
   // If we couldn't get articles from any API, try scraping as a last resort
   if (articles.length === 0) {
-    console.log('All API sources failed, trying web scraping as fallback...');
-    
-    try {
-      // Try to scrape news from a reliable source based on category
-      const scrapeSources = getScrapeSources(options.category);
-      
-      for (const { url, selectors, category } of scrapeSources) {
-        const scrapedArticles = await scrapeNewsWebsite(url, selectors, category);
-        
-        if (scrapedArticles.length > 0) {
-          articles = scrapedArticles;
-          console.log(`Successfully scraped ${articles.length} articles from ${url}`);
-          break;
-        }
-      }
-    } catch (error) {
-      errors.push({ source: 'scraping', message: error.message });
-      console.error('Error during web scraping fallback:', error.message);
-    }
+    articles = await scrapeAsFallback(options, errors);
   }
   
   // If we still have no articles, throw an error with details
@@ -318,6 +527,164 @@ const fetchNewsWithFallback = async (options = {}) => {
   return articles;
 };
 
+/**
+ * Get the set of significant words in a title, for similarity checks
+ * @param {string} title - Article title
+ * @returns {Set<string>} Normalized words longer than two characters
+ */
+const getTitleWords = (title) => {
+  return new Set(normalizeText(title).split(' ').filter(word => word.length > 2));
+};
+
+/**
+ * Check whether an article is a story already merged: same ID (so the same canonical URL) or near-identical title
+ * @param {Object} story - Merged story, with the IDs of its copies and precomputed titleWords
+ * @param {Object} candidate - Article, with precomputed titleWords
+ * @returns {boolean} True if the article is a copy of the story
+ */
+const isSameStory = (story, candidate) => {
+  if (story.ids.has(candidate.article.id)) {
+    return true;
+  }
+  
+  if (story.titleWords.size === 0 || candidate.titleWords.size === 0) {
+    return false;
+  }
+  
+  const shared = [...story.titleWords].filter(word => candidate.titleWords.has(word)).length;
+  const union = new Set([...story.titleWords, ...candidate.titleWords]).size;
+  
+  return shared / union >= TITLE_SIMILARITY_THRESHOLD;
+};
+
+/**
+ * Merge articles from several providers, keeping one copy of each story
+ * The copy from the earliest source in the list wins, ID included; later copies fill in missing fields.
+ * Copies found by title alone have different IDs, which are listed in aliasIds: the article store resolves
+ * them to the ID the story was first stored under, so it keeps that ID whichever providers answer later
+ * @param {Array} articles - Articles in source priority order
+ * @returns {Array} Deduplicated articles, each with the providers that carried it and the other copies' IDs
+ */
+const mergeArticles = (articles) => {
+  const merged = [];
+  
+  articles.forEach(article => {
+    const candidate = { article, titleWords: getTitleWords(article.title) };
+    // A copy with the same ID always joins that story, even if an earlier story has a similar title
+    const existing = merged.find(entry => entry.ids.has(article.id))
+      || merged.find(entry => isSameStory(entry, candidate));
+    
+    if (!existing) {
+      merged.push({
+        ids: new Set([article.id]),
+        titleWords: candidate.titleWords,
+        article: { ...article, providers: [article.provider], aliasIds: [] }
+      });
+      return;
+    }
+    
+    const story = existing.article;
+    existing.ids.add(article.id);
+    
+    if (article.id !== story.id && !story.aliasIds.includes(article.id)) {
+      story.aliasIds.push(article.id);
+    }
+    
+    if (!story.providers.includes(article.provider)) {
+      story.providers.push(article.provider);
+    }
+    
+    ['summary', 'author', 'imageUrl'].forEach(field => {
+      if (!story[field] && article[field]) {
+        story[field] = article[field];
+      }
+    });
+    
+    if ((article.content || '').length > (story.content || '').length) {
+      story.content = article.content;
+    }
+  });
+  
+  return merged.map(entry => entry.article);
+};
+
+/**
+ * Fetch news from all sources concurrently and merge the results
+ * @param {Object} options - Options for fetching news
+ * @param {string} options.category - News category
+ * @param {number} options.limit - Number of articles to fetch per source
+ * @param {Array<string>} options.sources - News sources to query, in priority order
+ * @returns {Promise<Object>} Merged articles and per-provider stats
+ */
+const aggregateNews = async (options = {}) => {
+  const sources = options.sources || [
+    NEWS_SOURCES.NEWSAPI,
+    NEWS_SOURCES.GNEWS,
+    NEWS_SOURCES.MEDIASTACK,
+    NEWS_SOURCES.RSS
+  ];
+  
+  const results = await Promise.allSettled(sources.map(source => fetchFromSource(source, options)));
+  const errors = [];
+  const providers = {};
+  
+  results.forEach((result, index) => {
+    const source = sources[index];
+    
+    if (result.status === 'fulfilled') {
+      providers[source] = { count: result.value.length, error: null };
+    } else {
+      providers[source] = { count: 0, error: result.reason.message };
+      errors.push({ source, message: result.reason.message });
+    }
+  });
+  
+  let articles = mergeArticles(results
+    .filter(result => result.status === 'fulfilled')
+    .flatMap(result => result.value));
+  
+  if (articles.length === 0) {
+    articles = (await scrapeAsFallback(options, errors)).map(article => ({ ...article, providers: [article.provider] }));
+    providers.scrape = { count: articles.length, error: null };
+  }
+  
+  if (articles.length === 0) {
+    throw new Error(`Failed to fetch news from all sources: ${JSON.stringify(errors)}`);
+  }
+  
+  // How many merged stories each provider carried
+  Object.keys(providers).forEach(provider => {
+    providers[provider].stories = articles.filter(article => article.providers.includes(provider)).length;
+  });
+  
+  console.log(`Merged ${articles.length} stories from ${Object.keys(providers).length} sources`);
+  return { articles, providers };
+};
+
+/**
+ * Fetch news using the configured mode: merge every source (aggregate, the default)
+ * or stop at the first source that returns articles (fallback)
+ * @param {Object} options - Options for fetching news, as for aggregateNews
+ * @returns {Promise<Object>} Articles, per-provider stats and the mode used
+ */
+const fetchNews = async (options = {}) => {
+  const mode = options.mode || process.env.NEWS_FETCH_MODE || 'aggregate';
+  
+  if (mode === 'fallback') {
+    const articles = await fetchNewsWithFallback(options);
+    const providers = articles.reduce((stats, article) => {
+      stats[article.provider] = stats[article.provider] || { count: 0, stories: 0, error: null };
+      stats[article.provider].count += 1;
+      stats[article.provider].stories += 1;
+      return stats;
+    }, {});
+    
+    return { articles, providers, mode };
+  }
+  
+  return { ...(await aggregateNews(options)), mode: 'aggregate' };
+};
+
 /**
  * Map our category to NewsAPI category
  * @param {string} category - Our internal category
@@ -373,57 +740,16 @@ const mapCategoryToMediaStack = (category) => {
 };
 
 /**
- * Get scrape sources based on category
+ * Get the fallback scrape sources for a category
+ * Sources for the category come first, general news sources (used for every category) last
  * @param {string} category - News category
- * @returns {Array} Array of scrape sources with selectors
+ * @returns {Array} Scrape source definitions
  */
-const getScrapeSources = (category = 'general') => {
-  const sources = [];
-  
-  // Technology news sources
-  if (category === 'technology' || category === 'all') {
-    sources.push({
-      url: 'https://techcrunch.com/',
-      selectors: {
-        articleContainer: 'article.post-block',
-        title: 'h2.post-block__title a',
-        summary: 'div.post-block__content',
-        link: 'h2.post-block__title a',
-        image: 'img.post-block__media'
-      },
-      category: 'technology'
-    });
-  }
-  
-  // Business news sources
-  if (category === 'business' || category === 'all') {
-    sources.push({
-      url: 'https://www.cnbc.com/business/',
-      selectors: {
-        articleContainer: 'div.Card-standardBreakerCard',
-        title: 'a.Card-title',
-        summary: 'div.Card-description',
-        link: 'a.Card-title',
-        image: 'img.Card-img'
-      },
-      category: 'business'
-    });
-  }
-  
-  // General news sources (fallback for all categories)
-  sources.push({
-    url: 'https://www.reuters.com/',
-    selectors: {
-      articleContainer: 'article.story',
-      title: 'h3.story-title',
-      summary: 'p.story-description',
-      link: 'a.story-link',
-      image: 'img.story-image'
-    },
-    category: category === 'all' ? 'general' : category
-  });
+const getFallbackScrapeSources = (category) => {
+  const sources = getScrapeSources({ use: 'fallback' });
+  const categorySources = sources.filter(source => source.category !== 'general' && (category === 'all' || source.category === category));
   
-  return sources;
+  return [...categorySources, ...sources.filter(source => source.category === 'general')];
 };
 
 /**
@@ -473,10 +799,16 @@ const determineCategoryFromArticle = (article) => {
 };
 
 module.exports = {
+  fetchNews,
   fetchNewsWithFallback,
+  aggregateNews,
+  mergeArticles,
   fetchFromNewsAPI,
   fetchFromGNews,
   fetchFromMediaStack,
+  fetchFromRSS,
+  parseFeed,
+  getRssFeeds,
   scrapeNewsWebsite,
   NEWS_SOURCES
 };
@@ -1,108 +1,119 @@
-const fs = require('fs');
-const path = require('path');
-const { fetchNewsWithFallback, NEWS_SOURCES } = require('./newsFetcher');
+const { fetchNews, NEWS_SOURCES } = require('./newsFetcher');
+const { generateArticleId } = require('../utils/articleId');
+const { upsertArticles, queryArticles, getArticleById, getLastFetchedAt } = require('./articleStore');
 
-// In-memory cache for news articles
-let newsCache = {
-  articles: [],
-  lastUpdated: null,
-  categories: {} // Cache for category-specific articles
-};
+// Stored articles older than this are refreshed on the next request
+const STALE_AFTER_HOURS = 1;
+
+// After a failed refresh, requests serve stored articles for this long before trying again
+const RETRY_FAILED_REFRESH_AFTER_MS = 5 * 60 * 1000;
+
+// Refreshes in progress by category, so concurrent requests share one fetch
+const pendingRefreshes = new Map();
+
+// When each category's last refresh failed
+const failedRefreshes = new Map();
 
-// Path to store news data
-const dataDir = path.join(__dirname, '../data');
-const newsFilePath = path.join(dataDir, 'news.json');
+/**
+ * Get the news sources to query, based on available API keys
+ * @returns {Array<string>} News sources in priority order
+ */
+const getConfiguredSources = () => {
+  const sources = [];
+  
+  if (process.env.NEWS_API_KEY) {
+    sources.push(NEWS_SOURCES.NEWSAPI);
+  }
+  
+  if (process.env.GNEWS_API_KEY) {
+    sources.push(NEWS_SOURCES.GNEWS);
+  }
+  
+  if (process.env.MEDIASTACK_API_KEY) {
+    sources.push(NEWS_SOURCES.MEDIASTACK);
+  }
+  
+  // RSS feeds need no key, so they're always tried before falling back to web scraping
+  sources.push(NEWS_SOURCES.RSS);
+  
+  return sources;
+};
 
-// Ensure data directory exists
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
-}
+/**
+ * Fetch the latest articles from every configured source and store them
+ * Throws if no source returned articles
+ * @param {string} category - Optional category to fetch
+ * @param {Object} options - Fetch options
+ * @param {string} options.mode - 'aggregate' or 'fallback' (default: NEWS_FETCH_MODE or 'aggregate')
+ * @returns {Promise<Object>} Fetched articles, per-provider stats and the fetch mode used
+ */
+const fetchAndStoreNews = async (category = 'all', options = {}) => {
+  console.log(`Fetching news articles for category: ${category}`);
+  const result = await fetchNews({
+    category,
+    limit: 20,
+    sources: getConfiguredSources(),
+    mode: options.mode
+  });
+  
+  await upsertArticles(result.articles);
+  
+  console.log(`Stored ${result.articles.length} articles for category: ${category}`);
+  return result;
+};
 
-// Initialize news data from file if it exists
-try {
-  if (fs.existsSync(newsFilePath)) {
-    const data = fs.readFileSync(newsFilePath, 'utf8');
-    newsCache = JSON.parse(data);
-    console.log(`Loaded ${newsCache.articles.length} news articles from cache`);
+/**
+ * Fetch and store a category's articles, sharing one fetch between concurrent callers
+ * Failures are remembered, so stale-triggered refreshes back off (see refreshIfStale)
+ * @param {string} category - Category to refresh
+ * @returns {Promise<Object>} Result of fetchAndStoreNews
+ */
+const refreshCategory = (category = 'all') => {
+  const key = category.toLowerCase();
+  
+  if (!pendingRefreshes.has(key)) {
+    const refresh = fetchAndStoreNews(category)
+      .then((result) => {
+        failedRefreshes.delete(key);
+        return result;
+      })
+      .catch((error) => {
+        failedRefreshes.set(key, Date.now());
+        throw error;
+      })
+      .finally(() => pendingRefreshes.delete(key));
+    
+    pendingRefreshes.set(key, refresh);
   }
-} catch (error) {
-  console.error('Error loading news cache from file:', error);
-}
+  
+  return pendingRefreshes.get(key);
+};
 
 /**
- * Update news cache with latest articles
+ * Fetch the latest articles and store them
  * @param {string} category - Optional category to update
- * @param {boolean} forceUpdate - Force update even if cache is recent
  * @returns {Promise<Array>} Array of news articles
  */
-const updateNewsCache = async (category = 'all', forceUpdate = false) => {
+const updateNews = async (category = 'all') => {
   try {
-    // Configure sources based on available API keys
-    const sources = [];
-    
-    if (process.env.NEWS_API_KEY) {
-      sources.push(NEWS_SOURCES.NEWSAPI);
-    }
-    
-    if (process.env.GNEWS_API_KEY) {
-      sources.push(NEWS_SOURCES.GNEWS);
-    }
-    
-    if (process.env.MEDIASTACK_API_KEY) {
-      sources.push(NEWS_SOURCES.MEDIASTACK);
-    }
-    
-    // If no API keys are available, we'll fall back to web scraping
-    
-    // Fetch articles from configured sources
-    const options = {
-      category,
-      limit: 20,
-      sources
-    };
-    
-    console.log(`Fetching news articles for category: ${category}`);
-    const articles = await fetchNewsWithFallback(options);
-    
-    // Update cache based on category
-    if (category === 'all') {
-      newsCache.articles = articles;
-      newsCache.lastUpdated = new Date().toISOString();
-      
-      // Clear category cache since we have new data
-      newsCache.categories = {};
-    } else {
-      // If updating a specific category, update that category's cache
-      newsCache.categories[category] = {
-        articles,
-        lastUpdated: new Date().toISOString()
-      };
-      
-      // Also update main cache with these articles if it's empty
-      if (newsCache.articles.length === 0) {
-        newsCache.articles = articles;
-        newsCache.lastUpdated = new Date().toISOString();
-      }
-    }
-    
-    // Save to file
-    fs.writeFileSync(newsFilePath, JSON.stringify(newsCache, null, 2));
-    
-    console.log(`Updated news cache with ${articles.length} articles for category: ${category}`);
+    const { articles } = await refreshCategory(category);
     return articles;
   } catch (error) {
-    console.error(`Error updating news cache for category ${category}:`, error);
+    console.error(`Error updating news for category ${category}:`, error);
     
-    // If we have cached data, return it instead of throwing
-    if (category === 'all' && newsCache.articles.length > 0) {
-      console.log(`Returning ${newsCache.articles.length} cached articles due to update failure`);
-      return newsCache.articles;
-    } else if (category !== 'all' && newsCache.categories[category]?.articles?.length > 0) {
-      console.log(`Returning ${newsCache.categories[category].articles.length} cached ${category} articles due to update failure`);
-      return newsCache.categories[category].articles;
+    // If we have stored articles, return them instead of throwing
+    try {
+      const { articles } = await queryArticles({ category });
+      
+      if (articles.length > 0) {
+        console.log(`Returning ${articles.length} stored ${category} articles due to update failure`);
+        return articles;
+      }
+    } catch (storeError) {
+      console.error('Error reading stored articles:', storeError);
     }
     
-    // If we have no cached data, generate mock data
+    // If we have no stored data, generate mock data
     console.log('Generating mock news data as fallback');
     return generateMockNews(category);
   }
@@ -118,7 +129,6 @@ const generateMockNews = (category = 'all') => {
   
   const mockArticles = [
     {
-      id: `mock-tech-${Date.now()}-1`,
       title: "AI Models Achieve New Benchmark in Natural Language Understanding",
       summary: "Latest research shows AI models approaching human-level comprehension on complex linguistic tasks",
       content: "Researchers have developed a new generation of language models that demonstrate unprecedented capabilities in understanding context, nuance, and implied meaning in human language. These advancements could revolutionize how we interact with AI systems across various applications.",
@@ -135,7 +145,6 @@ const generateMockNews = (category = 'all') => {
       provider: "mock"
     },
     {
-      id: `mock-env-${Date.now()}-1`,
       title: "New Carbon Capture Technology Shows Promise in Large-Scale Tests",
       summary: "Innovative system removes carbon dioxide from atmosphere at unprecedented rates",
       content: "A breakthrough in carbon capture technology has demonstrated the ability to remove CO2 from the atmosphere at rates significantly higher than previous methods, while requiring less energy. The system, developed by a team of international researchers, could be a game-changer in addressing climate change if deployed at scale.",
@@ -152,7 +161,6 @@ const generateMockNews = (category = 'all') => {
       provider: "mock"
     },
     {
-      id: `mock-pol-${Date.now()}-1`,
       title: "Global Summit on Digital Governance Concludes with New Framework",
       summary: "World leaders agree on principles for regulating artificial intelligence and data privacy",
       content: "Representatives from over 40 countries have concluded a landmark summit on digital governance, establishing a new framework for the ethical development and regulation of artificial intelligence technologies. The agreement addresses concerns about privacy, security, and the potential societal impacts of advanced AI systems.",
@@ -169,7 +177,6 @@ const generateMockNews = (category = 'all') => {
       provider: "mock"
     },
     {
-      id: `mock-health-${Date.now()}-1`,
       title: "Revolutionary mRNA Technology Applied to Treatment of Chronic Diseases",
       summary: "Researchers adapt vaccine technology to deliver targeted therapies for previously untreatable conditions",
       content: "Building on the success of mRNA vaccines, medical researchers have developed new applications of the technology to treat a range of chronic diseases. Early clinical trials show promising results for conditions including certain autoimmune disorders and metabolic diseases that have traditionally been difficult to address.",
@@ -186,7 +193,6 @@ const generateMockNews = (category = 'all') => {
       provider: "mock"
     },
     {
-      id: `mock-bus-${Date.now()}-1`,
       title: "Sustainable Business Practices Drive Record Growth in Green Economy Sector",
       summary: "Companies embracing environmental responsibility outperform market averages",
       content: "A comprehensive analysis of market performance over the past year reveals that companies with strong environmental, social, and governance (ESG) practices have significantly outperformed their peers. The trend suggests a growing recognition of sustainability as a driver of long-term business value rather than simply a compliance requirement.",
@@ -202,7 +208,7 @@ const generateMockNews = (category = 'all') => {
       category: "business",
       provider: "mock"
     }
-  ];
+  ].map(article => ({ id: generateArticleId(article), ...article }));
   
   // Filter by category if needed
   if (category !== 'all') {
@@ -213,45 +219,81 @@ const generateMockNews = (category = 'all') => {
 };
 
 /**
- * Get all latest news articles
- * @param {boolean} forceUpdate - Force update even if cache is recent
- * @returns {Promise<Array>} Array of news articles
+ * Check whether stored articles for a category need refreshing
+ * @param {string} category - Category name ('all' for any category)
+ * @returns {Promise<boolean>} True if nothing is stored or the last fetch is too old
  */
-const getLatestNews = async (forceUpdate = false) => {
-  // Check if cache is older than 1 hour
-  const cacheAge = newsCache.lastUpdated 
-    ? (new Date() - new Date(newsCache.lastUpdated)) / (1000 * 60 * 60)
-    : Infinity;
+const isStale = async (category) => {
+  const lastFetchedAt = await getLastFetchedAt(category);
   
-  if (forceUpdate || cacheAge > 1 || newsCache.articles.length === 0) {
-    return await updateNewsCache('all', forceUpdate);
+  if (!lastFetchedAt) {
+    return true;
   }
   
-  return newsCache.articles;
+  return (new Date() - new Date(lastFetchedAt)) / (1000 * 60 * 60) > STALE_AFTER_HOURS;
 };
 
 /**
- * Get news articles by category
- * @param {string} category - Category name
- * @param {boolean} forceUpdate - Force update even if cache is recent
- * @returns {Promise<Array>} Array of news articles in the category
+ * Refresh a category's stored articles if they are stale
+ * Joins a refresh already in progress, and waits a few minutes after a failed refresh before trying again,
+ * so a failing provider isn't hit on every request
+ * @param {string} category - Category name ('all' for any category)
+ * @returns {Promise<void>}
  */
-const getNewsByCategory = async (category, forceUpdate = false) => {
-  if (category.toLowerCase() === 'all') {
-    return await getLatestNews(forceUpdate);
+const refreshIfStale = async (category) => {
+  const key = category.toLowerCase();
+  
+  if (pendingRefreshes.has(key)) {
+    await updateNews(category);
+    return;
+  }
+  
+  if (Date.now() - (failedRefreshes.get(key) || 0) < RETRY_FAILED_REFRESH_AFTER_MS) {
+    return;
+  }
+  
+  if (await isStale(category)) {
+    await updateNews(category);
   }
+};
+
+/**
+ * Get a page of news articles in a category, refreshing stored articles if they are stale
+ * Falls back to mock news if nothing could be fetched or stored
+ * @param {string} category - Category name ('all' for every category)
+ * @param {Object} options - Query options
+ * @param {string} options.source - Only articles from this source
+ * @param {string} options.provider - Only articles from this provider
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Number of articles to skip
+ * @returns {Promise<Object>} Page of articles and the total number of matches
+ */
+const getNewsByCategory = async (category, options = {}) => {
+  await refreshIfStale(category);
   
-  // Check if we have a category-specific cache and if it's recent
-  const categoryCacheAge = newsCache.categories[category]?.lastUpdated
-    ? (new Date() - new Date(newsCache.categories[category].lastUpdated)) / (1000 * 60 * 60)
-    : Infinity;
+  const result = await queryArticles({ ...options, category });
   
-  // If cache is old or empty or force update is requested, fetch new data
-  if (forceUpdate || categoryCacheAge > 1 || !newsCache.categories[category] || newsCache.categories[category].articles.length === 0) {
-    return await updateNewsCache(category, forceUpdate);
+  if (result.total === 0 && !options.source && !options.provider) {
+    const mockArticles = generateMockNews(category.toLowerCase());
+    const offset = parseInt(options.offset, 10) || 0;
+    const limit = parseInt(options.limit, 10) || mockArticles.length;
+    
+    return {
+      articles: mockArticles.slice(offset, offset + limit),
+      total: mockArticles.length
+    };
   }
   
-  return newsCache.categories[category].articles;
+  return result;
+};
+
+/**
+ * Get a page of the latest news articles across all categories
+ * @param {Object} options - Query options, as for getNewsByCategory
+ * @returns {Promise<Object>} Page of articles and the total number of matches
+ */
+const getLatestNews = async (options = {}) => {
+  return getNewsByCategory('all', options);
 };
 
 /**
@@ -260,37 +302,28 @@ const getNewsByCategory = async (category, forceUpdate = false) => {
  * @returns {Promise<Object|null>} News article or null if not found
  */
 const getNewsById = async (id) => {
-  // First check main cache
-  const allNews = await getLatestNews();
-  let article = allNews.find(article => article.id.toString() === id.toString());
+  const article = await getArticleById(id);
   
-  // If not found, check category caches
-  if (!article) {
-    for (const category in newsCache.categories) {
-      if (newsCache.categories[category]?.articles) {
-        article = newsCache.categories[category].articles.find(
-          article => article.id.toString() === id.toString()
-        );
-        if (article) break;
-      }
-    }
+  if (article) {
+    return article;
   }
   
-  return article || null;
+  // Mock articles are never stored, but their IDs are stable
+  return generateMockNews().find(mockArticle => mockArticle.id === String(id)) || null;
 };
 
 /**
- * Force refresh all news caches
+ * Force refresh stored news for every category
  * @returns {Promise<Object>} Status of refresh operation
  */
 const refreshAllNews = async () => {
   try {
-    // Update main cache
-    const mainArticles = await updateNewsCache('all', true);
+    // Update latest news
+    const mainArticles = await updateNews('all');
     
-    // Update each category cache
+    // Update each category
     const categoryPromises = ['technology', 'business', 'health', 'politics', 'environment'].map(
-      category => updateNewsCache(category, true)
+      category => updateNews(category)
     );
     
     await Promise.all(categoryPromises);
@@ -314,6 +347,9 @@ module.exports = {
   getLatestNews,
   getNewsByCategory,
   getNewsById,
-  updateNewsCache,
-  refreshAllNews
+  updateNews,
+  fetchAndStoreNews,
+  getConfiguredSources,
+  refreshAllNews,
+  generateMockNews
 };
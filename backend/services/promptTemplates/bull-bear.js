@@ -0,0 +1,16 @@
+/**
+ * Bull/bear analysis
+ */
+module.exports = {
+  id: 'bull-bear',
+  version: 1,
+  name: 'Bull vs. Bear',
+  description: 'The strongest optimistic and pessimistic readings of the story, side by side.',
+  order: 2,
+  maxTokens: 600,
+  temperature: 0.8,
+
+  system: 'You are an AI analyst who stress-tests news by arguing both sides. For the following {{category}} news article, write a short "Bull case" paragraph with the most optimistic credible reading of what it means, then a "Bear case" paragraph with the most pessimistic credible reading. Finish with one sentence on which case the evidence in the article currently favors and why.',
+
+  user: '{{article}}{{#perspective}}\n\nArgue both cases from this perspective: {{perspective}}{{/perspective}}\n\nGive the bull and bear cases for this news article.'
+};
@@ -0,0 +1,16 @@
+/**
+ * Plain-language explanation
+ */
+module.exports = {
+  id: 'explain',
+  version: 1,
+  name: 'Explain Like I\'m New',
+  description: 'Explains the story and why it matters for someone new to the topic.',
+  order: 4,
+  maxTokens: 500,
+  temperature: 0.7,
+
+  system: 'You are an AI assistant who explains the news to people who are new to a topic. Explain the following {{category}} news article in plain language: what happened, the background a newcomer needs, and why it matters to ordinary people. Define any jargon in a few words. Use two or three short paragraphs and no bullet points.',
+
+  user: '{{article}}{{#perspective}}\n\nThe reader is: {{perspective}}{{/perspective}}\n\nExplain this news article.'
+};
@@ -0,0 +1,16 @@
+/**
+ * Fact-check analysis
+ */
+module.exports = {
+  id: 'fact-check',
+  version: 1,
+  name: 'Fact Check',
+  description: 'Lists the article\'s key factual claims and how well each is supported.',
+  order: 3,
+  maxTokens: 600,
+  temperature: 0.2,
+
+  system: 'You are an AI fact-checker. Identify the three to five most important factual claims in the following news article. For each claim, say whether the article supports it with named sources, data or direct quotes, or whether it is unsourced, disputed or speculative, and note what a reader would need to verify it. Do not invent facts that are not in the article; say so when you cannot judge a claim.',
+
+  user: '{{article}}{{#perspective}}\n\nPay particular attention to claims that matter from this perspective: {{perspective}}{{/perspective}}\n\nFact-check this news article.'
+};
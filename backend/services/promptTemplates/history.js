@@ -0,0 +1,16 @@
+/**
+ * Historical context analysis
+ */
+module.exports = {
+  id: 'history',
+  version: 1,
+  name: 'Historical Context',
+  description: 'Places the story alongside earlier events and precedents.',
+  order: 5,
+  maxTokens: 600,
+  temperature: 0.6,
+
+  system: 'You are an AI analyst with a historian\'s eye. Place the following {{category}} news article in historical context: the earlier events, decisions or trends that led here, and one or two precedents that resemble it and how they turned out. End with what those precedents suggest could happen next. Keep it to 2-3 paragraphs and flag any comparison you are unsure about.',
+
+  user: '{{article}}{{#perspective}}\n\nFocus on history that matters from this perspective: {{perspective}}{{/perspective}}\n\nGive the historical context for this news article.'
+};
@@ -0,0 +1,117 @@
+/**
+ * Prompt Template Registry
+ * Loads every analysis template in this directory; adding an analysis style is a single file.
+ * Templates use {{variable}} placeholders and {{#variable}}...{{/variable}} sections that are
+ * only kept when the variable has a value.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Variables available to every template
+const TEMPLATE_VARIABLES = ['article', 'title', 'summary', 'body', 'byline', 'category', 'perspective'];
+
+// Template used when a request doesn't pick one
+const DEFAULT_TEMPLATE_ID = 'neutral';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*[#/]?\s*(\w+)\s*\}\}/g;
+
+/**
+ * Load and validate all template modules, ordered by their `order` field
+ * @returns {Array<Object>} Array of template definitions
+ */
+const loadTemplates = () => {
+  return fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .map(file => {
+      const template = require(path.join(__dirname, file));
+
+      if (!template.id || !template.name || !Number.isInteger(template.version)) {
+        throw new Error(`Prompt template module ${file} must declare an id, a name and an integer version`);
+      }
+
+      if (!template.system || !template.user) {
+        throw new Error(`Prompt template ${template.id} must declare system and user prompts`);
+      }
+
+      // Catch typos in placeholders when the server starts rather than in a prompt
+      const unknown = [...`${template.system}${template.user}`.matchAll(PLACEHOLDER_PATTERN)]
+        .map(match => match[1])
+        .filter(name => !TEMPLATE_VARIABLES.includes(name));
+
+      if (unknown.length > 0) {
+        throw new Error(`Prompt template ${template.id} uses unknown variables: ${[...new Set(unknown)].join(', ')}`);
+      }
+
+      return template;
+    })
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+};
+
+const templates = loadTemplates();
+
+/**
+ * Get a template by ID
+ * @param {string} templateId - Template ID (default: the neutral template)
+ * @returns {Object|null} Template definition or null if not registered
+ */
+const getTemplate = (templateId = DEFAULT_TEMPLATE_ID) => {
+  return templates.find(template => template.id === (templateId || DEFAULT_TEMPLATE_ID)) || null;
+};
+
+/**
+ * Get the version key recorded with analyses generated from a template
+ * Bump a template's `version` whenever its text changes so cached analyses from the old text are not reused
+ * @param {Object} template - Template definition
+ * @returns {string} Version key, e.g. "neutral@1"
+ */
+const getTemplateVersion = (template) => `${template.id}@${template.version}`;
+
+/**
+ * Fill in a template string
+ * @param {string} text - Template text
+ * @param {Object} variables - Variable values
+ * @returns {string} Rendered text
+ */
+const render = (text, variables) => {
+  return text
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, section) => (variables[name] ? section : ''))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (variables[name] ?? ''))
+    .trim();
+};
+
+/**
+ * Render a template into a prompt
+ * @param {Object} template - Template definition
+ * @param {Object} variables - Variable values
+ * @returns {Object} Prompt with system and user parts and the template's generation settings
+ */
+const renderTemplate = (template, variables) => ({
+  system: render(template.system, variables),
+  user: render(template.user, variables),
+  maxTokens: template.maxTokens,
+  temperature: template.temperature
+});
+
+/**
+ * List all templates in the shape the frontend style picker expects
+ * @returns {Array<Object>} Public template descriptors
+ */
+const listTemplates = () => {
+  return templates.map(template => ({
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    version: template.version,
+    default: template.id === DEFAULT_TEMPLATE_ID
+  }));
+};
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  DEFAULT_TEMPLATE_ID,
+  templates,
+  getTemplate,
+  getTemplateVersion,
+  renderTemplate,
+  listTemplates
+};
@@ -0,0 +1,16 @@
+/**
+ * Neutral analysis
+ */
+module.exports = {
+  id: 'neutral',
+  version: 1,
+  name: 'Neutral Analysis',
+  description: 'A balanced look at the implications, potential impacts and context of the story.',
+  order: 1,
+  maxTokens: 500,
+  temperature: 0.7,
+
+  system: 'You are an AI assistant that analyzes news articles objectively. Provide a concise analysis (2-3 paragraphs) of the following news article, focusing on the implications, potential impacts, and context. Be informative and balanced in your assessment.',
+
+  user: '{{article}}{{#perspective}}\n\nConsider the story from this perspective: {{perspective}}{{/perspective}}\n\nPlease analyze this news article.'
+};
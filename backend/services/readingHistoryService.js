@@ -0,0 +1,363 @@
+/**
+ * Reading History Service
+ * Records which articles a user reads, once per article per sign-in session: viewing the same article
+ * again in a session adds to its time spent and AI models viewed instead of adding a row.
+ * Also answers the history page: a filtered timeline, per-category stats and reading streaks.
+ */
+const db = require('../utils/database');
+const { getNewsById } = require('./newsService');
+
+// Longest time one update can add to an entry, so a tab left open doesn't count as hours of reading
+const MAX_DWELL_SECONDS_PER_UPDATE = 30 * 60;
+
+// Most AI models stored per entry
+const MAX_MODELS_PER_ENTRY = 20;
+
+// Page sizes for the timeline
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Largest time zone offset accepted for grouping reads into days, in minutes
+const MAX_UTC_OFFSET_MINUTES = 14 * 60;
+
+// Most entries deleted in one request, well under SQLite's limit on statement parameters
+const MAX_DELETE_IDS = 500;
+
+// Columns selected for history entries; older rows only have the article ID, so fall back to the stored article
+const ENTRY_COLUMNS = `
+  h.id, h.article_id, h.read_at, h.last_viewed_at, h.view_count, h.dwell_seconds, h.models_viewed, h.url,
+  COALESCE(h.title, a.title) AS title,
+  COALESCE(h.category, a.category_id) AS category,
+  COALESCE(h.source, s.name) AS source
+`;
+
+const ENTRY_JOINS = `
+  FROM reading_history h
+  LEFT JOIN articles a ON a.id = h.article_id
+  LEFT JOIN sources s ON s.id = a.source_id
+`;
+
+// Promise wrappers around the callback-based sqlite3 API
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this.changes);
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+/**
+ * Convert an SQLite CURRENT_TIMESTAMP value (UTC, without a zone) to ISO 8601
+ * @param {string} value - Timestamp
+ * @returns {string|null} ISO timestamp
+ */
+const toIsoTimestamp = (value) => {
+  if (!value) return null;
+  return /[zZ]|[+-]\d{2}:\d{2}$/.test(value) ? value : `${value.replace(' ', 'T')}Z`;
+};
+
+/**
+ * Keep a short string field from client input
+ * @param {*} value - Client value
+ * @param {number} maxLength - Longest length kept
+ * @returns {string|null} Trimmed string, or null if empty
+ */
+const cleanText = (value, maxLength) => {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+};
+
+/**
+ * Convert a history row to the shape returned to clients
+ * @param {Object} row - Row selected with ENTRY_COLUMNS
+ * @returns {Object} History entry
+ */
+const rowToEntry = (row) => {
+  let models = [];
+  
+  try {
+    models = row.models_viewed ? JSON.parse(row.models_viewed) : [];
+  } catch (error) {
+    models = [];
+  }
+  
+  return {
+    id: row.id,
+    article_id: row.article_id,
+    title: row.title,
+    category: row.category,
+    source: row.source,
+    url: row.url,
+    read_at: toIsoTimestamp(row.read_at),
+    last_viewed_at: toIsoTimestamp(row.last_viewed_at || row.read_at),
+    view_count: row.view_count,
+    dwell_seconds: row.dwell_seconds || 0,
+    models_viewed: models
+  };
+};
+
+/**
+ * Turn a time zone offset into an SQLite date modifier, e.g. "+120 minutes"
+ * @param {number} utcOffsetMinutes - Time zone, in minutes east of UTC
+ * @returns {string} Date modifier
+ */
+const toDateModifier = (utcOffsetMinutes) => {
+  const offset = Math.min(Math.max(parseInt(utcOffsetMinutes, 10) || 0, -MAX_UTC_OFFSET_MINUTES), MAX_UTC_OFFSET_MINUTES);
+  return `${offset >= 0 ? '+' : ''}${offset} minutes`;
+};
+
+/**
+ * Record that a user viewed an article, or add to an earlier view of it in the same session
+ * @param {number} userId - User ID
+ * @param {string} sessionId - Sign-in session ID
+ * @param {Object} view - View details
+ * @param {string} view.articleId - Article ID
+ * @param {Object} view.article - Article title, category, source and url, kept with the entry
+ * @param {number} view.dwellSeconds - Time spent on the article since the last update
+ * @param {Array<string>} view.models - IDs of the AI models whose analyses were viewed
+ * @param {boolean} view.newView - Whether the article was opened again, rather than only adding time or models to a view
+ * @returns {Promise<void>}
+ */
+const recordView = async (userId, sessionId, { articleId, article, dwellSeconds = 0, models = [], newView = true }) => {
+  let details = article && typeof article === 'object' ? article : null;
+  
+  // Fall back to the stored article when the client didn't describe it
+  if (!details?.title) {
+    details = await getNewsById(articleId) || {};
+  }
+  
+  const dwell = Math.min(Math.max(Math.round(Number(dwellSeconds) || 0), 0), MAX_DWELL_SECONDS_PER_UPDATE);
+  const modelIds = Array.isArray(models)
+    ? [...new Set(models.map(model => cleanText(model, 64)).filter(Boolean))].slice(0, MAX_MODELS_PER_ENTRY)
+    : [];
+  
+  await run(
+    `INSERT INTO reading_history
+     (user_id, session_id, article_id, read_at, last_viewed_at, view_count, dwell_seconds, models_viewed, title, category, source, url)
+     VALUES (?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(user_id, session_id, article_id) DO UPDATE SET
+       last_viewed_at = CURRENT_TIMESTAMP,
+       view_count = reading_history.view_count + excluded.view_count,
+       dwell_seconds = reading_history.dwell_seconds + excluded.dwell_seconds,
+       models_viewed = (
+         SELECT json_group_array(value) FROM (
+           SELECT value FROM json_each(COALESCE(reading_history.models_viewed, '[]'))
+           UNION
+           SELECT value FROM json_each(excluded.models_viewed)
+         )
+       ),
+       title = COALESCE(excluded.title, reading_history.title),
+       category = COALESCE(excluded.category, reading_history.category),
+       source = COALESCE(excluded.source, reading_history.source),
+       url = COALESCE(excluded.url, reading_history.url)`,
+    [
+      userId,
+      sessionId || null,
+      String(articleId),
+      newView ? 1 : 0,
+      dwell,
+      JSON.stringify(modelIds),
+      cleanText(details.title, 500),
+      cleanText(details.category, 50),
+      cleanText(details.source, 200),
+      cleanText(details.url, 2000)
+    ]
+  );
+};
+
+/**
+ * Build the WHERE clause for history queries
+ * @param {number} userId - User ID
+ * @param {Object} filters - History filters
+ * @param {string} filters.category - Only entries in this category
+ * @param {string} filters.q - Only entries whose title or source contains this text
+ * @param {string} filters.from - Only entries read on or after this date (YYYY-MM-DD, in the user's time zone)
+ * @param {string} filters.to - Only entries read on or before this date (YYYY-MM-DD, in the user's time zone)
+ * @param {number} filters.utcOffsetMinutes - The user's time zone, in minutes east of UTC
+ * @returns {Object} SQL WHERE clause and its parameters
+ */
+const buildHistoryFilters = (userId, { category, q, from, to, utcOffsetMinutes = 0 } = {}) => {
+  const conditions = ['h.user_id = ?'];
+  const params = [userId];
+  const modifier = toDateModifier(utcOffsetMinutes);
+  
+  if (category && category !== 'all') {
+    conditions.push('COALESCE(h.category, a.category_id) = ?');
+    params.push(String(category).toLowerCase());
+  }
+  
+  if (q && String(q).trim()) {
+    conditions.push('(COALESCE(h.title, a.title) LIKE ? OR COALESCE(h.source, s.name) LIKE ?)');
+    params.push(`%${String(q).trim()}%`, `%${String(q).trim()}%`);
+  }
+  
+  if (/^\d{4}-\d{2}-\d{2}$/.test(from || '')) {
+    conditions.push('date(h.read_at, ?) >= ?');
+    params.push(modifier, from);
+  }
+  
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to || '')) {
+    conditions.push('date(h.read_at, ?) <= ?');
+    params.push(modifier, to);
+  }
+  
+  return { where: `WHERE ${conditions.join(' AND ')}`, params };
+};
+
+/**
+ * Get a page of a user's reading history, most recent first
+ * @param {number} userId - User ID
+ * @param {Object} options - Filters from buildHistoryFilters, plus paging
+ * @param {number} options.limit - Page size (default: 50, max: 200)
+ * @param {number} options.offset - Number of entries to skip
+ * @returns {Promise<Object>} History entries and the total number of matches
+ */
+const listHistory = async (userId, { limit = DEFAULT_LIMIT, offset = 0, ...filters } = {}) => {
+  const { where, params } = buildHistoryFilters(userId, filters);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const skip = Math.max(parseInt(offset, 10) || 0, 0);
+  
+  const [rows, countRow] = await Promise.all([
+    all(
+      `SELECT ${ENTRY_COLUMNS} ${ENTRY_JOINS} ${where}
+       ORDER BY h.read_at DESC, h.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, pageSize, skip]
+    ),
+    get(`SELECT COUNT(*) AS total ${ENTRY_JOINS} ${where}`, params)
+  ]);
+  
+  return {
+    entries: rows.map(rowToEntry),
+    total: countRow.total
+  };
+};
+
+/**
+ * Work out reading streaks from the days a user read something
+ * @param {Array<string>} days - Distinct YYYY-MM-DD days, most recent first
+ * @param {string} today - Today's date, YYYY-MM-DD, in the same time zone
+ * @returns {Object} Current streak (ending today or yesterday) and longest streak, in days
+ */
+const calculateStreaks = (days, today) => {
+  const dayNumbers = days.map(day => Math.round(Date.parse(`${day}T00:00:00Z`) / 86400000));
+  const todayNumber = Math.round(Date.parse(`${today}T00:00:00Z`) / 86400000);
+  
+  let longest = 0;
+  let streak = 0;
+  
+  dayNumbers.forEach((day, index) => {
+    streak = index > 0 && dayNumbers[index - 1] - day === 1 ? streak + 1 : 1;
+    longest = Math.max(longest, streak);
+  });
+  
+  // The current streak is still alive if the user read today or yesterday
+  let current = 0;
+  
+  if (dayNumbers.length > 0 && todayNumber - dayNumbers[0] <= 1) {
+    current = 1;
+    while (current < dayNumbers.length && dayNumbers[current - 1] - dayNumbers[current] === 1) {
+      current += 1;
+    }
+  }
+  
+  return { current, longest };
+};
+
+/**
+ * Summarize a user's reading: totals, a per-category breakdown and streaks
+ * @param {number} userId - User ID
+ * @param {Object} options - Options
+ * @param {number} options.utcOffsetMinutes - The user's time zone, in minutes east of UTC, for grouping reads into days
+ * @returns {Promise<Object>} Reading stats
+ */
+const getHistoryStats = async (userId, { utcOffsetMinutes = 0 } = {}) => {
+  const modifier = toDateModifier(utcOffsetMinutes);
+  
+  const [totals, categories, days, today] = await Promise.all([
+    get(
+      `SELECT COALESCE(SUM(view_count), 0) AS views, COUNT(DISTINCT article_id) AS articles, COALESCE(SUM(dwell_seconds), 0) AS dwell_seconds
+       FROM reading_history WHERE user_id = ?`,
+      [userId]
+    ),
+    all(
+      `SELECT COALESCE(h.category, a.category_id, 'general') AS category,
+              COALESCE(SUM(h.view_count), 0) AS views, COALESCE(SUM(h.dwell_seconds), 0) AS dwell_seconds
+       ${ENTRY_JOINS}
+       WHERE h.user_id = ?
+       GROUP BY 1 ORDER BY views DESC`,
+      [userId]
+    ),
+    all(
+      'SELECT DISTINCT date(read_at, ?) AS day FROM reading_history WHERE user_id = ? ORDER BY day DESC',
+      [modifier, userId]
+    ),
+    get("SELECT date('now', ?) AS day", [modifier])
+  ]);
+  
+  const streaks = calculateStreaks(days.map(row => row.day).filter(Boolean), today.day);
+  
+  return {
+    total_views: totals.views,
+    articles_read: totals.articles,
+    total_dwell_seconds: totals.dwell_seconds,
+    active_days: days.length,
+    current_streak: streaks.current,
+    longest_streak: streaks.longest,
+    categories: categories.map(row => ({
+      category: row.category,
+      views: row.views,
+      dwell_seconds: row.dwell_seconds,
+      share: totals.views > 0 ? Math.round(row.views / totals.views * 1000) / 1000 : 0
+    }))
+  };
+};
+
+/**
+ * Delete some of a user's history entries
+ * @param {number} userId - User ID
+ * @param {Array<number>} ids - Entry IDs, at most MAX_DELETE_IDS of them
+ * @returns {Promise<number>} Number of entries deleted
+ */
+const deleteHistoryEntries = (userId, ids) => {
+  const entryIds = [...new Set(ids.map(id => parseInt(id, 10)).filter(id => id > 0))].slice(0, MAX_DELETE_IDS);
+  
+  if (entryIds.length === 0) {
+    return Promise.resolve(0);
+  }
+  
+  return run(
+    `DELETE FROM reading_history WHERE user_id = ? AND id IN (${entryIds.map(() => '?').join(', ')})`,
+    [userId, ...entryIds]
+  );
+};
+
+/**
+ * Delete all of a user's reading history
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of entries deleted
+ */
+const clearHistory = (userId) => {
+  return run('DELETE FROM reading_history WHERE user_id = ?', [userId]);
+};
+
+module.exports = {
+  MAX_DELETE_IDS,
+  recordView,
+  listHistory,
+  getHistoryStats,
+  deleteHistoryEntries,
+  clearHistory
+};
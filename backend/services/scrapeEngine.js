@@ -0,0 +1,305 @@
+/**
+ * Scrape Engine
+ * Loads the declarative scraper source definitions and extracts headlines from news pages
+ * using each source's selectors. Used by the news scraper, the trending stories service and
+ * the scraping fallback in the news fetcher.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const fs = require('fs');
+const path = require('path');
+
+// Source definition file, overridable from the environment
+const DEFAULT_SOURCES_FILE = path.join(__dirname, '../config/scrape-sources.json');
+
+// Saved HTML pages used to validate selectors, one <source id>.html per source
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../data/fixtures');
+
+// What a source can be used for
+const SOURCE_USES = ['news', 'trending', 'fallback'];
+
+// Largest page that will be downloaded
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// Loaded source definitions
+let sources = null;
+
+/**
+ * Get the path of the source definition file
+ * @returns {string} File path
+ */
+const getSourcesFile = () => {
+  return process.env.SCRAPE_SOURCES_FILE || DEFAULT_SOURCES_FILE;
+};
+
+/**
+ * Get the path of the saved HTML fixture for a source
+ * @param {string} id - Source ID
+ * @returns {string} File path
+ */
+const getFixturePath = (id) => {
+  return path.join(process.env.SCRAPE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR, `${id}.html`);
+};
+
+/**
+ * Check a source definition for missing or invalid fields
+ * @param {Object} source - Source definition
+ * @param {number} index - Position in the definition file, for error messages
+ * @returns {Array<string>} Problems found
+ */
+const validateDefinition = (source, index) => {
+  const label = source.id ? `Source "${source.id}"` : `Source #${index + 1}`;
+  const problems = [];
+  
+  if (!source.id) problems.push(`${label} is missing an id`);
+  if (!source.name) problems.push(`${label} is missing a name`);
+  
+  try {
+    new URL(source.url);
+  } catch (error) {
+    problems.push(`${label} has an invalid url`);
+  }
+  
+  if (!Array.isArray(source.uses) || source.uses.length === 0) {
+    problems.push(`${label} must list at least one use`);
+  } else {
+    source.uses
+      .filter(use => !SOURCE_USES.includes(use))
+      .forEach(use => problems.push(`${label} has an unknown use "${use}"`));
+  }
+  
+  if (!source.selectors?.container) {
+    problems.push(`${label} is missing a container selector`);
+  }
+  
+  return problems;
+};
+
+/**
+ * Load and validate the source definitions, replacing any loaded before
+ * @returns {Array<Object>} Source definitions
+ * @throws {Error} If the file can't be read or a definition is invalid
+ */
+const loadScrapeSources = () => {
+  const file = getSourcesFile();
+  const { sources: definitions = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  
+  const problems = definitions.flatMap(validateDefinition);
+  const ids = definitions.map(source => source.id);
+  ids
+    .filter((id, index) => id && ids.indexOf(id) !== index)
+    .forEach(id => problems.push(`Source "${id}" is defined more than once`));
+  
+  if (problems.length > 0) {
+    throw new Error(`Invalid scrape sources in ${file}: ${problems.join('; ')}`);
+  }
+  
+  sources = definitions.map(source => ({
+    category: 'general',
+    ...source,
+    selectors: { title: '', summary: '', link: '', image: '', ...source.selectors }
+  }));
+  
+  console.log(`Loaded ${sources.length} scrape sources from ${file}`);
+  return sources;
+};
+
+/**
+ * Get source definitions, loading them on first use
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.use - Only sources with this use
+ * @param {string} filters.category - Only sources for this category
+ * @returns {Array<Object>} Source definitions
+ */
+const getScrapeSources = ({ use, category } = {}) => {
+  return (sources || loadScrapeSources()).filter(source =>
+    (!use || source.uses.includes(use)) &&
+    (!category || source.category === category)
+  );
+};
+
+/**
+ * Get a source definition by ID
+ * @param {string} id - Source ID
+ * @returns {Object|null} Source definition
+ */
+const getScrapeSourceById = (id) => {
+  return getScrapeSources().find(source => source.id === id) || null;
+};
+
+/**
+ * Resolve a possibly relative URL against the source page
+ * @param {string} href - URL from the page
+ * @param {string} base - Page URL
+ * @returns {string|null} Absolute URL, or null if it can't be parsed
+ */
+const toAbsoluteUrl = (href, base) => {
+  try {
+    return new URL(href, base).toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Find the link for a headline container
+ * Uses the link selector when the source has one, otherwise the container itself or the first link
+ * inside or around it
+ * @param {Object} $element - Cheerio container element
+ * @param {string} selector - Link selector
+ * @returns {string} Link href, or an empty string
+ */
+const findLink = ($element, selector) => {
+  const candidates = [
+    selector ? $element.find(selector).first() : null,
+    $element.is('a') ? $element : null,
+    $element.find('a').first(),
+    $element.closest('a')
+  ];
+  
+  const $link = candidates.find(candidate => candidate?.length && candidate.attr('href'));
+  return $link ? $link.attr('href').trim() : '';
+};
+
+/**
+ * Find the summary for a headline container
+ * Falls back to a summary-like element directly after the container
+ * @param {Object} $element - Cheerio container element
+ * @param {string} selector - Summary selector
+ * @returns {string} Summary text, or an empty string
+ */
+const findSummary = ($element, selector) => {
+  if (!selector) {
+    return '';
+  }
+  
+  const $summary = $element.find(selector).first();
+  if ($summary.length) {
+    return $summary.text().trim();
+  }
+  
+  const $next = $element.next();
+  if ($next.is('p') || $next.hasClass('summary') || $next.hasClass('description')) {
+    return $next.text().trim();
+  }
+  
+  return '';
+};
+
+/**
+ * Extract headlines from a page using a source's selectors
+ * @param {Object} source - Source definition
+ * @param {string} html - Page HTML
+ * @param {Object} options - Optional settings
+ * @param {number} options.limit - Maximum number of headlines
+ * @returns {Array<Object>} Headlines with title, summary, link and imageUrl
+ */
+const extractHeadlines = (source, html, { limit } = {}) => {
+  const $ = cheerio.load(html);
+  const { selectors } = source;
+  const headlines = [];
+  
+  $(selectors.container).each((index, element) => {
+    if (limit && headlines.length >= limit) return false;
+    
+    const $element = $(element);
+    const title = (selectors.title ? $element.find(selectors.title).first() : $element).text().replace(/\s+/g, ' ').trim();
+    const href = findLink($element, selectors.link);
+    
+    // Only keep headlines with a title and link, once each
+    if (!title || !href || headlines.some(headline => headline.title === title)) return;
+    
+    const link = toAbsoluteUrl(href, source.url);
+    if (!link) return;
+    
+    const src = selectors.image ? $element.find(selectors.image).first().attr('src') : null;
+    
+    headlines.push({
+      title,
+      summary: findSummary($element, selectors.summary),
+      link,
+      imageUrl: src ? toAbsoluteUrl(src, source.url) : null
+    });
+  });
+  
+  return headlines;
+};
+
+/**
+ * Download a page the way a browser would
+ * @param {string} url - Page URL
+ * @returns {Promise<string>} Page HTML
+ */
+const fetchPage = async (url) => {
+  const response = await axios.get(url, {
+    headers: { 'User-Agent': USER_AGENT },
+    timeout: 10000,
+    maxContentLength: MAX_PAGE_BYTES
+  });
+  
+  return response.data;
+};
+
+/**
+ * Download a source's page and extract its headlines
+ * @param {Object} source - Source definition
+ * @param {Object} options - Optional settings
+ * @param {number} options.limit - Maximum number of headlines
+ * @returns {Promise<Array<Object>>} Headlines with title, summary, link and imageUrl
+ */
+const scrapeSource = async (source, options = {}) => {
+  return extractHeadlines(source, await fetchPage(source.url), options);
+};
+
+/**
+ * Run a source's selectors against a page and count what they match
+ * @param {Object} source - Source definition
+ * @param {string} html - Page HTML
+ * @returns {Object} Containers matched, usable headlines, per-field match counts and a sample of the headlines
+ */
+const validateSelectors = (source, html) => {
+  const $ = cheerio.load(html);
+  const { selectors } = source;
+  const $containers = $(selectors.container);
+  const counts = { titles: 0, links: 0, summaries: 0, images: 0 };
+  
+  // Count each field per container, so a selector that stopped matching shows up as a low count
+  $containers.each((index, element) => {
+    const $element = $(element);
+    
+    if ((selectors.title ? $element.find(selectors.title).first() : $element).text().trim()) counts.titles += 1;
+    if (findLink($element, selectors.link)) counts.links += 1;
+    if (findSummary($element, selectors.summary)) counts.summaries += 1;
+    if (selectors.image && $element.find(selectors.image).first().attr('src')) counts.images += 1;
+  });
+  
+  const headlines = extractHeadlines(source, html);
+  
+  // Selectors that match nothing inside any container are usually out of date
+  const unmatchedSelectors = ['title', 'summary', 'link', 'image'].filter(field =>
+    selectors[field] && $containers.find(selectors[field]).length === 0
+  );
+  
+  return {
+    containers: $containers.length,
+    headlines: headlines.length,
+    ...counts,
+    unmatchedSelectors,
+    sample: headlines.slice(0, 3)
+  };
+};
+
+module.exports = {
+  SOURCE_USES,
+  loadScrapeSources,
+  getScrapeSources,
+  getScrapeSourceById,
+  getFixturePath,
+  extractHeadlines,
+  fetchPage,
+  scrapeSource,
+  validateSelectors
+};
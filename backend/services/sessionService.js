@@ -0,0 +1,312 @@
+/**
+ * Session Service
+ * Each sign-in creates a session holding a hashed refresh token. Access tokens are short-lived and carry
+ * the session ID, so revoking a session cuts off its access tokens too; refresh tokens rotate on every use.
+ */
+const crypto = require('crypto');
+const db = require('../utils/database');
+
+// Defaults, overridable from the environment
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+// last_seen_at is only written once per interval, so busy sessions don't write on every request
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Revoked and expired sessions are kept this long so a reused refresh token can still be recognised
+const SESSION_RETENTION_DAYS = 7;
+
+// Promise wrappers around the callback-based sqlite3 API
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this.changes);
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+/**
+ * Get how long a refresh token stays valid
+ * @returns {number} Lifetime in milliseconds
+ */
+const getRefreshTokenTtlMs = () => {
+  return (parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Refresh token secret
+ * @returns {string} SHA-256 hex digest
+ */
+const hashSecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Create a refresh token for a session
+ * @param {string} sessionId - Session ID
+ * @returns {Object} The token to give the client and the hash to store
+ */
+const createRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { token: `${sessionId}.${secret}`, hash: hashSecret(secret) };
+};
+
+/**
+ * Describe the browser and operating system in a user agent, for the session list
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Device description, e.g. "Chrome on macOS"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/curl|axios|node|python/i, 'API client']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1] || 'Unknown browser';
+  
+  const os = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad|iOS/, 'iOS'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+  
+  return os ? `${browser} on ${os}` : browser;
+};
+
+/**
+ * Convert a sessions row to the shape returned to clients
+ * @param {Object} row - sessions row
+ * @returns {Object} Session
+ */
+const rowToSession = (row) => ({
+  id: row.id,
+  device: describeDevice(row.user_agent),
+  userAgent: row.user_agent,
+  ip: row.ip,
+  createdAt: row.created_at,
+  lastSeenAt: row.last_seen_at,
+  expiresAt: row.expires_at
+});
+
+/**
+ * Start a session for a user who just signed in
+ * Also clears out the user's long-dead sessions
+ * @param {number} userId - User ID
+ * @param {Object} client - Client details
+ * @param {string} client.userAgent - User-Agent header
+ * @param {string} client.ip - Client IP address
+ * @returns {Promise<Object>} Session ID and refresh token
+ */
+const createSession = async (userId, { userAgent, ip } = {}) => {
+  const now = new Date();
+  const sessionId = crypto.randomUUID();
+  const { token, hash } = createRefreshToken(sessionId);
+  const retentionCutoff = new Date(now.getTime() - SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  
+  await run(
+    'DELETE FROM sessions WHERE user_id = ? AND (expires_at < ? OR revoked_at < ?)',
+    [userId, retentionCutoff, retentionCutoff]
+  );
+  
+  await run(
+    `INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip, created_at, last_seen_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      sessionId,
+      userId,
+      hash,
+      userAgent ? String(userAgent).slice(0, 512) : null,
+      ip || null,
+      now.toISOString(),
+      now.toISOString(),
+      new Date(now.getTime() + getRefreshTokenTtlMs()).toISOString()
+    ]
+  );
+  
+  return { sessionId, refreshToken: token };
+};
+
+/**
+ * Build the error thrown for a refresh token that can't be used
+ * @param {string} reason - Error message
+ * @returns {Error} Error with code INVALID_REFRESH_TOKEN
+ */
+const invalidRefreshToken = (reason) => {
+  const error = new Error(reason);
+  error.code = 'INVALID_REFRESH_TOKEN';
+  return error;
+};
+
+/**
+ * Find the active session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<Object>} sessions row and whether the token is the session's current one
+ * @throws {Error} With code INVALID_REFRESH_TOKEN if the token is malformed or its session has ended
+ */
+const findRefreshSession = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  
+  if (!sessionId || !secret) {
+    throw invalidRefreshToken('Malformed refresh token');
+  }
+  
+  const session = await get('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+  
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    throw invalidRefreshToken('Session has ended');
+  }
+  
+  const expected = Buffer.from(session.refresh_token_hash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  
+  return { session, current: crypto.timingSafeEqual(expected, actual) };
+};
+
+/**
+ * Exchange a refresh token for a new one
+ * A token that was already rotated away means it was copied, so the whole session is revoked
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} client - Client details
+ * @param {string} client.userAgent - User-Agent header
+ * @param {string} client.ip - Client IP address
+ * @returns {Promise<Object>} Session ID, user ID and the new refresh token
+ * @throws {Error} With code INVALID_REFRESH_TOKEN if the token is unknown, revoked, expired or reused
+ */
+const rotateRefreshToken = async (refreshToken, { userAgent, ip } = {}) => {
+  const { session, current } = await findRefreshSession(refreshToken);
+  const sessionId = session.id;
+  const now = new Date();
+  
+  if (!current) {
+    await run('UPDATE sessions SET revoked_at = ? WHERE id = ?', [now.toISOString(), sessionId]);
+    console.warn(`Refresh token reused for session ${sessionId}; session revoked`);
+    throw invalidRefreshToken('Refresh token has already been used');
+  }
+  
+  const { token, hash } = createRefreshToken(sessionId);
+  
+  // Only the request holding the current hash can rotate it, so concurrent refreshes can't both succeed
+  const changes = await run(
+    `UPDATE sessions SET refresh_token_hash = ?, last_seen_at = ?, user_agent = COALESCE(?, user_agent), ip = COALESCE(?, ip)
+     WHERE id = ? AND refresh_token_hash = ?`,
+    [hash, now.toISOString(), userAgent ? String(userAgent).slice(0, 512) : null, ip || null, sessionId, session.refresh_token_hash]
+  );
+  
+  if (changes === 0) {
+    throw invalidRefreshToken('Refresh token has already been used');
+  }
+  
+  return { sessionId, userId: session.user_id, refreshToken: token };
+};
+
+/**
+ * Check that a session is still active, and note that it was seen
+ * @param {string} sessionId - Session ID from an access token
+ * @returns {Promise<boolean>} True if the session exists, is not revoked and has not expired
+ */
+const isSessionActive = async (sessionId) => {
+  const now = new Date();
+  const session = await get('SELECT revoked_at, expires_at, last_seen_at FROM sessions WHERE id = ?', [sessionId]);
+  
+  if (!session || session.revoked_at || new Date(session.expires_at) <= now) {
+    return false;
+  }
+  
+  if (now - new Date(session.last_seen_at) > LAST_SEEN_INTERVAL_MS) {
+    run('UPDATE sessions SET last_seen_at = ? WHERE id = ?', [now.toISOString(), sessionId])
+      .catch(error => console.error('Error updating session last seen time:', error.message));
+  }
+  
+  return true;
+};
+
+/**
+ * List a user's active sessions, most recently seen first
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<Object>>} Sessions
+ */
+const listSessions = async (userId) => {
+  const rows = await all(
+    `SELECT * FROM sessions WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+     ORDER BY last_seen_at DESC`,
+    [userId, new Date().toISOString()]
+  );
+  
+  return rows.map(rowToSession);
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {number} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+const revokeSession = async (userId, sessionId) => {
+  const changes = await run(
+    'UPDATE sessions SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [new Date().toISOString(), sessionId, userId]
+  );
+  
+  return changes > 0;
+};
+
+/**
+ * Revoke all of a user's sessions, signing them out everywhere
+ * @param {number} userId - User ID
+ * @param {Object} options - Options
+ * @param {string} options.except - Session ID to leave signed in, e.g. the one making the request
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = (userId, { except = null } = {}) => {
+  return run(
+    'UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?',
+    [new Date().toISOString(), userId, except]
+  );
+};
+
+/**
+ * End the session a refresh token belongs to, for signing out
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+const revokeSessionByRefreshToken = async (refreshToken) => {
+  try {
+    const { session, current } = await findRefreshSession(refreshToken);
+    return current ? revokeSession(session.user_id, session.id) : false;
+  } catch (error) {
+    if (error.code === 'INVALID_REFRESH_TOKEN') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  getRefreshTokenTtlMs,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  revokeSessionByRefreshToken
+};
@@ -0,0 +1,246 @@
+/**
+ * Source Health
+ * Tracks success rate, latency and errors per news provider, and stops calling a provider
+ * that keeps failing (circuit breaker) until a timed probe shows it has recovered
+ */
+
+// Circuit states
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+// Defaults, overridable from the environment
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MINUTES = 5;
+
+// Errors that mean a provider's quota or rate limit is used up rather than that it is broken
+const QUOTA_ERROR_PATTERN = /quota|rate.?limit|usage_limit|too many requests|limit reached/i;
+
+// Health records by provider ID
+const health = {};
+
+/**
+ * Get the number of consecutive failures that opens a circuit
+ * @returns {number} Failure threshold
+ */
+const getFailureThreshold = () => {
+  return parseInt(process.env.NEWS_CIRCUIT_FAILURE_THRESHOLD, 10) || DEFAULT_FAILURE_THRESHOLD;
+};
+
+/**
+ * Get how long an open circuit waits before a probe request is allowed
+ * @returns {number} Cooldown in milliseconds
+ */
+const getCooldownMs = () => {
+  return (parseFloat(process.env.NEWS_CIRCUIT_COOLDOWN_MINUTES) || DEFAULT_COOLDOWN_MINUTES) * 60 * 1000;
+};
+
+/**
+ * Get or create the health record for a provider
+ * @param {string} provider - Provider ID
+ * @returns {Object} Health record
+ */
+const getRecord = (provider) => {
+  if (!health[provider]) {
+    health[provider] = {
+      provider,
+      state: CIRCUIT_STATES.CLOSED,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      totalLatencyMs: 0,
+      lastLatencyMs: null,
+      lastSuccessAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      quotaExhausted: false,
+      openedAt: null,
+      nextProbeAt: null,
+      probeInFlight: false
+    };
+  }
+  
+  return health[provider];
+};
+
+/**
+ * Check whether an error means the provider's quota is exhausted
+ * @param {Error} error - Error from the provider request
+ * @returns {boolean} True for quota and rate limit errors
+ */
+const isQuotaError = (error) => {
+  return error.response?.status === 429 || QUOTA_ERROR_PATTERN.test(error.message || '');
+};
+
+/**
+ * Work out when an exhausted quota is likely to be available again
+ * Uses the Retry-After header when the provider sends one, otherwise the next UTC midnight (daily quotas)
+ * @param {Error} error - Quota error
+ * @returns {number} Timestamp in milliseconds
+ */
+const getQuotaResetTime = (error) => {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const resetAt = isNaN(seconds) ? new Date(retryAfter).getTime() : Date.now() + seconds * 1000;
+    
+    if (!isNaN(resetAt)) {
+      return resetAt;
+    }
+  }
+  
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  return midnight.getTime();
+};
+
+/**
+ * Check whether a provider may be called, moving an open circuit to half-open once its cooldown has passed
+ * Only one probe request is let through while half-open
+ * @param {string} provider - Provider ID
+ * @returns {boolean} True if the request may go ahead
+ */
+const canRequest = (provider) => {
+  const record = getRecord(provider);
+  
+  if (record.state === CIRCUIT_STATES.CLOSED) {
+    return true;
+  }
+  
+  if (record.state === CIRCUIT_STATES.OPEN && Date.now() >= record.nextProbeAt) {
+    record.state = CIRCUIT_STATES.HALF_OPEN;
+  }
+  
+  if (record.state === CIRCUIT_STATES.HALF_OPEN && !record.probeInFlight) {
+    record.probeInFlight = true;
+    return true;
+  }
+  
+  return false;
+};
+
+/**
+ * Record a successful request, closing the circuit
+ * @param {string} provider - Provider ID
+ * @param {number} latencyMs - Request duration
+ */
+const recordSuccess = (provider, latencyMs) => {
+  const record = getRecord(provider);
+  
+  if (record.state !== CIRCUIT_STATES.CLOSED) {
+    console.log(`News source ${provider} recovered, closing circuit`);
+  }
+  
+  record.successes += 1;
+  record.consecutiveFailures = 0;
+  record.totalLatencyMs += latencyMs;
+  record.lastLatencyMs = latencyMs;
+  record.lastSuccessAt = new Date().toISOString();
+  record.quotaExhausted = false;
+  record.state = CIRCUIT_STATES.CLOSED;
+  record.openedAt = null;
+  record.nextProbeAt = null;
+  record.probeInFlight = false;
+};
+
+/**
+ * Record a failed request, opening the circuit after repeated failures, a failed probe or an exhausted quota
+ * @param {string} provider - Provider ID
+ * @param {Error} error - Error from the request
+ * @param {number} latencyMs - Request duration
+ */
+const recordFailure = (provider, error, latencyMs) => {
+  const record = getRecord(provider);
+  const quotaExhausted = isQuotaError(error);
+  
+  record.failures += 1;
+  record.consecutiveFailures += 1;
+  record.totalLatencyMs += latencyMs;
+  record.lastLatencyMs = latencyMs;
+  record.lastError = error.message;
+  record.lastErrorAt = new Date().toISOString();
+  record.quotaExhausted = quotaExhausted;
+  record.probeInFlight = false;
+  
+  const shouldOpen = quotaExhausted
+    || record.state === CIRCUIT_STATES.HALF_OPEN
+    || record.consecutiveFailures >= getFailureThreshold();
+  
+  if (shouldOpen) {
+    record.state = CIRCUIT_STATES.OPEN;
+    record.openedAt = new Date().toISOString();
+    record.nextProbeAt = quotaExhausted ? getQuotaResetTime(error) : Date.now() + getCooldownMs();
+    
+    console.error(`News source ${provider} circuit opened until ${new Date(record.nextProbeAt).toISOString()}: ${error.message}`);
+  }
+};
+
+/**
+ * Call a provider through its circuit breaker, recording the outcome
+ * @param {string} provider - Provider ID
+ * @param {Function} request - Function returning a promise for the provider's articles
+ * @returns {Promise<*>} The request's result
+ */
+const withHealthTracking = async (provider, request) => {
+  if (!canRequest(provider)) {
+    const record = getRecord(provider);
+    const error = new Error(`${provider} is unavailable (circuit open until ${new Date(record.nextProbeAt).toISOString()})`);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+  
+  const startedAt = Date.now();
+  
+  try {
+    const result = await request();
+    recordSuccess(provider, Date.now() - startedAt);
+    return result;
+  } catch (error) {
+    recordFailure(provider, error, Date.now() - startedAt);
+    throw error;
+  }
+};
+
+/**
+ * Get the health of news providers
+ * @param {Array<string>} providers - Providers to include even if they haven't been called yet
+ * @returns {Array<Object>} Health summary per provider
+ */
+const getSourceStatus = (providers = []) => {
+  const ids = [...new Set([...providers, ...Object.keys(health)])];
+  
+  return ids.map(id => {
+    const record = getRecord(id);
+    const requests = record.successes + record.failures;
+    
+    return {
+      provider: id,
+      state: record.state,
+      requests,
+      successes: record.successes,
+      failures: record.failures,
+      consecutiveFailures: record.consecutiveFailures,
+      successRate: requests > 0 ? record.successes / requests : null,
+      averageLatencyMs: requests > 0 ? Math.round(record.totalLatencyMs / requests) : null,
+      lastLatencyMs: record.lastLatencyMs,
+      lastSuccessAt: record.lastSuccessAt,
+      lastError: record.lastError,
+      lastErrorAt: record.lastErrorAt,
+      quotaExhausted: record.quotaExhausted,
+      openedAt: record.openedAt,
+      nextProbeAt: record.nextProbeAt ? new Date(record.nextProbeAt).toISOString() : null
+    };
+  });
+};
+
+module.exports = {
+  CIRCUIT_STATES,
+  canRequest,
+  recordSuccess,
+  recordFailure,
+  withHealthTracking,
+  getSourceStatus
+};
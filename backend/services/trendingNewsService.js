@@ -2,10 +2,11 @@
  * Trending News Service
  * Identifies trending stories that are covered by multiple news outlets
  */
-const axios = require('axios');
-const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const { generateArticleId } = require('../utils/articleId');
+const { upsertArticles } = require('./articleStore');
+const { getScrapeSources, scrapeSource } = require('./scrapeEngine');
 
 // Cache file for trending stories
 const dataDir = path.join(__dirname, '../data');
@@ -16,183 +17,26 @@ if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-// News sources to scrape
-const NEWS_SOURCES = [
-  {
-    name: 'CNN',
-    url: 'https://www.cnn.com',
-    selectors: {
-      headlines: '.container_lead-plus-headlines__headline, .card__headline',
-      links: 'a',
-      title: '',
-      summary: '.container__text-wrapper'
-    }
-  },
-  {
-    name: 'BBC',
-    url: 'https://www.bbc.com/news',
-    selectors: {
-      headlines: '.gs-c-promo-heading',
-      links: 'a',
-      title: '',
-      summary: '.gs-c-promo-summary'
-    }
-  },
-  {
-    name: 'Reuters',
-    url: 'https://www.reuters.com',
-    selectors: {
-      headlines: '.media-story-card__body__3tRWy',
-      links: 'a.media-story-card__heading__eqhp9',
-      title: '.media-story-card__heading__eqhp9',
-      summary: '.media-story-card__description__27vSx'
-    }
-  },
-  {
-    name: 'AP News',
-    url: 'https://apnews.com',
-    selectors: {
-      headlines: '.PagePromo-title, .CardHeadline',
-      links: 'a',
-      title: '',
-      summary: '.PagePromo-description, .CardDescription'
-    }
-  },
-  {
-    name: 'Al Jazeera',
-    url: 'https://www.aljazeera.com',
-    selectors: {
-      headlines: '.gc__title, .fte-article__title',
-      links: 'a',
-      title: '',
-      summary: '.gc__excerpt, .fte-article__excerpt'
-    }
-  },
-  {
-    name: 'The Guardian',
-    url: 'https://www.theguardian.com/us',
-    selectors: {
-      headlines: '.fc-item__title, .dcr-12fpzem',
-      links: 'a',
-      title: '',
-      summary: '.fc-item__standfirst, .dcr-1989ovb'
-    }
-  },
-  {
-    name: 'NPR',
-    url: 'https://www.npr.org/sections/news/',
-    selectors: {
-      headlines: '.title, .storytitle',
-      links: 'a',
-      title: '',
-      summary: '.teaser, .storydescription'
-    }
-  },
-  {
-    name: 'CNBC',
-    url: 'https://www.cnbc.com',
-    selectors: {
-      headlines: '.Card-title, .RiverHeadline-headline',
-      links: 'a',
-      title: '',
-      summary: '.Card-description, .RiverHeadline-description'
-    }
-  },
-  {
-    name: 'Fox News',
-    url: 'https://www.foxnews.com',
-    selectors: {
-      headlines: '.title, .article-list__article__headline',
-      links: 'a',
-      title: '',
-      summary: '.content, .article-list__article__dek'
-    }
-  },
-  {
-    name: 'The New York Times',
-    url: 'https://www.nytimes.com',
-    selectors: {
-      headlines: 'h2, h3, .indicate-hover',
-      links: 'a',
-      title: '',
-      summary: 'p, .summary'
-    }
-  }
-];
-
 // Categories to classify stories into
 const CATEGORIES = ['politics', 'technology', 'business', 'health', 'environment', 'general'];
 
 /**
  * Scrape headlines from a news source
- * @param {Object} source - News source configuration
+ * @param {Object} source - Scrape source definition
  * @returns {Promise<Array>} Array of headlines with metadata
  */
 const scrapeHeadlines = async (source) => {
   try {
     console.log(`Scraping headlines from ${source.name}...`);
-    const response = await axios.get(source.url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      },
-      timeout: 10000
-    });
-    
-    const $ = cheerio.load(response.data);
-    const headlines = [];
-    
-    $(source.selectors.headlines).each((index, element) => {
-      try {
-        const $element = $(element);
-        let title = source.selectors.title ? $element.find(source.selectors.title).text().trim() : $element.text().trim();
-        let summary = '';
-        let link = '';
-        
-        // Extract summary if available
-        if (source.selectors.summary) {
-          const $summary = $element.find(source.selectors.summary);
-          if ($summary.length) {
-            summary = $summary.text().trim();
-          } else {
-            // Try to find a nearby summary element
-            const $nextElement = $element.next();
-            if ($nextElement.is('p') || $nextElement.hasClass('summary') || $nextElement.hasClass('description')) {
-              summary = $nextElement.text().trim();
-            }
-          }
-        }
-        
-        // Extract link
-        const $link = source.selectors.links ? $element.find(source.selectors.links) : $element;
-        if ($link.is('a')) {
-          link = $link.attr('href');
-        } else {
-          const $a = $link.find('a').first();
-          if ($a.length) {
-            link = $a.attr('href');
-          }
-        }
-        
-        // Ensure link is absolute
-        if (link && !link.startsWith('http')) {
-          link = new URL(link, source.url).toString();
-        }
-        
-        // Only add if we have at least a title and link
-        if (title && link) {
-          headlines.push({
-            title,
-            summary,
-            link,
-            source: source.name,
-            sourceUrl: source.url,
-            timestamp: new Date().toISOString()
-          });
-        }
-      } catch (error) {
-        console.error(`Error processing headline from ${source.name}:`, error.message);
-      }
-    });
+    const timestamp = new Date().toISOString();
+    const headlines = (await scrapeSource(source)).map(({ title, summary, link }) => ({
+      title,
+      summary,
+      link,
+      source: source.name,
+      sourceUrl: source.url,
+      timestamp
+    }));
     
     console.log(`Scraped ${headlines.length} headlines from ${source.name}`);
     return headlines;
@@ -344,6 +188,15 @@ const findBestTitle = (headlines) => {
   return sortedHeadlines[0].title;
 };
 
+/**
+ * Generate a stable ID for a trending story from the headline that seeded its cluster
+ * @param {Object} headline - Seed headline with link, title and source
+ * @returns {string} Trending story ID
+ */
+const generateTrendingId = (headline) => {
+  return generateArticleId({ url: headline.link, title: headline.title, source: headline.source }, 'trending');
+};
+
 /**
  * Get trending stories across multiple news sources
  * @param {Object} options - Options for fetching trending stories
@@ -381,12 +234,13 @@ const getTrendingStories = async (options = {}) => {
   }
   
   // Scrape headlines from all sources
-  const allHeadlinesPromises = NEWS_SOURCES.map(source => scrapeHeadlines(source));
+  const sources = getScrapeSources({ use: 'trending' });
+  const allHeadlinesPromises = sources.map(source => scrapeHeadlines(source));
   const headlinesArrays = await Promise.all(allHeadlinesPromises);
   
   // Flatten the arrays
   const allHeadlines = headlinesArrays.flat();
-  console.log(`Scraped ${allHeadlines.length} total headlines from ${NEWS_SOURCES.length} sources`);
+  console.log(`Scraped ${allHeadlines.length} total headlines from ${sources.length} sources`);
   
   // Cluster similar headlines
   const clusters = clusterSimilarHeadlines(allHeadlines);
@@ -396,14 +250,15 @@ const getTrendingStories = async (options = {}) => {
   const trendingStories = clusters
     .filter(cluster => cluster.sourceCount >= minSources)
     .sort((a, b) => b.sourceCount - a.sourceCount)
-    .map((cluster, index) => ({
-      id: `trending-${Date.now()}-${index}`,
+    .map(cluster => ({
+      id: generateTrendingId(cluster.headlines[0]),
       title: cluster.title,
       summary: cluster.headlines[0].summary || '',
       category: cluster.category,
       sourceCount: cluster.sourceCount,
       sources: cluster.sources,
       perspectives: cluster.headlines.map(h => ({
+        articleId: generateArticleId({ url: h.link, title: h.title, source: h.source }),
         source: h.source,
         title: h.title,
         summary: h.summary,
@@ -413,6 +268,22 @@ const getTrendingStories = async (options = {}) => {
   
   console.log(`Found ${trendingStories.length} trending stories covered by at least ${minSources} sources`);
   
+  // Store each outlet's article so perspectives can be opened, saved and searched like any other article
+  try {
+    await upsertArticles(trendingStories.flatMap(story => story.perspectives.map(perspective => ({
+      id: perspective.articleId,
+      title: perspective.title,
+      summary: perspective.summary,
+      content: perspective.summary,
+      source: perspective.source,
+      url: perspective.link,
+      category: story.category,
+      provider: 'trending'
+    }))));
+  } catch (error) {
+    console.error('Error storing trending articles:', error);
+  }
+  
   // Update cache
   trendingCache = {
     stories: trendingStories,
@@ -483,5 +354,6 @@ module.exports = {
   getTrendingStories,
   getTrendingStoryById,
   refreshTrendingStories,
+  generateTrendingId,
   CATEGORIES
 };
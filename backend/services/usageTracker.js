@@ -0,0 +1,241 @@
+/**
+ * Usage Tracker
+ * Records token usage, latency and estimated cost for every AI provider call, reports usage by
+ * day, model and user, and enforces per-model daily spending caps
+ */
+const db = require('../utils/database');
+const { providers } = require('./aiProviders');
+
+// Rough characters per token, for providers that don't report usage
+const CHARS_PER_TOKEN = 4;
+
+// Default reporting window
+const DEFAULT_REPORT_DAYS = 30;
+
+// Promise wrappers around the callback-based sqlite3 API
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this.changes);
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @param {string} text - Prompt or completion text
+ * @returns {number} Estimated tokens
+ */
+const estimateTokens = (text) => {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+};
+
+/**
+ * Estimate the cost of a call from the provider's per-million-token prices
+ * @param {Object} provider - Provider definition
+ * @param {number} promptTokens - Prompt tokens
+ * @param {number} completionTokens - Completion tokens
+ * @returns {number} Cost in USD
+ */
+const estimateCost = (provider, promptTokens, completionTokens) => {
+  const pricing = provider.pricing || { input: 0, output: 0 };
+  return (promptTokens * pricing.input + completionTokens * pricing.output) / 1000000;
+};
+
+/**
+ * Get the start of the current spending day
+ * @returns {string} ISO timestamp of the last UTC midnight
+ */
+const getStartOfDay = () => {
+  const midnight = new Date();
+  midnight.setUTCHours(0, 0, 0, 0);
+  return midnight.toISOString();
+};
+
+/**
+ * Get the daily spending cap for a model
+ * AI_DAILY_SPEND_CAP_USD_<MODEL ID> overrides AI_DAILY_SPEND_CAP_USD for a single model
+ * @param {string} modelId - AI model ID
+ * @returns {number|null} Cap in USD, or null for no cap
+ */
+const getDailyCap = (modelId) => {
+  const cap = parseFloat(process.env[`AI_DAILY_SPEND_CAP_USD_${modelId.toUpperCase()}`] ?? process.env.AI_DAILY_SPEND_CAP_USD);
+  return isNaN(cap) ? null : cap;
+};
+
+/**
+ * Get how much a model has cost so far today
+ * @param {string} modelId - AI model ID
+ * @returns {Promise<number>} Spend in USD
+ */
+const getDailySpend = async (modelId) => {
+  const row = await get(
+    'SELECT COALESCE(SUM(cost_usd), 0) AS spent FROM ai_usage WHERE model_id = ? AND created_at >= ?',
+    [modelId, getStartOfDay()]
+  );
+  
+  return row.spent;
+};
+
+/**
+ * Check whether a model has used up today's spending cap
+ * Errors reading usage are logged and never block a call
+ * @param {string} modelId - AI model ID
+ * @returns {Promise<boolean>} True if the model should not be called again today
+ */
+const isOverDailyCap = async (modelId) => {
+  const cap = getDailyCap(modelId);
+  
+  if (cap === null) {
+    return false;
+  }
+  
+  try {
+    return (await getDailySpend(modelId)) >= cap;
+  } catch (error) {
+    console.error(`Error reading AI usage for ${modelId}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Record one provider call
+ * Token counts the provider didn't report are estimated from the prompt and completion text;
+ * failed calls are recorded without tokens so they show up in error counts but not in costs
+ * @param {Object} provider - Provider definition
+ * @param {Object} call - Call details
+ * @param {Object} call.usage - Prompt and completion tokens reported by the provider
+ * @param {Object} call.prompt - Prompt with system and user parts
+ * @param {string} call.text - Generated text
+ * @param {number} call.latencyMs - Request duration
+ * @param {number} call.userId - ID of the signed-in user who triggered the call
+ * @param {string} call.purpose - What the call was for: analysis, debate or insights
+ * @param {string} call.status - ok, error or aborted (default: ok)
+ * @returns {Promise<void>}
+ */
+const recordUsage = async (provider, { usage, prompt, text, latencyMs, userId = null, purpose = null, status = 'ok' }) => {
+  const failed = status !== 'ok';
+  const estimated = !failed && (usage?.promptTokens == null || usage?.completionTokens == null);
+  const promptTokens = failed ? 0 : usage?.promptTokens ?? estimateTokens(`${prompt.system}\n\n${prompt.user}`);
+  const completionTokens = failed ? 0 : usage?.completionTokens ?? estimateTokens(text);
+  
+  try {
+    await run(
+      `INSERT INTO ai_usage
+       (model_id, provider, model, user_id, purpose, prompt_tokens, completion_tokens, estimated, latency_ms, cost_usd, status, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        provider.id,
+        provider.provider || null,
+        provider.model || null,
+        userId,
+        purpose,
+        promptTokens,
+        completionTokens,
+        estimated ? 1 : 0,
+        latencyMs,
+        estimateCost(provider, promptTokens, completionTokens),
+        status,
+        new Date().toISOString()
+      ]
+    );
+  } catch (error) {
+    console.error(`Error recording AI usage for ${provider.id}:`, error.message);
+  }
+};
+
+/**
+ * Convert an aggregate row to the shape used by the usage report
+ * @param {Object} row - Row with call, token, cost, latency and error totals
+ * @returns {Object} Usage totals
+ */
+const rowToTotals = (row) => ({
+  calls: row.calls,
+  errors: row.errors || 0,
+  promptTokens: row.prompt_tokens || 0,
+  completionTokens: row.completion_tokens || 0,
+  totalTokens: (row.prompt_tokens || 0) + (row.completion_tokens || 0),
+  estimatedCalls: row.estimated_calls || 0,
+  costUsd: Math.round((row.cost_usd || 0) * 1000000) / 1000000,
+  averageLatencyMs: row.average_latency_ms === null ? null : Math.round(row.average_latency_ms)
+});
+
+/**
+ * Report AI usage over a date range, in total and grouped by day, model and user
+ * @param {Object} options - Report options
+ * @param {string} options.from - First day to include, YYYY-MM-DD (default: 30 days ago)
+ * @param {string} options.to - Last day to include, YYYY-MM-DD (default: today)
+ * @returns {Promise<Object>} Totals, byDay, byModel, byUser, and today's spend against each model's cap
+ */
+const getUsageReport = async ({ from, to } = {}) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const defaultFrom = new Date(Date.now() - (DEFAULT_REPORT_DAYS - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const range = { from: from || defaultFrom, to: to || today };
+  
+  // created_at is an ISO timestamp, so comparing its date prefix selects whole days
+  const where = 'WHERE substr(u.created_at, 1, 10) BETWEEN ? AND ?';
+  const params = [range.from, range.to];
+  const aggregates = `
+    COUNT(*) AS calls,
+    SUM(u.status != 'ok') AS errors,
+    SUM(u.prompt_tokens) AS prompt_tokens,
+    SUM(u.completion_tokens) AS completion_tokens,
+    SUM(u.estimated) AS estimated_calls,
+    SUM(u.cost_usd) AS cost_usd,
+    AVG(u.latency_ms) AS average_latency_ms
+  `;
+  
+  const [totals, byDay, byModel, byUser] = await Promise.all([
+    get(`SELECT ${aggregates} FROM ai_usage u ${where}`, params),
+    all(`SELECT substr(u.created_at, 1, 10) AS day, ${aggregates} FROM ai_usage u ${where} GROUP BY day ORDER BY day`, params),
+    all(`SELECT u.model_id, u.provider, u.model, ${aggregates} FROM ai_usage u ${where} GROUP BY u.model_id ORDER BY cost_usd DESC`, params),
+    all(
+      `SELECT u.user_id, users.username, ${aggregates}
+       FROM ai_usage u LEFT JOIN users ON users.id = u.user_id
+       ${where} GROUP BY u.user_id ORDER BY cost_usd DESC`,
+      params
+    )
+  ]);
+  
+  const caps = await Promise.all(providers
+    .filter(provider => provider.endpoint)
+    .map(async (provider) => {
+      const capUsd = getDailyCap(provider.id);
+      const spentTodayUsd = await getDailySpend(provider.id);
+      
+      return {
+        modelId: provider.id,
+        capUsd,
+        spentTodayUsd: Math.round(spentTodayUsd * 1000000) / 1000000,
+        capped: capUsd !== null && spentTodayUsd >= capUsd
+      };
+    }));
+  
+  return {
+    ...range,
+    totals: rowToTotals(totals),
+    byDay: byDay.map(row => ({ day: row.day, ...rowToTotals(row) })),
+    byModel: byModel.map(row => ({ modelId: row.model_id, provider: row.provider, model: row.model, ...rowToTotals(row) })),
+    byUser: byUser.map(row => ({ userId: row.user_id, username: row.username || null, ...rowToTotals(row) })),
+    caps
+  };
+};
+
+module.exports = {
+  isOverDailyCap,
+  recordUsage,
+  getUsageReport
+};
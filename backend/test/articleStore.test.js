@@ -0,0 +1,81 @@
+/**
+ * Storing merged stories, run against a throwaway database file
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATABASE_FILE = path.join(os.tmpdir(), `article-store-test-${process.pid}.db`);
+process.env.DATABASE_FILE = DATABASE_FILE;
+
+const { upsertArticles, queryArticles, getArticleById, getLastFetchedAt } = require('../services/articleStore');
+const { mergeArticles } = require('../services/newsFetcher');
+const { generateArticleId } = require('../utils/articleId');
+
+/**
+ * Build one provider's copy of a story
+ * @param {string} provider - Provider name
+ * @param {string} url - The provider's URL for the story
+ * @param {string} title - The provider's headline
+ * @returns {Object} Article
+ */
+const copyOf = (provider, url, title) => ({
+  id: generateArticleId({ url, title, source: provider }),
+  title,
+  summary: `${title} (${provider})`,
+  source: provider,
+  url,
+  category: 'science',
+  publishedAt: '2025-01-14T12:00:00.000Z',
+  provider
+});
+
+before(async () => {
+  // Table creation is queued on the shared connection; wait for it before the first transaction
+  await getLastFetchedAt();
+});
+
+after(() => {
+  fs.rmSync(DATABASE_FILE, { force: true });
+});
+
+test('a story keeps its stored ID when the providers carrying it change between refreshes', async () => {
+  const newsApi = copyOf('newsapi', 'https://wire.example.com/comet-flyby', 'Comet makes its closest pass to Earth tonight');
+  const gnews = copyOf('gnews', 'https://daily.example.org/2025/comet', 'Comet makes closest pass to Earth tonight');
+  const rss = copyOf('rss', 'https://science.example.net/comet-pass', 'Comet makes its closest pass to Earth tonight!');
+  
+  // Only the lower-priority provider answers the first refresh
+  const [first] = mergeArticles([gnews]);
+  await upsertArticles([first]);
+  
+  // Then every provider answers, then only another one does
+  const [second] = mergeArticles([newsApi, gnews, rss]);
+  assert.equal(second.id, newsApi.id);
+  assert.deepEqual(second.aliasIds, [gnews.id, rss.id]);
+  await upsertArticles([second]);
+  
+  const [third] = mergeArticles([rss]);
+  await upsertArticles([third]);
+  
+  const { articles, total } = await queryArticles({ category: 'science' });
+  assert.equal(total, 1);
+  assert.equal(articles[0].id, gnews.id);
+  assert.deepEqual(articles[0].providers.sort(), ['gnews', 'newsapi', 'rss']);
+  
+  for (const copy of [newsApi, gnews, rss]) {
+    assert.equal((await getArticleById(copy.id)).id, gnews.id);
+  }
+});
+
+test('mergeArticles keeps the highest-priority copy\'s ID', () => {
+  const newsApi = copyOf('newsapi', 'https://wire.example.com/vote', 'Parliament approves the new budget');
+  const gnews = copyOf('gnews', 'https://daily.example.org/vote', 'Parliament approves new budget');
+  
+  const [merged] = mergeArticles([gnews, newsApi]);
+  
+  assert.equal(merged.id, gnews.id);
+  assert.deepEqual(merged.aliasIds, [newsApi.id]);
+  assert.deepEqual(merged.providers, ['gnews', 'newsapi']);
+});
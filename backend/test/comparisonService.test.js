@@ -0,0 +1,35 @@
+/**
+ * Claim alignment between models' analyses
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compareAnalyses } = require('../services/comparisonService');
+const { MAX_CLAIMS } = require('../services/analysisParser');
+
+const article = { title: 'City council approves new transit plan' };
+
+test('free-text analyses contribute at most MAX_CLAIMS sentences each', () => {
+  const longSummary = (model) => Array.from({ length: 1300 }, (_, index) =>
+    `${model} notes that point number ${index} about route ${index % 97} changes ridership.`
+  ).join(' ');
+  
+  const result = compareAnalyses(article, {
+    chatgpt: { summary: longSummary('ChatGPT'), keyClaims: [] },
+    claude: { summary: longSummary('Claude'), keyClaims: [] }
+  });
+  
+  const claimCount = (modelId) => result.claims.filter(claim => claim.claims[modelId]).length;
+  
+  assert.ok(claimCount('chatgpt') <= MAX_CLAIMS);
+  assert.ok(claimCount('claude') <= MAX_CLAIMS);
+});
+
+test('key claims are aligned by topic and contradictions are flagged', () => {
+  const result = compareAnalyses(article, {
+    chatgpt: { summary: 'Summary.', keyClaims: ['The plan will reduce traffic congestion downtown.'] },
+    claude: { summary: 'Summary.', keyClaims: ['The plan will not reduce traffic congestion downtown.'] }
+  });
+  
+  assert.equal(result.claims.length, 1);
+  assert.equal(result.claims[0].status, 'contradicted');
+});
@@ -0,0 +1,41 @@
+/**
+ * Debate participants, run with the mock providers against a throwaway database file
+ */
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATABASE_FILE = path.join(os.tmpdir(), `debate-service-test-${process.pid}.db`);
+process.env.DATABASE_FILE = DATABASE_FILE;
+
+const { runDebate } = require('../services/debateService');
+
+const article = {
+  id: 'article-debate-test',
+  title: 'City council approves new transit plan',
+  summary: 'The plan adds three bus lines and extends the tram to the airport.',
+  category: 'politics'
+};
+
+after(() => {
+  fs.rmSync(DATABASE_FILE, { force: true });
+});
+
+test('a model listed twice takes part in the debate once', async () => {
+  const debate = await runDebate({ article, aiModels: ['chatgpt', 'chatgpt', 'claude'], rounds: 3 });
+  
+  assert.deepEqual(debate.participants, ['chatgpt', 'claude']);
+  debate.rounds.forEach(round => {
+    assert.deepEqual(round.turns.map(turn => turn.modelId), ['chatgpt', 'claude']);
+  });
+  assert.ok(debate.rounds[1].turns.every(turn => turn.message.length > 0));
+});
+
+test('a debate needs at least two different models', async () => {
+  await assert.rejects(
+    runDebate({ article, aiModels: ['chatgpt', 'chatgpt'] }),
+    /at least two different AI models/
+  );
+});
@@ -0,0 +1,154 @@
+/**
+ * RSS and Atom parsing, checked against the saved feeds in data/fixtures/feeds
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const axios = require('axios');
+const {
+  parseFeed,
+  fetchFromRSS,
+  fetchFromNewsAPI,
+  fetchFromGNews,
+  fetchFromMediaStack
+} = require('../services/newsFetcher');
+
+const FEEDS_DIR = path.join(__dirname, '../data/fixtures/feeds');
+
+const RSS_FEED = { url: 'https://news.example.com/technology/rss', category: 'technology' };
+const ATOM_FEED = { url: 'https://science.example.org/feed.atom', category: 'science' };
+
+const readFeed = (name) => fs.readFileSync(path.join(FEEDS_DIR, name), 'utf8');
+
+test('parseFeed reads RSS items and resolves relative links against the feed URL', () => {
+  const articles = parseFeed(readFeed('rss.xml'), RSS_FEED);
+  const [chips, browser] = articles;
+  
+  assert.equal(chips.title, 'Chip makers report record quarter');
+  assert.equal(chips.summary, 'Demand for AI accelerators kept factories busy.');
+  assert.equal(chips.source, 'Example Technology News');
+  assert.equal(chips.author, 'Jane Doe');
+  assert.equal(chips.imageUrl, 'https://news.example.com/images/chips.jpg');
+  assert.equal(chips.publishedAt, '2025-01-13T15:30:00.000Z');
+  assert.equal(chips.category, 'technology');
+  assert.equal(chips.provider, 'rss');
+  assert.match(chips.id, /^article-[0-9a-f]{16}$/);
+  
+  assert.equal(browser.url, 'https://news.example.com/technology/browser-new-engine');
+  assert.equal(browser.imageUrl, 'https://news.example.com/images/browser.png');
+});
+
+test('parseFeed reads Atom entries', () => {
+  const [telescope, glacier] = parseFeed(readFeed('atom.xml'), ATOM_FEED);
+  
+  assert.equal(telescope.title, 'Telescope finds water on distant moon');
+  assert.equal(telescope.url, 'https://science.example.org/2025/01/telescope-water');
+  assert.equal(telescope.author, 'Sam Lee');
+  assert.equal(telescope.imageUrl, 'https://science.example.org/images/moon.jpg');
+  assert.equal(telescope.publishedAt, '2025-01-12T10:00:00.000Z');
+  
+  assert.equal(glacier.url, 'https://science.example.org/2025/01/glacier-study');
+  assert.equal(glacier.summary, 'Melt rates are higher than models assumed.');
+  assert.equal(glacier.publishedAt, '2025-01-13T09:00:00.000Z');
+});
+
+test('parseFeed skips items with a malformed or missing link and keeps the rest of the feed', () => {
+  const rssTitles = parseFeed(readFeed('rss.xml'), RSS_FEED).map(article => article.title);
+  const atomTitles = parseFeed(readFeed('atom.xml'), ATOM_FEED).map(article => article.title);
+  
+  assert.deepEqual(rssTitles, [
+    'Chip makers report record quarter',
+    'Open source browser ships new engine',
+    'Satellite network expands coverage'
+  ]);
+  assert.equal(atomTitles.length, 3);
+  assert.ok(!atomTitles.includes('Entry with a malformed link'));
+});
+
+test('parseFeed dates undated items with the feed date, or leaves them undated', () => {
+  const satellite = parseFeed(readFeed('rss.xml'), RSS_FEED)
+    .find(article => article.title === 'Satellite network expands coverage');
+  const undated = parseFeed(readFeed('atom.xml'), ATOM_FEED)
+    .find(article => article.title === 'Undated entry in an undated feed');
+  
+  assert.equal(satellite.publishedAt, '2025-01-14T09:00:00.000Z');
+  assert.equal(undated.publishedAt, null);
+  assert.equal(undated.date, null);
+});
+
+test('fetchFromRSS merges feeds newest first, with undated articles last', async (t) => {
+  const server = http.createServer((req, res) => {
+    const name = path.basename(req.url);
+    
+    if (!['rss.xml', 'atom.xml'].includes(name)) {
+      res.writeHead(404).end();
+      return;
+    }
+    
+    res.writeHead(200, { 'Content-Type': 'application/xml' }).end(readFeed(name));
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const articles = await fetchFromRSS({
+    feeds: [
+      { ...RSS_FEED, url: `${baseUrl}/rss.xml` },
+      { ...ATOM_FEED, url: `${baseUrl}/atom.xml` },
+      { ...ATOM_FEED, url: `${baseUrl}/missing.xml` }
+    ],
+    limit: 10
+  });
+  
+  assert.deepEqual(articles.map(article => article.title), [
+    'Satellite network expands coverage',
+    'Open source browser ships new engine',
+    'Chip makers report record quarter',
+    'Glacier study revises sea level estimates',
+    'Telescope finds water on distant moon',
+    'Undated entry in an undated feed'
+  ]);
+});
+
+test('API providers keep the full publish time, and leave invalid times undated', async (t) => {
+  process.env.NEWS_API_KEY = 'test';
+  process.env.GNEWS_API_KEY = 'test';
+  process.env.MEDIASTACK_API_KEY = 'test';
+  t.after(() => {
+    delete process.env.NEWS_API_KEY;
+    delete process.env.GNEWS_API_KEY;
+    delete process.env.MEDIASTACK_API_KEY;
+  });
+  
+  const story = { title: 'Markets close higher', url: 'https://markets.example.com/close', description: 'Stocks rose.' };
+  const responses = {
+    'https://newsapi.org/v2/top-headlines': {
+      status: 'ok',
+      articles: [
+        { ...story, source: { name: 'Example Markets' }, publishedAt: '2025-01-14T12:00:00Z' },
+        { ...story, url: 'https://markets.example.com/other', source: { name: 'Example Markets' }, publishedAt: 'not a date' }
+      ]
+    },
+    'https://gnews.io/api/v4/top-headlines': {
+      articles: [{ ...story, source: { name: 'Example Markets' }, publishedAt: '2025-01-14T12:00:00Z' }]
+    },
+    'http://api.mediastack.com/v1/news': {
+      data: [{ ...story, source: 'Example Markets', published_at: '2025-01-14T12:00:00+00:00' }]
+    }
+  };
+  t.mock.method(axios, 'get', async url => ({ data: responses[url] }));
+  
+  const [newsApi, undated] = await fetchFromNewsAPI({ category: 'business' });
+  const [gnews] = await fetchFromGNews({ category: 'business' });
+  const [mediaStack] = await fetchFromMediaStack({ category: 'business' });
+  
+  [newsApi, gnews, mediaStack].forEach(article => {
+    assert.equal(article.publishedAt, '2025-01-14T12:00:00.000Z');
+    assert.equal(article.date, 'January 14, 2025');
+  });
+  assert.equal(undated.publishedAt, null);
+  assert.equal(undated.date, null);
+});
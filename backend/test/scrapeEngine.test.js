@@ -0,0 +1,32 @@
+/**
+ * Scrape source selectors, checked against the saved pages in data/fixtures
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { getScrapeSources, getFixturePath, validateSelectors } = require('../services/scrapeEngine');
+
+const sources = getScrapeSources();
+
+test('every scrape source has a saved fixture', () => {
+  const missing = sources.filter(source => !fs.existsSync(getFixturePath(source.id))).map(source => source.id);
+  
+  assert.deepEqual(missing, []);
+});
+
+for (const source of sources) {
+  test(`${source.id} selectors extract headlines from the fixture`, () => {
+    const html = fs.readFileSync(getFixturePath(source.id), 'utf8');
+    const result = validateSelectors(source, html);
+    const sourceHost = new URL(source.url).hostname;
+    
+    assert.ok(result.headlines > 0, `no headlines in ${result.containers} containers`);
+    assert.ok(!result.unmatchedSelectors.includes('title'), 'title selector matched nothing');
+    assert.ok(!result.unmatchedSelectors.includes('link'), 'link selector matched nothing');
+    
+    result.sample.forEach(headline => {
+      assert.ok(headline.title.length > 0);
+      assert.equal(new URL(headline.link).hostname, sourceHost);
+    });
+  });
+}
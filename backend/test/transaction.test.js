@@ -0,0 +1,74 @@
+/**
+ * Transactions, run against a throwaway database file
+ */
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATABASE_FILE = path.join(os.tmpdir(), `transaction-test-${process.pid}.db`);
+process.env.DATABASE_FILE = DATABASE_FILE;
+
+const db = require('../utils/database');
+const { withTransaction } = require('../utils/transaction');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, err => (err ? reject(err) : resolve()));
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+after(() => {
+  fs.rmSync(DATABASE_FILE, { force: true });
+});
+
+test('withTransaction commits its statements together', async () => {
+  await run('CREATE TABLE IF NOT EXISTS committed (name TEXT)');
+  
+  const result = await withTransaction(async (runStatement) => {
+    await runStatement('INSERT INTO committed (name) VALUES (?)', ['first']);
+    await runStatement('INSERT INTO committed (name) VALUES (?)', ['second']);
+    return 'done';
+  });
+  
+  assert.equal(result, 'done');
+  assert.deepEqual((await all('SELECT name FROM committed ORDER BY name')).map(row => row.name), ['first', 'second']);
+});
+
+test('a rolled back transaction keeps writes made on the shared connection meanwhile', async () => {
+  await run('CREATE TABLE IF NOT EXISTS batch (name TEXT)');
+  await run('CREATE TABLE IF NOT EXISTS unrelated (name TEXT)');
+  
+  let unrelatedInsert = null;
+  
+  const transaction = withTransaction(async (runStatement) => {
+    await runStatement('INSERT INTO batch (name) VALUES (?)', ['rolled back']);
+    
+    // Another module writes while the transaction is open
+    unrelatedInsert = run('INSERT INTO unrelated (name) VALUES (?)', ['kept']);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    await runStatement('INSERT INTO missing_table (name) VALUES (?)', ['fails']);
+  });
+  
+  await assert.rejects(transaction, /no such table: missing_table/);
+  await unrelatedInsert;
+  
+  assert.deepEqual(await all('SELECT name FROM batch'), []);
+  assert.deepEqual(await all('SELECT name FROM unrelated'), [{ name: 'kept' }]);
+});
+
+test('a failed transaction doesn\'t stop the next one', async () => {
+  await run('CREATE TABLE IF NOT EXISTS queued (name TEXT)');
+  
+  const failed = withTransaction(async () => {
+    throw new Error('first fails');
+  });
+  const next = withTransaction(runStatement => runStatement('INSERT INTO queued (name) VALUES (?)', ['second']));
+  
+  await assert.rejects(failed, /first fails/);
+  assert.equal(await next, 1);
+});
@@ -0,0 +1,95 @@
+/**
+ * Article ID helpers
+ * Derives stable, content-based IDs so the same story keeps its ID across refreshes and providers
+ */
+const crypto = require('crypto');
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|cmpid|ocid|taid)$/i;
+
+// Prefix of every article ID, whichever provider carried the article, so one story always has one ID
+const ARTICLE_ID_PREFIX = 'article';
+
+// Content-based IDs from versions that prefixed them with the provider, e.g. `newsapi-b8009b17977d1dd4`
+const PROVIDER_PREFIXED_ID_PATTERN = /^(newsapi|gnews|mediastack|rss|scrape|mock)-([0-9a-f]{16})$/;
+
+// IDs produced before content-based IDs existed, e.g. `newsapi-1745684869015-0` or `1745684869015`
+const LEGACY_ID_PATTERN = /^((newsapi|gnews|mediastack|scrape|trending|mock-\w+)-\d{13}-\d+|\d{13,})$/;
+
+/**
+ * Reduce a URL to a canonical form so trivial variations map to the same article
+ * @param {string} url - Article URL
+ * @returns {string|null} Canonical URL without protocol, or null if the URL is invalid
+ */
+const canonicalizeUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    
+    [...parsed.searchParams.keys()]
+      .filter(key => TRACKING_PARAMS.test(key))
+      .forEach(key => parsed.searchParams.delete(key));
+    parsed.searchParams.sort();
+    
+    const pathname = parsed.pathname.replace(/\/+$/, '');
+    const search = parsed.searchParams.toString();
+    
+    return `${host}${pathname}${search ? `?${search}` : ''}`;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Normalize text for comparison: lowercase, no punctuation, single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+const normalizeText = (text = '') => {
+  return String(text || '').toLowerCase()
+    .replace(/[^\w\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Generate a stable ID from an article's canonical URL, or its normalized title and source
+ * Articles always use the default prefix, so the ID doesn't depend on which provider returned the story;
+ * other kinds of item, like trending stories, pass their own
+ * @param {Object} article - Article with url, title and source
+ * @param {string} prefix - ID prefix (default: 'article')
+ * @returns {string} Content-based article ID
+ */
+const generateArticleId = ({ url, title, source }, prefix = ARTICLE_ID_PREFIX) => {
+  const canonicalUrl = url ? canonicalizeUrl(url) : null;
+  const key = canonicalUrl || `${normalizeText(title)}|${normalizeText(source)}`;
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+  
+  return `${prefix}-${hash}`;
+};
+
+/**
+ * Check whether an ID was generated by the old timestamp-based scheme
+ * @param {string|number} id - Article ID
+ * @returns {boolean} True for legacy IDs
+ */
+const isLegacyArticleId = (id) => LEGACY_ID_PATTERN.test(String(id));
+
+/**
+ * Get the provider-independent form of an ID from the provider-prefixed scheme
+ * The hash doesn't depend on the prefix, so only the prefix changes
+ * @param {string} id - Article ID
+ * @returns {string|null} ID with the article prefix, or null if the ID wasn't provider-prefixed
+ */
+const unprefixArticleId = (id) => {
+  const match = String(id).match(PROVIDER_PREFIXED_ID_PATTERN);
+  return match ? `${ARTICLE_ID_PREFIX}-${match[2]}` : null;
+};
+
+module.exports = {
+  canonicalizeUrl,
+  normalizeText,
+  generateArticleId,
+  isLegacyArticleId,
+  unprefixArticleId
+};
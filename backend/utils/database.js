@@ -8,17 +8,33 @@ if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-// Create database connection
-const dbPath = path.join(dataDir, 'news_app.db');
+// How long a statement waits for a transaction on another connection (utils/transaction.js) to finish
+const BUSY_TIMEOUT_MS = 10000;
+
+// Create database connection, to DATABASE_FILE if set
+const dbPath = process.env.DATABASE_FILE || path.join(dataDir, 'news_app.db');
 const db = new sqlite3.Database(dbPath, (err) => {
   if (err) {
     console.error('Error connecting to SQLite database:', err.message);
   } else {
     console.log('Connected to SQLite database');
-    initializeDatabase();
   }
 });
 
+db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+
+// Queue table creation ahead of any other statement so early queries never see missing tables
+db.serialize(() => initializeDatabase());
+
+// Add a column to a table created by an older version, ignoring tables that already have it
+function addColumnIfMissing(table, column, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      console.error(`Error adding ${table}.${column}:`, err.message);
+    }
+  });
+}
+
 // Initialize database tables
 function initializeDatabase() {
   // Users table
@@ -28,11 +44,37 @@ function initializeDatabase() {
       username TEXT UNIQUE NOT NULL,
       email TEXT UNIQUE NOT NULL,
       password TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'reader',
+      email_verified_at TIMESTAMP,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )
   `);
 
+  // Reader, editor or admin (see middleware/auth.js)
+  addColumnIfMissing('users', 'role', "TEXT NOT NULL DEFAULT 'reader'");
+
+  // Set once the user opens the link in their verification email
+  addColumnIfMissing('users', 'email_verified_at', 'TIMESTAMP');
+
+  // Sign-in sessions; each holds the hash of its current refresh token
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      refresh_token_hash TEXT NOT NULL,
+      user_agent TEXT,
+      ip TEXT,
+      created_at TIMESTAMP NOT NULL,
+      last_seen_at TIMESTAMP NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id, last_seen_at)');
+
   // User preferences table
   db.run(`
     CREATE TABLE IF NOT EXISTS user_preferences (
@@ -60,6 +102,13 @@ function initializeDatabase() {
     )
   `);
 
+  // Snapshot of the article and its AI analyses when it was saved, so saved articles outlive the news feed
+  addColumnIfMissing('saved_articles', 'article_snapshot', 'TEXT');
+  addColumnIfMissing('saved_articles', 'analyses_snapshot', 'TEXT');
+
+  // Analysis style (prompt template ID) the saved analyses were generated with
+  addColumnIfMissing('saved_articles', 'analysis_template', 'TEXT');
+
   // Reading history table
   db.run(`
     CREATE TABLE IF NOT EXISTS reading_history (
@@ -71,6 +120,225 @@ function initializeDatabase() {
     )
   `);
 
+  // One row per article per sign-in session: repeat views update the row and its view count rather than adding one.
+  // The article's title, category, source and link are kept so history outlives the news feed
+  addColumnIfMissing('reading_history', 'session_id', 'TEXT');
+  addColumnIfMissing('reading_history', 'last_viewed_at', 'TIMESTAMP');
+  addColumnIfMissing('reading_history', 'view_count', 'INTEGER NOT NULL DEFAULT 1');
+  addColumnIfMissing('reading_history', 'dwell_seconds', 'INTEGER NOT NULL DEFAULT 0');
+  addColumnIfMissing('reading_history', 'models_viewed', 'TEXT');
+  addColumnIfMissing('reading_history', 'title', 'TEXT');
+  addColumnIfMissing('reading_history', 'category', 'TEXT');
+  addColumnIfMissing('reading_history', 'source', 'TEXT');
+  addColumnIfMissing('reading_history', 'url', 'TEXT');
+
+  db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_reading_history_session ON reading_history (user_id, session_id, article_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_reading_history_user ON reading_history (user_id, read_at)');
+
+  // Shared cache of AI analyses, keyed by article content, model and prompt version
+  db.run(`
+    CREATE TABLE IF NOT EXISTS analysis_cache (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      article_fingerprint TEXT NOT NULL,
+      model_id TEXT NOT NULL,
+      prompt_version TEXT NOT NULL,
+      analysis TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      article_id TEXT,
+      template_id TEXT,
+      structured TEXT,
+      UNIQUE(article_fingerprint, model_id, prompt_version)
+    )
+  `);
+
+  // Article the analysis was generated for, so analyses can be searched
+  addColumnIfMissing('analysis_cache', 'article_id', 'TEXT');
+
+  // Prompt template the analysis was generated with (prompt_version holds the template's version key)
+  addColumnIfMissing('analysis_cache', 'template_id', 'TEXT');
+
+  // Structured analysis as JSON (analysis holds its plain text, which is what search indexes)
+  addColumnIfMissing('analysis_cache', 'structured', 'TEXT');
+
+  // One row per AI provider call, for usage reports, cost estimates and daily spending caps
+  db.run(`
+    CREATE TABLE IF NOT EXISTS ai_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      model_id TEXT NOT NULL,
+      provider TEXT,
+      model TEXT,
+      user_id INTEGER,
+      purpose TEXT,
+      prompt_tokens INTEGER NOT NULL DEFAULT 0,
+      completion_tokens INTEGER NOT NULL DEFAULT 0,
+      estimated INTEGER NOT NULL DEFAULT 0,
+      latency_ms INTEGER,
+      cost_usd REAL NOT NULL DEFAULT 0,
+      status TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+    )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_ai_usage_model ON ai_usage (model_id, created_at)');
+
+  // Request counters for the SQLite rate limit store, shared by every server process
+  db.run(`
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL,
+      reset_at INTEGER NOT NULL
+    )
+  `);
+
+  // News categories
+  db.run(`
+    CREATE TABLE IF NOT EXISTS categories (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL
+    )
+  `);
+
+  const categoryStmt = db.prepare('INSERT OR IGNORE INTO categories (id, name) VALUES (?, ?)');
+  [
+    ['technology', 'Technology'],
+    ['business', 'Business'],
+    ['health', 'Health'],
+    ['politics', 'Politics'],
+    ['environment', 'Environment'],
+    ['general', 'General']
+  ].forEach(category => categoryStmt.run(category));
+  categoryStmt.finalize();
+
+  // News outlets articles come from
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sources (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Articles from every fetcher, scraper and the trending service, keyed by stable article ID
+  db.run(`
+    CREATE TABLE IF NOT EXISTS articles (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      summary TEXT,
+      content TEXT,
+      author TEXT,
+      url TEXT,
+      image_url TEXT,
+      date TEXT,
+      published_at TIMESTAMP NOT NULL,
+      undated INTEGER NOT NULL DEFAULT 0,
+      category_id TEXT NOT NULL,
+      source_id INTEGER,
+      provider TEXT,
+      fetched_at TIMESTAMP NOT NULL,
+      body TEXT,
+      byline TEXT,
+      body_status TEXT,
+      body_extracted_at TIMESTAMP,
+      FOREIGN KEY (category_id) REFERENCES categories (id),
+      FOREIGN KEY (source_id) REFERENCES sources (id)
+    )
+  `);
+
+  // Set when the publish time is unknown: published_at then holds the fetch time and the article sorts last
+  addColumnIfMissing('articles', 'undated', 'INTEGER NOT NULL DEFAULT 0');
+
+  // Full article text extracted from the article page, for grounding AI analyses
+  addColumnIfMissing('articles', 'body', 'TEXT');
+  addColumnIfMissing('articles', 'byline', 'TEXT');
+  addColumnIfMissing('articles', 'body_status', 'TEXT');
+  addColumnIfMissing('articles', 'body_extracted_at', 'TIMESTAMP');
+
+  // Every provider that has carried an article, since several APIs often return the same story
+  db.run(`
+    CREATE TABLE IF NOT EXISTS article_providers (
+      article_id TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      PRIMARY KEY (article_id, provider),
+      FOREIGN KEY (article_id) REFERENCES articles (id) ON DELETE CASCADE
+    )
+  `);
+
+  // IDs of other copies of a stored story (e.g. another provider's URL for it), resolved to the stored article,
+  // so the story keeps its first ID whichever providers carry it later
+  db.run(`
+    CREATE TABLE IF NOT EXISTS article_aliases (
+      alias_id TEXT PRIMARY KEY,
+      article_id TEXT NOT NULL,
+      FOREIGN KEY (article_id) REFERENCES articles (id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_articles_published ON articles (published_at)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_articles_category ON articles (category_id, published_at)');
+
+  // Full-text search indexes over articles and cached analyses, kept in sync by triggers
+  db.run(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS articles_fts USING fts5(
+      title, summary, content,
+      content='articles', content_rowid='rowid'
+    )
+  `);
+
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS articles_fts_insert AFTER INSERT ON articles BEGIN
+      INSERT INTO articles_fts (rowid, title, summary, content)
+      VALUES (new.rowid, new.title, new.summary, new.content);
+    END
+  `);
+
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS articles_fts_delete AFTER DELETE ON articles BEGIN
+      INSERT INTO articles_fts (articles_fts, rowid, title, summary, content)
+      VALUES ('delete', old.rowid, old.title, old.summary, old.content);
+    END
+  `);
+
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS articles_fts_update AFTER UPDATE ON articles BEGIN
+      INSERT INTO articles_fts (articles_fts, rowid, title, summary, content)
+      VALUES ('delete', old.rowid, old.title, old.summary, old.content);
+      INSERT INTO articles_fts (rowid, title, summary, content)
+      VALUES (new.rowid, new.title, new.summary, new.content);
+    END
+  `);
+
+  db.run(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS analyses_fts USING fts5(
+      analysis,
+      content='analysis_cache', content_rowid='id'
+    )
+  `);
+
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS analyses_fts_insert AFTER INSERT ON analysis_cache BEGIN
+      INSERT INTO analyses_fts (rowid, analysis) VALUES (new.id, new.analysis);
+    END
+  `);
+
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS analyses_fts_delete AFTER DELETE ON analysis_cache BEGIN
+      INSERT INTO analyses_fts (analyses_fts, rowid, analysis) VALUES ('delete', old.id, old.analysis);
+    END
+  `);
+
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS analyses_fts_update AFTER UPDATE ON analysis_cache BEGIN
+      INSERT INTO analyses_fts (analyses_fts, rowid, analysis) VALUES ('delete', old.id, old.analysis);
+      INSERT INTO analyses_fts (rowid, analysis) VALUES (new.id, new.analysis);
+    END
+  `);
+
+  // Index rows written before the search indexes existed
+  db.run(`INSERT INTO articles_fts (articles_fts) VALUES ('rebuild')`);
+  db.run(`INSERT INTO analyses_fts (analyses_fts) VALUES ('rebuild')`);
+
   console.log('Database tables initialized');
 }
 
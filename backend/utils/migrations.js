@@ -0,0 +1,332 @@
+/**
+ * Data migrations
+ * One-off upgrades applied at server startup; each migration is idempotent
+ */
+const fs = require('fs');
+const path = require('path');
+const db = require('./database');
+const { generateArticleId, isLegacyArticleId, unprefixArticleId } = require('./articleId');
+const { generateMockNews } = require('../services/newsService');
+const { upsertArticles } = require('../services/articleStore');
+const { getAdminEmails } = require('../middleware/auth');
+const { withTransaction } = require('./transaction');
+
+const dataDir = path.join(__dirname, '../data');
+const newsFilePath = path.join(dataDir, 'news.json');
+const trendingCachePath = path.join(dataDir, 'trending-news.json');
+
+// Trending stories keep their own ID prefix; every other legacy ID becomes an article ID
+const TRENDING_PREFIX = 'trending';
+
+// Legacy mock IDs (`mock-tech-<timestamp>-1`) encode the category of a fixed mock article
+const MOCK_ID_CATEGORIES = {
+  tech: 'technology',
+  env: 'environment',
+  pol: 'politics',
+  health: 'health',
+  bus: 'business'
+};
+
+// Promise wrappers around the callback-based sqlite3 API
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this.changes);
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+/**
+ * Read a JSON data file, returning null if it does not exist or cannot be parsed
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object|null} Parsed data
+ */
+const readJson = (filePath) => {
+  try {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+  } catch (error) {
+    console.error(`Error reading ${filePath}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Pick the stable-ID prefix for a legacy article ID
+ * @param {string} id - Legacy article ID
+ * @returns {string|undefined} Prefix for the replacement ID, or undefined for the article default
+ */
+const prefixFor = (id) => {
+  return String(id).startsWith(`${TRENDING_PREFIX}-`) ? TRENDING_PREFIX : undefined;
+};
+
+/**
+ * Give every legacy article in a list a stable ID, recording old → new in the map
+ * @param {Array} articles - Articles to update in place
+ * @param {Map} idMap - Map of legacy ID to new ID
+ * @param {Function} toIdentity - Returns the {url, title, source} used to derive an article's ID
+ * @returns {boolean} True if any ID changed
+ */
+const remapArticles = (articles = [], idMap, toIdentity) => {
+  let changed = false;
+  
+  articles.forEach(article => {
+    if (!article || !isLegacyArticleId(article.id)) return;
+    
+    const newId = generateArticleId(toIdentity(article), prefixFor(article.id));
+    idMap.set(String(article.id), newId);
+    article.id = newId;
+    changed = true;
+  });
+  
+  return changed;
+};
+
+/**
+ * Replace timestamp-based article IDs with stable content-based IDs
+ * Rewrites the cached news and trending files, then points saved articles and
+ * reading history at the new IDs
+ * @returns {Promise<Object>} Counts of remapped IDs and updated rows
+ */
+const migrateLegacyArticleIds = async () => {
+  const idMap = new Map();
+  
+  const newsData = readJson(newsFilePath);
+  if (newsData) {
+    const toIdentity = article => ({ url: article.url, title: article.title, source: article.source });
+    let changed = remapArticles(newsData.articles, idMap, toIdentity);
+    
+    Object.values(newsData.categories || {}).forEach(category => {
+      const articles = Array.isArray(category) ? category : category.articles;
+      changed = remapArticles(articles, idMap, toIdentity) || changed;
+    });
+    
+    if (changed) {
+      fs.writeFileSync(newsFilePath, JSON.stringify(newsData, null, 2));
+    }
+  }
+  
+  const trendingData = readJson(trendingCachePath);
+  if (trendingData) {
+    // Trending IDs are derived from the headline that seeded the story's cluster
+    const toIdentity = story => {
+      const seed = (story.perspectives && story.perspectives[0]) || {};
+      return { url: seed.link, title: seed.title || story.title, source: seed.source };
+    };
+    
+    if (remapArticles(trendingData.stories, idMap, toIdentity)) {
+      fs.writeFileSync(trendingCachePath, JSON.stringify(trendingData, null, 2));
+    }
+  }
+  
+  // Mock articles are never cached, so map their legacy IDs straight from the stored rows
+  const mockArticles = generateMockNews();
+  const storedIds = await all(`
+    SELECT article_id FROM saved_articles
+    UNION
+    SELECT article_id FROM reading_history
+  `);
+  
+  storedIds.forEach(({ article_id: id }) => {
+    const match = String(id).match(/^mock-(\w+)-\d{13}-\d+$/);
+    const mockArticle = match && mockArticles.find(article => article.category === MOCK_ID_CATEGORIES[match[1]]);
+    
+    if (mockArticle) {
+      idMap.set(String(id), mockArticle.id);
+    }
+  });
+  
+  let savedUpdated = 0;
+  let historyUpdated = 0;
+  
+  for (const [oldId, newId] of idMap) {
+    // A user may already have saved the article under its new ID
+    savedUpdated += await run('UPDATE OR IGNORE saved_articles SET article_id = ? WHERE article_id = ?', [newId, oldId]);
+    await run('DELETE FROM saved_articles WHERE article_id = ?', [oldId]);
+    historyUpdated += await run('UPDATE reading_history SET article_id = ? WHERE article_id = ?', [newId, oldId]);
+  }
+  
+  // Rows that point at articles no longer in any cache cannot be mapped; keep them but report them
+  const rows = await all(`
+    SELECT article_id FROM saved_articles
+    UNION
+    SELECT article_id FROM reading_history
+  `);
+  const unmapped = rows.filter(row => isLegacyArticleId(row.article_id));
+  
+  if (idMap.size > 0 || unmapped.length > 0) {
+    console.log(`Migrated ${idMap.size} legacy article IDs (${savedUpdated} saved, ${historyUpdated} history rows); ${unmapped.length} could not be mapped`);
+  }
+  
+  return {
+    remapped: idMap.size,
+    savedUpdated,
+    historyUpdated,
+    unmapped: unmapped.length
+  };
+};
+
+/**
+ * Import articles from the old news.json cache into the articles table
+ * The file is renamed afterwards so it is only imported once
+ * @returns {Promise<number>} Number of articles imported
+ */
+const importLegacyNewsFile = async () => {
+  const newsData = readJson(newsFilePath);
+  
+  if (!newsData) {
+    return 0;
+  }
+  
+  const categoryArticles = Object.values(newsData.categories || {})
+    .flatMap(category => (Array.isArray(category) ? category : category.articles) || []);
+  const articles = [...(newsData.articles || []), ...categoryArticles];
+  
+  // Keep the original fetch time so imported articles are still refreshed when stale
+  const imported = await upsertArticles(articles, {
+    fetchedAt: newsData.lastUpdated || new Date(0).toISOString()
+  });
+  
+  fs.renameSync(newsFilePath, `${newsFilePath}.imported`);
+  console.log(`Imported ${imported} articles from news.json`);
+  
+  return imported;
+};
+
+/**
+ * Replace provider-prefixed article IDs (`newsapi-<hash>`, `rss-<hash>`, ...) with provider-independent ones
+ * The same story from two providers was stored twice; the copies are merged into one article, and saved
+ * articles, reading history and cached analyses are pointed at it
+ * @returns {Promise<number>} Number of IDs replaced
+ */
+const unifyArticleIdPrefixes = async () => {
+  const rows = await all(`
+    SELECT id AS article_id FROM articles
+    UNION SELECT article_id FROM article_providers
+    UNION SELECT article_id FROM saved_articles
+    UNION SELECT article_id FROM reading_history
+    UNION SELECT article_id FROM analysis_cache WHERE article_id IS NOT NULL
+  `);
+  
+  let replaced = 0;
+  
+  for (const { article_id: oldId } of rows) {
+    const newId = unprefixArticleId(oldId);
+    if (!newId) continue;
+    
+    // Rows that already exist under the new ID win; the leftover copies are deleted
+    await run('UPDATE OR IGNORE articles SET id = ? WHERE id = ?', [newId, oldId]);
+    await run('DELETE FROM articles WHERE id = ?', [oldId]);
+    await run('UPDATE OR IGNORE article_providers SET article_id = ? WHERE article_id = ?', [newId, oldId]);
+    await run('DELETE FROM article_providers WHERE article_id = ?', [oldId]);
+    await run(
+      `UPDATE OR IGNORE saved_articles SET
+         article_id = ?,
+         article_snapshot = CASE WHEN json_valid(article_snapshot) THEN json_set(article_snapshot, '$.id', ?) ELSE article_snapshot END
+       WHERE article_id = ?`,
+      [newId, newId, oldId]
+    );
+    await run('DELETE FROM saved_articles WHERE article_id = ?', [oldId]);
+    await run('UPDATE OR IGNORE reading_history SET article_id = ? WHERE article_id = ?', [newId, oldId]);
+    await run('DELETE FROM reading_history WHERE article_id = ?', [oldId]);
+    await run('UPDATE analysis_cache SET article_id = ? WHERE article_id = ?', [newId, oldId]);
+    replaced += 1;
+  }
+  
+  if (replaced > 0) {
+    console.log(`Replaced ${replaced} provider-prefixed article IDs`);
+  }
+  
+  return replaced;
+};
+
+/**
+ * Give the admin role to existing users whose email is listed in ADMIN_EMAILS
+ * Users are never demoted here, so removing an address only affects accounts registered later
+ * @returns {Promise<void>}
+ */
+const promoteConfiguredAdmins = async () => {
+  const emails = getAdminEmails();
+  
+  if (emails.length === 0) return;
+  
+  const promoted = await run(
+    `UPDATE users SET role = 'admin' WHERE role != 'admin' AND LOWER(email) IN (${emails.map(() => '?').join(', ')})`,
+    emails
+  );
+  
+  if (promoted > 0) {
+    console.log(`Promoted ${promoted} user(s) listed in ADMIN_EMAILS to admin`);
+  }
+};
+
+/**
+ * Collapse reading history recorded before views were grouped by session
+ * Older rows have no session and were added on every view, so keep the first view of each article per day
+ * and add the views of the rows removed to its view count
+ * @returns {Promise<number>} Number of duplicate rows removed
+ */
+const collapseDuplicateHistory = async () => {
+  const removed = await withTransaction(async (runStatement) => {
+    await runStatement(`
+      UPDATE reading_history
+      SET view_count = view_count + (
+        SELECT SUM(d.view_count) FROM reading_history d
+        WHERE d.session_id IS NULL AND d.id != reading_history.id
+          AND d.user_id = reading_history.user_id AND d.article_id = reading_history.article_id
+          AND date(d.read_at) = date(reading_history.read_at)
+      )
+      WHERE id IN (
+        SELECT MIN(id) FROM reading_history
+        WHERE session_id IS NULL
+        GROUP BY user_id, article_id, date(read_at)
+        HAVING COUNT(*) > 1
+      )
+    `);
+    
+    return runStatement(`
+      DELETE FROM reading_history
+      WHERE session_id IS NULL AND id NOT IN (
+        SELECT MIN(id) FROM reading_history
+        WHERE session_id IS NULL
+        GROUP BY user_id, article_id, date(read_at)
+      )
+    `);
+  });
+  
+  if (removed > 0) {
+    console.log(`Removed ${removed} duplicate reading history rows`);
+  }
+  
+  return removed;
+};
+
+/**
+ * Run all startup migrations
+ * @returns {Promise<void>}
+ */
+const runMigrations = async () => {
+  try {
+    await migrateLegacyArticleIds();
+    await importLegacyNewsFile();
+    await unifyArticleIdPrefixes();
+    await promoteConfiguredAdmins();
+    await collapseDuplicateHistory();
+  } catch (error) {
+    console.error('Error running data migrations:', error);
+  }
+};
+
+module.exports = {
+  migrateLegacyArticleIds,
+  importLegacyNewsFile,
+  unifyArticleIdPrefixes,
+  promoteConfiguredAdmins,
+  collapseDuplicateHistory,
+  runMigrations
+};
@@ -0,0 +1,119 @@
+/**
+ * Rate Limit Stores
+ * Fixed-window request counters for the rate limiting middleware. Every store has the same shape:
+ * increment(key, windowMs) resolves to the key's count in the current window and when the window resets.
+ * The memory store is per process; the SQLite store is shared by every process using the database.
+ */
+
+// How often the memory store drops finished windows
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create a store that keeps counters in this process's memory
+ * @returns {Object} Rate limit store
+ */
+const createMemoryStore = () => {
+  const windows = new Map();
+  let lastSweep = Date.now();
+  
+  // Forget keys whose window has ended, so one-off visitors don't pile up
+  const sweep = (now) => {
+    if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+    
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) windows.delete(key);
+    });
+    lastSweep = now;
+  };
+  
+  return {
+    name: 'memory',
+    
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      sweep(now);
+      
+      const current = windows.get(key);
+      
+      if (!current || current.resetAt <= now) {
+        const window = { count: 1, resetAt: now + windowMs };
+        windows.set(key, window);
+        return { ...window };
+      }
+      
+      current.count += 1;
+      return { ...current };
+    }
+  };
+};
+
+/**
+ * Create a store that keeps counters in the rate_limits table
+ * The increment is a single upsert, so concurrent processes never lose a count
+ * @returns {Object} Rate limit store
+ */
+const createSqliteStore = () => {
+  // Required lazily so the memory store works without opening the database
+  const db = require('./database');
+  let lastSweep = Date.now();
+  
+  const sweep = (now) => {
+    if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+    
+    lastSweep = now;
+    db.run('DELETE FROM rate_limits WHERE reset_at <= ?', [now], (err) => {
+      if (err) console.error('Error pruning rate limits:', err.message);
+    });
+  };
+  
+  return {
+    name: 'sqlite',
+    
+    increment: (key, windowMs) => {
+      const now = Date.now();
+      sweep(now);
+      
+      return new Promise((resolve, reject) => {
+        db.get(
+          `INSERT INTO rate_limits (key, count, reset_at) VALUES (?, 1, ?)
+           ON CONFLICT(key) DO UPDATE SET
+             count = CASE WHEN reset_at <= ? THEN 1 ELSE count + 1 END,
+             reset_at = CASE WHEN reset_at <= ? THEN excluded.reset_at ELSE reset_at END
+           RETURNING count, reset_at`,
+          [key, now + windowMs, now, now],
+          (err, row) => {
+            if (err) reject(err);
+            else resolve({ count: row.count, resetAt: row.reset_at });
+          }
+        );
+      });
+    }
+  };
+};
+
+// Available stores, selected with RATE_LIMIT_STORE
+const STORES = {
+  memory: createMemoryStore,
+  sqlite: createSqliteStore
+};
+
+/**
+ * Create the store named in RATE_LIMIT_STORE (default: memory)
+ * @returns {Object} Rate limit store
+ * @throws {Error} If the store name is unknown
+ */
+const createConfiguredStore = () => {
+  const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+  
+  if (!STORES[name]) {
+    throw new Error(`Unknown RATE_LIMIT_STORE ${name}; use one of ${Object.keys(STORES).join(', ')}`);
+  }
+  
+  return STORES[name]();
+};
+
+module.exports = {
+  createMemoryStore,
+  createSqliteStore,
+  createConfiguredStore
+};
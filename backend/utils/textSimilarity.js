@@ -0,0 +1,91 @@
+/**
+ * Text similarity helpers
+ * Word-overlap and tone heuristics used to compare AI analyses without calling an LLM
+ */
+
+// Sentences at or above this word overlap are treated as making the same point
+const MATCH_THRESHOLD = 0.3;
+
+// Sentences at or above this overlap discuss the same topic, even if they disagree about it
+const TOPIC_THRESHOLD = 0.15;
+
+const STOP_WORDS = new Set([
+  'that', 'this', 'with', 'from', 'have', 'will', 'been', 'were', 'which', 'their', 'there',
+  'they', 'these', 'those', 'would', 'could', 'should', 'about', 'into', 'more', 'than',
+  'such', 'also', 'while', 'both', 'very', 'some', 'what', 'when', 'where', 'being'
+]);
+
+const POSITIVE_WORDS = [
+  'positive', 'progress', 'benefit', 'promising', 'opportunit', 'success', 'improve',
+  'robust', 'strong', 'advance', 'breakthrough', 'gain', 'growth', 'meaningful'
+];
+
+const NEGATIVE_WORDS = [
+  'risk', 'concern', 'challenge', 'cautious', 'uncertain', 'limit', 'cost', 'difficult',
+  'volatil', 'decline', 'fail', 'resistance', 'disrupt', 'uneven', 'obscure'
+];
+
+/**
+ * Split text into sentences
+ * @param {string} text - Source text
+ * @returns {Array<string>} Sentences in order
+ */
+const splitSentences = (text = '') => {
+  return (text.match(/[^.!?]+[.!?]+/g) || [text])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.split(/\s+/).length >= 4);
+};
+
+/**
+ * Get the set of meaningful words in a sentence
+ * @param {string} sentence - Sentence text
+ * @param {Set<string>} ignoredWords - Extra words to leave out
+ * @returns {Set<string>} Lowercased content words
+ */
+const contentWords = (sentence, ignoredWords = new Set()) => {
+  return new Set(
+    sentence.toLowerCase()
+      .replace(/[^\w\s]/g, '')
+      .split(/\s+/)
+      .filter(word => word.length > 3 && !STOP_WORDS.has(word) && !ignoredWords.has(word))
+  );
+};
+
+/**
+ * Calculate Jaccard similarity between two word sets
+ * @param {Set<string>} words1 - First word set
+ * @param {Set<string>} words2 - Second word set
+ * @returns {number} Similarity score between 0 and 1
+ */
+const jaccard = (words1, words2) => {
+  if (words1.size === 0 || words2.size === 0) {
+    return 0;
+  }
+  
+  const intersection = [...words1].filter(word => words2.has(word)).length;
+  const union = new Set([...words1, ...words2]).size;
+  
+  return intersection / union;
+};
+
+/**
+ * Score the tone of a sentence from simple word lists
+ * @param {string} sentence - Sentence text
+ * @returns {number} Positive for optimistic, negative for cautious, 0 for neutral
+ */
+const polarity = (sentence) => {
+  const text = sentence.toLowerCase();
+  const positive = POSITIVE_WORDS.filter(word => text.includes(word)).length;
+  const negative = NEGATIVE_WORDS.filter(word => text.includes(word)).length;
+  
+  return positive - negative;
+};
+
+module.exports = {
+  MATCH_THRESHOLD,
+  TOPIC_THRESHOLD,
+  splitSentences,
+  contentWords,
+  jaccard,
+  polarity
+};
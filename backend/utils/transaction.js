@@ -0,0 +1,77 @@
+/**
+ * Transactions
+ * Runs a group of statements as one SQLite transaction. Transactions use their own connection to the
+ * database file, so statements other modules run on the shared connection meanwhile are never part of them:
+ * those writes wait for the transaction to finish and are kept whether it commits or rolls back.
+ * Statements run one after another, and the first error rolls the whole group back before anything later runs.
+ */
+const sqlite3 = require('sqlite3');
+const db = require('./database');
+
+// How long a statement waits for writes on the shared connection to finish
+const BUSY_TIMEOUT_MS = 10000;
+
+// Connection used only for transactions, opened on first use
+let connection = null;
+
+// The transaction in progress and those waiting for it, so only one is ever open on the connection
+let queue = Promise.resolve();
+
+/**
+ * Get the transaction connection, opening it on first use
+ * @returns {Object} sqlite3 database connection
+ */
+const getConnection = () => {
+  if (!connection) {
+    connection = new sqlite3.Database(db.filename);
+    connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+  }
+  
+  return connection;
+};
+
+// Promise wrappers around the callback-based sqlite3 API
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  getConnection().run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this.changes);
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  getConnection().get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+/**
+ * Run statements in a transaction, committing if they all succeed and rolling back on the first error
+ * @param {Function} work - Async function called with run(sql, params), which resolves to the number of changed rows,
+ * and get(sql, params), which resolves to the first row. It must run its statements through these functions;
+ * the shared connection isn't part of the transaction
+ * @returns {Promise<*>} Whatever work resolves to
+ */
+const withTransaction = (work) => {
+  const transaction = queue.then(async () => {
+    await run('BEGIN IMMEDIATE TRANSACTION');
+    
+    try {
+      const result = await work(run, get);
+      await run('COMMIT');
+      return result;
+    } catch (error) {
+      await run('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  });
+  
+  // A failed transaction mustn't stop the ones queued behind it
+  queue = transaction.catch(() => {});
+  
+  return transaction;
+};
+
+module.exports = {
+  withTransaction
+};
@@ -1,8 +1,9 @@
-import React, { useState, useEffect } from 'react';
-import { fetchLatestNews, fetchNewsByCategory } from '../services/newsService';
-import { getAIAnalysis } from '../services/aiService';
-import { MessageSquare, RefreshCw, Newspaper, Globe, ThumbsUp, Filter, Loader, BookmarkCheck, TrendingUp } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { fetchLatestNews, fetchNewsByCategory, fetchForYouFeed, searchNews } from '../services/newsService';
+import { getAIAnalysis, getAIComparison, getAIDebate, getAIInsights, getAIModels, getAnalysisTemplates, getStreamingSummary, streamAIAnalysis } from '../services/aiService';
+import { MessageSquare, RefreshCw, Newspaper, Globe, ThumbsUp, Filter, Loader, BookmarkCheck, TrendingUp, Search, X, Columns2, Sparkles } from 'lucide-react';
 import TrendingStories from './TrendingStories';
+import AnalysisComparison from './AnalysisComparison';
 import Header from './Header';
 import { useAuth } from '../context/AuthContext';
 
@@ -16,90 +17,6 @@ const CATEGORY_COLORS = {
   general: 'bg-gray-100 text-gray-800'
 };
 
-// AI models configuration with their details
-const AI_MODELS = [
-  { 
-    id: 'chatgpt', 
-    name: 'ChatGPT', 
-    provider: 'OpenAI',
-    avatar: 'C', 
-    color: 'bg-green-100 text-green-800',
-    description: 'Widely used AI chatbot that can analyze and provide perspectives on current events.'
-  },
-  { 
-    id: 'claude', 
-    name: 'Claude', 
-    provider: 'Anthropic',
-    avatar: 'C', 
-    color: 'bg-purple-100 text-purple-800',
-    description: 'Known for its nuanced responses and ethical boundaries, capable of providing thoughtful analysis.'
-  },
-  { 
-    id: 'gemini', 
-    name: 'Gemini', 
-    provider: 'Google',
-    avatar: 'G', 
-    color: 'bg-blue-100 text-blue-800',
-    description: 'Google\'s chatbot with multimodal capabilities that can analyze text, images, and provide opinions.'
-  },
-  { 
-    id: 'copilot', 
-    name: 'Copilot', 
-    provider: 'Microsoft',
-    avatar: 'C', 
-    color: 'bg-cyan-100 text-cyan-800',
-    description: 'Integrated with Microsoft products and able to process news and provide summaries and analysis.'
-  },
-  { 
-    id: 'deepseek', 
-    name: 'DeepSeek', 
-    provider: 'DeepSeek',
-    avatar: 'D', 
-    color: 'bg-amber-100 text-amber-800',
-    description: 'A newer AI system with breakthrough capabilities in reasoning about complex topics.'
-  },
-  { 
-    id: 'cohere', 
-    name: 'Command', 
-    provider: 'Cohere',
-    avatar: 'C', 
-    color: 'bg-indigo-100 text-indigo-800',
-    description: 'An enterprise AI platform that provides LLMs for news analysis and summarization.'
-  },
-  { 
-    id: 'newscord', 
-    name: 'Newscord', 
-    provider: 'Newscord',
-    avatar: 'N', 
-    color: 'bg-red-100 text-red-800',
-    description: 'AI tool that summarizes top news articles with customizable filters.'
-  },
-  { 
-    id: 'channel1', 
-    name: 'Channel 1', 
-    provider: 'Channel 1 AI',
-    avatar: 'C1', 
-    color: 'bg-orange-100 text-orange-800',
-    description: 'A personalized global news network powered by generative AI.'
-  },
-  { 
-    id: 'listen2', 
-    name: 'Listen2', 
-    provider: 'Listen2.ai',
-    avatar: 'L2', 
-    color: 'bg-teal-100 text-teal-800',
-    description: 'AI-powered news aggregator with controllable political perspective.'
-  },
-  { 
-    id: 'reka', 
-    name: 'Reka', 
-    provider: 'Reka AI',
-    avatar: 'R', 
-    color: 'bg-rose-100 text-rose-800',
-    description: 'A multimodal assistant that can analyze information across various formats.'
-  }
-];
-
 const AiNewsDebate = () => {
   console.log('AiNewsDebate component rendering');
   
@@ -120,38 +37,114 @@ const AiNewsDebate = () => {
   }, []);
   const [news, setNews] = useState([]);
   const [selectedNews, setSelectedNews] = useState(null);
-  const [selectedAIs, setSelectedAIs] = useState(AI_MODELS.slice(0, 4).map(ai => ai.id)); // Default to first 4 AIs
+  const [aiModels, setAiModels] = useState([]);
+  const [selectedAIs, setSelectedAIs] = useState([]);
+  const [analysisTemplates, setAnalysisTemplates] = useState([]);
+  const [analysisTemplate, setAnalysisTemplate] = useState('neutral');
   const [aiResponses, setAiResponses] = useState({});
+  const [showComparison, setShowComparison] = useState(false);
+  const [comparisons, setComparisons] = useState({});
+  const [loadingComparison, setLoadingComparison] = useState(false);
   const [debateMode, setDebateMode] = useState(false);
   const [loading, setLoading] = useState(true);
-  const [loadingResponses, setLoadingResponses] = useState(false);
+  const [pendingModels, setPendingModels] = useState([]);
+  const [debates, setDebates] = useState({});
+  const [debateRounds, setDebateRounds] = useState(2);
+  const [loadingDebate, setLoadingDebate] = useState(false);
+  const [debateError, setDebateError] = useState(null);
+  const [insights, setInsights] = useState({});
+  const [loadingInsights, setLoadingInsights] = useState(false);
+  const closeStreamRef = useRef(null);
   const [currentDate] = useState(new Date().toLocaleDateString('en-US', { 
     year: 'numeric', 
     month: 'long', 
     day: 'numeric' 
   }));
   const [newsCategory, setNewsCategory] = useState('technology');
+  const [searchQuery, setSearchQuery] = useState('');
   const [showAISelector, setShowAISelector] = useState(false);
   const [showTrending, setShowTrending] = useState(false);
+  // Sidebar feed: 'latest' for the selected category, or 'forYou' for signed-in users' personalized feed
+  const [feedTab, setFeedTab] = useState('latest');
+
+  // Load the AI model list from the backend provider registry
+  useEffect(() => {
+    const loadAIModels = async () => {
+      try {
+        const models = await getAIModels();
+        setAiModels(models);
+        
+        // Default to first 4 AIs unless user preferences already picked some
+        setSelectedAIs(prev => prev.length > 0 ? prev : models.slice(0, 4).map(ai => ai.id));
+      } catch (error) {
+        console.error('Error loading AI models:', error);
+      }
+    };
+    
+    loadAIModels();
+  }, []);
 
-  // Fetch news articles
+  // Load the analysis styles the backend offers
+  useEffect(() => {
+    getAnalysisTemplates()
+      .then(setAnalysisTemplates)
+      .catch(error => console.error('Error loading analysis styles:', error));
+  }, []);
+
+  // Fetch news articles, or search results while a search is active
   useEffect(() => {
     fetchNews();
-  }, [newsCategory]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [newsCategory, searchQuery, feedTab]); // eslint-disable-line react-hooks/exhaustive-deps
 
   // When selected news changes, fetch AI responses
   useEffect(() => {
     if (selectedNews) {
       fetchAIResponses();
     }
-  }, [selectedNews, selectedAIs]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [selectedNews, selectedAIs, analysisTemplate]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Run a debate on the backend when debate mode is on and we don't have one for this selection yet
+  const debateKey = `${selectedNews}|${selectedAIs.join(',')}|${debateRounds}|${analysisTemplate}`;
+  
+  useEffect(() => {
+    if (debateMode && selectedNews && selectedAIs.length >= 2 && !debates[debateKey]) {
+      fetchDebate();
+    }
+  }, [debateMode, debateKey]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Extract key insights once every selected model has finished its analysis
+  useEffect(() => {
+    const responses = aiResponses[selectedNews];
+    
+    if (debateMode && responses && Object.keys(responses).length > 0 && pendingModels.length === 0 && !insights[selectedNews]) {
+      fetchInsights();
+    }
+  }, [debateMode, selectedNews, pendingModels]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Align the models' claims once every selected model has finished, when the comparison view is open
+  useEffect(() => {
+    const responses = aiResponses[selectedNews];
+    
+    if (showComparison && !debateMode && responses && Object.keys(responses).length >= 2 && pendingModels.length === 0 && !comparisons[selectedNews]) {
+      fetchComparison();
+    }
+  }, [showComparison, debateMode, selectedNews, pendingModels]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Close any open analysis stream on unmount
+  useEffect(() => {
+    return () => closeStreamRef.current?.();
+  }, []);
 
   const fetchNews = async () => {
     setLoading(true);
     try {
       let newsData;
       
-      if (newsCategory === 'all') {
+      if (searchQuery) {
+        newsData = await searchNews(searchQuery, newsCategory === 'all' ? {} : { category: newsCategory });
+      } else if (feedTab === 'forYou' && currentUser) {
+        newsData = await fetchForYouFeed();
+      } else if (newsCategory === 'all') {
         newsData = await fetchLatestNews();
       } else {
         newsData = await fetchNewsByCategory(newsCategory);
@@ -199,31 +192,70 @@ const AiNewsDebate = () => {
     }
   };
 
-  const fetchAIResponses = async () => {
-    if (!selectedNews) return;
+  // Stream AI responses so each model card fills in as soon as that model answers
+  // Pass { fresh: true } to skip the server's analysis cache
+  const fetchAIResponses = (options = {}) => {
+    if (!selectedNews || selectedAIs.length === 0) return;
     
-    setLoadingResponses(true);
+    const requestOptions = { ...options, template: analysisTemplate };
     
-    try {
-      const selectedArticle = news.find(n => n.id === selectedNews);
-      
-      if (!selectedArticle) {
-        console.error('Selected article not found');
-        return;
+    const selectedArticle = news.find(n => n.id === selectedNews);
+    
+    if (!selectedArticle) {
+      console.error('Selected article not found');
+      return;
+    }
+    
+    const articleId = selectedNews;
+    const setModelResponse = (modelId, updater) => {
+      setAiResponses(prev => ({
+        ...prev,
+        [articleId]: {
+          ...prev[articleId],
+          [modelId]: updater(prev[articleId]?.[modelId])
+        }
+      }));
+    };
+    
+    closeStreamRef.current?.();
+    setPendingModels(selectedAIs);
+    setAiResponses(prev => ({ ...prev, [articleId]: {} }));
+    setInsights(prev => ({ ...prev, [articleId]: null }));
+    setComparisons(prev => ({ ...prev, [articleId]: null }));
+    
+    closeStreamRef.current = streamAIAnalysis(selectedArticle, selectedAIs, {
+      onToken: (modelId, token) => {
+        setModelResponse(modelId, current => (current || '') + token);
+      },
+      onAnalysis: (modelId, analysis) => {
+        setModelResponse(modelId, () => analysis);
+        setPendingModels(prev => prev.filter(id => id !== modelId));
+      },
+      onDone: () => {
+        closeStreamRef.current = null;
+        setPendingModels([]);
+      },
+      onError: () => {
+        closeStreamRef.current = null;
+        fetchAIResponsesWithoutStreaming(selectedArticle, articleId, requestOptions);
       }
-      
+    }, requestOptions);
+  };
+
+  // Fallback when streaming is unavailable: fetch every model's response in one request
+  const fetchAIResponsesWithoutStreaming = async (selectedArticle, articleId, options = {}) => {
+    try {
       // Call our backend API to get AI responses
-      const responses = await getAIAnalysis(selectedArticle, selectedAIs);
+      const responses = await getAIAnalysis(selectedArticle, selectedAIs, options);
       
       setAiResponses(prev => ({
         ...prev,
-        [selectedNews]: responses
+        [articleId]: responses
       }));
     } catch (error) {
       console.error("Error fetching AI responses:", error);
       
       // Fallback to mock responses if API fails
-      const selectedArticle = news.find(n => n.id === selectedNews);
       const mockResponses = {};
       
       selectedAIs.forEach(aiId => {
@@ -248,15 +280,23 @@ const AiNewsDebate = () => {
           }
         }
         
-        mockResponses[aiId] = response;
+        mockResponses[aiId] = {
+          summary: response,
+          keyClaims: [],
+          sentiment: null,
+          stance: null,
+          predictedImpacts: [],
+          confidence: null,
+          format: 'mock'
+        };
       });
       
       setAiResponses(prev => ({
         ...prev,
-        [selectedNews]: mockResponses
+        [articleId]: mockResponses
       }));
     } finally {
-      setLoadingResponses(false);
+      setPendingModels([]);
     }
   };
 
@@ -264,6 +304,11 @@ const AiNewsDebate = () => {
     fetchNews();
   };
 
+  const handleSearch = (query) => {
+    setSearchQuery(query.trim());
+    setShowTrending(false);
+  };
+
   const toggleDebateMode = () => {
     setDebateMode(!debateMode);
   };
@@ -290,6 +335,7 @@ const AiNewsDebate = () => {
     setNewsCategory(category);
     setSelectedNews(null);
     setShowTrending(false);
+    setFeedTab('latest');
   };
   
   const handleTrendingStorySelect = (story) => {
@@ -309,77 +355,78 @@ const AiNewsDebate = () => {
     setShowTrending(!showTrending);
   };
 
-  // Generate a debate-style conversation from individual responses
-  const generateDebate = () => {
-    if (!selectedNews || !aiResponses[selectedNews]) return [];
+  const fetchDebate = async () => {
+    const selectedArticle = news.find(n => n.id === selectedNews);
     
-    const responses = aiResponses[selectedNews];
-    const selectedAIModels = AI_MODELS.filter(ai => selectedAIs.includes(ai.id));
+    if (!selectedArticle) return;
     
-    // Create an array of debate messages
-    let debate = [];
+    const key = debateKey;
+    setLoadingDebate(true);
+    setDebateError(null);
     
-    // First round: initial statements
-    selectedAIModels.forEach(ai => {
-      if (responses[ai.id]) {
-        debate.push({
-          aiId: ai.id,
-          message: responses[ai.id]
-        });
-      }
-    });
-    
-    // Second round: responses to others
-    if (selectedAIModels.length > 1) {
-      selectedAIModels.forEach((ai, index) => {
-        // Skip if no initial response
-        if (!responses[ai.id]) return;
-        
-        // Pick another AI to respond to
-        const otherIndex = (index + 1) % selectedAIModels.length;
-        const otherAi = selectedAIModels[otherIndex];
-        
-        if (responses[otherAi.id]) {
-          const rebuttalMessages = [
-            `I agree with some points made by ${otherAi.name}, but would add that consideration of long-term implications is crucial here.`,
-            `While ${otherAi.name} raises valid points, I'd emphasize that the practical implementation may face more challenges than anticipated.`,
-            `Building on ${otherAi.name}'s analysis, I think we should also consider the broader societal impacts of this development.`,
-            `I see merit in ${otherAi.name}'s perspective, though I would place more emphasis on the ethical dimensions of this issue.`
-          ];
-          
-          debate.push({
-            aiId: ai.id,
-            message: rebuttalMessages[Math.floor(Math.random() * rebuttalMessages.length)]
-          });
-        }
-      });
+    try {
+      const debate = await getAIDebate(selectedArticle, selectedAIs, { rounds: debateRounds, template: analysisTemplate });
+      
+      setDebates(prev => ({
+        ...prev,
+        [key]: debate
+      }));
+    } catch (error) {
+      console.error("Error fetching AI debate:", error);
+      setDebateError('The AI debate could not be generated. Please try again.');
+    } finally {
+      setLoadingDebate(false);
     }
+  };
+
+  // Compare the models' analyses for points of agreement, disagreement and unique claims
+  const fetchInsights = async () => {
+    const selectedArticle = news.find(n => n.id === selectedNews);
+    
+    if (!selectedArticle) return;
+    
+    const articleId = selectedNews;
+    setLoadingInsights(true);
     
-    // Third round: synthesis if at least 3 AIs
-    if (selectedAIModels.length >= 3) {
-      const synthesizer = selectedAIModels[selectedAIModels.length - 1];
+    try {
+      const result = await getAIInsights(selectedArticle, aiResponses[articleId]);
       
-      debate.push({
-        aiId: synthesizer.id,
-        message: `Synthesizing our different perspectives, I think we can agree that this development has significant implications. The key areas where we seem to differ are on implementation timeline and the balance of benefits versus risks.`
-      });
+      setInsights(prev => ({
+        ...prev,
+        [articleId]: result
+      }));
+    } catch (error) {
+      console.error("Error fetching key insights:", error);
+    } finally {
+      setLoadingInsights(false);
     }
-    
-    return debate;
   };
 
-  // Extract key insights from the debate
-  const extractKeyInsights = () => {
-    if (!selectedNews || !aiResponses[selectedNews]) return [];
+  // Compare the models' analyses claim by claim and score how far they diverge
+  const fetchComparison = async () => {
+    const selectedArticle = news.find(n => n.id === selectedNews);
     
-    return [
-      "All AIs acknowledge the significance of this development",
-      "Implementation timeline is a point of disagreement",
-      "Ethical considerations are emphasized by multiple AIs",
-      "Economic implications are viewed differently by various AIs"
-    ];
+    if (!selectedArticle) return;
+    
+    const articleId = selectedNews;
+    setLoadingComparison(true);
+    
+    try {
+      const result = await getAIComparison(selectedArticle, aiResponses[articleId]);
+      
+      setComparisons(prev => ({
+        ...prev,
+        [articleId]: result
+      }));
+    } catch (error) {
+      console.error("Error comparing AI analyses:", error);
+    } finally {
+      setLoadingComparison(false);
+    }
   };
 
+  const getModelName = (modelId) => aiModels.find(a => a.id === modelId)?.name || modelId;
+
   // Get auth context
   const { currentUser, userPreferences, saveArticle, recordArticleView } = useAuth();
   
@@ -398,20 +445,80 @@ const AiNewsDebate = () => {
     }
   }, [userPreferences]);
   
-  // Record article view in reading history when a news article is selected
+  // The For You feed needs a signed-in user, so go back to the latest news on logout
   useEffect(() => {
-    if (selectedNews && currentUser) {
-      recordArticleView(selectedNews);
+    if (!currentUser && feedTab === 'forYou') {
+      setFeedTab('latest');
     }
-  }, [selectedNews, currentUser, recordArticleView]);
+  }, [currentUser, feedTab]);
+  
+  // Latest values for reading history, read without restarting the view tracking below
+  const viewTrackingRef = useRef({});
+  viewTrackingRef.current = { news, aiResponses, recordArticleView };
+  const userId = currentUser?.id;
+  
+  // Record an article view in reading history when a news article is selected. When the reader moves on,
+  // hides the page or closes it, add the time spent on the article and the AI analyses shown for it
+  useEffect(() => {
+    if (!selectedNews || !userId) return undefined;
+    
+    const article = viewTrackingRef.current.news.find(item => item.id === selectedNews);
+    if (!article) return undefined;
+    
+    let viewStartedAt = Date.now();
+    viewTrackingRef.current.recordArticleView(article);
+    
+    const recordDwell = (keepalive) => {
+      const responses = viewTrackingRef.current.aiResponses[article.id] || {};
+      // Streaming responses are still strings; only count analyses that finished
+      const models = Object.keys(responses).filter(modelId => responses[modelId] && typeof responses[modelId] === 'object');
+      const dwellSeconds = Math.round((Date.now() - viewStartedAt) / 1000);
+      viewStartedAt = Date.now();
+      
+      if (dwellSeconds > 0 || models.length > 0) {
+        viewTrackingRef.current.recordArticleView(article, { dwellSeconds, models, newView: false, keepalive });
+      }
+    };
+    
+    // Time spent on another tab doesn't count
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        recordDwell(true);
+      } else {
+        viewStartedAt = Date.now();
+      }
+    };
+    
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      
+      if (document.visibilityState !== 'hidden') {
+        recordDwell(false);
+      }
+    };
+  }, [selectedNews, userId]);
   
-  // Handle saving an article
+  // Handle saving an article along with the analyses currently shown for it
   const handleSaveArticle = (articleId) => {
-    if (currentUser) {
-      saveArticle(articleId);
+    const article = news.find(n => n.id === articleId);
+    
+    if (currentUser && article) {
+      saveArticle(article, aiResponses[articleId], analysisTemplate);
     }
   };
   
+  // Open a saved article from the profile in the debate view
+  const handleOpenSavedArticle = (article) => {
+    if (!news.some(item => item.id === article.id)) {
+      setNews(prevNews => [article, ...prevNews]);
+    }
+    
+    setSelectedNews(article.id);
+    setShowTrending(false);
+  };
+  
   return (
     <div className="flex flex-col h-screen bg-gray-50">
       {/* Header */}
@@ -423,6 +530,9 @@ const AiNewsDebate = () => {
         showTrending={showTrending}
         handleRefresh={handleRefresh}
         loading={loading}
+        onOpenArticle={handleOpenSavedArticle}
+        searchQuery={searchQuery}
+        onSearch={handleSearch}
       />
 
       {/* Main Content */}
@@ -436,6 +546,23 @@ const AiNewsDebate = () => {
                   <TrendingUp className="mr-2" size={18} />
                   Trending Stories
                 </>
+              ) : searchQuery ? (
+                <>
+                  <Search className="mr-2" size={18} />
+                  <span className="truncate">Results for "{searchQuery}"</span>
+                  <button 
+                    onClick={() => handleSearch('')}
+                    className="ml-auto p-1 rounded-full text-gray-500 hover:bg-gray-100"
+                    title="Clear search"
+                  >
+                    <X size={16} />
+                  </button>
+                </>
+              ) : feedTab === 'forYou' && currentUser ? (
+                <>
+                  <Sparkles className="mr-2" size={18} />
+                  For You
+                </>
               ) : (
                 <>
                   <Newspaper className="mr-2" size={18} />
@@ -443,6 +570,26 @@ const AiNewsDebate = () => {
                 </>
               )}
             </h2>
+            
+            {currentUser && !showTrending && !searchQuery && (
+              <div className="mt-3 flex rounded-md bg-gray-100 p-1 text-sm">
+                {[
+                  { id: 'latest', label: 'Latest', icon: Newspaper },
+                  { id: 'forYou', label: 'For You', icon: Sparkles }
+                ].map(({ id, label, icon: Icon }) => (
+                  <button
+                    key={id}
+                    onClick={() => setFeedTab(id)}
+                    className={`flex-1 flex items-center justify-center px-3 py-1 rounded ${
+                      feedTab === id ? 'bg-white text-blue-700 shadow-sm font-medium' : 'text-gray-600 hover:text-gray-800'
+                    }`}
+                  >
+                    <Icon className="mr-1" size={14} />
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
           
           {showTrending ? (
@@ -453,6 +600,10 @@ const AiNewsDebate = () => {
             <div className="flex justify-center items-center h-32">
               <Loader className="animate-spin text-blue-500" size={24} />
             </div>
+          ) : searchQuery && news.length === 0 ? (
+            <div className="p-4 text-center text-gray-500 text-sm">
+              No articles or analyses match "{searchQuery}".
+            </div>
           ) : (
             <div className="divide-y divide-gray-200">
               {news.map(item => (
@@ -462,7 +613,28 @@ const AiNewsDebate = () => {
                   onClick={() => setSelectedNews(item.id)}
                 >
                   <h3 className="font-medium text-gray-800">{item.title}</h3>
-                  <p className="text-sm text-gray-500 mt-1">{item.source} • {item.date}</p>
+                  <p className="text-sm text-gray-500 mt-1">{item.source}{item.date ? ` • ${item.date}` : ''}</p>
+                  {feedTab === 'forYou' && item.explanation && (
+                    <p
+                      className="mt-1 text-xs text-blue-700 flex items-start"
+                      title={item.reasons?.map(reason => reason.detail).join('\n')}
+                    >
+                      <Sparkles className="mr-1 mt-0.5 flex-shrink-0" size={12} />
+                      {item.explanation}
+                    </p>
+                  )}
+                  {item.matchedAnalysis && (
+                    <p className="mt-1 text-xs text-purple-700 flex items-center">
+                      <MessageSquare className="mr-1" size={12} />
+                      Matched in an AI analysis
+                    </p>
+                  )}
+                  {comparisons[item.id] && (
+                    <p className="mt-1 text-xs text-gray-600 flex items-center">
+                      <Columns2 className="mr-1" size={12} />
+                      AIs diverge: {comparisons[item.id].divergence.level} ({Math.round(comparisons[item.id].divergence.score * 100)}/100)
+                    </p>
+                  )}
                   {item.perspectives && (
                     <div className="mt-1 flex items-center">
                       <div className="flex items-center space-x-2">
@@ -508,6 +680,27 @@ const AiNewsDebate = () => {
                       Save Article
                     </button>
                   )}
+                  {analysisTemplates.length > 0 && (
+                    <select
+                      value={analysisTemplate}
+                      onChange={(e) => setAnalysisTemplate(e.target.value)}
+                      className="px-3 py-2 rounded-md text-sm font-medium bg-gray-100 text-gray-700"
+                      title={analysisTemplates.find(template => template.id === analysisTemplate)?.description}
+                    >
+                      {analysisTemplates.map(template => (
+                        <option key={template.id} value={template.id}>{template.name}</option>
+                      ))}
+                    </select>
+                  )}
+                  <button 
+                    onClick={() => fetchAIResponses({ fresh: true })}
+                    disabled={pendingModels.length > 0}
+                    className="px-4 py-2 rounded-md text-sm font-medium bg-gray-100 text-gray-700 flex items-center"
+                    title="Ask the AIs again instead of using cached analyses"
+                  >
+                    <RefreshCw className={`mr-2 ${pendingModels.length > 0 ? 'animate-spin' : ''}`} size={16} />
+                    Refresh Analyses
+                  </button>
                   <button 
                     onClick={toggleAISelector}
                     className="px-4 py-2 rounded-md text-sm font-medium bg-gray-100 text-gray-700 flex items-center"
@@ -515,6 +708,18 @@ const AiNewsDebate = () => {
                     <Filter className="mr-2" size={16} />
                     Select AIs ({selectedAIs.length})
                   </button>
+                  {!debateMode && (
+                    <button 
+                      onClick={() => setShowComparison(!showComparison)}
+                      className={`px-4 py-2 rounded-md text-sm font-medium flex items-center ${
+                        showComparison ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
+                      }`}
+                      title="Compare sentiment, stance, claims and predictions side by side"
+                    >
+                      <Columns2 className="mr-2" size={16} />
+                      {showComparison ? 'Show Analyses' : 'Compare'}
+                    </button>
+                  )}
                   <button 
                     onClick={toggleDebateMode}
                     className={`px-4 py-2 rounded-md text-sm font-medium flex items-center ${
@@ -544,7 +749,7 @@ const AiNewsDebate = () => {
                 </div>
                 
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  {AI_MODELS.map(ai => (
+                  {aiModels.map(ai => (
                     <div 
                       key={ai.id}
                       className={`border rounded-lg p-4 cursor-pointer ${
@@ -590,17 +795,30 @@ const AiNewsDebate = () => {
           {/* AI Opinions */}
           <div className="flex-1 overflow-y-auto p-6 bg-gray-50">
             {selectedNews ? (
-              loadingResponses ? (
+              loadingDebate && debateMode ? (
                 <div className="flex flex-col items-center justify-center h-full">
                   <Loader className="animate-spin text-blue-500 mb-4" size={32} />
-                  <p className="text-gray-600">Gathering AI perspectives...</p>
+                  <p className="text-gray-600">The AIs are debating...</p>
                 </div>
+              ) : !debateMode && showComparison ? (
+                // Side-by-side comparison of the structured analyses
+                <AnalysisComparison
+                  models={selectedAIs.map(aiId => aiModels.find(a => a.id === aiId)).filter(Boolean)}
+                  analyses={aiResponses[selectedNews] || {}}
+                  comparison={comparisons[selectedNews]}
+                  loading={loadingComparison}
+                />
               ) : !debateMode ? (
                 // Individual AI opinions
                 <div className="grid grid-cols-1 gap-4">
                   {selectedAIs.map(aiId => {
-                    const ai = AI_MODELS.find(a => a.id === aiId);
+                    const ai = aiModels.find(a => a.id === aiId);
                     const response = aiResponses[selectedNews]?.[aiId];
+                    // While streaming, the response is the raw JSON received so far
+                    const responseText = typeof response === 'string' ? getStreamingSummary(response) : response?.summary;
+                    const isPending = pendingModels.includes(aiId);
+                    
+                    if (!ai) return null;
                     
                     return (
                       <div key={ai.id} className="bg-white rounded-lg shadow-sm p-4">
@@ -612,9 +830,12 @@ const AiNewsDebate = () => {
                             <h3 className="font-medium text-gray-800">{ai.name}</h3>
                             <p className="text-xs text-gray-500">{ai.provider}</p>
                           </div>
+                          {isPending && (
+                            <Loader className="ml-auto animate-spin text-blue-500" size={16} />
+                          )}
                         </div>
-                        <p className="text-gray-700">
-                          {response || "No response available."}
+                        <p className="text-gray-700 whitespace-pre-line">
+                          {responseText || (isPending ? "Analyzing..." : "No response available.")}
                         </p>
                       </div>
                     );
@@ -623,33 +844,124 @@ const AiNewsDebate = () => {
               ) : (
                 // AI Debate mode
                 <div className="bg-white rounded-lg shadow-sm p-6">
-                  <h3 className="text-lg font-medium text-gray-800 mb-4">AI Debate</h3>
+                  <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-lg font-medium text-gray-800">AI Debate</h3>
+                    <select
+                      className="bg-white border border-gray-300 rounded-md px-3 py-1 text-sm"
+                      value={debateRounds}
+                      onChange={(e) => setDebateRounds(parseInt(e.target.value, 10))}
+                    >
+                      <option value={1}>Opening statements only</option>
+                      <option value={2}>2 rounds</option>
+                      <option value={3}>3 rounds</option>
+                      <option value={4}>4 rounds</option>
+                    </select>
+                  </div>
                   
                   <div className="space-y-6">
-                    {generateDebate().map((entry, index) => {
-                      const ai = AI_MODELS.find(a => a.id === entry.aiId);
-                      
-                      return (
-                        <div key={index} className="flex items-start">
-                          <div className={`mt-1 w-8 h-8 rounded-full flex-shrink-0 flex items-center justify-center font-medium ${ai.color}`}>
-                            {ai.avatar}
-                          </div>
-                          <div className="ml-4 bg-gray-50 rounded-lg p-4 flex-1">
-                            <div className="font-medium text-gray-800 mb-2">{ai.name}</div>
-                            <p className="text-gray-700">{entry.message}</p>
-                          </div>
-                        </div>
-                      );
-                    })}
+                    {selectedAIs.length < 2 && (
+                      <p className="text-gray-500">Select at least two AIs to start a debate.</p>
+                    )}
+                    
+                    {debateError && (
+                      <div className="bg-red-50 text-red-700 p-3 rounded-md">
+                        {debateError}
+                      </div>
+                    )}
+                    
+                    {debates[debateKey]?.rounds.map(round => (
+                      <div key={round.round} className="space-y-4">
+                        <h4 className="text-sm font-medium text-gray-500 uppercase">
+                          {round.type === 'opening' ? 'Opening Statements' : `Round ${round.round}: Rebuttals`}
+                        </h4>
+                        {round.turns.map(turn => {
+                          const ai = aiModels.find(a => a.id === turn.modelId);
+                          
+                          if (!ai) return null;
+                          
+                          return (
+                            <div key={turn.modelId} className="flex items-start">
+                              <div className={`mt-1 w-8 h-8 rounded-full flex-shrink-0 flex items-center justify-center font-medium ${ai.color}`}>
+                                {ai.avatar}
+                              </div>
+                              <div className="ml-4 bg-gray-50 rounded-lg p-4 flex-1">
+                                <div className="font-medium text-gray-800 mb-2">{ai.name}</div>
+                                <p className="text-gray-700">{turn.message}</p>
+                              </div>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    ))}
+                    
+                    {debates[debateKey]?.synthesis && (
+                      <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+                        <h4 className="font-medium text-gray-800 mb-2">
+                          Moderator Synthesis
+                          <span className="ml-2 text-sm font-normal text-gray-500">
+                            by {aiModels.find(a => a.id === debates[debateKey].synthesis.modelId)?.name}
+                          </span>
+                        </h4>
+                        <p className="text-gray-700">{debates[debateKey].synthesis.message}</p>
+                      </div>
+                    )}
                     
                     {/* Key Insights panel */}
                     <div className="mt-8 p-4 bg-white border border-gray-200 rounded-lg">
                       <h4 className="font-medium text-gray-800 mb-2">Key Insights from this Debate</h4>
-                      <ul className="text-gray-700 space-y-2">
-                        {extractKeyInsights().map((insight, index) => (
-                          <li key={index}>• {insight}</li>
-                        ))}
-                      </ul>
+                      {loadingInsights ? (
+                        <p className="text-gray-500 flex items-center">
+                          <Loader className="animate-spin mr-2" size={16} />
+                          Comparing the AI analyses...
+                        </p>
+                      ) : insights[selectedNews] ? (
+                        <div className="text-gray-700 space-y-4">
+                          {insights[selectedNews].agreements.length > 0 && (
+                            <div>
+                              <h5 className="text-sm font-medium text-gray-500 mb-1">Where they agree</h5>
+                              <ul className="space-y-2">
+                                {insights[selectedNews].agreements.map((agreement, index) => (
+                                  <li key={index}>
+                                    • {agreement.point}
+                                    <span className="text-xs text-gray-500 ml-1">
+                                      ({agreement.models.map(getModelName).join(', ')})
+                                    </span>
+                                  </li>
+                                ))}
+                              </ul>
+                            </div>
+                          )}
+                          {insights[selectedNews].disagreements.length > 0 && (
+                            <div>
+                              <h5 className="text-sm font-medium text-gray-500 mb-1">Where they disagree</h5>
+                              <ul className="space-y-2">
+                                {insights[selectedNews].disagreements.map((disagreement, index) => (
+                                  <li key={index}>
+                                    • {disagreement.topic && <span className="font-medium">{disagreement.topic}: </span>}
+                                    {disagreement.positions.map(position => `${getModelName(position.modelId)} says "${position.claim}"`).join(' vs. ')}
+                                  </li>
+                                ))}
+                              </ul>
+                            </div>
+                          )}
+                          {Object.keys(insights[selectedNews].uniqueClaims).length > 0 && (
+                            <div>
+                              <h5 className="text-sm font-medium text-gray-500 mb-1">Raised by only one AI</h5>
+                              <ul className="space-y-2">
+                                {Object.entries(insights[selectedNews].uniqueClaims).flatMap(([modelId, claims]) =>
+                                  claims.map((claim, index) => (
+                                    <li key={`${modelId}-${index}`}>
+                                      • <span className="font-medium">{getModelName(modelId)}:</span> {claim}
+                                    </li>
+                                  ))
+                                )}
+                              </ul>
+                            </div>
+                          )}
+                        </div>
+                      ) : (
+                        <p className="text-gray-500">Insights will appear once every AI has finished its analysis.</p>
+                      )}
                       <div className="mt-4 flex justify-between">
                         <button className="px-3 py-2 bg-gray-100 text-gray-600 rounded-md text-sm flex items-center">
                           <Filter className="mr-2" size={14} />
@@ -0,0 +1,223 @@
+import React from 'react';
+
+// Sentiment label color mapping
+const SENTIMENT_COLORS = {
+  positive: 'bg-green-100 text-green-800',
+  negative: 'bg-red-100 text-red-800',
+  neutral: 'bg-gray-100 text-gray-800'
+};
+
+// Stance position color mapping
+const STANCE_COLORS = {
+  supportive: 'bg-green-100 text-green-800',
+  critical: 'bg-red-100 text-red-800',
+  mixed: 'bg-yellow-100 text-yellow-800',
+  neutral: 'bg-gray-100 text-gray-800'
+};
+
+// Claim status styles: row highlight, badge color and label
+const CLAIM_STATUS_STYLES = {
+  contradicted: { row: 'bg-red-50', badge: 'bg-red-100 text-red-800', label: 'Contradiction' },
+  unique: { row: 'bg-yellow-50', badge: 'bg-yellow-100 text-yellow-800', label: 'Only one AI' },
+  related: { row: '', badge: 'bg-gray-100 text-gray-800', label: 'Related' },
+  agreed: { row: 'bg-green-50', badge: 'bg-green-100 text-green-800', label: 'Agreement' }
+};
+
+// Divergence level color mapping
+const DIVERGENCE_COLORS = {
+  low: 'bg-green-500',
+  moderate: 'bg-yellow-500',
+  high: 'bg-red-500'
+};
+
+const DIVERGENCE_COMPONENT_LABELS = {
+  claims: 'Claims',
+  sentiment: 'Sentiment',
+  stance: 'Stance',
+  confidence: 'Confidence'
+};
+
+const NOT_PROVIDED = <span className="text-gray-400">Not provided</span>;
+
+const renderList = (items) => (
+  items?.length > 0 ? (
+    <ul className="space-y-1">
+      {items.map((item, index) => (
+        <li key={index}>• {item}</li>
+      ))}
+    </ul>
+  ) : NOT_PROVIDED
+);
+
+// Rows of the comparison table, one per analysis field
+const ROWS = [
+  {
+    label: 'Sentiment',
+    render: ({ sentiment }) => (sentiment ? (
+      <span className={`text-xs px-2 py-0.5 rounded-full ${SENTIMENT_COLORS[sentiment.label]}`}>
+        {sentiment.label} ({sentiment.score > 0 ? '+' : ''}{sentiment.score.toFixed(2)})
+      </span>
+    ) : NOT_PROVIDED)
+  },
+  {
+    label: 'Stance',
+    render: ({ stance }) => (stance ? (
+      <div>
+        <span className={`text-xs px-2 py-0.5 rounded-full ${STANCE_COLORS[stance.position]}`}>
+          {stance.position}
+        </span>
+        {stance.actor && <span className="ml-1 font-medium">toward {stance.actor}</span>}
+        {stance.explanation && <p className="mt-1 text-gray-600">{stance.explanation}</p>}
+      </div>
+    ) : NOT_PROVIDED)
+  },
+  {
+    label: 'Confidence',
+    render: ({ confidence }) => (confidence !== null && confidence !== undefined ? (
+      <div className="flex items-center">
+        <div className="w-20 h-2 bg-gray-200 rounded-full mr-2">
+          <div className="h-2 bg-blue-500 rounded-full" style={{ width: `${Math.round(confidence * 100)}%` }} />
+        </div>
+        {Math.round(confidence * 100)}%
+      </div>
+    ) : NOT_PROVIDED)
+  },
+  {
+    label: 'Key claims',
+    render: ({ keyClaims }) => renderList(keyClaims)
+  },
+  {
+    label: 'Predicted impacts',
+    render: ({ predictedImpacts }) => renderList(predictedImpacts)
+  }
+];
+
+const ModelHeader = ({ model }) => (
+  <th className="p-3 font-medium text-gray-800">
+    <div className="flex items-center">
+      <div className={`w-6 h-6 rounded-full flex items-center justify-center text-xs ${model.color}`}>
+        {model.avatar}
+      </div>
+      <span className="ml-2">{model.name}</span>
+    </div>
+  </th>
+);
+
+// Overall divergence score with the signals it is made of
+const DivergenceSummary = ({ comparison }) => {
+  const { divergence, counts } = comparison;
+  
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4">
+      <div className="flex items-center justify-between">
+        <h4 className="font-medium text-gray-800">
+          Divergence: <span className="capitalize">{divergence.level}</span>
+          <span className="ml-2 text-sm font-normal text-gray-500">{Math.round(divergence.score * 100)}/100</span>
+        </h4>
+        <div className="flex space-x-2 text-xs">
+          {Object.entries(CLAIM_STATUS_STYLES)
+            .filter(([status]) => counts[status] > 0)
+            .map(([status, style]) => (
+              <span key={status} className={`px-2 py-0.5 rounded-full ${style.badge}`}>
+                {counts[status]} {style.label.toLowerCase()}
+              </span>
+            ))}
+        </div>
+      </div>
+      <div className="mt-2 w-full h-2 bg-gray-200 rounded-full">
+        <div
+          className={`h-2 rounded-full ${DIVERGENCE_COLORS[divergence.level]}`}
+          style={{ width: `${Math.round(divergence.score * 100)}%` }}
+        />
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        {Object.entries(divergence.components)
+          .filter(([, value]) => value !== null)
+          .map(([name, value]) => `${DIVERGENCE_COMPONENT_LABELS[name]} ${Math.round(value * 100)}`)
+          .join(' • ')}
+      </p>
+    </div>
+  );
+};
+
+// Side-by-side tables of the selected models' structured analyses and their claims, aligned by topic
+const AnalysisComparison = ({ models, analyses, comparison, loading }) => {
+  const compared = models.filter(model => analyses[model.id] && typeof analyses[model.id] === 'object');
+  
+  if (compared.length === 0) {
+    return <p className="text-gray-500">Analyses will appear here once the AIs have finished.</p>;
+  }
+  
+  const textOnly = compared.filter(model => analyses[model.id].format === 'text');
+  
+  return (
+    <div className="space-y-4">
+      {comparison && <DivergenceSummary comparison={comparison} />}
+      
+      <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+        <table className="min-w-full text-sm text-left text-gray-700">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="p-3 w-32"></th>
+              {compared.map(model => <ModelHeader key={model.id} model={model} />)}
+            </tr>
+          </thead>
+          <tbody>
+            {ROWS.map(row => (
+              <tr key={row.label} className="border-b border-gray-100 align-top">
+                <th className="p-3 font-medium text-gray-500">{row.label}</th>
+                {compared.map(model => (
+                  <td key={model.id} className="p-3">{row.render(analyses[model.id])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {textOnly.length > 0 && (
+          <p className="p-3 text-xs text-gray-500">
+            {textOnly.map(model => model.name).join(', ')} answered in free text, so only a summary is available.
+          </p>
+        )}
+      </div>
+      
+      <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+        <h4 className="p-3 font-medium text-gray-800 border-b border-gray-200">Claim by Claim</h4>
+        {loading ? (
+          <p className="p-3 text-gray-500">Aligning the AIs' claims...</p>
+        ) : comparison ? (
+          <table className="min-w-full text-sm text-left text-gray-700">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="p-3 w-32"></th>
+                {compared.map(model => <ModelHeader key={model.id} model={model} />)}
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.claims.map((claim, index) => {
+                const style = CLAIM_STATUS_STYLES[claim.status];
+                
+                return (
+                  <tr key={index} className={`border-b border-gray-100 align-top ${style.row}`}>
+                    <th className="p-3 font-normal">
+                      <span className={`text-xs px-2 py-0.5 rounded-full ${style.badge}`}>{style.label}</span>
+                      {claim.topic && <p className="mt-1 text-xs text-gray-500">{claim.topic}</p>}
+                    </th>
+                    {compared.map(model => (
+                      <td key={model.id} className="p-3">
+                        {claim.claims[model.id] || <span className="text-gray-300">—</span>}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        ) : (
+          <p className="p-3 text-gray-500">Claims are compared once at least two AIs have finished.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AnalysisComparison;
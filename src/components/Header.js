@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { BarChart2, User, LogIn, TrendingUp, Settings } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { BarChart2, User, LogIn, TrendingUp, Settings, Search } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import AuthModal from './auth/AuthModal';
 
@@ -10,10 +10,50 @@ const Header = ({
   toggleTrendingView, 
   showTrending, 
   handleRefresh, 
-  loading 
+  loading,
+  onOpenArticle,
+  searchQuery = '',
+  onSearch
 }) => {
   const [authModalOpen, setAuthModalOpen] = useState(false);
+  const [authModalView, setAuthModalView] = useState('login');
+  const [authToken, setAuthToken] = useState(null);
+  const [searchText, setSearchText] = useState(searchQuery);
   const { currentUser } = useAuth();
+  
+  // Open the matching screen when the page is loaded from a password reset or verification email,
+  // then drop the token from the address bar so it isn't left in history
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const linkViews = { resetToken: 'reset', verifyToken: 'verify' };
+    const param = Object.keys(linkViews).find(name => params.get(name));
+    
+    if (!param) return;
+    
+    setAuthToken(params.get(param));
+    setAuthModalView(linkViews[param]);
+    setAuthModalOpen(true);
+    
+    params.delete(param);
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  }, []);
+  
+  const openAuthModal = () => {
+    setAuthModalView('login');
+    setAuthToken(null);
+    setAuthModalOpen(true);
+  };
+  
+  // Keep the box in sync when the search is cleared elsewhere
+  useEffect(() => {
+    setSearchText(searchQuery);
+  }, [searchQuery]);
+  
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    onSearch?.(searchText);
+  };
 
   return (
     <header className="bg-white border-b border-gray-200 p-4 sticky top-0 z-10">
@@ -24,6 +64,17 @@ const Header = ({
         </h1>
         
         <div className="flex items-center">
+          <form onSubmit={handleSearchSubmit} className="mr-4 relative">
+            <Search className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400" size={16} />
+            <input
+              type="search"
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              placeholder="Search articles and analyses"
+              className="bg-white border border-gray-300 rounded-md pl-8 pr-3 py-1 text-sm w-64"
+            />
+          </form>
+          
           <div className="mr-4">
             <select 
               className="bg-white border border-gray-300 rounded-md px-3 py-1 text-sm"
@@ -53,7 +104,7 @@ const Header = ({
           
           {currentUser ? (
             <button 
-              onClick={() => setAuthModalOpen(true)}
+              onClick={openAuthModal}
               className="flex items-center px-3 py-1 bg-blue-50 text-blue-700 rounded-md hover:bg-blue-100"
             >
               <User className="mr-1" size={16} />
@@ -61,7 +112,7 @@ const Header = ({
             </button>
           ) : (
             <button 
-              onClick={() => setAuthModalOpen(true)}
+              onClick={openAuthModal}
               className="flex items-center px-3 py-1 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
             >
               <LogIn className="mr-1" size={16} />
@@ -97,6 +148,9 @@ const Header = ({
       <AuthModal 
         isOpen={authModalOpen} 
         onClose={() => setAuthModalOpen(false)} 
+        onOpenArticle={onOpenArticle}
+        initialView={authModalView}
+        token={authToken}
       />
     </header>
   );
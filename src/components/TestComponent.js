@@ -4,6 +4,24 @@ import axios from 'axios';
 const TestComponent = () => {
   const [status, setStatus] = useState('Loading...');
   const [error, setError] = useState(null);
+  const [sourceStatus, setSourceStatus] = useState([]);
+  const [sourceError, setSourceError] = useState(null);
+
+  // Load the health of each news provider
+  const fetchSourceStatus = async () => {
+    try {
+      const response = await axios.get('/api/news/sources/status');
+      setSourceStatus(response.data.sources);
+      setSourceError(null);
+    } catch (error) {
+      console.error('Error loading news source status:', error);
+      setSourceError(`Error loading news source status: ${error.message}`);
+    }
+  };
+
+  useEffect(() => {
+    fetchSourceStatus();
+  }, []);
 
   useEffect(() => {
     // Test the backend connection
@@ -43,6 +61,59 @@ const TestComponent = () => {
           </div>
         )}
         
+        <div className="mt-6">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-lg font-medium">News Source Health:</h3>
+            <button 
+              onClick={fetchSourceStatus}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              Refresh
+            </button>
+          </div>
+          
+          {sourceError ? (
+            <p className="p-3 rounded bg-red-100 text-red-700 text-sm">{sourceError}</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1">Source</th>
+                  <th className="py-1">Circuit</th>
+                  <th className="py-1">Success</th>
+                  <th className="py-1">Latency</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sourceStatus.map(source => (
+                  <tr key={source.provider} className="border-t border-gray-100 align-top">
+                    <td className="py-1">
+                      <span className="font-medium">{source.provider}</span>
+                      {source.lastError && (
+                        <p className="text-xs text-red-600" title={source.lastErrorAt}>{source.lastError}</p>
+                      )}
+                    </td>
+                    <td className="py-1">
+                      <span className={`px-2 py-0.5 rounded-full text-xs ${
+                        source.state === 'closed' ? 'bg-green-100 text-green-800' :
+                        source.state === 'open' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                      }`}>
+                        {source.quotaExhausted ? 'quota exhausted' : source.state}
+                      </span>
+                    </td>
+                    <td className="py-1">
+                      {source.successRate === null ? '—' : `${Math.round(source.successRate * 100)}% of ${source.requests}`}
+                    </td>
+                    <td className="py-1">
+                      {source.averageLatencyMs === null ? '—' : `${source.averageLatencyMs} ms`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+        
         <div className="mt-6">
           <h3 className="text-lg font-medium mb-2">Troubleshooting Steps:</h3>
           <ol className="list-decimal pl-5 space-y-2">
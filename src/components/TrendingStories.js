@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { Newspaper, RefreshCw, Loader, Globe, TrendingUp, ExternalLink } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
 
 // Category color mapping
 const CATEGORY_COLORS = {
@@ -13,6 +14,7 @@ const CATEGORY_COLORS = {
 };
 
 const TrendingStories = ({ onSelectStory }) => {
+  const { currentUser } = useAuth();
   const [trendingStories, setTrendingStories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -102,14 +104,17 @@ const TrendingStories = ({ onSelectStory }) => {
               </option>
             ))}
           </select>
-          <button 
-            onClick={handleRefresh} 
-            disabled={refreshing}
-            className="p-1 rounded-full hover:bg-gray-100 text-gray-600"
-            title="Refresh trending stories"
-          >
-            <RefreshCw className={refreshing ? 'animate-spin' : ''} size={18} />
-          </button>
+          {/* Refreshing scrapes every source, so only admins can trigger it */}
+          {currentUser?.role === 'admin' && (
+            <button 
+              onClick={handleRefresh} 
+              disabled={refreshing}
+              className="p-1 rounded-full hover:bg-gray-100 text-gray-600"
+              title="Refresh trending stories"
+            >
+              <RefreshCw className={refreshing ? 'animate-spin' : ''} size={18} />
+            </button>
+          )}
         </div>
       </div>
 
@@ -0,0 +1,293 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { KeyRound, Mail, Trash2, Download, AlertCircle, CheckCircle } from 'lucide-react';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Save a JSON value as a file download
+const downloadJson = (data, filename) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const AccountActions = ({ onAccountDeleted }) => {
+  const { currentUser, updateProfile, changePassword, deleteAccount, exportAccountData } = useAuth();
+  
+  // Which action's form is open: 'password', 'profile', 'delete' or null
+  const [openAction, setOpenAction] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+  
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [username, setUsername] = useState('');
+  const [email, setEmail] = useState('');
+  const [deleteConfirmation, setDeleteConfirmation] = useState('');
+  
+  const toggleAction = (action) => {
+    setOpenAction(openAction === action ? null : action);
+    setMessage({ type: '', text: '' });
+    setCurrentPassword('');
+    setNewPassword('');
+    setConfirmPassword('');
+    setUsername(currentUser?.username || '');
+    setEmail(currentUser?.email || '');
+    setDeleteConfirmation('');
+  };
+  
+  // Run an account request, showing its result or error
+  const runAction = async (action) => {
+    setIsLoading(true);
+    setMessage({ type: '', text: '' });
+    
+    try {
+      const result = await action();
+      setMessage({ type: 'success', text: result.message });
+      setOpenAction(null);
+      return true;
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Something went wrong. Please try again.' });
+      return false;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  const handleChangePassword = (e) => {
+    e.preventDefault();
+    
+    if (newPassword !== confirmPassword) {
+      setMessage({ type: 'error', text: 'New passwords do not match' });
+      return;
+    }
+    
+    if (newPassword.length < 6) {
+      setMessage({ type: 'error', text: 'Password must be at least 6 characters long' });
+      return;
+    }
+    
+    runAction(async () => {
+      const result = await changePassword(currentPassword, newPassword);
+      return {
+        message: result.sessions_revoked > 0
+          ? `Password changed. ${result.sessions_revoked} other device${result.sessions_revoked === 1 ? ' was' : 's were'} signed out.`
+          : 'Password changed successfully'
+      };
+    });
+  };
+  
+  const handleUpdateProfile = (e) => {
+    e.preventDefault();
+    
+    const changes = {};
+    if (username.trim() !== currentUser.username) changes.username = username.trim();
+    if (email.trim().toLowerCase() !== currentUser.email.toLowerCase()) {
+      changes.email = email.trim();
+      changes.currentPassword = currentPassword;
+    }
+    
+    if (Object.keys(changes).length === 0) {
+      setMessage({ type: 'error', text: 'Nothing to update' });
+      return;
+    }
+    
+    runAction(() => updateProfile(changes));
+  };
+  
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    
+    const deleted = await runAction(() => deleteAccount(currentPassword));
+    
+    if (deleted) {
+      onAccountDeleted?.();
+    }
+  };
+  
+  const handleExport = () => {
+    runAction(async () => {
+      const archive = await exportAccountData();
+      downloadJson(archive, `ai-news-account-${archive.exported_at.slice(0, 10)}.json`);
+      return { message: 'Your data has been downloaded' };
+    });
+  };
+  
+  const emailChanging = email.trim().toLowerCase() !== (currentUser?.email || '').toLowerCase();
+  
+  return (
+    <div className="mt-8">
+      <h3 className="text-lg font-medium text-gray-800 mb-4">Account Actions</h3>
+      
+      {message.text && (
+        <div className={`mb-4 p-3 rounded-md flex items-start ${
+          message.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
+        }`}>
+          {message.type === 'success' ? (
+            <CheckCircle className="mr-2 flex-shrink-0 mt-0.5" size={16} />
+          ) : (
+            <AlertCircle className="mr-2 flex-shrink-0 mt-0.5" size={16} />
+          )}
+          <span>{message.text}</span>
+        </div>
+      )}
+      
+      <div className="space-y-3">
+        <div>
+          <button
+            onClick={() => toggleAction('password')}
+            className="w-full px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 text-left flex items-center"
+          >
+            <KeyRound className="mr-2" size={16} />
+            Change Password
+          </button>
+          
+          {openAction === 'password' && (
+            <form onSubmit={handleChangePassword} className="mt-2 p-4 bg-gray-50 rounded-md space-y-3">
+              <input
+                type="password"
+                className={inputClassName}
+                value={currentPassword}
+                onChange={(e) => setCurrentPassword(e.target.value)}
+                placeholder="Current password"
+                required
+              />
+              <input
+                type="password"
+                className={inputClassName}
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                placeholder="New password"
+                required
+              />
+              <input
+                type="password"
+                className={inputClassName}
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                placeholder="Confirm new password"
+                required
+              />
+              <p className="text-xs text-gray-500">Your other devices will be signed out.</p>
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+              >
+                {isLoading ? 'Saving...' : 'Change Password'}
+              </button>
+            </form>
+          )}
+        </div>
+        
+        <div>
+          <button
+            onClick={() => toggleAction('profile')}
+            className="w-full px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 text-left flex items-center"
+          >
+            <Mail className="mr-2" size={16} />
+            Update Username or Email
+          </button>
+          
+          {openAction === 'profile' && (
+            <form onSubmit={handleUpdateProfile} className="mt-2 p-4 bg-gray-50 rounded-md space-y-3">
+              <input
+                type="text"
+                className={inputClassName}
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Username"
+                required
+              />
+              <input
+                type="email"
+                className={inputClassName}
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="your@email.com"
+                required
+              />
+              {emailChanging && (
+                <>
+                  <input
+                    type="password"
+                    className={inputClassName}
+                    value={currentPassword}
+                    onChange={(e) => setCurrentPassword(e.target.value)}
+                    placeholder="Current password"
+                    required
+                  />
+                  <p className="text-xs text-gray-500">We'll send a link to the new address to verify it.</p>
+                </>
+              )}
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+              >
+                {isLoading ? 'Saving...' : 'Save Changes'}
+              </button>
+            </form>
+          )}
+        </div>
+        
+        <button
+          onClick={handleExport}
+          disabled={isLoading}
+          className="w-full px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 text-left flex items-center"
+        >
+          <Download className="mr-2" size={16} />
+          Download My Data
+        </button>
+        
+        <div>
+          <button
+            onClick={() => toggleAction('delete')}
+            className="w-full px-4 py-2 bg-red-50 text-red-700 rounded-md hover:bg-red-100 text-left flex items-center"
+          >
+            <Trash2 className="mr-2" size={16} />
+            Delete Account
+          </button>
+          
+          {openAction === 'delete' && (
+            <form onSubmit={handleDeleteAccount} className="mt-2 p-4 bg-red-50 rounded-md space-y-3">
+              <p className="text-sm text-red-700">
+                This permanently deletes your account, preferences, saved articles and reading history.
+                Type <strong>{currentUser?.username}</strong> and your password to confirm.
+              </p>
+              <input
+                type="text"
+                className={inputClassName}
+                value={deleteConfirmation}
+                onChange={(e) => setDeleteConfirmation(e.target.value)}
+                placeholder="Username"
+                required
+              />
+              <input
+                type="password"
+                className={inputClassName}
+                value={currentPassword}
+                onChange={(e) => setCurrentPassword(e.target.value)}
+                placeholder="Password"
+                required
+              />
+              <button
+                type="submit"
+                disabled={isLoading || deleteConfirmation !== currentUser?.username}
+                className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+              >
+                {isLoading ? 'Deleting...' : 'Delete My Account'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountActions;
@@ -1,30 +1,76 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import Login from './Login';
 import Register from './Register';
+import ForgotPassword from './ForgotPassword';
+import ResetPassword from './ResetPassword';
+import VerifyEmail from './VerifyEmail';
 import UserProfile from './UserProfile';
 import { useAuth } from '../../context/AuthContext';
 
-const AuthModal = ({ isOpen, onClose, initialView = 'login' }) => {
+const AuthModal = ({ isOpen, onClose, onOpenArticle, initialView = 'login', token = null }) => {
   const [currentView, setCurrentView] = useState(initialView);
   const { currentUser } = useAuth();
   
+  // Start from the requested view each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setCurrentView(initialView);
+    }
+  }, [isOpen, initialView]);
+  
   if (!isOpen) return null;
   
-  return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      {currentUser ? (
-        <UserProfile onClose={onClose} />
-      ) : currentView === 'login' ? (
-        <Login 
-          onClose={onClose} 
-          onSwitchToRegister={() => setCurrentView('register')} 
+  const renderView = () => {
+    // Views opened from email links show whether or not someone is signed in
+    if (currentView === 'reset' && token) {
+      return (
+        <ResetPassword 
+          token={token}
+          onClose={onClose}
+          onSwitchToLogin={() => setCurrentView('login')}
+          onSwitchToForgot={() => setCurrentView('forgot')}
         />
-      ) : (
+      );
+    }
+    
+    if (currentView === 'verify' && token) {
+      return <VerifyEmail token={token} onClose={onClose} />;
+    }
+    
+    if (currentUser) {
+      return <UserProfile onClose={onClose} onOpenArticle={onOpenArticle} />;
+    }
+    
+    if (currentView === 'register') {
+      return (
         <Register 
           onClose={onClose} 
           onSwitchToLogin={() => setCurrentView('login')} 
         />
-      )}
+      );
+    }
+    
+    if (currentView === 'forgot') {
+      return (
+        <ForgotPassword 
+          onClose={onClose} 
+          onSwitchToLogin={() => setCurrentView('login')} 
+        />
+      );
+    }
+    
+    return (
+      <Login 
+        onClose={onClose} 
+        onSwitchToRegister={() => setCurrentView('register')} 
+        onSwitchToForgot={() => setCurrentView('forgot')} 
+      />
+    );
+  };
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      {renderView()}
     </div>
   );
 };
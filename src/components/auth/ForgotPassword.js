@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { Mail, AlertCircle, CheckCircle } from 'lucide-react';
+
+const ForgotPassword = ({ onClose, onSwitchToLogin }) => {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+  
+  const { requestPasswordReset } = useAuth();
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!email) {
+      setError('Please enter your email address');
+      return;
+    }
+    
+    setIsLoading(true);
+    setError('');
+    
+    try {
+      const result = await requestPasswordReset(email);
+      setSentMessage(result.message);
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.error || 'Could not send a reset link. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg max-w-md w-full">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">Reset Password</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      
+      {error && (
+        <div className="bg-red-50 text-red-700 p-3 rounded-md mb-4 flex items-start">
+          <AlertCircle className="mr-2 flex-shrink-0 mt-0.5" size={16} />
+          <span>{error}</span>
+        </div>
+      )}
+      
+      {sentMessage ? (
+        <div className="bg-green-50 text-green-700 p-3 rounded-md mb-4 flex items-start">
+          <CheckCircle className="mr-2 flex-shrink-0 mt-0.5" size={16} />
+          <span>{sentMessage}. The link expires in 1 hour.</span>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <p className="text-gray-600 text-sm mb-4">
+            Enter the email address you registered with and we'll send you a link to choose a new password.
+          </p>
+          
+          <div className="mb-6">
+            <label className="block text-gray-700 text-sm font-medium mb-2" htmlFor="reset-email">
+              Email
+            </label>
+            <input
+              id="reset-email"
+              type="email"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="your@email.com"
+              required
+            />
+          </div>
+          
+          <button
+            type="submit"
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 flex justify-center items-center"
+            disabled={isLoading}
+          >
+            <span className="flex items-center">
+              <Mail className="mr-2" size={18} />
+              {isLoading ? 'Sending...' : 'Send Reset Link'}
+            </span>
+          </button>
+        </form>
+      )}
+      
+      <div className="mt-6 text-center">
+        <p className="text-gray-600 text-sm">
+          Remembered it?{' '}
+          <button
+            onClick={onSwitchToLogin}
+            className="text-blue-600 hover:text-blue-800 font-medium"
+          >
+            Back to Login
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
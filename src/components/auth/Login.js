@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import { LogIn, AlertCircle } from 'lucide-react';
 
-const Login = ({ onClose, onSwitchToRegister }) => {
+const Login = ({ onClose, onSwitchToRegister, onSwitchToForgot }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
@@ -79,6 +79,15 @@ const Login = ({ onClose, onSwitchToRegister }) => {
             placeholder="••••••••"
             required
           />
+          <div className="mt-2 text-right">
+            <button
+              type="button"
+              onClick={onSwitchToForgot}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              Forgot password?
+            </button>
+          </div>
         </div>
         
         <button
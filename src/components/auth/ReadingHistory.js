@@ -0,0 +1,344 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { fetchNewsById } from '../../services/newsService';
+import { Clock, Flame, Trophy, BookOpen, Search, Trash2, ExternalLink, AlertCircle } from 'lucide-react';
+
+// Entries loaded per page of the timeline
+const PAGE_SIZE = 50;
+
+// Format seconds as a short duration, e.g. "45s", "12 min" or "1 h 5 min"
+const formatDuration = (seconds) => {
+  if (seconds < 60) return `${seconds}s`;
+  
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+// Label a day in the timeline: "Today", "Yesterday" or the date
+const formatDay = (date) => {
+  const today = new Date();
+  const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+  
+  if (date.toDateString() === today.toDateString()) return 'Today';
+  if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
+  
+  return date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+// Group timeline entries by the local day they were read, keeping the newest-first order
+const groupByDay = (entries) => {
+  const days = [];
+  
+  entries.forEach(entry => {
+    const readAt = new Date(entry.read_at);
+    const key = readAt.toDateString();
+    
+    if (days.length === 0 || days[days.length - 1].key !== key) {
+      days.push({ key, label: formatDay(readAt), entries: [] });
+    }
+    
+    days[days.length - 1].entries.push(entry);
+  });
+  
+  return days;
+};
+
+const ReadingHistory = ({ categories, categoryColors, aiModels, onOpenArticle, onClose }) => {
+  const { getReadingHistory, getReadingStats, deleteHistoryEntries, clearReadingHistory } = useAuth();
+  
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [stats, setStats] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [selectedIds, setSelectedIds] = useState([]);
+  
+  // Filters: the search box is applied when the form is submitted
+  const [category, setCategory] = useState('all');
+  const [searchText, setSearchText] = useState('');
+  const [query, setQuery] = useState('');
+  
+  // Load the first page of the timeline and the stats
+  const loadHistory = useCallback(async () => {
+    setIsLoading(true);
+    
+    try {
+      const [history, readingStats] = await Promise.all([
+        getReadingHistory({ category, q: query || undefined, limit: PAGE_SIZE }),
+        getReadingStats()
+      ]);
+      
+      setEntries(history.reading_history);
+      setTotal(history.total);
+      setStats(readingStats);
+      setSelectedIds([]);
+    } catch (error) {
+      console.error('Error fetching reading history:', error);
+      setMessage({ type: 'error', text: 'Failed to load your reading history' });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [category, query, getReadingHistory, getReadingStats]);
+  
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+  
+  const handleLoadMore = async () => {
+    try {
+      const history = await getReadingHistory({ category, q: query || undefined, limit: PAGE_SIZE, offset: entries.length });
+      setEntries(prevEntries => [...prevEntries, ...history.reading_history]);
+      setTotal(history.total);
+    } catch (error) {
+      console.error('Error fetching reading history:', error);
+    }
+  };
+  
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setQuery(searchText.trim());
+  };
+  
+  const toggleSelected = (id) => {
+    setSelectedIds(prevIds => prevIds.includes(id) ? prevIds.filter(selectedId => selectedId !== id) : [...prevIds, id]);
+  };
+  
+  // Run a delete request, then reload the timeline and stats
+  const runDelete = async (action, successText) => {
+    setMessage({ type: '', text: '' });
+    
+    try {
+      await action();
+      setMessage({ type: 'success', text: successText });
+      await loadHistory();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to delete reading history' });
+    }
+  };
+  
+  const handleDeleteSelected = () => {
+    runDelete(
+      () => deleteHistoryEntries(selectedIds),
+      `Deleted ${selectedIds.length} ${selectedIds.length === 1 ? 'entry' : 'entries'}`
+    );
+  };
+  
+  const handleClearAll = () => {
+    if (window.confirm('Delete your entire reading history? This cannot be undone.')) {
+      runDelete(clearReadingHistory, 'Your reading history has been cleared');
+    }
+  };
+  
+  // Open an entry's article in the debate view, if it's still in the news store
+  const handleOpenArticle = async (entry) => {
+    try {
+      const article = await fetchNewsById(entry.article_id);
+      onOpenArticle(article);
+      onClose();
+    } catch (error) {
+      setMessage({ type: 'error', text: 'This article is no longer available' });
+    }
+  };
+  
+  const getModelName = (modelId) => aiModels.find(model => model.id === modelId)?.name || modelId;
+  const topCategoryViews = stats?.categories[0]?.views || 0;
+  
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-medium text-gray-800">Reading History</h3>
+        {stats?.total_views > 0 && (
+          <button onClick={handleClearAll} className="text-sm text-red-600 hover:text-red-800">
+            Clear all
+          </button>
+        )}
+      </div>
+      
+      {message.text && (
+        <div className={`mb-4 p-3 rounded-md flex items-start ${
+          message.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
+        }`}>
+          {message.type === 'error' && <AlertCircle className="mr-2 flex-shrink-0 mt-0.5" size={16} />}
+          <span>{message.text}</span>
+        </div>
+      )}
+      
+      {stats?.total_views > 0 && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500 flex items-center"><BookOpen className="mr-1" size={14} />Articles read</p>
+              <p className="text-xl font-semibold text-gray-800">{stats.articles_read}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500 flex items-center"><Clock className="mr-1" size={14} />Time reading</p>
+              <p className="text-xl font-semibold text-gray-800">{formatDuration(stats.total_dwell_seconds)}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500 flex items-center"><Flame className="mr-1" size={14} />Current streak</p>
+              <p className="text-xl font-semibold text-gray-800">{stats.current_streak} {stats.current_streak === 1 ? 'day' : 'days'}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500 flex items-center"><Trophy className="mr-1" size={14} />Longest streak</p>
+              <p className="text-xl font-semibold text-gray-800">{stats.longest_streak} {stats.longest_streak === 1 ? 'day' : 'days'}</p>
+            </div>
+          </div>
+          
+          <div className="mb-6">
+            <h4 className="text-sm font-medium text-gray-700 mb-2">By category</h4>
+            <div className="space-y-2">
+              {stats.categories.map(item => (
+                <div key={item.category} className="flex items-center text-sm">
+                  <span className="w-28 capitalize text-gray-600">{item.category}</span>
+                  <div className="flex-1 bg-gray-100 rounded-full h-2 mx-2">
+                    <div
+                      className="bg-blue-500 h-2 rounded-full"
+                      style={{ width: `${topCategoryViews ? item.views / topCategoryViews * 100 : 0}%` }}
+                    />
+                  </div>
+                  <span className="w-32 text-right text-xs text-gray-500">
+                    {Math.round(item.share * 100)}% · {formatDuration(item.dwell_seconds)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+      
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <select
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="all">All categories</option>
+          {categories.map(item => (
+            <option key={item} value={item}>{item.charAt(0).toUpperCase() + item.slice(1)}</option>
+          ))}
+        </select>
+        <form onSubmit={handleSearch} className="flex flex-1 min-w-0">
+          <input
+            type="text"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            placeholder="Search titles and sources"
+            className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-l-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button type="submit" className="px-3 py-2 bg-gray-100 border border-l-0 border-gray-300 rounded-r-md hover:bg-gray-200">
+            <Search size={16} />
+          </button>
+        </form>
+        {selectedIds.length > 0 && (
+          <button
+            onClick={handleDeleteSelected}
+            className="px-3 py-2 bg-red-50 text-red-700 rounded-md hover:bg-red-100 text-sm flex items-center"
+          >
+            <Trash2 className="mr-1" size={14} />
+            Delete selected ({selectedIds.length})
+          </button>
+        )}
+      </div>
+      
+      {isLoading && entries.length === 0 ? (
+        <div className="flex justify-center items-center py-8">
+          <svg className="animate-spin h-8 w-8 text-blue-500" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+          </svg>
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">
+          <Clock className="mx-auto mb-3 text-gray-300" size={32} />
+          {category !== 'all' || query ? (
+            <p>No articles in your history match these filters.</p>
+          ) : (
+            <>
+              <p>Your reading history will appear here.</p>
+              <p className="mt-2 text-sm">Articles you open are added as you read them.</p>
+            </>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {groupByDay(entries).map(day => (
+            <div key={day.key}>
+              <h4 className="text-sm font-medium text-gray-500 mb-2">{day.label}</h4>
+              <div className="border-l-2 border-gray-200 pl-4 space-y-3">
+                {day.entries.map(entry => (
+                  <div key={entry.id} className="flex items-start">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(entry.id)}
+                      onChange={() => toggleSelected(entry.id)}
+                      className="mt-1 mr-3"
+                      aria-label="Select entry"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <div className="flex justify-between items-start">
+                        <button
+                          onClick={() => handleOpenArticle(entry)}
+                          className="font-medium text-gray-800 hover:text-blue-700 text-left"
+                        >
+                          {entry.title || `Article #${entry.article_id}`}
+                        </button>
+                        {entry.category && (
+                          <span className={`ml-2 text-xs ${categoryColors[entry.category] || categoryColors.general} px-2 py-0.5 rounded-full`}>
+                            {entry.category}
+                          </span>
+                        )}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {new Date(entry.read_at).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}
+                        {entry.source ? ` • ${entry.source}` : ''}
+                        {entry.view_count > 1 ? ` • ${entry.view_count} views` : ''}
+                        {entry.dwell_seconds > 0 ? ` • ${formatDuration(entry.dwell_seconds)} reading` : ''}
+                      </p>
+                      {entry.models_viewed.length > 0 && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          Analyses viewed: {entry.models_viewed.map(getModelName).join(', ')}
+                        </p>
+                      )}
+                    </div>
+                    <div className="ml-3 flex items-center space-x-2">
+                      {entry.url && (
+                        <a
+                          href={entry.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-gray-400 hover:text-gray-600"
+                          title="Original"
+                        >
+                          <ExternalLink size={14} />
+                        </a>
+                      )}
+                      <button
+                        onClick={() => runDelete(() => deleteHistoryEntries([entry.id]), 'Entry deleted')}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+          
+          {entries.length < total && (
+            <div className="text-center">
+              <button onClick={handleLoadMore} className="text-sm text-blue-600 hover:text-blue-800">
+                Show more ({total - entries.length} more)
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReadingHistory;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { KeyRound, AlertCircle, CheckCircle } from 'lucide-react';
+
+const ResetPassword = ({ token, onClose, onSwitchToLogin, onSwitchToForgot }) => {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [linkInvalid, setLinkInvalid] = useState(false);
+  const [done, setDone] = useState(false);
+  
+  const { resetPassword } = useAuth();
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!password || !confirmPassword) {
+      setError('Please fill in all fields');
+      return;
+    }
+    
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters long');
+      return;
+    }
+    
+    setIsLoading(true);
+    setError('');
+    
+    try {
+      await resetPassword(token, password);
+      setDone(true);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not reset your password. Please try again.');
+      setLinkInvalid(err.response?.data?.code === 'INVALID_TOKEN');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg max-w-md w-full">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">Choose a New Password</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      
+      {error && (
+        <div className="bg-red-50 text-red-700 p-3 rounded-md mb-4 flex items-start">
+          <AlertCircle className="mr-2 flex-shrink-0 mt-0.5" size={16} />
+          <span>
+            {error}
+            {linkInvalid && (
+              <button
+                onClick={onSwitchToForgot}
+                className="ml-1 text-red-800 underline font-medium"
+              >
+                Send a new link
+              </button>
+            )}
+          </span>
+        </div>
+      )}
+      
+      {done ? (
+        <>
+          <div className="bg-green-50 text-green-700 p-3 rounded-md mb-4 flex items-start">
+            <CheckCircle className="mr-2 flex-shrink-0 mt-0.5" size={16} />
+            <span>Your password has been updated and you've been signed out on every device.</span>
+          </div>
+          
+          <button
+            onClick={onSwitchToLogin}
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700"
+          >
+            Login with New Password
+          </button>
+        </>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <div className="mb-4">
+            <label className="block text-gray-700 text-sm font-medium mb-2" htmlFor="new-password">
+              New Password
+            </label>
+            <input
+              id="new-password"
+              type="password"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="••••••••"
+              required
+            />
+          </div>
+          
+          <div className="mb-6">
+            <label className="block text-gray-700 text-sm font-medium mb-2" htmlFor="confirm-new-password">
+              Confirm New Password
+            </label>
+            <input
+              id="confirm-new-password"
+              type="password"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              placeholder="••••••••"
+              required
+            />
+          </div>
+          
+          <button
+            type="submit"
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 flex justify-center items-center"
+            disabled={isLoading}
+          >
+            <span className="flex items-center">
+              <KeyRound className="mr-2" size={18} />
+              {isLoading ? 'Saving...' : 'Set New Password'}
+            </span>
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
-import { User, Settings, BookmarkCheck, Clock, Save, AlertCircle } from 'lucide-react';
+import { getAIModels } from '../../services/aiService';
+import AccountActions from './AccountActions';
+import ReadingHistory from './ReadingHistory';
+import { User, Settings, BookmarkCheck, Clock, Save, AlertCircle, ExternalLink, Monitor, MailWarning } from 'lucide-react';
 
 // Category color mapping from the existing app
 const CATEGORY_COLORS = {
@@ -12,11 +15,13 @@ const CATEGORY_COLORS = {
   general: 'bg-gray-100 text-gray-800'
 };
 
-const UserProfile = ({ onClose }) => {
-  const { currentUser, userPreferences, updatePreferences, getSavedArticles, logout } = useAuth();
+const UserProfile = ({ onClose, onOpenArticle }) => {
+  const { currentUser, userPreferences, updatePreferences, getSavedArticles, getSessions, revokeSession, resendVerification, logout } = useAuth();
   
   const [activeTab, setActiveTab] = useState('profile');
   const [savedArticles, setSavedArticles] = useState([]);
+  const [expandedArticleId, setExpandedArticleId] = useState(null);
+  const [sessions, setSessions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState({ type: '', text: '' });
   
@@ -25,20 +30,23 @@ const UserProfile = ({ onClose }) => {
   const [selectedAIModels, setSelectedAIModels] = useState([]);
   const [theme, setTheme] = useState('light');
   
-  // Available categories and AI models
+  // Available categories; AI models come from the backend provider registry
   const availableCategories = ['technology', 'business', 'politics', 'health', 'environment', 'general'];
-  const availableAIModels = [
-    { id: 'chatgpt', name: 'ChatGPT', provider: 'OpenAI' },
-    { id: 'claude', name: 'Claude', provider: 'Anthropic' },
-    { id: 'gemini', name: 'Gemini', provider: 'Google' },
-    { id: 'copilot', name: 'Copilot', provider: 'Microsoft' },
-    { id: 'deepseek', name: 'DeepSeek', provider: 'DeepSeek' },
-    { id: 'cohere', name: 'Command', provider: 'Cohere' },
-    { id: 'newscord', name: 'Newscord', provider: 'Newscord' },
-    { id: 'channel1', name: 'Channel 1', provider: 'Channel 1 AI' },
-    { id: 'listen2', name: 'Listen2', provider: 'Listen2.ai' },
-    { id: 'reka', name: 'Reka', provider: 'Reka AI' }
-  ];
+  const [availableAIModels, setAvailableAIModels] = useState([]);
+  
+  // Load available AI models
+  useEffect(() => {
+    const fetchAIModels = async () => {
+      try {
+        const models = await getAIModels();
+        setAvailableAIModels(models);
+      } catch (error) {
+        console.error('Error loading AI models:', error);
+      }
+    };
+    
+    fetchAIModels();
+  }, []);
   
   // Initialize form with user preferences
   useEffect(() => {
@@ -68,6 +76,45 @@ const UserProfile = ({ onClose }) => {
     fetchSavedArticles();
   }, [activeTab, getSavedArticles]);
   
+  // Fetch the devices the user is signed in on
+  useEffect(() => {
+    const fetchSessions = async () => {
+      if (activeTab === 'profile') {
+        try {
+          setSessions(await getSessions());
+        } catch (error) {
+          console.error('Error fetching sessions:', error);
+        }
+      }
+    };
+    
+    fetchSessions();
+  }, [activeTab, getSessions]);
+  
+  const handleRevokeSession = async (session) => {
+    try {
+      await revokeSession(session.id);
+      
+      if (session.current) {
+        handleLogout();
+        return;
+      }
+      
+      setSessions(sessions.filter(s => s.id !== session.id));
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to sign out that device' });
+    }
+  };
+  
+  const handleResendVerification = async () => {
+    try {
+      await resendVerification();
+      setMessage({ type: 'success', text: `Verification email sent to ${currentUser.email}` });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.message || error.response?.data?.error || 'Failed to send verification email' });
+    }
+  };
+  
   const handleSavePreferences = async () => {
     setIsLoading(true);
     setMessage({ type: '', text: '' });
@@ -202,6 +249,15 @@ const UserProfile = ({ onClose }) => {
             <div>
               <h3 className="text-lg font-medium text-gray-800 mb-4">Account Information</h3>
               
+              {message.text && (
+                <div className={`mb-4 p-3 rounded-md flex items-center ${
+                  message.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
+                }`}>
+                  <AlertCircle size={18} className="mr-2" />
+                  {message.text}
+                </div>
+              )}
+              
               <div className="bg-gray-50 rounded-lg p-4 mb-6">
                 <div className="mb-4">
                   <label className="block text-sm font-medium text-gray-500 mb-1">Username</label>
@@ -211,6 +267,18 @@ const UserProfile = ({ onClose }) => {
                 <div className="mb-4">
                   <label className="block text-sm font-medium text-gray-500 mb-1">Email</label>
                   <p className="text-gray-800">{currentUser?.email}</p>
+                  {currentUser && !currentUser.email_verified && (
+                    <div className="mt-2 flex items-center text-sm text-yellow-800 bg-yellow-50 rounded-md px-3 py-2">
+                      <MailWarning className="mr-2 flex-shrink-0" size={16} />
+                      <span className="flex-1">Not verified yet. Check your inbox for the confirmation link.</span>
+                      <button
+                        onClick={handleResendVerification}
+                        className="ml-3 text-blue-600 hover:text-blue-800 font-medium"
+                      >
+                        Resend
+                      </button>
+                    </div>
+                  )}
                 </div>
                 
                 <div>
@@ -225,21 +293,34 @@ const UserProfile = ({ onClose }) => {
                 </div>
               </div>
               
-              <div className="mt-8">
-                <h3 className="text-lg font-medium text-gray-800 mb-4">Account Actions</h3>
-                
-                <div className="space-y-3">
-                  <button className="w-full px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 text-left">
-                    Change Password
-                  </button>
-                  <button className="w-full px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 text-left">
-                    Update Email
-                  </button>
-                  <button className="w-full px-4 py-2 bg-red-50 text-red-700 rounded-md hover:bg-red-100 text-left">
-                    Delete Account
-                  </button>
-                </div>
+              <h3 className="text-lg font-medium text-gray-800 mb-4">Signed-in Devices</h3>
+              
+              <div className="space-y-2">
+                {sessions.map(session => (
+                  <div key={session.id} className="bg-gray-50 rounded-lg p-3 flex items-center justify-between">
+                    <div className="flex items-center">
+                      <Monitor className="mr-3 text-gray-400" size={20} />
+                      <div>
+                        <p className="text-gray-800">
+                          {session.device}
+                          {session.current && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-800">This device</span>}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {session.ip || 'Unknown IP'} • Last active {new Date(session.lastSeenAt).toLocaleString()}
+                        </p>
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => handleRevokeSession(session)}
+                      className="px-3 py-1 text-sm text-red-700 bg-red-50 rounded-md hover:bg-red-100"
+                    >
+                      Sign out
+                    </button>
+                  </div>
+                ))}
               </div>
+              
+              <AccountActions onAccountDeleted={onClose} />
             </div>
           )}
           
@@ -379,23 +460,88 @@ const UserProfile = ({ onClose }) => {
                 </div>
               ) : (
                 <div className="space-y-4">
-                  {savedArticles.map(article => (
-                    <div key={article.article_id} className="border border-gray-200 rounded-lg p-4 hover:bg-gray-50">
-                      <h4 className="font-medium text-gray-800">Article #{article.article_id}</h4>
-                      <p className="text-sm text-gray-500 mt-1">
-                        Saved on {new Date(article.saved_at).toLocaleDateString('en-US', {
-                          year: 'numeric',
-                          month: 'long',
-                          day: 'numeric'
-                        })}
-                      </p>
-                      <div className="mt-2 flex justify-end">
-                        <button className="text-sm text-blue-600 hover:text-blue-800">
-                          View Article
-                        </button>
+                  {savedArticles.map(saved => {
+                    const article = saved.article;
+                    const analysisEntries = Object.entries(saved.analyses || {});
+                    const isExpanded = expandedArticleId === saved.article_id;
+                    
+                    return (
+                      <div key={saved.article_id} className="border border-gray-200 rounded-lg p-4 hover:bg-gray-50">
+                        <div className="flex justify-between items-start">
+                          <h4 className="font-medium text-gray-800">{article?.title || `Article #${saved.article_id}`}</h4>
+                          {article?.category && (
+                            <span className={`ml-2 text-xs ${CATEGORY_COLORS[article.category] || CATEGORY_COLORS.general} px-2 py-0.5 rounded-full`}>
+                              {article.category}
+                            </span>
+                          )}
+                        </div>
+                        {article?.source && (
+                          <p className="text-sm text-gray-500 mt-1">
+                            {article.source}{article.date ? ` • ${article.date}` : ''}
+                          </p>
+                        )}
+                        {article?.summary && (
+                          <p className="text-sm text-gray-600 mt-2">{article.summary}</p>
+                        )}
+                        <p className="text-xs text-gray-400 mt-2">
+                          Saved on {new Date(saved.saved_at).toLocaleDateString('en-US', {
+                            year: 'numeric',
+                            month: 'long',
+                            day: 'numeric'
+                          })}
+                        </p>
+                        
+                        {isExpanded && (
+                          <div className="mt-3 space-y-3">
+                            {saved.analysis_template && (
+                              <p className="text-xs text-gray-500">Analysis style: {saved.analysis_template}</p>
+                            )}
+                            {analysisEntries.map(([modelId, analysis]) => (
+                              <div key={modelId} className="bg-gray-50 rounded-md p-3">
+                                <p className="text-xs font-medium text-gray-700">
+                                  {availableAIModels.find(model => model.id === modelId)?.name || modelId}
+                                </p>
+                                <p className="text-sm text-gray-600 mt-1">{typeof analysis === 'string' ? analysis : analysis.summary}</p>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        
+                        <div className="mt-2 flex justify-end items-center space-x-4">
+                          {analysisEntries.length > 0 && (
+                            <button 
+                              onClick={() => setExpandedArticleId(isExpanded ? null : saved.article_id)}
+                              className="text-sm text-gray-600 hover:text-gray-800"
+                            >
+                              {isExpanded ? 'Hide' : 'Show'} {analysisEntries.length} saved {analysisEntries.length === 1 ? 'analysis' : 'analyses'}
+                            </button>
+                          )}
+                          {article?.url && (
+                            <a 
+                              href={article.url}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-sm text-gray-600 hover:text-gray-800 flex items-center"
+                            >
+                              <ExternalLink className="mr-1" size={14} />
+                              Original
+                            </a>
+                          )}
+                          {article && onOpenArticle && (
+                            <button 
+                              onClick={() => {
+                                onOpenArticle(article);
+                                onClose();
+                              }}
+                              className="text-sm text-blue-600 hover:text-blue-800"
+                            >
+                              View Article
+                            </button>
+                          )}
+                        </div>
                       </div>
-                    </div>
-                  ))}
+                    );
+                  })}
                 </div>
               )}
             </div>
@@ -403,15 +549,13 @@ const UserProfile = ({ onClose }) => {
           
           {/* Reading History Tab */}
           {activeTab === 'history' && (
-            <div>
-              <h3 className="text-lg font-medium text-gray-800 mb-4">Reading History</h3>
-              
-              <div className="text-center py-8 text-gray-500">
-                <Clock className="mx-auto mb-3 text-gray-300" size={32} />
-                <p>Your reading history will appear here.</p>
-                <p className="mt-2 text-sm">This feature is coming soon!</p>
-              </div>
-            </div>
+            <ReadingHistory
+              categories={availableCategories}
+              categoryColors={CATEGORY_COLORS}
+              aiModels={availableAIModels}
+              onOpenArticle={onOpenArticle}
+              onClose={onClose}
+            />
           )}
         </div>
       </div>
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { MailCheck, AlertCircle } from 'lucide-react';
+
+const VerifyEmail = ({ token, onClose }) => {
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  
+  const { verifyEmail } = useAuth();
+  
+  // Verify once when the screen opens with a token from the email link
+  useEffect(() => {
+    let cancelled = false;
+    
+    const verify = async () => {
+      try {
+        const result = await verifyEmail(token);
+        if (cancelled) return;
+        setStatus('verified');
+        setMessage(`${result.email} is verified. Thanks for confirming your address.`);
+      } catch (err) {
+        if (cancelled) return;
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Could not verify your email address.');
+      }
+    };
+    
+    verify();
+    
+    return () => {
+      cancelled = true;
+    };
+    // verifyEmail changes with the signed-in user; the token only needs verifying once
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+  
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg max-w-md w-full">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">Verify Email</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      
+      {status === 'verifying' && (
+        <div className="flex items-center text-gray-600">
+          <svg className="animate-spin mr-2 h-4 w-4 text-blue-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+          </svg>
+          Verifying your email address...
+        </div>
+      )}
+      
+      {status === 'verified' && (
+        <div className="bg-green-50 text-green-700 p-3 rounded-md flex items-start">
+          <MailCheck className="mr-2 flex-shrink-0 mt-0.5" size={16} />
+          <span>{message}</span>
+        </div>
+      )}
+      
+      {status === 'error' && (
+        <div className="bg-red-50 text-red-700 p-3 rounded-md flex items-start">
+          <AlertCircle className="mr-2 flex-shrink-0 mt-0.5" size={16} />
+          <span>{message} You can request a new link from your profile.</span>
+        </div>
+      )}
+      
+      {status !== 'verifying' && (
+        <button
+          onClick={onClose}
+          className="mt-6 w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700"
+        >
+          Continue
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default VerifyEmail;
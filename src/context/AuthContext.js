@@ -19,6 +19,48 @@ export const AuthProvider = ({ children }) => {
     axios.defaults.withCredentials = true;
   }, []);
 
+  // Access tokens are short-lived: when one expires, get a new one with the refresh token cookie and retry once
+  useEffect(() => {
+    let refreshing = null;
+    
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (err) => {
+        const { config, response } = err;
+        const sessionEnded = response?.status === 401 && ['TOKEN_EXPIRED', 'SESSION_REVOKED'].includes(response.data?.code);
+        
+        if (!sessionEnded || !config || config.retriedAfterRefresh || config.url === '/api/users/refresh') {
+          return Promise.reject(err);
+        }
+        
+        try {
+          // Requests that fail together share one refresh, since each refresh token only works once
+          refreshing = refreshing || axios.post('/api/users/refresh').finally(() => {
+            refreshing = null;
+          });
+          const { data } = await refreshing;
+          
+          localStorage.setItem('token', data.token);
+          axios.defaults.headers.common['Authorization'] = `Bearer ${data.token}`;
+          setCurrentUser(prev => (prev ? { ...prev, ...data.user } : prev));
+          
+          config.retriedAfterRefresh = true;
+          config.headers['Authorization'] = `Bearer ${data.token}`;
+          return axios(config);
+        } catch (refreshErr) {
+          // The session was revoked or has expired, so the user has to sign in again
+          localStorage.removeItem('token');
+          delete axios.defaults.headers.common['Authorization'];
+          setCurrentUser(null);
+          setUserPreferences(null);
+          return Promise.reject(err);
+        }
+      }
+    );
+    
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
   // Check if user is already logged in
   useEffect(() => {
     const checkAuthStatus = async () => {
@@ -105,6 +147,19 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Forget the signed-in user on this device
+  const clearLocalSession = () => {
+    // Clear token from localStorage
+    localStorage.removeItem('token');
+    
+    // Remove authorization header
+    delete axios.defaults.headers.common['Authorization'];
+    
+    // Clear user state
+    setCurrentUser(null);
+    setUserPreferences(null);
+  };
+
   // Logout user
   const logout = async () => {
     try {
@@ -112,15 +167,7 @@ export const AuthProvider = ({ children }) => {
     } catch (err) {
       console.error('Logout error:', err);
     } finally {
-      // Clear token from localStorage
-      localStorage.removeItem('token');
-      
-      // Remove authorization header
-      delete axios.defaults.headers.common['Authorization'];
-      
-      // Clear user state
-      setCurrentUser(null);
-      setUserPreferences(null);
+      clearLocalSession();
     }
   };
 
@@ -143,12 +190,12 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Save article
-  const saveArticle = async (articleId) => {
+  // Save article with a snapshot of it, the AI analyses currently shown and the analysis style used
+  const saveArticle = async (article, analyses = {}, template = null) => {
     if (!currentUser) return;
     
     try {
-      await axios.post('/api/users/saved-articles', { article_id: articleId });
+      await axios.post('/api/users/saved-articles', { article_id: article.id, article, analyses, template });
     } catch (err) {
       console.error('Error saving article:', err);
     }
@@ -167,17 +214,146 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Record article view in reading history
-  const recordArticleView = async (articleId) => {
-    if (!currentUser) return;
+  // Record an article view in reading history. Views of the same article in one session are merged on the
+  // server, so this is also how time spent on the article and the AI models viewed are added to the entry.
+  // newView is false when only adding time or models to the current view.
+  // keepalive sends the request with fetch so it still completes while the page is being closed
+  const recordArticleView = async (article, { dwellSeconds = 0, models = [], newView = true, keepalive = false } = {}) => {
+    if (!currentUser || !article) return;
+    
+    const body = {
+      article_id: article.id,
+      article: { title: article.title, category: article.category, source: article.source, url: article.url },
+      dwell_seconds: dwellSeconds,
+      models,
+      new_view: newView
+    };
     
     try {
-      await axios.post('/api/users/reading-history', { article_id: articleId });
+      if (keepalive) {
+        const token = localStorage.getItem('token');
+        await fetch('/api/users/reading-history', {
+          method: 'POST',
+          keepalive: true,
+          credentials: 'include',
+          headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+          body: JSON.stringify(body)
+        });
+      } else {
+        await axios.post('/api/users/reading-history', body);
+      }
     } catch (err) {
       console.error('Error recording article view:', err);
     }
   };
 
+  // Get a page of reading history, filtered by category, text (q) and date range (from, to) in the browser's time zone
+  const getReadingHistory = async (filters = {}) => {
+    const response = await axios.get('/api/users/reading-history', {
+      params: { ...filters, utc_offset: -new Date().getTimezoneOffset() }
+    });
+    return response.data;
+  };
+
+  // Get reading stats, with reads grouped into days in the browser's time zone
+  const getReadingStats = async () => {
+    const response = await axios.get('/api/users/reading-history/stats', {
+      params: { utc_offset: -new Date().getTimezoneOffset() }
+    });
+    return response.data.stats;
+  };
+
+  // Delete some reading history entries
+  const deleteHistoryEntries = async (ids) => {
+    const response = await axios.delete('/api/users/reading-history', { data: { ids } });
+    return response.data;
+  };
+
+  // Delete all reading history
+  const clearReadingHistory = async () => {
+    const response = await axios.delete('/api/users/reading-history', { data: { all: true } });
+    return response.data;
+  };
+
+  // List the devices the user is signed in on
+  const getSessions = async () => {
+    const response = await axios.get('/api/users/sessions');
+    return response.data.sessions;
+  };
+
+  // Sign a device out
+  const revokeSession = async (sessionId) => {
+    await axios.delete(`/api/users/sessions/${sessionId}`);
+  };
+
+  // Email a password reset link; the response doesn't say whether the address has an account
+  const requestPasswordReset = async (email) => {
+    const response = await axios.post('/api/users/password-reset/request', { email });
+    return response.data;
+  };
+
+  // Set a new password from a reset link; every session, including this one, is signed out
+  const resetPassword = async (token, password) => {
+    const response = await axios.post('/api/users/password-reset/confirm', { token, password });
+    
+    if (currentUser) {
+      await logout();
+    }
+    
+    return response.data;
+  };
+
+  // Confirm the user's email address from a verification link
+  const verifyEmail = async (token) => {
+    const response = await axios.get('/api/users/verify-email', { params: { token } });
+    
+    if (currentUser && currentUser.email === response.data.email) {
+      setCurrentUser(prev => ({ ...prev, email_verified: true }));
+    }
+    
+    return response.data;
+  };
+
+  // Send the current user another verification link
+  const resendVerification = async () => {
+    const response = await axios.post('/api/users/verify-email/resend');
+    return response.data;
+  };
+
+  // Change the username and/or email address; changing the address needs the current password
+  const updateProfile = async ({ username, email, currentPassword }) => {
+    const response = await axios.put('/api/users/profile', { username, email, current_password: currentPassword });
+    
+    // The server issues a new access token carrying the new details
+    localStorage.setItem('token', response.data.token);
+    axios.defaults.headers.common['Authorization'] = `Bearer ${response.data.token}`;
+    setCurrentUser(prev => ({ ...prev, ...response.data.user }));
+    
+    return response.data;
+  };
+
+  // Change the password; every other device is signed out
+  const changePassword = async (currentPassword, newPassword) => {
+    const response = await axios.put('/api/users/password', {
+      current_password: currentPassword,
+      new_password: newPassword
+    });
+    return response.data;
+  };
+
+  // Delete the account and everything stored with it, then sign out locally
+  const deleteAccount = async (password) => {
+    const response = await axios.delete('/api/users/me', { data: { password } });
+    clearLocalSession();
+    return response.data;
+  };
+
+  // Get everything stored about the user, as the JSON archive the server exports
+  const exportAccountData = async () => {
+    const response = await axios.get('/api/users/me/export');
+    return response.data;
+  };
+
   // Value object that will be supplied to consumers of this context
   const value = {
     currentUser,
@@ -190,7 +366,21 @@ export const AuthProvider = ({ children }) => {
     updatePreferences,
     saveArticle,
     getSavedArticles,
-    recordArticleView
+    recordArticleView,
+    getReadingHistory,
+    getReadingStats,
+    deleteHistoryEntries,
+    clearReadingHistory,
+    getSessions,
+    revokeSession,
+    requestPasswordReset,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    updateProfile,
+    changePassword,
+    deleteAccount,
+    exportAccountData
   };
 
   return (
@@ -1,16 +1,53 @@
 import axios from 'axios';
 
+/**
+ * Get all AI models registered on the backend
+ * @returns {Promise<Array>} Array of AI model descriptors
+ */
+export const getAIModels = async () => {
+  try {
+    const response = await axios.get('/api/ai/models');
+    return response.data;
+  } catch (error) {
+    console.error('Error getting AI models:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the analysis styles (prompt templates) the backend offers
+ * @returns {Promise<Array>} Array of template descriptors
+ */
+export const getAnalysisTemplates = async () => {
+  try {
+    const response = await axios.get('/api/ai/templates');
+    return response.data;
+  } catch (error) {
+    console.error('Error getting analysis templates:', error);
+    throw error;
+  }
+};
+
 /**
  * Get analysis from multiple AI models for a news article
  * @param {Object} newsArticle News article object
  * @param {Array<string>} aiModels Array of AI model IDs
- * @returns {Promise<Object>} Object with AI model IDs as keys and analysis text as values
+ * @param {Object} options Request options
+ * @param {boolean} options.fresh Bypass the server's analysis cache
+ * @param {string} options.template Analysis style (prompt template ID)
+ * @param {string} options.perspective Reader perspective to analyze the story from
+ * @returns {Promise<Object>} Object with AI model IDs as keys and structured analyses as values
+ *   (summary, keyClaims, sentiment, stance, predictedImpacts, confidence and format)
  */
-export const getAIAnalysis = async (newsArticle, aiModels) => {
+export const getAIAnalysis = async (newsArticle, aiModels, options = {}) => {
   try {
     const response = await axios.post('/api/ai/analyze', {
       newsArticle,
-      aiModels
+      aiModels,
+      template: options.template,
+      perspective: options.perspective
+    }, {
+      params: options.fresh ? { fresh: true } : {}
     });
     return response.data;
   } catch (error) {
@@ -19,16 +56,218 @@ export const getAIAnalysis = async (newsArticle, aiModels) => {
   }
 };
 
+/**
+ * Read Server-Sent Events from a fetch response
+ * @param {Response} response Fetch response with an event stream body
+ * @param {Function} onEvent Called with (event, data) for each event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+const readServerSentEvents = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  const dispatch = (block) => {
+    let event = 'message';
+    const data = [];
+    
+    block.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    });
+    
+    if (data.length > 0) {
+      onEvent(event, data.join('\n'));
+    }
+  };
+  
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    
+    // Events end with a blank line; keep a partial event until the rest arrives
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = done ? '' : blocks.pop();
+    blocks.forEach(dispatch);
+    
+    if (done) return;
+  }
+};
+
+/**
+ * Stream analyses from multiple AI models over Server-Sent Events
+ * Uses fetch rather than EventSource so the request carries the signed-in user's token,
+ * and counts against their rate limit and usage rather than the anonymous ones
+ * @param {Object} newsArticle News article object
+ * @param {Array<string>} aiModels Array of AI model IDs
+ * @param {Object} handlers Event callbacks
+ * @param {Function} handlers.onToken Called with (modelId, token) as text streams in
+ * @param {Function} handlers.onAnalysis Called with (modelId, analysis) when a model finishes
+ * @param {Function} handlers.onDone Called once every model has finished
+ * @param {Function} handlers.onError Called if the stream fails before finishing
+ * @param {Object} options Request options
+ * @param {boolean} options.fresh Bypass the server's analysis cache
+ * @param {string} options.template Analysis style (prompt template ID)
+ * @param {string} options.perspective Reader perspective to analyze the story from
+ * @returns {Function} Function that closes the stream
+ */
+export const streamAIAnalysis = (newsArticle, aiModels, handlers = {}, options = {}) => {
+  const params = new URLSearchParams({
+    newsArticle: JSON.stringify(newsArticle),
+    aiModels: aiModels.join(',')
+  });
+  
+  if (options.fresh) {
+    params.set('fresh', 'true');
+  }
+  
+  if (options.template) {
+    params.set('template', options.template);
+  }
+  
+  if (options.perspective) {
+    params.set('perspective', options.perspective);
+  }
+  
+  const controller = new AbortController();
+  const authorization = axios.defaults.headers.common['Authorization'];
+  let finished = false;
+  
+  const finish = () => {
+    finished = true;
+    controller.abort();
+  };
+  
+  const handleEvent = (event, data) => {
+    const payload = JSON.parse(data);
+    
+    if (event === 'token') {
+      handlers.onToken?.(payload.modelId, payload.token);
+    } else if (event === 'analysis') {
+      handlers.onAnalysis?.(payload.modelId, payload.analysis);
+    } else if (event === 'done') {
+      finish();
+      handlers.onDone?.();
+    } else if (event === 'error') {
+      throw new Error(payload.error || 'Analysis stream failed');
+    }
+  };
+  
+  fetch(`/api/ai/analyze/stream?${params.toString()}`, {
+    credentials: 'include',
+    headers: {
+      Accept: 'text/event-stream',
+      ...(authorization ? { Authorization: authorization } : {})
+    },
+    signal: controller.signal
+  })
+    .then(async (response) => {
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || body.message || `Request failed with status ${response.status}`);
+      }
+      
+      await readServerSentEvents(response, handleEvent);
+      
+      if (!finished) {
+        throw new Error('Analysis stream ended before every model finished');
+      }
+    })
+    .catch((error) => {
+      // Closing the stream, or finishing it, aborts the request; neither is a failure
+      if (finished || controller.signal.aborted) return;
+      
+      finish();
+      console.error('Error streaming AI analysis:', error);
+      handlers.onError?.(error);
+    });
+  
+  return () => controller.abort();
+};
+
+/**
+ * Run a multi-round debate between AI models about a news article
+ * @param {Object} newsArticle News article object
+ * @param {Array<string>} aiModels Array of participating AI model IDs
+ * @param {Object} options Debate options
+ * @param {number} options.rounds Number of rounds including the opening statements
+ * @param {string} options.moderator AI model ID that writes the closing synthesis
+ * @param {string} options.template Analysis style for the opening statements
+ * @returns {Promise<Object>} Debate transcript with rounds and synthesis
+ */
+export const getAIDebate = async (newsArticle, aiModels, options = {}) => {
+  try {
+    const response = await axios.post('/api/ai/debate', {
+      newsArticle,
+      aiModels,
+      rounds: options.rounds,
+      moderator: options.moderator,
+      template: options.template
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error getting AI debate:', error);
+    throw error;
+  }
+};
+
+/**
+ * Extract key insights from several AI models' analyses of a news article
+ * @param {Object} newsArticle News article object
+ * @param {Object} analyses Structured analyses keyed by AI model ID
+ * @returns {Promise<Object>} Agreements, disagreements and unique claims per model
+ */
+export const getAIInsights = async (newsArticle, analyses) => {
+  try {
+    const response = await axios.post('/api/ai/insights', {
+      newsArticle,
+      analyses
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error getting AI insights:', error);
+    throw error;
+  }
+};
+
+/**
+ * Compare several AI models' analyses of a news article claim by claim
+ * @param {Object} newsArticle News article object
+ * @param {Object} analyses Structured analyses keyed by AI model ID
+ * @returns {Promise<Object>} Aligned claims with their status (agreed, related, contradicted or unique),
+ *   counts per status and the article's divergence score
+ */
+export const getAIComparison = async (newsArticle, analyses) => {
+  try {
+    const response = await axios.post('/api/ai/compare', {
+      newsArticle,
+      analyses
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error comparing AI analyses:', error);
+    throw error;
+  }
+};
+
 /**
  * Get analysis from a specific AI model for a news article
  * @param {string} modelId AI model ID
  * @param {Object} newsArticle News article object
- * @returns {Promise<Object>} Object with modelId and analysis
+ * @param {Object} options Request options
+ * @param {string} options.template Analysis style (prompt template ID)
+ * @param {string} options.perspective Reader perspective to analyze the story from
+ * @returns {Promise<Object>} Object with modelId, structured analysis and template
  */
-export const getAIModelAnalysis = async (modelId, newsArticle) => {
+export const getAIModelAnalysis = async (modelId, newsArticle, options = {}) => {
   try {
     const response = await axios.post(`/api/ai/${modelId}/analyze`, {
-      newsArticle
+      newsArticle,
+      template: options.template,
+      perspective: options.perspective
     });
     return response.data;
   } catch (error) {
@@ -36,3 +275,32 @@ export const getAIModelAnalysis = async (modelId, newsArticle) => {
     throw error;
   }
 };
+
+/**
+ * Get the summary written so far from a streaming analysis
+ * Models stream their analysis as JSON with the summary first, so the summary can be shown while it is written
+ * @param {string} partialJson Analysis tokens received so far
+ * @returns {string} Summary text so far, or the raw text if the model isn't answering in JSON
+ */
+export const getStreamingSummary = (partialJson) => {
+  const text = partialJson.replace(/```(?:json)?/gi, '').trimStart();
+  
+  if (!text.startsWith('{')) {
+    return text;
+  }
+  
+  const match = text.match(/"summary"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  
+  if (!match) {
+    return '';
+  }
+  
+  // Drop a half-received escape sequence before decoding the string
+  const summary = match[1].replace(/\\u?[0-9a-fA-F]{0,3}$/, '');
+  
+  try {
+    return JSON.parse(`"${summary}"`);
+  } catch (error) {
+    return summary;
+  }
+};
@@ -43,3 +43,36 @@ export const fetchNewsById = async (id) => {
     throw error;
   }
 };
+
+/**
+ * Search news articles, trending perspectives and AI analyses
+ * @param {string} query Search text
+ * @param {Object} filters Optional filters: category, source, provider, from and to dates
+ * @returns {Promise<Array>} Array of matching news articles, best matches first
+ */
+export const searchNews = async (query, filters = {}) => {
+  try {
+    const response = await axios.get('/api/news/search', {
+      params: { q: query, ...filters }
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Error searching news for "${query}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the signed-in user's personalized feed
+ * @param {Object} options Optional paging: limit and offset
+ * @returns {Promise<Array>} Array of news articles, best matches first, each with a score, an explanation and its reasons
+ */
+export const fetchForYouFeed = async (options = {}) => {
+  try {
+    const response = await axios.get('/api/news/for-you', { params: options });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching For You feed:', error);
+    throw error;
+  }
+};